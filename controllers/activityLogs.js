@@ -34,6 +34,9 @@ const mongoose = require('mongoose');
  *         details:
  *           type: string
  *           description: Additional details about the action
+ *         impersonator:
+ *           type: string
+ *           description: Super admin who performed the action while impersonating the user, if any
  *         user_agent:
  *           type: string
  *           description: User-Agent string from the request
@@ -54,6 +57,11 @@ const mongoose = require('mongoose');
  *           type: string
  *         description: Filter by User ID
  *       - in: query
+ *         name: impersonator
+ *         schema:
+ *           type: string
+ *         description: Filter by the super admin who acted while impersonating
+ *       - in: query
  *         name: action
  *         schema:
  *           type: string
@@ -128,9 +136,10 @@ const mongoose = require('mongoose');
 exports.getActivityLogs = async (req, res, next) => {
   try {
     const query = {};
-    const { user, action, entity_type, entity_id, start_date, end_date, sort, page = 1, limit = 10 } = req.query;
+    const { user, impersonator, action, entity_type, entity_id, start_date, end_date, sort, page = 1, limit = 10 } = req.query;
 
     if (user) query.user = user;
+    if (impersonator) query.impersonator = impersonator;
     if (action) query.action = action;
     if (entity_type) query.entity_type = entity_type;
     if (entity_id) query.entity_id = entity_id;
@@ -147,6 +156,7 @@ exports.getActivityLogs = async (req, res, next) => {
 
     const activityLogs = await ActivityLog.find(query)
       .populate('user', 'name email') // Populate user details
+      .populate('impersonator', 'name email')
       .populate({
         path: 'entity_id', // Populate the specific entity based on entity_type
         select: 'title name email' // Select relevant fields for different entities
@@ -225,6 +235,7 @@ exports.getActivityLog = async (req, res, next) => {
   try {
     const activityLog = await ActivityLog.findById(req.params.id)
       .populate('user', 'name email')
+      .populate('impersonator', 'name email')
       .populate({
         path: 'entity_id',
         select: 'title name email'
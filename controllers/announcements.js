@@ -0,0 +1,753 @@
+const { validationResult } = require('express-validator');
+const Announcement = require('../models/Announcement');
+const AnnouncementRead = require('../models/AnnouncementRead');
+const Batch = require('../models/Batch');
+const Group = require('../models/Group');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const logActivity = require('../utils/activityLogger');
+const { hasGlobalScope, canAccessResource } = require('../utils/resourceScope');
+const {
+  resolveAudience,
+  audienceConditions,
+  liveConditions,
+  isInAudience,
+  publishAnnouncement
+} = require('../utils/announcements');
+
+const AUDIENCE_TARGETS = {
+  batch: { Model: Batch, label: 'Batch' },
+  group: { Model: Group, label: 'Group' },
+  course: { Model: Course, label: 'Course' }
+};
+
+const populateAnnouncement = (query) => query
+  .populate('batch', 'name')
+  .populate('group', 'name')
+  .populate('course', 'title')
+  .populate('created_by', 'name');
+
+// Pinned first, then newest
+const FEED_SORT = { is_pinned: -1, publish_at: -1 };
+
+const isShowing = (announcement, now = new Date()) =>
+  announcement.publish_at <= now && (!announcement.expires_at || announcement.expires_at > now);
+
+const notFound = (res) => res.status(404).json({ success: false, error: 'Announcement not found' });
+
+/**
+ * Audience fields from a request body, with only the target matching audience_type set
+ * @returns {Object|null} Fields, or null when the body does not change the audience
+ */
+const audienceFromBody = (body) => {
+  if (body.audience_type === undefined) return null;
+
+  return ['batch', 'group', 'course'].reduce((fields, target) => {
+    fields[target] = body.audience_type === target ? body[target] : undefined;
+    return fields;
+  }, { audience_type: body.audience_type });
+};
+
+// Check an audience can be announced to by this user; returns an error response or null
+const checkAudience = async (req, res, audience) => {
+  if (audience.audience_type === 'everyone') {
+    if (!(await hasGlobalScope(req.user.id))) {
+      return res.status(403).json({ success: false, error: 'Only admins can make announcements to everyone' });
+    }
+    return null;
+  }
+
+  const { Model, label } = AUDIENCE_TARGETS[audience.audience_type];
+  if (!(await Model.exists({ _id: audience[audience.audience_type] }))) {
+    return res.status(404).json({ success: false, error: `${label} not found` });
+  }
+  return null;
+};
+
+const checkWindow = (res, publishAt, expiresAt) => {
+  if (expiresAt && new Date(expiresAt) <= new Date(publishAt)) {
+    return res.status(400).json({ success: false, error: 'expires_at must be after publish_at' });
+  }
+  return null;
+};
+
+// Announcements whose time has come go out now; later ones are left to the scheduler
+const publishIfDue = (announcement) => {
+  if (announcement.published_at || announcement.publish_at > new Date()) return;
+
+  publishAnnouncement(announcement)
+    .catch(error => console.error(`Publishing announcement ${announcement._id} failed:`, error));
+};
+
+const paginationOf = (req) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  return { page, limit, startIndex: (page - 1) * limit };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Announcement:
+ *       type: object
+ *       required:
+ *         - title
+ *         - body
+ *         - audience_type
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *           description: Markdown
+ *         audience_type:
+ *           type: string
+ *           enum: [everyone, batch, group, course]
+ *         batch:
+ *           type: string
+ *           description: Required for batch announcements
+ *         group:
+ *           type: string
+ *           description: Required for group announcements
+ *         course:
+ *           type: string
+ *           description: Required for course announcements, which reach users actively enrolled in any of its batch courses
+ *         is_pinned:
+ *           type: boolean
+ *         publish_at:
+ *           type: string
+ *           format: date-time
+ *           description: When it shows and its audience is notified; defaults to now
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: When it stops showing
+ *         published_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the audience was notified; unset while scheduled
+ *         notified_count:
+ *           type: integer
+ *         is_read:
+ *           type: boolean
+ *           description: In the feed, whether the signed-in user has read it
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /announcements:
+ *   get:
+ *     summary: Get my announcements
+ *     description: Published, unexpired announcements for everyone or for my batches, groups and enrolled courses. Pinned ones come first.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only announcements I have not read
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Announcements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 unread_count: { type: integer }
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page: { type: integer }
+ *                     limit: { type: integer }
+ *                     total: { type: integer }
+ *                     pages: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Announcement'
+ */
+// @desc    Get my announcements
+// @route   GET /api/announcements
+// @access  Private
+exports.getAnnouncements = async (req, res, next) => {
+  try {
+    const { page, limit, startIndex } = paginationOf(req);
+
+    const visible = { $and: [liveConditions(), { $or: await audienceConditions(req.user._id) }] };
+    const readIds = await AnnouncementRead.distinct('announcement', { user: req.user._id });
+    const unread = { $and: [...visible.$and, { _id: { $nin: readIds } }] };
+    const query = req.query.unread === 'true' ? unread : visible;
+
+    const [announcements, total, unreadCount] = await Promise.all([
+      populateAnnouncement(Announcement.find(query))
+        .sort(FEED_SORT)
+        .skip(startIndex)
+        .limit(limit),
+      Announcement.countDocuments(query),
+      Announcement.countDocuments(unread)
+    ]);
+
+    const receipts = await AnnouncementRead.find({
+      user: req.user._id,
+      announcement: { $in: announcements.map(announcement => announcement._id) }
+    });
+    const readAt = new Map(receipts.map(receipt => [receipt.announcement.toString(), receipt.read_at]));
+
+    res.status(200).json({
+      success: true,
+      count: announcements.length,
+      unread_count: unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: announcements.map(announcement => ({
+        ...announcement.toObject(),
+        is_read: readAt.has(announcement._id.toString()),
+        read_at: readAt.get(announcement._id.toString()) || null
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /announcements/manage:
+ *   get:
+ *     summary: Get announcements I manage
+ *     description: Announcements I wrote, including scheduled and expired ones. Admins see all announcements.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, live, expired]
+ *       - in: query
+ *         name: audience_type
+ *         schema:
+ *           type: string
+ *           enum: [everyone, batch, group, course]
+ *       - in: query
+ *         name: batch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: course
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Announcements
+ *       403:
+ *         description: Not authorized
+ */
+// @desc    Get announcements I manage
+// @route   GET /api/announcements/manage
+// @access  Private/Admin/Instructor
+exports.getManagedAnnouncements = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page, limit, startIndex } = paginationOf(req);
+    const now = new Date();
+    const query = {};
+
+    ['audience_type', 'batch', 'group', 'course'].forEach(field => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    if (req.query.status === 'scheduled') {
+      query.publish_at = { $gt: now };
+    } else if (req.query.status === 'live') {
+      Object.assign(query, liveConditions(now));
+    } else if (req.query.status === 'expired') {
+      query.expires_at = { $lte: now };
+    }
+
+    if (!(await hasGlobalScope(req.user.id))) {
+      query.created_by = req.user.id;
+    }
+
+    const [announcements, total] = await Promise.all([
+      populateAnnouncement(Announcement.find(query))
+        .sort({ publish_at: -1 })
+        .skip(startIndex)
+        .limit(limit),
+      Announcement.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: announcements.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: announcements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /announcements/{id}:
+ *   get:
+ *     summary: Get an announcement
+ *     description: Members of the audience see it while it is showing; its author, instructors of its batch, group or course, and admins always can.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Announcement
+ *       404:
+ *         description: Announcement not found
+ */
+// @desc    Get an announcement
+// @route   GET /api/announcements/:id
+// @access  Private
+exports.getAnnouncement = async (req, res, next) => {
+  try {
+    const announcement = await populateAnnouncement(Announcement.findById(req.params.id));
+    if (!announcement) {
+      return notFound(res);
+    }
+
+    // The audience sees it while it is showing; those who manage it always can
+    const visible = isShowing(announcement) && await isInAudience(announcement, req.user._id);
+    if (!visible && !(await canAccessResource(req.user.id, 'announcements', announcement._id))) {
+      return notFound(res);
+    }
+
+    const receipt = await AnnouncementRead.findOne({ announcement: announcement._id, user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...announcement.toObject(),
+        is_read: Boolean(receipt),
+        read_at: receipt ? receipt.read_at : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /announcements:
+ *   post:
+ *     summary: Create an announcement
+ *     description: |
+ *       Instructors can announce to batches, groups and courses they are assigned to; only admins can announce
+ *       to everyone. The audience is notified at publish_at (now if not given).
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Announcement'
+ *           example:
+ *             title: Recording posted
+ *             body: The recording of **Saturday's session** is now on the course page.
+ *             audience_type: batch
+ *             batch: 6650c0f5e1b2a3c4d5e6f701
+ *     responses:
+ *       201:
+ *         description: Announcement created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not assigned to the batch, group or course, or not an admin for everyone
+ *       404:
+ *         description: Batch, group or course not found
+ */
+// @desc    Create an announcement
+// @route   POST /api/announcements
+// @access  Private/Admin/Instructor
+exports.createAnnouncement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const audience = audienceFromBody(req.body);
+    const publishAt = req.body.publish_at || new Date();
+
+    const invalid = checkWindow(res, publishAt, req.body.expires_at) || await checkAudience(req, res, audience);
+    if (invalid) return invalid;
+
+    const announcement = await Announcement.create({
+      title: req.body.title,
+      body: req.body.body,
+      ...audience,
+      is_pinned: Boolean(req.body.is_pinned),
+      publish_at: publishAt,
+      expires_at: req.body.expires_at,
+      created_by: req.user.id
+    });
+
+    await logActivity(req.user.id, 'announcement_create', 'Announcement', announcement._id,
+      `Created announcement "${announcement.title}" for ${announcement.audience_type}`, req);
+
+    publishIfDue(announcement);
+
+    res.status(201).json({ success: true, data: announcement });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /announcements/{id}:
+ *   put:
+ *     summary: Update an announcement
+ *     description: Edits, pins or reschedules it. An announcement already published is not sent again.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Announcement'
+ *     responses:
+ *       200:
+ *         description: Announcement updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Announcement not found
+ */
+// @desc    Update an announcement
+// @route   PUT /api/announcements/:id
+// @access  Private/Admin/Instructor
+exports.updateAnnouncement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const announcement = await Announcement.findById(req.params.id);
+    if (!announcement) {
+      return notFound(res);
+    }
+
+    const audience = audienceFromBody(req.body);
+    if (audience) {
+      const invalid = await checkAudience(req, res, audience);
+      if (invalid) return invalid;
+      announcement.set(audience);
+    }
+
+    ['title', 'body', 'is_pinned', 'publish_at', 'expires_at'].forEach(field => {
+      if (req.body[field] !== undefined) announcement[field] = req.body[field];
+    });
+
+    const invalidWindow = checkWindow(res, announcement.publish_at, announcement.expires_at);
+    if (invalidWindow) return invalidWindow;
+
+    announcement.updated_by = req.user.id;
+    await announcement.save();
+
+    await logActivity(req.user.id, 'announcement_update', 'Announcement', announcement._id,
+      `Updated announcement "${announcement.title}"`, req);
+
+    publishIfDue(announcement);
+
+    res.status(200).json({ success: true, data: announcement });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /announcements/{id}:
+ *   delete:
+ *     summary: Delete an announcement
+ *     description: Removes it and its read receipts.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Announcement deleted
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Announcement not found
+ */
+// @desc    Delete an announcement
+// @route   DELETE /api/announcements/:id
+// @access  Private/Admin/Instructor
+exports.deleteAnnouncement = async (req, res, next) => {
+  try {
+    const announcement = await Announcement.findByIdAndDelete(req.params.id);
+    if (!announcement) {
+      return notFound(res);
+    }
+
+    await AnnouncementRead.deleteMany({ announcement: announcement._id });
+
+    await logActivity(req.user.id, 'announcement_delete', 'Announcement', announcement._id,
+      `Deleted announcement "${announcement.title}"`, req);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /announcements/{id}/read:
+ *   post:
+ *     summary: Mark an announcement read
+ *     description: Records my read receipt. Marking it again keeps the first read time.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Read receipt
+ *       404:
+ *         description: Announcement not found
+ */
+// @desc    Mark an announcement read
+// @route   POST /api/announcements/:id/read
+// @access  Private
+exports.markAnnouncementRead = async (req, res, next) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+    if (!announcement || !isShowing(announcement) || !(await isInAudience(announcement, req.user._id))) {
+      return notFound(res);
+    }
+
+    const receipt = await AnnouncementRead.findOneAndUpdate(
+      { announcement: announcement._id, user: req.user._id },
+      { $setOnInsert: { read_at: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    res.status(200).json({ success: true, data: receipt });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /announcements/{id}/receipts:
+ *   get:
+ *     summary: Get an announcement's read receipts
+ *     description: Everyone currently in the audience and whether they have read it. Use read=false to see who has not.
+ *     tags: [Announcements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: read
+ *         schema:
+ *           type: boolean
+ *         description: Only readers (true) or only those who have not read it (false)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Receipts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 audience_count: { type: integer }
+ *                 read_count: { type: integer }
+ *                 unread_count: { type: integer }
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page: { type: integer }
+ *                     limit: { type: integer }
+ *                     total: { type: integer }
+ *                     pages: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string }
+ *                           name: { type: string }
+ *                           email: { type: string }
+ *                       is_read: { type: boolean }
+ *                       read_at: { type: string, format: date-time }
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Announcement not found
+ */
+// @desc    Get an announcement's read receipts
+// @route   GET /api/announcements/:id/receipts
+// @access  Private/Admin/Instructor
+exports.getAnnouncementReceipts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const announcement = await Announcement.findById(req.params.id);
+    if (!announcement) {
+      return notFound(res);
+    }
+
+    const { page, limit, startIndex } = paginationOf(req);
+
+    const [audience, receipts] = await Promise.all([
+      resolveAudience(announcement),
+      AnnouncementRead.find({ announcement: announcement._id }).select('user read_at')
+    ]);
+    const readAt = new Map(receipts.map(receipt => [receipt.user.toString(), receipt.read_at]));
+
+    let userIds = audience;
+    if (req.query.read !== undefined) {
+      const wantRead = req.query.read === 'true';
+      userIds = audience.filter(id => readAt.has(id) === wantRead);
+    }
+
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('name email')
+      .sort({ name: 1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const readCount = audience.filter(id => readAt.has(id)).length;
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      audience_count: audience.length,
+      read_count: readCount,
+      unread_count: audience.length - readCount,
+      pagination: {
+        page,
+        limit,
+        total: userIds.length,
+        pages: Math.ceil(userIds.length / limit)
+      },
+      data: users.map(user => ({
+        user,
+        is_read: readAt.has(user._id.toString()),
+        read_at: readAt.get(user._id.toString()) || null
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,1408 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const Group = require('../models/Group');
+const Batch = require('../models/Batch');
+const BatchUser = require('../models/BatchUser');
+const GroupUser = require('../models/GroupUser');
+const User = require('../models/User');
+const CheckInCode = require('../models/CheckInCode');
+const { validationResult } = require('express-validator');
+const logActivity = require('../utils/activityLogger');
+const { formatTimeOfDay } = require('../utils/sessionTime');
+const {
+  buildCheckInWindow,
+  generateCheckInSecret,
+  getCurrentCode,
+  verifyCheckInCode,
+  buildQrPayload
+} = require('../utils/checkIn');
+const { getRequestAccess, hasPermission } = require('../utils/permissionCache');
+const { hasGlobalScope, canAccessResource } = require('../utils/resourceScope');
+
+// How attendance is recorded for each kind of session. The roster is the batch's
+// students for live sessions and the group's students for group sessions.
+const SESSION_TYPES = {
+  live: {
+    Model: LiveSession,
+    field: 'live_session',
+    entityType: 'LiveSession',
+    label: 'Live session',
+    context: async (session) => ({ batch: session.batch }),
+    roster: (session) => BatchUser.find({ batch: session.batch, role: 'student', is_active: true })
+      .populate('user', 'name email'),
+    isOnRoster: (session, userId) => BatchUser.exists({ batch: session.batch, user: userId, role: 'student', is_active: true })
+  },
+  group: {
+    Model: GroupSession,
+    field: 'group_session',
+    entityType: 'GroupSession',
+    label: 'Group session',
+    context: async (session) => {
+      const group = await Group.findById(session.group).select('batch');
+      return group ? { batch: group.batch, group: session.group } : null;
+    },
+    roster: (session) => GroupUser.find({ group: session.group, role: 'student', is_active: true })
+      .populate('user', 'name email'),
+    isOnRoster: (session, userId) => GroupUser.exists({ group: session.group, user: userId, role: 'student', is_active: true })
+  }
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Turn status counts into totals and a percentage. Excused absences are left out of
+// the percentage; late counts as attended.
+const buildStats = (counts = {}) => {
+  const stats = { total: 0 };
+  Attendance.ATTENDANCE_STATUSES.forEach(status => {
+    stats[status] = counts[status] || 0;
+    stats.total += stats[status];
+  });
+
+  const attended = Attendance.ATTENDED_STATUSES.reduce((sum, status) => sum + stats[status], 0);
+  const countable = stats.total - stats.excused;
+  stats.attendance_percentage = countable > 0 ? Math.round((attended / countable) * 1000) / 10 : null;
+
+  return stats;
+};
+
+// Count attendance records matching a filter by status, grouped by one field
+const countByStatus = async (match, groupField) => {
+  const rows = await Attendance.aggregate([
+    { $match: match },
+    { $group: { _id: { key: `$${groupField}`, status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  rows.forEach(row => {
+    const key = row._id.key ? row._id.key.toString() : null;
+    if (!counts.has(key)) counts.set(key, {});
+    counts.get(key)[row._id.status] = row.count;
+  });
+
+  return counts;
+};
+
+// Optional ?from=&to= filter on class_date
+const applyDateRange = (match, query) => {
+  if (query.from || query.to) {
+    match.class_date = {};
+    if (query.from) match.class_date.$gte = new Date(query.from);
+    if (query.to) match.class_date.$lte = new Date(query.to);
+  }
+  return match;
+};
+
+// Per-student rows for a roster plus anyone else with records in the match
+const buildStudentRows = async (roster, match) => {
+  const counts = await countByStatus(match, 'user');
+  const userIds = new Set([...roster.map(member => member.user.toString()), ...counts.keys()]);
+  userIds.delete(null);
+
+  const users = await User.find({ _id: { $in: [...userIds] } }).select('name email');
+  const rosterIds = new Set(roster.map(member => member.user.toString()));
+
+  const students = users.map(user => ({
+    user,
+    on_roster: rosterIds.has(user._id.toString()),
+    ...buildStats(counts.get(user._id.toString()))
+  })).sort((a, b) => a.user.name.localeCompare(b.user.name));
+
+  const overall = {};
+  counts.forEach(statusCounts => {
+    Object.entries(statusCounts).forEach(([status, count]) => {
+      overall[status] = (overall[status] || 0) + count;
+    });
+  });
+
+  return { overall: buildStats(overall), students };
+};
+
+// Roster view of a session: every student with their record, or null if unmarked
+const getSessionAttendance = async (type, req, res) => {
+  const config = SESSION_TYPES[type];
+  const session = await config.Model.findById(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: `${config.label} not found` });
+  }
+
+  const [roster, records] = await Promise.all([
+    config.roster(session),
+    Attendance.find({ [config.field]: session._id }).populate('recorded_by', 'name')
+  ]);
+
+  const recordsByUser = new Map(records.map(record => [record.user.toString(), record]));
+
+  const data = roster
+    .filter(member => member.user)
+    .map(member => {
+      const record = recordsByUser.get(member.user._id.toString()) || null;
+      recordsByUser.delete(member.user._id.toString());
+      return { user: member.user, on_roster: true, attendance: record };
+    });
+
+  // Students who were marked and have since left the roster
+  if (recordsByUser.size > 0) {
+    const formerMembers = await User.find({ _id: { $in: [...recordsByUser.keys()] } }).select('name email');
+    formerMembers.forEach(user => {
+      data.push({ user, on_roster: false, attendance: recordsByUser.get(user._id.toString()) });
+    });
+  }
+
+  const marked = data.filter(entry => entry.attendance);
+
+  return res.status(200).json({
+    success: true,
+    count: data.length,
+    session: {
+      _id: session._id,
+      title: session.title,
+      session_date: session.session_date,
+      status: session.status
+    },
+    summary: buildStats(marked.reduce((counts, entry) => {
+      counts[entry.attendance.status] = (counts[entry.attendance.status] || 0) + 1;
+      return counts;
+    }, {})),
+    unmarked: data.length - marked.length,
+    data
+  });
+};
+
+// Upsert attendance for a session's roster in one write
+const markSessionAttendance = async (type, req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const config = SESSION_TYPES[type];
+  const session = await config.Model.findById(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: `${config.label} not found` });
+  }
+
+  if (session.status === 'cancelled') {
+    return res.status(400).json({ success: false, error: `Cannot record attendance for a cancelled ${config.label.toLowerCase()}` });
+  }
+
+  const context = await config.context(session);
+  if (!context) {
+    return res.status(404).json({ success: false, error: 'Group not found' });
+  }
+
+  const { records = [], default_status } = req.body;
+
+  const roster = await config.roster(session);
+  const rosterIds = new Set(roster.filter(member => member.user).map(member => member.user._id.toString()));
+
+  const notOnRoster = records.map(entry => entry.user).filter(userId => !rosterIds.has(userId.toString()));
+  if (notOnRoster.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Users are not students of this ${type === 'live' ? 'batch' : 'group'}`,
+      users: notOnRoster
+    });
+  }
+
+  const entries = new Map(records.map(entry => [entry.user.toString(), entry]));
+
+  // Fill in students that have neither an entry here nor an earlier record
+  if (default_status) {
+    const existing = await Attendance.find({ [config.field]: session._id }).select('user');
+    const recorded = new Set(existing.map(record => record.user.toString()));
+
+    rosterIds.forEach(userId => {
+      if (!entries.has(userId) && !recorded.has(userId)) {
+        entries.set(userId, { user: userId, status: default_status });
+      }
+    });
+  }
+
+  if (entries.size === 0) {
+    return res.status(400).json({ success: false, error: 'No attendance records to save' });
+  }
+
+  const operations = [...entries.values()].map(entry => {
+    const fields = {
+      ...context,
+      class_date: session.session_date,
+      status: entry.status,
+      is_present: Attendance.ATTENDED_STATUSES.includes(entry.status),
+      recorded_by: req.user.id
+    };
+    ['check_in_time', 'check_out_time', 'attendance_notes'].forEach(field => {
+      if (entry[field] !== undefined) fields[field] = entry[field];
+    });
+
+    return {
+      updateOne: {
+        filter: { user: toObjectId(entry.user), [config.field]: session._id },
+        update: { $set: fields },
+        upsert: true
+      }
+    };
+  });
+
+  await Attendance.bulkWrite(operations, { ordered: false });
+
+  const statusCounts = {};
+  entries.forEach(entry => {
+    statusCounts[entry.status] = (statusCounts[entry.status] || 0) + 1;
+  });
+
+  await logActivity(
+    req.user.id,
+    'attendance_mark',
+    config.entityType,
+    session._id,
+    `Marked attendance for ${entries.size} student(s) in ${config.label.toLowerCase()} ${session.title}: ` +
+      Object.entries(statusCounts).map(([status, count]) => `${count} ${status}`).join(', '),
+    req
+  );
+
+  return getSessionAttendance(type, req, res);
+};
+
+// What instructors display: the current code, its QR payload and the check-in window
+const buildCheckInResponse = (req, type, session, checkIn) => {
+  const { code, expires_at } = getCurrentCode(checkIn);
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+  const now = Date.now();
+
+  return {
+    session: session._id,
+    session_type: type,
+    code,
+    expires_at,
+    rotation_seconds: checkIn.rotation_seconds,
+    qr_payload: buildQrPayload(baseUrl, type, session._id, code),
+    opens_at: checkIn.opens_at,
+    late_after: checkIn.late_after,
+    closes_at: checkIn.closes_at,
+    is_open: checkIn.opens_at <= now && now <= checkIn.closes_at
+  };
+};
+
+// Open (or reopen with a fresh secret) self check-in for a session
+const openSessionCheckIn = async (type, req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const config = SESSION_TYPES[type];
+  const session = await config.Model.findById(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: `${config.label} not found` });
+  }
+
+  if (session.status === 'cancelled') {
+    return res.status(400).json({ success: false, error: `Cannot open check-in for a cancelled ${config.label.toLowerCase()}` });
+  }
+
+  const window = buildCheckInWindow(session, req.body);
+  if (!window) {
+    return res.status(400).json({ success: false, error: 'Session start and end times could not be read' });
+  }
+
+  if (window.closes_at <= Date.now()) {
+    return res.status(400).json({ success: false, error: 'The check-in window for this session has already closed' });
+  }
+
+  const checkIn = await CheckInCode.findOneAndUpdate(
+    { [config.field]: session._id },
+    {
+      $set: {
+        session_type: type,
+        secret: generateCheckInSecret(),
+        ...window,
+        is_active: true,
+        opened_by: req.user.id
+      },
+      $unset: { closed_at: '', closed_by: '' }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).select('+secret');
+
+  await logActivity(
+    req.user.id,
+    'check_in_open',
+    config.entityType,
+    session._id,
+    `Opened self check-in for ${config.label.toLowerCase()} ${session.title} from ${window.opens_at.toISOString()} to ${window.closes_at.toISOString()}`,
+    req
+  );
+
+  return res.status(200).json({ success: true, data: buildCheckInResponse(req, type, session, checkIn) });
+};
+
+const getSessionCheckIn = async (type, req, res) => {
+  const config = SESSION_TYPES[type];
+  const session = await config.Model.findById(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: `${config.label} not found` });
+  }
+
+  const checkIn = await CheckInCode.findOne({ [config.field]: session._id, is_active: true }).select('+secret');
+  if (!checkIn) {
+    return res.status(404).json({ success: false, error: 'Check-in is not open for this session' });
+  }
+
+  return res.status(200).json({ success: true, data: buildCheckInResponse(req, type, session, checkIn) });
+};
+
+const closeSessionCheckIn = async (type, req, res) => {
+  const config = SESSION_TYPES[type];
+  const session = await config.Model.findById(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: `${config.label} not found` });
+  }
+
+  const checkIn = await CheckInCode.findOneAndUpdate(
+    { [config.field]: session._id, is_active: true },
+    { $set: { is_active: false, closed_at: Date.now(), closed_by: req.user.id } },
+    { new: true }
+  );
+  if (!checkIn) {
+    return res.status(404).json({ success: false, error: 'Check-in is not open for this session' });
+  }
+
+  await logActivity(req.user.id, 'check_in_close', config.entityType, session._id, `Closed self check-in for ${config.label.toLowerCase()} ${session.title}`, req);
+
+  return res.status(200).json({ success: true, data: {} });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attendance:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: Student the record is for
+ *         batch:
+ *           type: string
+ *         group:
+ *           type: string
+ *         live_session:
+ *           type: string
+ *         group_session:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [present, absent, late, excused]
+ *         is_present:
+ *           type: boolean
+ *           description: True for present and late
+ *         class_date:
+ *           type: string
+ *           format: date-time
+ *         check_in_time:
+ *           type: string
+ *         check_out_time:
+ *           type: string
+ *         attendance_notes:
+ *           type: string
+ *         check_in_method:
+ *           type: string
+ *           enum: [manual, code]
+ *         checked_in_at:
+ *           type: string
+ *           format: date-time
+ *         recorded_by:
+ *           type: string
+ *     AttendanceBulkMark:
+ *       type: object
+ *       properties:
+ *         records:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - user
+ *               - status
+ *             properties:
+ *               user:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *               check_in_time:
+ *                 type: string
+ *               check_out_time:
+ *                 type: string
+ *               attendance_notes:
+ *                 type: string
+ *         default_status:
+ *           type: string
+ *           enum: [present, absent, late, excused]
+ *           description: Status for roster students with no entry in records and no existing record
+ *     CheckInSettings:
+ *       type: object
+ *       properties:
+ *         opens_before_minutes:
+ *           type: integer
+ *           description: Minutes before start_time that check-in opens (default 15)
+ *         late_after_minutes:
+ *           type: integer
+ *           description: Minutes after start_time after which students are marked late (default 10)
+ *         closes_after_minutes:
+ *           type: integer
+ *           description: Minutes after end_time that check-in closes (default 15)
+ *         rotation_seconds:
+ *           type: integer
+ *           description: How often the code changes (default 30, minimum 10)
+ *     CheckInCode:
+ *       type: object
+ *       properties:
+ *         session:
+ *           type: string
+ *         session_type:
+ *           type: string
+ *           enum: [live, group]
+ *         code:
+ *           type: string
+ *           description: Current six-digit code
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the code rotates (the previous code is accepted for one more period)
+ *         rotation_seconds:
+ *           type: integer
+ *         qr_payload:
+ *           type: string
+ *           description: Check-in URL to encode as a QR code
+ *         opens_at:
+ *           type: string
+ *           format: date-time
+ *         late_after:
+ *           type: string
+ *           format: date-time
+ *         closes_at:
+ *           type: string
+ *           format: date-time
+ *         is_open:
+ *           type: boolean
+ *     AttendanceStats:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         present:
+ *           type: integer
+ *         absent:
+ *           type: integer
+ *         late:
+ *           type: integer
+ *         excused:
+ *           type: integer
+ *         attendance_percentage:
+ *           type: number
+ *           nullable: true
+ *           description: (present + late) / (total - excused) * 100, null when nothing countable
+ */
+
+/**
+ * @swagger
+ * /attendance/live-sessions/{sessionId}:
+ *   get:
+ *     summary: Get the attendance roster of a live session
+ *     description: Every active student of the session's batch with their record, or null if not yet marked.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Roster with attendance
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Live session not found
+ */
+// @desc    Get live session attendance
+// @route   GET /api/attendance/live-sessions/:sessionId
+// @access  Private/Instructor
+exports.getLiveSessionAttendance = async (req, res, next) => {
+  try {
+    await getSessionAttendance('live', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/live-sessions/{sessionId}:
+ *   put:
+ *     summary: Mark attendance for a live session
+ *     description: Creates or updates records for the listed students. Every student must be an active student of the session's batch.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AttendanceBulkMark'
+ *     responses:
+ *       200:
+ *         description: Updated roster with attendance
+ *       400:
+ *         description: Validation error, students not on the roster, or session cancelled
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Live session not found
+ */
+// @desc    Mark live session attendance
+// @route   PUT /api/attendance/live-sessions/:sessionId
+// @access  Private/Instructor
+exports.markLiveSessionAttendance = async (req, res, next) => {
+  try {
+    await markSessionAttendance('live', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/group-sessions/{sessionId}:
+ *   get:
+ *     summary: Get the attendance roster of a group session
+ *     description: Every active student of the session's group with their record, or null if not yet marked.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Roster with attendance
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Group session not found
+ */
+// @desc    Get group session attendance
+// @route   GET /api/attendance/group-sessions/:sessionId
+// @access  Private/Instructor
+exports.getGroupSessionAttendance = async (req, res, next) => {
+  try {
+    await getSessionAttendance('group', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/group-sessions/{sessionId}:
+ *   put:
+ *     summary: Mark attendance for a group session
+ *     description: Creates or updates records for the listed students. Every student must be an active student of the session's group.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AttendanceBulkMark'
+ *     responses:
+ *       200:
+ *         description: Updated roster with attendance
+ *       400:
+ *         description: Validation error, students not on the roster, or session cancelled
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Group session not found
+ */
+// @desc    Mark group session attendance
+// @route   PUT /api/attendance/group-sessions/:sessionId
+// @access  Private/Instructor
+exports.markGroupSessionAttendance = async (req, res, next) => {
+  try {
+    await markSessionAttendance('group', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/live-sessions/{sessionId}/check-in-code:
+ *   post:
+ *     summary: Open self check-in for a live session
+ *     description: Issues a new rotating code (any earlier code stops working) and returns it with a QR payload. Window settings default to the CHECK_IN_* environment settings.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CheckInSettings'
+ *     responses:
+ *       200:
+ *         description: Check-in opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckInCode'
+ *       400:
+ *         description: Session cancelled, already over, or its times cannot be read
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Live session not found
+ *   get:
+ *     summary: Get the current check-in code of a live session
+ *     description: Poll this while showing the code; it rotates every rotation_seconds.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckInCode'
+ *       404:
+ *         description: Session not found or check-in not open
+ *   delete:
+ *     summary: Close self check-in for a live session
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in closed
+ *       404:
+ *         description: Session not found or check-in not open
+ */
+// @desc    Open live session check-in
+// @route   POST /api/attendance/live-sessions/:sessionId/check-in-code
+// @access  Private/Instructor
+exports.openLiveSessionCheckIn = async (req, res, next) => {
+  try {
+    await openSessionCheckIn('live', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current live session check-in code
+// @route   GET /api/attendance/live-sessions/:sessionId/check-in-code
+// @access  Private/Instructor
+exports.getLiveSessionCheckIn = async (req, res, next) => {
+  try {
+    await getSessionCheckIn('live', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close live session check-in
+// @route   DELETE /api/attendance/live-sessions/:sessionId/check-in-code
+// @access  Private/Instructor
+exports.closeLiveSessionCheckIn = async (req, res, next) => {
+  try {
+    await closeSessionCheckIn('live', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/group-sessions/{sessionId}/check-in-code:
+ *   post:
+ *     summary: Open self check-in for a group session
+ *     description: Issues a new rotating code (any earlier code stops working) and returns it with a QR payload. Window settings default to the CHECK_IN_* environment settings.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CheckInSettings'
+ *     responses:
+ *       200:
+ *         description: Check-in opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckInCode'
+ *       400:
+ *         description: Session cancelled, already over, or its times cannot be read
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Group session not found
+ *   get:
+ *     summary: Get the current check-in code of a group session
+ *     description: Poll this while showing the code; it rotates every rotation_seconds.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckInCode'
+ *       404:
+ *         description: Session not found or check-in not open
+ *   delete:
+ *     summary: Close self check-in for a group session
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in closed
+ *       404:
+ *         description: Session not found or check-in not open
+ */
+// @desc    Open group session check-in
+// @route   POST /api/attendance/group-sessions/:sessionId/check-in-code
+// @access  Private/Instructor
+exports.openGroupSessionCheckIn = async (req, res, next) => {
+  try {
+    await openSessionCheckIn('group', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current group session check-in code
+// @route   GET /api/attendance/group-sessions/:sessionId/check-in-code
+// @access  Private/Instructor
+exports.getGroupSessionCheckIn = async (req, res, next) => {
+  try {
+    await getSessionCheckIn('group', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close group session check-in
+// @route   DELETE /api/attendance/group-sessions/:sessionId/check-in-code
+// @access  Private/Instructor
+exports.closeGroupSessionCheckIn = async (req, res, next) => {
+  try {
+    await closeSessionCheckIn('group', req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/check-in:
+ *   post:
+ *     summary: Check in to a session with its code
+ *     description: |
+ *       Students of the session's batch (live sessions) or group (group sessions) submit the code
+ *       shown by the instructor while check-in is open. Arriving after the late threshold records
+ *       the student as late. Each account can check in once per session.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - session_type
+ *               - session
+ *               - code
+ *             properties:
+ *               session_type:
+ *                 type: string
+ *                 enum: [live, group]
+ *               session:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Checked in; data.status is present or late
+ *       400:
+ *         description: Invalid code, or check-in not open
+ *       403:
+ *         description: Not a student of this session
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Already checked in, or attendance already recorded by the instructor
+ *       429:
+ *         description: Too many attempts
+ */
+// @desc    Self check-in with a code
+// @route   POST /api/attendance/check-in
+// @access  Private
+exports.checkIn = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const config = SESSION_TYPES[req.body.session_type];
+    const session = await config.Model.findById(req.body.session);
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: `${config.label} not found` });
+    }
+
+    const checkIn = await CheckInCode.findOne({ [config.field]: session._id, is_active: true }).select('+secret');
+    if (!checkIn) {
+      return res.status(400).json({ success: false, error: 'Check-in is not open for this session' });
+    }
+
+    const now = new Date();
+    if (now < checkIn.opens_at) {
+      return res.status(400).json({ success: false, error: `Check-in opens at ${checkIn.opens_at.toISOString()}` });
+    }
+    if (now > checkIn.closes_at) {
+      return res.status(400).json({ success: false, error: 'Check-in for this session has closed' });
+    }
+
+    if (!(await config.isOnRoster(session, req.user.id))) {
+      return res.status(403).json({ success: false, error: 'You are not a student of this session' });
+    }
+
+    // One check-in per account, and never over an instructor's own marking
+    const existing = await Attendance.findOne({ user: req.user.id, [config.field]: session._id });
+    if (existing && existing.check_in_method === 'code') {
+      return res.status(409).json({ success: false, error: 'You have already checked in to this session' });
+    }
+    if (existing && existing.status !== 'absent') {
+      return res.status(409).json({ success: false, error: 'Your attendance for this session has already been recorded' });
+    }
+
+    if (!verifyCheckInCode(checkIn, req.body.code, now.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid or expired check-in code' });
+    }
+
+    const context = await config.context(session);
+    if (!context) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+
+    const status = now > checkIn.late_after ? 'late' : 'present';
+
+    let attendance;
+    try {
+      // The filter makes a concurrent second submission fail instead of checking in twice
+      attendance = await Attendance.findOneAndUpdate(
+        { user: req.user.id, [config.field]: session._id, check_in_method: { $ne: 'code' } },
+        {
+          $set: {
+            ...context,
+            class_date: session.session_date,
+            status,
+            is_present: true,
+            check_in_method: 'code',
+            checked_in_at: now,
+            check_in_time: formatTimeOfDay(now, session.timezone),
+            recorded_by: req.user.id
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, error: 'You have already checked in to this session' });
+      }
+      throw error;
+    }
+
+    await logActivity(
+      req.user.id,
+      'attendance_check_in',
+      'Attendance',
+      attendance._id,
+      `Checked in to ${config.label.toLowerCase()} ${session.title} as ${status}`,
+      req
+    );
+
+    res.status(201).json({ success: true, data: attendance });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/{id}:
+ *   get:
+ *     summary: Get an attendance record
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attendance record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       404:
+ *         description: Attendance record not found
+ */
+// @desc    Get attendance record
+// @route   GET /api/attendance/:id
+// @access  Private/Instructor
+exports.getAttendance = async (req, res, next) => {
+  try {
+    const attendance = await Attendance.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('live_session', 'title starts_at ends_at timezone session_date start_time end_time')
+      .populate('group_session', 'title starts_at ends_at timezone session_date start_time end_time')
+      .populate('recorded_by', 'name');
+
+    if (!attendance) {
+      return res.status(404).json({ success: false, error: 'Attendance record not found' });
+    }
+
+    res.status(200).json({ success: true, data: attendance });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/{id}:
+ *   put:
+ *     summary: Update an attendance record
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *               check_in_time:
+ *                 type: string
+ *               check_out_time:
+ *                 type: string
+ *               attendance_notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Attendance record updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not assigned to this record's session
+ *       404:
+ *         description: Attendance record not found
+ */
+// @desc    Update attendance record
+// @route   PUT /api/attendance/:id
+// @access  Private/Instructor
+exports.updateAttendance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const attendance = await Attendance.findById(req.params.id);
+
+    if (!attendance) {
+      return res.status(404).json({ success: false, error: 'Attendance record not found' });
+    }
+
+    const previousStatus = attendance.status;
+
+    ['status', 'check_in_time', 'check_out_time', 'attendance_notes'].forEach(field => {
+      if (req.body[field] !== undefined) attendance[field] = req.body[field];
+    });
+    attendance.is_present = Attendance.ATTENDED_STATUSES.includes(attendance.status);
+    attendance.recorded_by = req.user.id;
+
+    await attendance.save();
+
+    await logActivity(
+      req.user.id,
+      'attendance_update',
+      'Attendance',
+      attendance._id,
+      previousStatus !== attendance.status
+        ? `Changed attendance of user ${attendance.user} from ${previousStatus} to ${attendance.status}`
+        : `Updated attendance of user ${attendance.user}`,
+      req
+    );
+
+    res.status(200).json({ success: true, data: attendance });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/summary/students/{userId}:
+ *   get:
+ *     summary: Attendance summary for a student
+ *     description: |
+ *       Overall and per-batch totals with attendance percentages. Students can always see their own
+ *       summary. Others need attendance read permission; instructors must also pass a batch or group
+ *       they are assigned to.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID, or "me"
+ *       - in: query
+ *         name: batch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Student attendance summary
+ *       403:
+ *         description: Not allowed to view this student's attendance
+ *       404:
+ *         description: User not found
+ */
+// @desc    Get student attendance summary
+// @route   GET /api/attendance/summary/students/:userId
+// @access  Private
+exports.getStudentSummary = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+    const { batch, group } = req.query;
+
+    if (userId.toString() !== req.user.id.toString()) {
+      const access = await getRequestAccess(req);
+      if (!hasPermission(access, 'attendance', 'read')) {
+        return res.status(403).json({ success: false, error: 'Not authorized to read attendance' });
+      }
+
+      // Instructors only see attendance from batches or groups they are assigned to
+      if (!(await hasGlobalScope(req.user.id))) {
+        if (!batch && !group) {
+          return res.status(400).json({ success: false, error: 'Specify a batch or group you are assigned to' });
+        }
+        const allowed = group
+          ? await canAccessResource(req.user.id, 'groups', group)
+          : await canAccessResource(req.user.id, 'batches', batch);
+        if (!allowed) {
+          return res.status(403).json({ success: false, error: `Not authorized: you are not assigned to this ${group ? 'group' : 'batch'}` });
+        }
+      }
+    }
+
+    const student = await User.findById(userId).select('name email');
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const match = applyDateRange({ user: student._id }, req.query);
+    if (batch) match.batch = toObjectId(batch);
+    if (group) match.group = toObjectId(group);
+
+    const counts = await countByStatus(match, 'batch');
+    const batches = await Batch.find({ _id: { $in: [...counts.keys()].filter(Boolean) } }).select('name batch_code');
+
+    const overall = {};
+    counts.forEach(statusCounts => {
+      Object.entries(statusCounts).forEach(([status, count]) => {
+        overall[status] = (overall[status] || 0) + count;
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: student,
+        overall: buildStats(overall),
+        batches: batches.map(batchDoc => ({
+          batch: batchDoc,
+          ...buildStats(counts.get(batchDoc._id.toString()))
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/summary/groups/{groupId}:
+ *   get:
+ *     summary: Attendance summary for a group
+ *     description: Totals for the group's sessions and a row per student with their attendance percentage.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Group attendance summary
+ *       403:
+ *         description: Not assigned to this group
+ *       404:
+ *         description: Group not found
+ */
+// @desc    Get group attendance summary
+// @route   GET /api/attendance/summary/groups/:groupId
+// @access  Private/Instructor
+exports.getGroupSummary = async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.groupId).select('name batch');
+
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+
+    const roster = await GroupUser.find({ group: group._id, role: 'student', is_active: true }).select('user');
+    const match = applyDateRange({ group: group._id }, req.query);
+
+    const { overall, students } = await buildStudentRows(roster, match);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        group,
+        sessions: await GroupSession.countDocuments({ group: group._id, status: { $ne: 'cancelled' }, session_date: { $lte: new Date() } }),
+        overall,
+        students
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /attendance/summary/batches/{batchId}:
+ *   get:
+ *     summary: Attendance summary for a batch
+ *     description: Totals across the batch's live and group sessions and a row per student with their attendance percentage.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [live, group]
+ *         description: Only count live session or group session attendance
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Batch attendance summary
+ *       403:
+ *         description: Not assigned to this batch
+ *       404:
+ *         description: Batch not found
+ */
+// @desc    Get batch attendance summary
+// @route   GET /api/attendance/summary/batches/:batchId
+// @access  Private/Instructor
+exports.getBatchSummary = async (req, res, next) => {
+  try {
+    const batch = await Batch.findById(req.params.batchId).select('name batch_code');
+
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    const roster = await BatchUser.find({ batch: batch._id, role: 'student', is_active: true }).select('user');
+    const match = applyDateRange({ batch: batch._id }, req.query);
+
+    if (req.query.type === 'live') match.live_session = { $ne: null };
+    if (req.query.type === 'group') match.group_session = { $ne: null };
+
+    const { overall, students } = await buildStudentRows(roster, match);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batch,
+        overall,
+        students
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,53 +1,155 @@
 const User = require('../models/User');
 const Role = require('../models/Role');
 const UserRole = require('../models/UserRole');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const logActivity = require('../utils/activityLogger');
+const { sendEmail } = require('../utils/mailer');
+const AuthSession = require('../models/AuthSession');
+const {
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  setRefreshCookie
+} = require('../utils/authSessions');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const {
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTwoFactorRequired
+} = require('../utils/twoFactor');
+const { getRequestAccess, getUserAccess } = require('../utils/permissionCache');
+const { GLOBAL_SCOPE_ROLES } = require('../utils/resourceScope');
 
 /**
- * Generate access token with 1-hour expiration
- * @param {string} userId - User ID to include in the token
- * @returns {string} JWT access token
+ * Record a failed sign-in attempt (wrong password or wrong second factor),
+ * locking the account for 15 minutes after 5 consecutive failures
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the activity log
  */
-const generateAccessToken = (userId) => {
-  try {
-    console.log(`Generating access token for user ID: ${userId}`);
-    const secret = process.env.JWT_SECRET || 'your_secure_jwt_secret_key';
-    
-    const token = jwt.sign({ id: userId }, secret, {
-      expiresIn: process.env.JWT_EXPIRE || '1h' // 1 hour expiration
-    });
-    
-    console.log('Access token generated successfully');
-    return token;
-  } catch (error) {
-    console.error('Error generating access token:', error);
-    throw new Error('Failed to generate access token');
+const registerFailedLogin = async (user, req) => {
+  // Increment failed login attempts
+  user.failed_login_attempts = (user.failed_login_attempts || 0) + 1;
+  
+  // If too many failed attempts, lock the account temporarily
+  const justLocked = user.failed_login_attempts === 5;
+  if (user.failed_login_attempts >= 5) {
+    user.account_locked_until = Date.now() + (15 * 60 * 1000); // 15 minutes
+    console.log(`Account locked until: ${new Date(user.account_locked_until)}`);
+  }
+  
+  await user.save();
+  
+  // Notify the owner once, when the lock is first applied
+  if (justLocked) {
+    await logActivity(user._id, 'account_lock', 'User', user._id, 'Account locked after too many failed login attempts', req);
+    await sendEmail('accountLocked', user.email, {
+      name: user.name,
+      lockedUntil: user.account_locked_until
+    }, { userId: user._id });
   }
 };
 
 /**
- * Generate refresh token with 7-day expiration
- * @param {string} userId - User ID to include in the token
- * @returns {string} JWT refresh token
+ * Finish a successful login: reset lockout state, issue tokens and send the response
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [extra] - Additional fields to include in the response body
  */
-const generateRefreshToken = (userId) => {
-  try {
-    console.log(`Generating refresh token for user ID: ${userId}`);
-    const secret = process.env.REFRESH_TOKEN_SECRET || 'your_secure_refresh_token_secret';
+const completeLogin = async (user, req, res, extra = {}) => {
+  console.log('Login successful, generating tokens');
+  
+  // Reset failed login attempts
+  user.failed_login_attempts = 0;
+  
+  // Update last login
+  user.last_login = Date.now();
+  
+  await user.save();
+  
+  // Start a session for this device; other devices keep their own sessions
+  const { accessToken, refreshToken } = await createSession(user._id, req);
+
+  // Get user roles
+  const userRoles = await UserRole.find(UserRole.activeFilter({ user: user._id })).populate('role');
+  
+  const roles = userRoles.map(ur => ur.role.name);
+  console.log(`User roles: ${roles.join(', ')}`);
+
+  // Set secure cookie with refresh token if in production
+  setRefreshCookie(res, refreshToken);
+
+  // Log successful login activity
+  await logActivity(user._id, 'login', 'User', user._id, 'User logged in successfully', req);
+
+  res.status(200).json({
+    success: true,
+    accessToken,
+    refreshToken, // Always include the refresh token
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      initials: user.initials,
+      roles
+    },
+    ...extra
+  });
+};
+
+/**
+ * Check a second factor: either a current TOTP code or an unused recovery code.
+ * Accepted codes are consumed (TOTP steps cannot be replayed, recovery codes are removed).
+ * @param {Object} user - User document selected with the two_factor_* secret fields
+ * @param {Object} input - Submitted values
+ * @param {string} [input.code] - 6-digit authenticator code
+ * @param {string} [input.recoveryCode] - One-time recovery code
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' when accepted, null otherwise
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && user.two_factor_secret) {
+    const step = verifyTotp(user.two_factor_secret, code);
     
-    const token = jwt.sign({ id: userId }, secret, {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRE || '7d' // 7 days expiration
-    });
+    if (step !== null && (typeof user.two_factor_last_used_step !== 'number' || step > user.two_factor_last_used_step)) {
+      user.two_factor_last_used_step = step;
+      await user.save();
+      return 'totp';
+    }
+  }
+  
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const remaining = user.two_factor_recovery_codes || [];
     
-    console.log('Refresh token generated successfully');
-    return token;
-  } catch (error) {
-    console.error('Error generating refresh token:', error);
-    throw new Error('Failed to generate refresh token');
+    if (remaining.includes(hashed)) {
+      user.two_factor_recovery_codes = remaining.filter(h => h !== hashed);
+      await user.save();
+      return 'recovery_code';
+    }
   }
+  
+  return null;
+};
+
+// Revoke the current impersonation session and record who ended impersonating whom
+const finishImpersonation = async (req) => {
+  await revokeSession(req.user.id, req.sessionId, 'impersonation_end');
+  
+  await logActivity(
+    req.user.id,
+    'impersonate_end',
+    'User',
+    req.user.id,
+    `${req.impersonator.email} stopped impersonating ${req.user.email}`,
+    req
+  );
 };
 
 /**
@@ -185,24 +287,11 @@ exports.register = async (req, res, next) => {
     });
     console.log(`Student role assigned to user: ${user._id}`);
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-    
-    // Store refresh token in database
-    user.refresh_token = refreshToken;
-    user.refresh_token_expires = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save();
+    // Start a session for this device and generate tokens
+    const { accessToken, refreshToken } = await createSession(user._id, req);
 
     // Set secure cookie with refresh token if in production
-    if (process.env.NODE_ENV === 'production') {
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: true,
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
-    }
+    setRefreshCookie(res, refreshToken);
 
     // Log the user registration activity
     await logActivity(user._id, 'create', 'User', user._id, 'User registered new account', req);
@@ -270,6 +359,15 @@ exports.register = async (req, res, next) => {
  *                 refreshToken:
  *                   type: string
  *                   description: JWT refresh token
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Present instead of tokens when a 2FA code must be submitted to /auth/2fa/verify
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Present instead of tokens when policy requires enrolling in 2FA via /auth/2fa/setup
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Short-lived token for the second login step
  *                 user:
  *                   type: object
  *                   properties:
@@ -333,16 +431,7 @@ exports.login = async (req, res, next) => {
     if (!isMatch) {
       console.log('Password does not match');
       
-      // Increment failed login attempts
-      user.failed_login_attempts = (user.failed_login_attempts || 0) + 1;
-      
-      // If too many failed attempts, lock the account temporarily
-      if (user.failed_login_attempts >= 5) {
-        user.account_locked_until = Date.now() + (15 * 60 * 1000); // 15 minutes
-        console.log(`Account locked until: ${new Date(user.account_locked_until)}`);
-      }
-      
-      await user.save();
+      await registerFailedLogin(user, req);
       
       return res.status(401).json({
         success: false,
@@ -361,58 +450,27 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    console.log('Login successful, generating tokens');
-    
-    // Reset failed login attempts
-    user.failed_login_attempts = 0;
-    
-    // Update last login
-    user.last_login = Date.now();
-    
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-    
-    // Store refresh token in database
-    user.refresh_token = refreshToken;
-    user.refresh_token_expires = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save();
-
-    // Get user roles
-    const userRoles = await UserRole.find({ 
-      user: user._id,
-      is_active: true
-    }).populate('role');
+    // Second step: ask for a code when 2FA is enabled
+    if (user.two_factor_enabled) {
+      console.log('Password verified, two-factor code required');
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'login')
+      });
+    }
     
-    const roles = userRoles.map(ur => ur.role.name);
-    console.log(`User roles: ${roles.join(', ')}`);
-
-    // Set secure cookie with refresh token if in production
-    if (process.env.NODE_ENV === 'production') {
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: true,
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    // Policy makes 2FA mandatory for this user's role but they have not enrolled yet
+    if (await isTwoFactorRequired(user._id)) {
+      console.log('Password verified, two-factor enrollment required by policy');
+      return res.status(200).json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'setup')
       });
     }
 
-    // Log successful login activity
-    await logActivity(user._id, 'login', 'User', user._id, 'User logged in successfully', req);
-
-    res.status(200).json({
-      success: true,
-      accessToken,
-      refreshToken, // Always include the refresh token
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        initials: user.initials,
-        roles
-      }
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -483,58 +541,47 @@ exports.refreshToken = async (req, res, next) => {
       });
     }
     
-    // Verify refresh token
-    let decoded;
-    try {
-      const secret = process.env.REFRESH_TOKEN_SECRET || 'your_secure_refresh_token_secret';
-      decoded = jwt.verify(refreshToken, secret);
-      console.log(`Refresh token verified for user ID: ${decoded.id}`);
-    } catch (error) {
-      console.error('Invalid refresh token:', error);
+    // Rotate: the presented token is exchanged for a new one on the same session
+    const result = await rotateSession(refreshToken, req);
+    
+    if (result.error) {
+      console.log(`Refresh token rejected: ${result.error}`);
+      
+      if (result.reuseDetected) {
+        await logActivity(
+          result.session.user,
+          'session_revoke',
+          'AuthSession',
+          result.session._id,
+          'Session revoked after refresh token reuse was detected',
+          req
+        );
+      }
+      
       return res.status(401).json({
         success: false,
-        error: 'Invalid or expired refresh token'
+        error: result.error
       });
     }
     
-    // Find user with this refresh token
-    const user = await User.findOne({
-      _id: decoded.id,
-      refresh_token: refreshToken,
-      refresh_token_expires: { $gt: Date.now() }
-    });
+    const user = await User.findById(result.session.user);
     
-    if (!user) {
-      console.log('User not found or refresh token expired');
+    if (!user || !user.is_active) {
+      console.log('User not found or deactivated, revoking session');
+      await revokeSession(result.session.user, result.session._id, 'user_revoked');
       return res.status(401).json({
         success: false,
         error: 'Invalid refresh token'
       });
     }
     
-    // Generate new tokens
-    const accessToken = generateAccessToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
-    
-    // Update refresh token in database (token rotation for security)
-    user.refresh_token = newRefreshToken;
-    user.refresh_token_expires = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save();
-    
     // Set secure cookie with new refresh token if in production
-    if (process.env.NODE_ENV === 'production') {
-      res.cookie('refreshToken', newRefreshToken, {
-        httpOnly: true,
-        secure: true,
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
-    }
+    setRefreshCookie(res, result.refreshToken);
     
     res.status(200).json({
       success: true,
-      accessToken,
-      refreshToken: newRefreshToken // Always include the refresh token
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken // Always include the refresh token
     });
   } catch (error) {
     console.error('Refresh token error:', error);
@@ -576,14 +623,19 @@ exports.logout = async (req, res, next) => {
   try {
     console.log(`Logout request received for user ID: ${req.user.id}`);
     
-    // Invalidate refresh token
-    const user = await User.findById(req.user.id);
+    // Logging out of an impersonation session ends the impersonation
+    if (req.impersonator) {
+      await finishImpersonation(req);
+      return res.status(200).json({
+        success: true,
+        message: 'Impersonation ended'
+      });
+    }
     
-    if (user) {
-      user.refresh_token = null;
-      user.refresh_token_expires = null;
-      await user.save();
-      console.log(`Refresh token invalidated for user ID: ${user._id}`);
+    // Revoke only this device's session
+    if (req.sessionId) {
+      await revokeSession(req.user.id, req.sessionId, 'logout');
+      console.log(`Session ${req.sessionId} revoked for user ID: ${req.user.id}`);
     }
     
     // Clear cookie if in production
@@ -650,6 +702,16 @@ exports.logout = async (req, res, next) => {
  *                       type: array
  *                       items:
  *                         type: string
+ *                 impersonator:
+ *                   type: object
+ *                   description: Present only when a super admin is impersonating this user
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     email:
+ *                       type: string
  *       401:
  *         description: Not authorized
  *       404:
@@ -671,10 +733,7 @@ exports.getMe = async (req, res, next) => {
     }
 
     // Get user roles
-    const userRoles = await UserRole.find({ 
-      user: user._id,
-      is_active: true
-    }).populate('role');
+    const userRoles = await UserRole.find(UserRole.activeFilter({ user: user._id })).populate('role');
     
     const roles = userRoles.map(ur => ur.role.name);
     console.log(`User roles: ${roles.join(', ')}`);
@@ -688,9 +747,17 @@ exports.getMe = async (req, res, next) => {
         phone: user.phone,
         initials: user.initials,
         user_id_number: user.user_id_number,
+        timezone: user.timezone || null,
+        calendar: user.calendar || null,
         last_login: user.last_login,
         roles
-      }
+      },
+      // Lets clients show that a super admin is viewing as this user
+      impersonator: req.impersonator ? {
+        id: req.impersonator._id,
+        name: req.impersonator.name,
+        email: req.impersonator.email
+      } : undefined
     });
   } catch (error) {
     console.error('Get current user error:', error);
@@ -701,6 +768,163 @@ exports.getMe = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /auth/me/permissions:
+ *   get:
+ *     summary: Get the current user's effective roles and permissions
+ *     description: Lets clients hide actions the user cannot perform. Scoped resources (batches, courses, groups, sessions, attendance) are further limited to the ones the user is assigned to unless global_scope is true.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Resolved permission set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     permission_level:
+ *                       type: integer
+ *                     global_scope:
+ *                       type: boolean
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["courses:read", "sessions:update"]
+ *       401:
+ *         description: Not authorized
+ */
+exports.getMyPermissions = async (req, res, next) => {
+  try {
+    const access = await getRequestAccess(req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: access.roles,
+        permission_level: access.permission_level,
+        global_scope: access.roles.some(roleName => GLOBAL_SCOPE_ROLES.includes(roleName)),
+        permissions: [...access.permissions].sort()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/me/timezone:
+ *   put:
+ *     summary: Set the time zone session times are shown in
+ *     description: Pass null to fall back to the X-Timezone header or the platform default
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - timezone
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: America/New_York
+ *     responses:
+ *       200:
+ *         description: Time zone updated
+ *       400:
+ *         description: Not an IANA time zone
+ */
+exports.updateMyTimezone = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const timezone = req.body.timezone || null;
+
+    await User.updateOne(
+      { _id: req.user.id },
+      timezone ? { $set: { timezone } } : { $unset: { timezone: 1 } }
+    );
+
+    await logActivity(req.user.id, 'update', 'User', req.user.id, `Set time zone to ${timezone || 'default'}`, req);
+
+    res.status(200).json({ success: true, data: { timezone } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/me/calendar:
+ *   put:
+ *     summary: Set the calendar dates and times are shown in
+ *     description: ethiopian shows Ethiopian calendar dates and Ethiopian clock times in each response's local block. Pass null to fall back to gregorian. A ?calendar= query parameter overrides this per request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - calendar
+ *             properties:
+ *               calendar:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [gregorian, ethiopian]
+ *     responses:
+ *       200:
+ *         description: Calendar updated
+ *       400:
+ *         description: Unknown calendar
+ */
+exports.updateMyCalendar = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const calendar = req.body.calendar || null;
+
+    await User.updateOne(
+      { _id: req.user.id },
+      calendar ? { $set: { calendar } } : { $unset: { calendar: 1 } }
+    );
+
+    await logActivity(req.user.id, 'update', 'User', req.user.id, `Set calendar to ${calendar || 'default'}`, req);
+
+    res.status(200).json({ success: true, data: { calendar } });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @swagger
  * /auth/change-password:
@@ -789,31 +1013,18 @@ exports.changePassword = async (req, res, next) => {
     // Update password
     user.password = newPassword;
     
-    // Invalidate all refresh tokens when password changes
-    user.refresh_token = null;
-    user.refresh_token_expires = null;
-    
     await user.save();
     console.log(`Password changed successfully for user ID: ${user._id}`);
     
-    // Generate new tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-    
-    // Store new refresh token
-    user.refresh_token = refreshToken;
-    user.refresh_token_expires = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save();
+    // Sign out every device, then start a fresh session for this one
+    await revokeAllSessions(user._id, 'password_change');
+    const { accessToken, refreshToken } = await createSession(user._id, req);
     
     // Set secure cookie with refresh token if in production
-    if (process.env.NODE_ENV === 'production') {
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: true,
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
-    }
+    setRefreshCookie(res, refreshToken);
+    
+    await logActivity(user._id, 'password_change', 'User', user._id, 'User changed password', req);
+    await sendEmail('passwordChanged', user.email, { name: user.name, changedAt: new Date() }, { userId: user._id });
     
     res.status(200).json({
       success: true,
@@ -867,13 +1078,15 @@ exports.changePassword = async (req, res, next) => {
  *         description: Server error
  */
 exports.forgotPassword = async (req, res, next) => {
+  let user;
+  
   try {
     console.log('Forgot password request received');
     
     const { email } = req.body;
     
     // Find user by email
-    const user = await User.findOne({ email });
+    user = await User.findOne({ email });
     
     if (!user) {
       // Don't reveal that the user doesn't exist for security
@@ -902,9 +1115,15 @@ exports.forgotPassword = async (req, res, next) => {
     // Create reset URL
     const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/reset-password/${resetToken}`;
     
-    // In a real application, you would send an email with the reset URL
-    // For this example, we'll just return the URL in the response
-    console.log(`Reset URL (would be sent via email): ${resetUrl}`);
+    const delivery = await sendEmail('passwordReset', user.email, {
+      name: user.name,
+      resetUrl,
+      expiresInMinutes: 10
+    }, { userId: user._id });
+    
+    if (!delivery.delivered) {
+      throw new Error(`Password reset email could not be delivered: ${delivery.error}`);
+    }
     
     res.status(200).json({
       success: true,
@@ -918,7 +1137,7 @@ exports.forgotPassword = async (req, res, next) => {
     if (user) {
       user.reset_password_token = undefined;
       user.reset_password_expires = undefined;
-      await user.save();
+      await user.save().catch(saveError => console.error('Error clearing reset token:', saveError));
     }
     
     res.status(500).json({
@@ -1002,13 +1221,15 @@ exports.resetPassword = async (req, res, next) => {
     user.reset_password_token = undefined;
     user.reset_password_expires = undefined;
     
-    // Invalidate all refresh tokens when password changes
-    user.refresh_token = null;
-    user.refresh_token_expires = null;
-    
     await user.save();
     console.log(`Password reset successful for user ID: ${user._id}`);
     
+    // Sign out every device when the password changes
+    await revokeAllSessions(user._id, 'password_reset');
+    
+    await logActivity(user._id, 'password_change', 'User', user._id, 'User reset password via emailed link', req);
+    await sendEmail('passwordChanged', user.email, { name: user.name, changedAt: new Date() }, { userId: user._id });
+    
     res.status(200).json({
       success: true,
       message: 'Password reset successful'
@@ -1130,6 +1351,8 @@ exports.verifyEmail = async (req, res, next) => {
  *         description: User not found
  *       500:
  *         description: Server error
+ *       502:
+ *         description: Verification email could not be delivered
  */
 exports.sendVerificationEmail = async (req, res, next) => {
   try {
@@ -1171,9 +1394,18 @@ exports.sendVerificationEmail = async (req, res, next) => {
     // Create verification URL
     const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${verificationToken}`;
     
-    // In a real application, you would send an email with the verification URL
-    // For this example, we'll just return the URL in the response
-    console.log(`Verification URL (would be sent via email): ${verificationUrl}`);
+    const delivery = await sendEmail('verification', user.email, {
+      name: user.name,
+      verificationUrl,
+      expiresInHours: 24
+    }, { userId: user._id });
+    
+    if (!delivery.delivered) {
+      return res.status(502).json({
+        success: false,
+        error: 'Verification email could not be sent. Please try again later.'
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -1187,4 +1419,998 @@ exports.sendVerificationEmail = async (req, res, next) => {
       error: error.message || 'Server error during sending verification email'
     });
   }
-};
\ No newline at end of file
+};
+/**
+ * @swagger
+ * /auth/2fa/status:
+ *   get:
+ *     summary: Get two-factor authentication status for the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabled_at:
+ *                       type: string
+ *                       format: date-time
+ *                     required:
+ *                       type: boolean
+ *                       description: Whether the security policy makes 2FA mandatory for this user
+ *                     recovery_codes_remaining:
+ *                       type: integer
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+two_factor_recovery_codes');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.two_factor_enabled,
+        enabled_at: user.two_factor_enabled_at,
+        required: await isTwoFactorRequired(user._id),
+        recovery_codes_remaining: user.two_factor_enabled ? (user.two_factor_recovery_codes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Generates a new TOTP secret for the user. Authenticate with a normal access token,
+ *       or pass the challengeToken returned by /auth/login when twoFactorSetupRequired is true.
+ *       The secret only becomes active after /auth/2fa/confirm.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Setup challenge token from login (instead of a bearer token)
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauth_url:
+ *                       type: string
+ *                       description: otpauth:// URI to render as a QR code
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    console.log(`Two-factor setup request for user ID: ${req.user.id}`);
+    
+    const user = await User.findById(req.user.id);
+    
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = generateSecret();
+    user.two_factor_pending_secret = secret;
+    await user.save();
+    
+    const issuer = process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || 'E-Learning Platform';
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauth_url: buildOtpauthUrl(secret, user.email, issuer)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error during two-factor setup'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a code from the authenticator app
+ *     description: >
+ *       Activates 2FA and returns one-time recovery codes, which are only shown once.
+ *       When called with a setup challengeToken, the login is completed and tokens are returned too.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               challengeToken:
+ *                 type: string
+ *                 description: Setup challenge token from login (instead of a bearer token)
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 accessToken:
+ *                   type: string
+ *                   description: Only when completing a login via challengeToken
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Only when completing a login via challengeToken
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    console.log(`Two-factor confirm request for user ID: ${req.user.id}`);
+    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const user = await User.findById(req.user.id).select('+two_factor_pending_secret');
+    
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    if (!user.two_factor_pending_secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor setup has not been started'
+      });
+    }
+    
+    const step = verifyTotp(user.two_factor_pending_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    user.two_factor_secret = user.two_factor_pending_secret;
+    user.two_factor_pending_secret = undefined;
+    user.two_factor_recovery_codes = hashes;
+    user.two_factor_last_used_step = step;
+    user.two_factor_enabled = true;
+    user.two_factor_enabled_at = Date.now();
+    await user.save();
+    
+    await logActivity(user._id, 'two_factor_enable', 'User', user._id, 'User enabled two-factor authentication', req);
+    
+    // Enrollment forced at login: finish signing the user in
+    if (req.twoFactorSetupChallenge) {
+      return completeLogin(user, req, res, { recoveryCodes: codes });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error during two-factor confirmation'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a two-factor code or recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by /auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code (alternative to code)
+ *     responses:
+ *       200:
+ *         description: Login successful (same body as /auth/login)
+ *       400:
+ *         description: Missing code
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       403:
+ *         description: Account is locked
+ *       500:
+ *         description: Server error
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    console.log('Two-factor login verification request received');
+    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'A two-factor code or recovery code is required'
+      });
+    }
+    
+    const decoded = verifyChallengeToken(challengeToken, 'login');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token'
+      });
+    }
+    
+    const user = await User.findById(decoded.id)
+      .select('+two_factor_secret +two_factor_recovery_codes +two_factor_last_used_step');
+    
+    if (!user || !user.is_active || !user.two_factor_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token'
+      });
+    }
+    
+    // Check if account is locked
+    if (user.account_locked_until && user.account_locked_until > Date.now()) {
+      const unlockTime = new Date(user.account_locked_until);
+      return res.status(403).json({
+        success: false,
+        error: `Account is locked due to too many failed attempts. Try again after ${unlockTime.toLocaleString()}`
+      });
+    }
+    
+    const method = await consumeSecondFactor(user, { code, recoveryCode });
+    
+    if (!method) {
+      console.log(`Invalid two-factor code for user ID: ${user._id}`);
+      await registerFailedLogin(user, req);
+      
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        locked: user.account_locked_until > Date.now()
+      });
+    }
+    
+    const extra = {};
+    if (method === 'recovery_code') {
+      extra.recoveryCodesRemaining = user.two_factor_recovery_codes.length;
+    }
+    
+    await completeLogin(user, req, res, extra);
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error during two-factor verification'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Incorrect password or code
+ *       403:
+ *         description: Two-factor authentication is mandatory for the user's role
+ *       500:
+ *         description: Server error
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    console.log(`Two-factor disable request for user ID: ${req.user.id}`);
+    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+two_factor_secret +two_factor_recovery_codes +two_factor_last_used_step');
+    
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (await isTwoFactorRequired(user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is mandatory for your role'
+      });
+    }
+    
+    // Check the password on a separate copy so the save below never touches the hash
+    const userWithPassword = await User.findById(user._id).select('+password');
+    const isMatch = await userWithPassword.comparePassword(req.body.password);
+    const method = isMatch && await consumeSecondFactor(user, req.body);
+    
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        error: 'Incorrect password or two-factor code'
+      });
+    }
+    
+    user.two_factor_enabled = false;
+    user.two_factor_secret = undefined;
+    user.two_factor_pending_secret = undefined;
+    user.two_factor_recovery_codes = [];
+    user.two_factor_last_used_step = undefined;
+    user.two_factor_enabled_at = undefined;
+    await user.save();
+    
+    await logActivity(user._id, 'two_factor_disable', 'User', user._id, 'User disabled two-factor authentication', req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error while disabling two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes (invalidates the previous set)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current 6-digit code from the authenticator app
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Invalid code
+ *       500:
+ *         description: Server error
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+two_factor_secret +two_factor_recovery_codes +two_factor_last_used_step');
+    
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    const method = await consumeSecondFactor(user, { code: req.body.code });
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    user.two_factor_recovery_codes = hashes;
+    await user.save();
+    
+    await logActivity(user._id, 'two_factor_recovery_regenerate', 'User', user._id, 'User regenerated two-factor recovery codes', req);
+    
+    res.status(200).json({
+      success: true,
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error while regenerating recovery codes'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/policy:
+ *   get:
+ *     summary: Get the two-factor authentication policy
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     required_roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [super_admin, admin, instructor]
+ *                     enforceable_roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       403:
+ *         description: Only super admins can view the policy
+ */
+exports.getTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        required_roles: policy.two_factor_required_roles,
+        enforceable_roles: SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES,
+        updated_at: policy.updated_at,
+        updated_by: policy.updated_by
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/policy:
+ *   put:
+ *     summary: Set the roles for which two-factor authentication is mandatory
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required_roles
+ *             properties:
+ *               required_roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, admin, instructor]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only super admins can change the policy
+ */
+exports.updateTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const requiredRoles = [...new Set(req.body.required_roles)];
+    
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: 'global' },
+      { two_factor_required_roles: requiredRoles, updated_by: req.user.id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    
+    await logActivity(
+      req.user.id,
+      'two_factor_policy_update',
+      'System',
+      null,
+      `Two-factor authentication required for: ${requiredRoles.length ? requiredRoles.join(', ') : 'no roles'}`,
+      req
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        required_roles: policy.two_factor_required_roles,
+        enforceable_roles: SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES,
+        updated_at: policy.updated_at,
+        updated_by: policy.updated_by
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions (one per signed-in device)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       user_agent:
+ *                         type: string
+ *                       ip_address:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_used_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       impersonated:
+ *                         type: boolean
+ *                         description: Whether a super admin opened this session to impersonate the user
+ *                       current:
+ *                         type: boolean
+ *                         description: Whether this is the session making the request
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await AuthSession.find({
+      user: req.user.id,
+      revoked_at: null,
+      expires_at: { $gt: Date.now() }
+    }).sort({ last_used_at: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        user_agent: session.user_agent,
+        ip_address: session.ip_address,
+        created_at: session.created_at,
+        last_used_at: session.last_used_at,
+        expires_at: session.expires_at,
+        impersonated: Boolean(session.impersonator),
+        current: Boolean(req.sessionId) && session._id.toString() === req.sessionId.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions (signs that device out)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await revokeSession(req.user.id, req.params.id, 'user_revoked');
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    await logActivity(req.user.id, 'session_revoke', 'AuthSession', session._id, 'User revoked a session', req);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Revoke all of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keep_current
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep the session making this request signed in
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 revoked:
+ *                   type: integer
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+exports.revokeAllUserSessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keep_current === 'true' && req.sessionId;
+    const revoked = await revokeAllSessions(req.user.id, 'user_revoked', keepCurrent ? req.sessionId : undefined);
+    
+    await logActivity(
+      req.user.id,
+      'session_revoke',
+      'User',
+      req.user.id,
+      `User revoked ${revoked} session(s)${keepCurrent ? ', keeping the current one' : ''}`,
+      req
+    );
+    
+    res.status(200).json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/impersonate/{userId}:
+ *   post:
+ *     summary: Start impersonating a user (super_admin only)
+ *     description: |
+ *       Issues a short-lived, non-refreshable access token that acts as the given user.
+ *       Every activity logged with it records the super admin as impersonator. Password,
+ *       two-factor, session and role changes are blocked while impersonating.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to impersonate
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the impersonation is needed (e.g. a support ticket reference)
+ *     responses:
+ *       200:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 accessToken:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   type: object
+ *       400:
+ *         description: Validation error, or attempt to impersonate yourself or another super admin
+ *       403:
+ *         description: Not a super admin, or already impersonating
+ *       404:
+ *         description: User not found or deactivated
+ */
+exports.startImpersonation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const target = await User.findById(req.params.userId);
+    
+    if (!target || !target.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found or deactivated'
+      });
+    }
+    
+    if (target._id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot impersonate yourself'
+      });
+    }
+    
+    const targetAccess = await getUserAccess(target._id);
+    if (targetAccess.roles.includes('super_admin')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Super admins cannot be impersonated'
+      });
+    }
+    
+    const { accessToken, session } = await createImpersonationSession(target._id, req.user.id, req.body.reason, req);
+    
+    await logActivity(
+      req.user.id,
+      'impersonate_start',
+      'User',
+      target._id,
+      `Started impersonating ${target.email}: ${req.body.reason}`,
+      req
+    );
+    
+    res.status(200).json({
+      success: true,
+      accessToken,
+      expiresAt: session.expires_at,
+      user: {
+        id: target._id,
+        name: target.name,
+        email: target.email,
+        initials: target.initials,
+        roles: targetAccess.roles
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/impersonate/end:
+ *   post:
+ *     summary: End the current impersonation session
+ *     description: Must be called with the impersonation access token. The token stops working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The request is not part of an impersonation session
+ */
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not currently impersonating'
+      });
+    }
+    
+    await finishImpersonation(req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    next(error);
+  }
+};
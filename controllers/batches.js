@@ -2,6 +2,21 @@ const Batch = require('../models/Batch');
 const BatchCourse = require('../models/BatchCourse');
 const BatchUser = require('../models/BatchUser');
 const { validationResult } = require('express-validator');
+const { EVENTS, publish } = require('../utils/eventBus');
+const { notifyInBackground } = require('../utils/notifications');
+
+// Let a user know they were added to a batch
+const notifyAddedToBatch = (batch, userId, role) => {
+  notifyInBackground({
+    users: [userId],
+    category: 'batch_updates',
+    type: EVENTS.MEMBERSHIP_CHANGED,
+    title: `You were added to ${batch.name}`,
+    message: `You have joined ${batch.name} as ${role.replace('_', ' ')}.`,
+    link: `/batches/${batch._id}`,
+    data: { batch: batch._id, role, action: 'added' }
+  });
+};
 
 /**
  * @swagger
@@ -66,10 +81,27 @@ const { validationResult } = require('express-validator');
  *           default: "Sat & Sun"
  *         class_start_time:
  *           type: string
- *           description: Start time of classes
+ *           description: Start time of classes ("HH:mm" in the batch time zone)
  *         class_end_time:
  *           type: string
- *           description: End time of classes
+ *           description: End time of classes ("HH:mm" in the batch time zone)
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone of the class times (defaults to DEFAULT_TIMEZONE)
+ *           example: Africa/Addis_Ababa
+ *         local:
+ *           type: object
+ *           readOnly: true
+ *           description: Class times converted to the requesting user's time zone, with display dates and times in their calendar (gregorian or ethiopian)
+ *         ethio_start_time:
+ *           type: string
+ *           readOnly: true
+ *           description: class_start_time on the Ethiopian clock in Ethiopia's time zone
+ *           example: "4:00 ጠዋት"
+ *         ethio_end_time:
+ *           type: string
+ *           readOnly: true
+ *           description: class_end_time on the Ethiopian clock in Ethiopia's time zone
  *         status:
  *           type: string
  *           enum: [upcoming, active, completed]
@@ -308,6 +340,8 @@ exports.getBatch = async (req, res, next) => {
  *                 type: string
  *               class_end_time:
  *                 type: string
+ *               timezone:
+ *                 type: string
  *               status:
  *                 type: string
  *                 enum: [upcoming, active, completed]
@@ -405,6 +439,8 @@ exports.createBatch = async (req, res, next) => {
  *                 type: string
  *               class_end_time:
  *                 type: string
+ *               timezone:
+ *                 type: string
  *               status:
  *                 type: string
  *                 enum: [upcoming, active, completed]
@@ -443,6 +479,8 @@ exports.updateBatch = async (req, res, next) => {
       });
     }
     
+    const previousStatus = batch.status;
+    
     // Update batch
     batch = await Batch.findByIdAndUpdate(
       req.params.id,
@@ -455,6 +493,16 @@ exports.updateBatch = async (req, res, next) => {
     
     console.log(`Batch updated: ${batch.name}`);
     
+    if (batch.status !== previousStatus) {
+      publish(EVENTS.BATCH_STATUS_CHANGED, {
+        id: batch._id.toString(),
+        from: previousStatus,
+        to: batch.status,
+        start_date: batch.start_date,
+        end_date: batch.end_date
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: batch
@@ -708,6 +756,9 @@ exports.addUser = async (req, res, next) => {
         existingBatchUser.assigned_at = Date.now();
         await existingBatchUser.save();
         
+        publish(EVENTS.MEMBERSHIP_CHANGED, { user: String(user), batch: batch._id.toString(), action: 'added' });
+        notifyAddedToBatch(batch, user, existingBatchUser.role);
+        
         return res.status(200).json({
           success: true,
           data: existingBatchUser
@@ -729,6 +780,9 @@ exports.addUser = async (req, res, next) => {
       assigned_by: req.user.id
     });
     
+    publish(EVENTS.MEMBERSHIP_CHANGED, { user: String(user), batch: batch._id.toString(), action: 'added' });
+    notifyAddedToBatch(batch, user, batchUser.role);
+    
     res.status(201).json({
       success: true,
       data: batchUser
@@ -773,6 +827,8 @@ exports.removeUser = async (req, res, next) => {
     batchUser.removed_at = Date.now();
     await batchUser.save();
     
+    publish(EVENTS.MEMBERSHIP_CHANGED, { user: req.params.userId, batch: batch._id.toString(), action: 'removed' });
+    
     res.status(200).json({
       success: true,
       data: {}
@@ -0,0 +1,348 @@
+const User = require('../models/User');
+const Batch = require('../models/Batch');
+const { buildCalendar } = require('../utils/ics');
+const {
+  issueFeedToken,
+  findUserByFeedToken,
+  loadUserFeedSessions,
+  loadBatchFeedSessions,
+  buildSessionEvents
+} = require('../utils/calendarFeed');
+const { canAccessResource } = require('../utils/resourceScope');
+const { startOfDay, toDateKey } = require('../utils/timezone');
+const { formatDate } = require('../utils/dateFormat');
+const {
+  ETHIOPIAN_MONTHS,
+  toEthiopianDate,
+  fromEthiopianDate,
+  formatEthiopianDate
+} = require('../utils/ethiopianCalendar');
+const logActivity = require('../utils/activityLogger');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const feedBaseUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feeds/${token}`;
+
+const sendCalendar = (res, name, events) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="sessions.ics"');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.status(200).send(buildCalendar({ name, events }));
+};
+
+// Unknown and revoked tokens get the same response, so the URL reveals nothing
+const feedNotFound = (res) => res.status(404).json({ success: false, error: 'Calendar feed not found' });
+
+/**
+ * @swagger
+ * /calendar/feed:
+ *   get:
+ *     summary: Get my calendar feed status
+ *     description: The feed URL is only shown when the token is created, so this only reports whether one is active
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed status
+ */
+// @desc    Get calendar feed status
+// @route   GET /api/calendar/feed
+// @access  Private
+exports.getFeedStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendar_feed_token_hash');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active: Boolean(user.calendar_feed_token_hash),
+        created_at: user.calendar_feed_token_hash ? user.calendar_feed_created_at : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /calendar/feed:
+ *   post:
+ *     summary: Create or replace my calendar feed URL
+ *     description: |
+ *       Returns a secret iCalendar subscription URL with the live sessions of the user's batches, the
+ *       group sessions of their groups, and the sessions they teach. Any previous URL stops working.
+ *       Users who can manage a batch can also subscribe to the batch-wide feed by replacing
+ *       BATCH_ID in batch_feed_url.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed URLs (shown only once)
+ */
+// @desc    Create calendar feed token
+// @route   POST /api/calendar/feed
+// @access  Private
+exports.createFeedToken = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendar_feed_token_hash');
+    const replaced = Boolean(user.calendar_feed_token_hash);
+
+    const token = issueFeedToken(user);
+    await user.save();
+
+    await logActivity(req.user.id, 'calendar_feed_create', 'User', user._id,
+      replaced ? 'Replaced calendar feed token' : 'Created calendar feed token', req);
+
+    const base = feedBaseUrl(req, token);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        feed_url: `${base}/sessions.ics`,
+        batch_feed_url: `${base}/batches/BATCH_ID/sessions.ics`,
+        created_at: user.calendar_feed_created_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /calendar/feed:
+ *   delete:
+ *     summary: Revoke my calendar feed URL
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       404:
+ *         description: No active feed
+ */
+// @desc    Revoke calendar feed token
+// @route   DELETE /api/calendar/feed
+// @access  Private
+exports.revokeFeedToken = async (req, res, next) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.id, calendar_feed_token_hash: { $exists: true } },
+      { $unset: { calendar_feed_token_hash: 1, calendar_feed_created_at: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ success: false, error: 'No active calendar feed' });
+    }
+
+    await logActivity(req.user.id, 'calendar_feed_revoke', 'User', req.user.id, 'Revoked calendar feed token', req);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /calendar/feeds/{token}/sessions.ics:
+ *   get:
+ *     summary: Personal iCalendar feed
+ *     description: |
+ *       Live and group sessions from the last 30 days onwards. Cancelled sessions stay in the feed
+ *       with STATUS:CANCELLED and every change raises the event SEQUENCE, so subscribed calendars
+ *       update in place. Authenticated by the secret token in the URL.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked token
+ */
+// @desc    Get personal calendar feed
+// @route   GET /api/calendar/feeds/:token/sessions.ics
+// @access  Public (feed token)
+exports.getUserFeed = async (req, res, next) => {
+  try {
+    const user = await findUserByFeedToken(req.params.token);
+    if (!user) {
+      return feedNotFound(res);
+    }
+
+    const events = buildSessionEvents(await loadUserFeedSessions(user._id));
+
+    sendCalendar(res, `Sessions - ${user.name}`, events);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /calendar/feeds/{token}/batches/{batchId}/sessions.ics:
+ *   get:
+ *     summary: Batch-wide iCalendar feed
+ *     description: Every live and group session of a batch, for admins and the batch's main class instructors
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown token, unknown batch, or no access to the batch
+ */
+// @desc    Get batch calendar feed
+// @route   GET /api/calendar/feeds/:token/batches/:batchId/sessions.ics
+// @access  Public (feed token of an admin or batch instructor)
+exports.getBatchFeed = async (req, res, next) => {
+  try {
+    const user = await findUserByFeedToken(req.params.token);
+    if (!user) {
+      return feedNotFound(res);
+    }
+
+    if (!(await canAccessResource(user._id, 'batches', req.params.batchId))) {
+      return feedNotFound(res);
+    }
+
+    const batch = await Batch.findById(req.params.batchId).select('name');
+    if (!batch) {
+      return feedNotFound(res);
+    }
+
+    const events = buildSessionEvents(await loadBatchFeedSessions(batch._id));
+
+    sendCalendar(res, `Sessions - ${batch.name}`, events);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const describeEthiopianDate = (date) => {
+  const ethiopian = toEthiopianDate(date);
+  const month = ETHIOPIAN_MONTHS[ethiopian.month - 1];
+
+  return {
+    gregorian: {
+      date: toDateKey(date),
+      formatted: formatDate(date, { calendar: 'gregorian' })
+    },
+    ethiopian: {
+      ...ethiopian,
+      month_name: month.name,
+      month_name_amharic: month.amharic,
+      formatted: formatEthiopianDate(ethiopian),
+      formatted_amharic: formatEthiopianDate(ethiopian, { amharic: true })
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /calendar/convert:
+ *   get:
+ *     summary: Convert a date between the Gregorian and Ethiopian calendars
+ *     description: Pass either date (Gregorian) or ethiopian_date; both are YYYY-MM-DD
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: '2025-03-01'
+ *       - in: query
+ *         name: ethiopian_date
+ *         schema:
+ *           type: string
+ *           example: '2017-06-22'
+ *     responses:
+ *       200:
+ *         description: The date in both calendars
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     gregorian:
+ *                       type: object
+ *                       properties:
+ *                         date: { type: string, example: '2025-03-01' }
+ *                         formatted: { type: string, example: 'Mar 1, 2025' }
+ *                     ethiopian:
+ *                       type: object
+ *                       properties:
+ *                         year: { type: integer, example: 2017 }
+ *                         month: { type: integer, example: 6 }
+ *                         day: { type: integer, example: 22 }
+ *                         month_name: { type: string, example: Yekatit }
+ *                         month_name_amharic: { type: string, example: የካቲት }
+ *                         formatted: { type: string, example: 'Yekatit 22, 2017' }
+ *                         formatted_amharic: { type: string, example: 'የካቲት 22, 2017' }
+ *       400:
+ *         description: Missing or invalid date
+ */
+// @desc    Convert a date between calendars
+// @route   GET /api/calendar/convert
+// @access  Private
+exports.convertDate = async (req, res, next) => {
+  try {
+    const { date, ethiopian_date: ethiopianDate } = req.query;
+    let gregorian = null;
+
+    if (ethiopianDate) {
+      const match = DATE_PATTERN.exec(ethiopianDate);
+      gregorian = match ? fromEthiopianDate(+match[1], +match[2], +match[3]) : null;
+    } else if (date && DATE_PATTERN.test(date)) {
+      // Rejects dates such as 2025-02-30 that Date would roll over
+      const parsed = startOfDay(date);
+      gregorian = toDateKey(parsed) === date ? parsed : null;
+    }
+
+    if (!gregorian) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide date or ethiopian_date as a valid YYYY-MM-DD date'
+      });
+    }
+
+    res.status(200).json({ success: true, data: describeEthiopianDate(gregorian) });
+  } catch (error) {
+    next(error);
+  }
+};
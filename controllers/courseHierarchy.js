@@ -85,6 +85,14 @@ const BatchCourse = require('../models/BatchCourse');
  *                                           type: string
  *                                         title:
  *                                           type: string
+ *                                         starts_at:
+ *                                           type: string
+ *                                           format: date-time
+ *                                         ends_at:
+ *                                           type: string
+ *                                           format: date-time
+ *                                         timezone:
+ *                                           type: string
  *                                         session_date:
  *                                           type: string
  *                                         start_time:
@@ -102,6 +110,14 @@ const BatchCourse = require('../models/BatchCourse');
  *                                           type: string
  *                                         title:
  *                                           type: string
+ *                                         starts_at:
+ *                                           type: string
+ *                                           format: date-time
+ *                                         ends_at:
+ *                                           type: string
+ *                                           format: date-time
+ *                                         timezone:
+ *                                           type: string
  *                                         session_date:
  *                                           type: string
  *                                         start_time:
@@ -165,14 +181,14 @@ exports.getCourseHierarchy = async (req, res, next) => {
 
           // Get live sessions
           const liveSessions = await LiveSession.find({ week: week._id })
-            .select('_id title session_date start_time end_time status')
+            .select('_id title starts_at ends_at timezone session_date start_time end_time status')
             .lean();
 
           week.live_sessions = liveSessions;
 
           // Get group sessions
           const groupSessions = await GroupSession.find({ week: week._id })
-            .select('_id title session_date start_time end_time status')
+            .select('_id title starts_at ends_at timezone session_date start_time end_time status')
             .lean();
 
           week.group_sessions = groupSessions;
@@ -1,6 +1,6 @@
 const Course = require('../models/Course');
 const CourseInstructor = require('../models/CourseInstructor');
-const UserRole = require('../models/UserRole');
+const { getUserAccess } = require('../utils/permissionCache');
 const { validationResult } = require('express-validator');
 const { upload, cloudinary } = require('../config/cloudinary');
 const User = require('../models/User');
@@ -573,8 +573,8 @@ const assignInstructor = async (req, res, next) => {
       });
     }
 
-    const isInstructor = await UserRole.findOne({ user: userId, 'role.name': 'instructor', is_active: true });
-    if (!isInstructor) {
+    const { roles } = await getUserAccess(userId);
+    if (!roles.includes('instructor')) {
       console.log(`User ${userId} is not an active instructor`);
       return res.status(400).json({
         success: false,
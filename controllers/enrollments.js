@@ -2,6 +2,9 @@ const Enrollment = require('../models/Enrollment');
 const BatchCourse = require('../models/BatchCourse');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { getRequestCalendar, formatDate } = require('../utils/dateFormat');
+const { EVENTS, publish } = require('../utils/eventBus');
+const { notifyInBackground } = require('../utils/notifications');
 require('../models/WeekComponent');
 require('../models/WeekComponentContent');
 require('../models/ClassTopic');
@@ -10,6 +13,36 @@ require('../models/ClassComponentContent');
 require('../models/ClassVideoSectionBySection');
 require('../models/ClassVideoLiveSession');
 
+// Tell subscribers, such as the user's open clients and webhooks, about an enrollment change.
+// Updates carry the status and payment status from before the change in `previous`.
+const publishEnrollmentChange = (enrollment, action, previous) => {
+  const batchCourse = enrollment.batch_course;
+  publish(EVENTS.ENROLLMENT_CHANGED, {
+    user: String(enrollment.user._id || enrollment.user),
+    id: enrollment._id.toString(),
+    batch_course: String(batchCourse._id || batchCourse),
+    batch: batchCourse.batch ? String(batchCourse.batch._id || batchCourse.batch) : undefined,
+    status: enrollment.status,
+    payment_status: enrollment.payment_status,
+    ...(previous ? { previous: { status: previous.status, payment_status: previous.payment_status } } : {}),
+    action
+  });
+};
+
+// Tell the student about their enrollment, on the channels they chose
+const notifyEnrollment = (enrollment, title, message) => {
+  const batch = enrollment.batch_course && enrollment.batch_course.batch;
+  notifyInBackground({
+    users: [enrollment.user._id || enrollment.user],
+    category: 'enrollment',
+    type: EVENTS.ENROLLMENT_CHANGED,
+    title,
+    message: batch && batch.name ? `${message} (${batch.name})` : message,
+    link: '/enrollments',
+    data: { enrollment: enrollment._id, batch: batch ? batch._id || batch : undefined, status: enrollment.status }
+  });
+};
+
 /**
  * @swagger
  * enrollments:
@@ -251,6 +284,8 @@ exports.createEnrollment = async (req, res, next) => {
       .populate('enrolled_by', 'name');
     
     console.log(`Enrollment created successfully for user: ${populatedEnrollment.user.name}`);
+    publishEnrollmentChange(populatedEnrollment, 'created');
+    notifyEnrollment(populatedEnrollment, 'You have been enrolled', 'You have been enrolled in a new course');
     
     res.status(201).json({
       success: true,
@@ -321,6 +356,10 @@ exports.updateEnrollment = async (req, res, next) => {
     .populate('enrolled_by', 'name');
     
     console.log(`Enrollment updated successfully for user: ${updatedEnrollment.user.name}`);
+    publishEnrollmentChange(updatedEnrollment, 'updated', enrollment);
+    if (updateFields.status && updateFields.status !== enrollment.status) {
+      notifyEnrollment(updatedEnrollment, 'Enrollment updated', `Your enrollment is now ${updatedEnrollment.status}`);
+    }
     
     res.status(200).json({
       success: true,
@@ -356,6 +395,7 @@ exports.deleteEnrollment = async (req, res, next) => {
     }
     
     await Enrollment.findByIdAndDelete(req.params.id);
+    publishEnrollmentChange(enrollment, 'deleted');
     
     console.log(`Enrollment deleted successfully for ID: ${req.params.id}`);
     
@@ -517,7 +557,14 @@ exports.updateEnrollmentProgress = async (req, res, next) => {
  * enrollments/user/{userId}/enrolled-batches:
  *   get:
  *     summary: Get enrolled batches for a user with course details
+ *     description: start_date and graduation_date are shown in the calendar from ?calendar= or the user's preference
  *     tags: [Enrollments]
+ *     parameters:
+ *       - in: query
+ *         name: calendar
+ *         schema:
+ *           type: string
+ *           enum: [gregorian, ethiopian]
  */
 exports.getUserEnrolledBatches = async (req, res, next) => {
   try {
@@ -555,6 +602,7 @@ exports.getUserEnrolledBatches = async (req, res, next) => {
     });
     
     // Transform the data to match the desired format
+    const calendar = getRequestCalendar(req);
     const enrolledBatches = enrollments.map(enrollment => {
       const batch = enrollment.batch_course.batch;
       const course = enrollment.batch_course.course;
@@ -567,16 +615,8 @@ exports.getUserEnrolledBatches = async (req, res, next) => {
         hash: batch._id.toString().slice(-16), // Generate a hash-like string
         batch_flyer_img: batch.batch_flyer_img || null,
         is_active: batch.is_active,
-        start_date: batch.start_date ? new Date(batch.start_date).toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric',
-          year: 'numeric'
-        }) : null,
-        graduation_date: batch.end_date ? new Date(batch.end_date).toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric',
-          year: 'numeric'
-        }) : null,
+        start_date: formatDate(batch.start_date, { calendar }),
+        graduation_date: formatDate(batch.end_date, { calendar }),
         course: {
           id: course._id,
           name: course.title,
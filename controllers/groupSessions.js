@@ -1,7 +1,60 @@
 const GroupSession = require('../models/GroupSession');
 const Week = require('../models/Week'); // To link to Phase and Course
+const Group = require('../models/Group');
+const Batch = require('../models/Batch');
+const BatchInstructor = require('../models/BatchInstructor');
+const GroupUser = require('../models/GroupUser');
+const Attendance = require('../models/Attendance');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const logActivity = require('../utils/activityLogger');
+const { SCHEDULE_FIELDS, findConflicts } = require('../utils/scheduleConflicts');
+const { parseTimeOfDay, buildSessionSchedule, resolveSessionSchedule } = require('../utils/sessionTime');
+const { getDefaultTimeZone, startOfDay, toDateKey, todayIn } = require('../utils/timezone');
+const {
+  snapshotSession,
+  recordSessionChange,
+  rescheduleSession,
+  cancelSession,
+  getSessionHistory
+} = require('../utils/sessionChanges');
+const {
+  parseClassDays,
+  loadExclusions,
+  buildBatchWeekSchedule,
+  planSessions
+} = require('../utils/scheduleGenerator');
+
+// Generated group sessions by class day within the week: first day GS-1, second GS-2
+const GROUP_SESSION_SLOTS = ['GS-1', 'GS-2'];
+
+// The group's instructor: a group BatchInstructor assignment, else a group_instructor member
+const findGroupInstructor = async (group) => {
+  const batchInstructor = await BatchInstructor.findOne({
+    batch: group.batch,
+    group: group._id,
+    class_type: 'group',
+    is_active: true
+  }).sort({ assigned_at: 1 });
+  if (batchInstructor) return batchInstructor.user;
+
+  const groupInstructor = await GroupUser.findOne({ group: group._id, role: 'group_instructor', is_active: true })
+    .sort({ assigned_at: 1 });
+  return groupInstructor ? groupInstructor.user : null;
+};
+
+// Sessions default to their group's time zone, which defaults to the batch's
+const getGroupTimeZone = async (groupId) => {
+  const group = groupId ? await Group.findById(groupId).select('timezone batch').populate('batch', 'timezone') : null;
+  return (group && (group.timezone || (group.batch && group.batch.timezone))) || getDefaultTimeZone();
+};
+
+const INVALID_SCHEDULE_ERROR = 'Provide starts_at and ends_at, or session_date, start_time and end_time';
+
+// Compares dates by time and everything else by value
+const sameValue = (a, b) => ((a instanceof Date || b instanceof Date)
+  ? new Date(a).getTime() === new Date(b).getTime()
+  : String(a) === String(b));
 
 /**
  * @swagger
@@ -14,9 +67,8 @@ const mongoose = require('mongoose');
  *         - group
  *         - instructor
  *         - title
- *         - session_date
- *         - start_time
- *         - end_time
+ *         - starts_at
+ *         - ends_at
  *         - meeting_link
  *       properties:
  *         _id:
@@ -37,16 +89,32 @@ const mongoose = require('mongoose');
  *         description:
  *           type: string
  *           description: Description of the group session
- *         session_date:
+ *         starts_at:
  *           type: string
  *           format: date-time
- *           description: Date of the group session (ISO 8601 format)
+ *           description: Start of the session (UTC)
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           description: End of the session (UTC)
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone the session is held in (defaults to the group's)
+ *           example: Africa/Addis_Ababa
+ *         session_date:
+ *           type: string
+ *           format: date
+ *           description: Calendar date of the session in its time zone
  *         start_time:
  *           type: string
- *           description: Start time of the group session (e.g., "10:00 AM")
+ *           description: Start time in the session's time zone ("HH:mm")
  *         end_time:
  *           type: string
- *           description: End time of the group session (e.g., "12:00 PM")
+ *           description: End time in the session's time zone ("HH:mm")
+ *         local:
+ *           type: object
+ *           readOnly: true
+ *           description: Date, times and offsets in the requesting user's time zone (the timezone query parameter, the user's profile, or the X-Timezone header). display has them formatted in the calendar from the calendar query parameter or the user's profile (gregorian or ethiopian).
  *         meeting_link:
  *           type: string
  *           description: Zoom Meeting Link
@@ -60,6 +128,12 @@ const mongoose = require('mongoose');
  *         is_active:
  *           type: boolean
  *           description: Whether the session is active
+ *         is_generated:
+ *           type: boolean
+ *           description: Whether the session was generated from the group timetable
+ *         schedule_slot:
+ *           type: integer
+ *           description: Class day number within the week for generated sessions
  *         status:
  *           type: string
  *           enum: [scheduled, in_progress, completed, cancelled]
@@ -249,9 +323,6 @@ exports.getGroupSessions = async (req, res, next) => {
  *               - group
  *               - instructor
  *               - title
- *               - session_date
- *               - start_time
- *               - end_time
  *               - meeting_link
  *             properties:
  *               week:
@@ -269,16 +340,26 @@ exports.getGroupSessions = async (req, res, next) => {
  *               description:
  *                 type: string
  *                 description: Optional description of the group session
- *               session_date:
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the session; give starts_at and ends_at, or session_date, start_time and end_time
+ *               ends_at:
  *                 type: string
  *                 format: date-time
- *                 description: Date of the group session (ISO 8601 format)
+ *               session_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the group session in its time zone
  *               start_time:
  *                 type: string
- *                 description: Start time of the group session (e.g., "10:00 AM")
+ *                 description: Start time, e.g. "10:00" or "10:00 AM"
  *               end_time:
  *                 type: string
- *                 description: End time of the group session (e.g., "12:00 PM")
+ *                 description: End time
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone for session_date, start_time and end_time (defaults to the group's)
  *               meeting_link:
  *                 type: string
  *                 description: Zoom Meeting Link
@@ -296,6 +377,9 @@ exports.getGroupSessions = async (req, res, next) => {
  *                 type: string
  *                 enum: [scheduled, in_progress, completed, cancelled]
  *                 description: Current status of the session
+ *               allow_conflicts:
+ *                 type: boolean
+ *                 description: Save even if the session overlaps with the instructor's, batch's or group's other sessions
  *     responses:
  *       201:
  *         description: Group session created successfully
@@ -310,6 +394,8 @@ exports.getGroupSessions = async (req, res, next) => {
  *                   $ref: '#/components/schemas/GroupSession'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         description: Overlaps with other sessions (listed in conflicts) and allow_conflicts was not set
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -320,7 +406,23 @@ exports.createGroupSession = async (req, res, next) => {
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const groupSession = await GroupSession.create(req.body);
+    const schedule = resolveSessionSchedule(req.body, null, await getGroupTimeZone(req.body.group));
+    if (!schedule) {
+      return res.status(400).json({ success: false, error: INVALID_SCHEDULE_ERROR });
+    }
+    const fields = { ...req.body, ...schedule };
+
+    // Reject double-bookings unless the caller explicitly accepts them
+    const conflicts = await findConflicts({ ...fields, kind: 'group' });
+    if (conflicts.length > 0 && req.body.allow_conflicts !== true) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session overlaps with existing sessions. Resolve the conflicts or set allow_conflicts to true.',
+        conflicts
+      });
+    }
+
+    const groupSession = await GroupSession.create(fields);
 
     // Populate the created group session for the response
     const populatedGroupSession = await GroupSession.findById(groupSession._id)
@@ -348,7 +450,8 @@ exports.createGroupSession = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      data: populatedGroupSession
+      data: populatedGroupSession,
+      conflicts: conflicts.length > 0 ? conflicts : undefined
     });
   } catch (error) {
     console.error('Create group session error:', error);
@@ -452,11 +555,15 @@ exports.getGroupSession = async (req, res, next) => {
  *               session_date: { type: string, format: date-time, description: Date of the group session }
  *               start_time: { type: string, description: Start time }
  *               end_time: { type: string, description: End time }
+ *               starts_at: { type: string, format: date-time, description: New start; takes precedence over session_date, start_time and end_time }
+ *               ends_at: { type: string, format: date-time }
+ *               timezone: { type: string, description: IANA time zone; on its own it keeps the wall-clock times and moves the instants }
  *               meeting_link: { type: string, description: Zoom Meeting Link }
  *               recording_url: { type: string, description: URL of the recording }
  *               session_type: { type: string, enum: [GS-1, GS-2] }
  *               is_active: { type: boolean }
  *               status: { type: string, enum: [scheduled, in_progress, completed, cancelled] }
+ *               allow_conflicts: { type: boolean, description: Save even if the session overlaps with other sessions }
  *     responses:
  *       200:
  *         description: Group Session updated successfully
@@ -470,6 +577,8 @@ exports.getGroupSession = async (req, res, next) => {
  *                   $ref: '#/components/schemas/GroupSession'
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: Overlaps with other sessions (listed in conflicts) and allow_conflicts was not set
  *       401:
  *         description: Unauthorized
  *       404:
@@ -490,7 +599,27 @@ exports.updateGroupSession = async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Group Session not found' });
     }
 
-    groupSession = await GroupSession.findByIdAndUpdate(req.params.id, req.body, {
+    const schedule = resolveSessionSchedule(req.body, groupSession, await getGroupTimeZone(groupSession.group));
+    if (schedule === null) {
+      return res.status(400).json({ success: false, error: INVALID_SCHEDULE_ERROR });
+    }
+    const fields = { ...req.body, ...schedule };
+
+    let conflicts = [];
+    if (SCHEDULE_FIELDS.some(field => fields[field] !== undefined)) {
+      conflicts = await findConflicts({ ...groupSession.toObject(), ...fields, kind: 'group' }, { excludeId: groupSession._id });
+      if (conflicts.length > 0 && req.body.allow_conflicts !== true) {
+        return res.status(409).json({
+          success: false,
+          error: 'Session overlaps with existing sessions. Resolve the conflicts or set allow_conflicts to true.',
+          conflicts
+        });
+      }
+    }
+
+    const previous = snapshotSession(groupSession);
+
+    groupSession = await GroupSession.findByIdAndUpdate(req.params.id, fields, {
       new: true,
       runValidators: true
     })
@@ -516,7 +645,12 @@ exports.updateGroupSession = async (req, res, next) => {
       })
       .populate('instructor', 'name email');
 
-    res.status(200).json({ success: true, data: groupSession });
+    // Reschedule and cancel notify students; edits made here are only recorded
+    if (schedule !== undefined || (fields.status !== undefined && fields.status !== previous.status)) {
+      await recordSessionChange('group', groupSession, { action: 'update', previous, userId: req.user.id });
+    }
+
+    res.status(200).json({ success: true, data: groupSession, conflicts: conflicts.length > 0 ? conflicts : undefined });
   } catch (error) {
     console.error('Update group session error:', error);
     next(error);
@@ -570,4 +704,508 @@ exports.deleteGroupSession = async (req, res, next) => {
     console.error('Delete group session error:', error);
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * @swagger
+ * /group-sessions/{id}/reschedule:
+ *   post:
+ *     summary: Move a group session to a new time
+ *     description: |
+ *       Only scheduled sessions can be rescheduled. Pass starts_at and ends_at, or any of session_date,
+ *       start_time, end_time and timezone (the rest are kept). Attendance records move with the session,
+ *       open self check-in is closed, the change is added to the session's history and the group's students
+ *       are emailed.
+ *     tags: [Group Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason: { type: string, description: Shown to students in the notification }
+ *               starts_at: { type: string, format: date-time }
+ *               ends_at: { type: string, format: date-time }
+ *               session_date: { type: string, format: date }
+ *               start_time: { type: string, example: '14:00' }
+ *               end_time: { type: string, example: '16:00' }
+ *               timezone: { type: string }
+ *               allow_conflicts: { type: boolean, description: Move it even if it overlaps with other sessions }
+ *     responses:
+ *       200:
+ *         description: Session rescheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/GroupSession'
+ *                 change:
+ *                   $ref: '#/components/schemas/SessionChange'
+ *       400:
+ *         description: Validation error, no new time given, or the session is not scheduled
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Group Session not found
+ *       409:
+ *         description: Overlaps with other sessions (listed in conflicts) and allow_conflicts was not set
+ */
+exports.rescheduleGroupSession = async (req, res, next) => {
+  try {
+    console.log(`Reschedule group session request received for ID: ${req.params.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const groupSession = await GroupSession.findById(req.params.id);
+    if (!groupSession) {
+      return res.status(404).json({ success: false, error: 'Group Session not found' });
+    }
+
+    if (groupSession.status !== 'scheduled') {
+      return res.status(400).json({ success: false, error: `Only scheduled sessions can be rescheduled; this one is ${groupSession.status}` });
+    }
+
+    const schedule = resolveSessionSchedule(req.body, groupSession, await getGroupTimeZone(groupSession.group));
+    if (schedule === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide the new time: starts_at and ends_at, or session_date, start_time or end_time' });
+    }
+    if (schedule === null) {
+      return res.status(400).json({ success: false, error: INVALID_SCHEDULE_ERROR });
+    }
+    if (schedule.starts_at.getTime() === groupSession.starts_at.getTime() && schedule.ends_at.getTime() === groupSession.ends_at.getTime()) {
+      return res.status(400).json({ success: false, error: 'The new time is the same as the current one' });
+    }
+
+    const conflicts = await findConflicts({ ...groupSession.toObject(), ...schedule, kind: 'group' }, { excludeId: groupSession._id });
+    if (conflicts.length > 0 && req.body.allow_conflicts !== true) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session overlaps with existing sessions. Resolve the conflicts or set allow_conflicts to true.',
+        conflicts
+      });
+    }
+
+    const previousStart = groupSession.starts_at;
+    const change = await rescheduleSession('group', groupSession, schedule, { reason: req.body.reason, userId: req.user.id });
+
+    await logActivity(
+      req.user.id,
+      'group_session_reschedule',
+      'GroupSession',
+      groupSession._id,
+      `Rescheduled group session ${groupSession.title} from ${previousStart.toISOString()} to ${groupSession.starts_at.toISOString()}: ${req.body.reason}`,
+      req
+    );
+
+    res.status(200).json({ success: true, data: groupSession, change, conflicts: conflicts.length > 0 ? conflicts : undefined });
+  } catch (error) {
+    console.error('Reschedule group session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /group-sessions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a group session
+ *     description: |
+ *       Scheduled and in-progress sessions can be cancelled. Students already marked absent are
+ *       excused, open self check-in is closed, the change is added to the session's history and
+ *       the group's students are emailed.
+ *     tags: [Group Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason: { type: string, description: Shown to students in the notification }
+ *     responses:
+ *       200:
+ *         description: Session cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/GroupSession'
+ *                 change:
+ *                   $ref: '#/components/schemas/SessionChange'
+ *       400:
+ *         description: Validation error, or the session is already completed or cancelled
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Group Session not found
+ */
+exports.cancelGroupSession = async (req, res, next) => {
+  try {
+    console.log(`Cancel group session request received for ID: ${req.params.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const groupSession = await GroupSession.findById(req.params.id);
+    if (!groupSession) {
+      return res.status(404).json({ success: false, error: 'Group Session not found' });
+    }
+
+    if (!['scheduled', 'in_progress'].includes(groupSession.status)) {
+      return res.status(400).json({ success: false, error: `Cannot cancel a session that is ${groupSession.status}` });
+    }
+
+    const change = await cancelSession('group', groupSession, { reason: req.body.reason, userId: req.user.id });
+
+    await logActivity(req.user.id, 'group_session_cancel', 'GroupSession', groupSession._id, `Cancelled group session ${groupSession.title}: ${req.body.reason}`, req);
+
+    res.status(200).json({ success: true, data: groupSession, change });
+  } catch (error) {
+    console.error('Cancel group session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /group-sessions/{id}/history:
+ *   get:
+ *     summary: Get a group session's change history
+ *     description: Reschedules, cancellations and time or status edits, newest first
+ *     tags: [Group Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Change history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SessionChange'
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Group Session not found
+ */
+exports.getGroupSessionHistory = async (req, res, next) => {
+  try {
+    const groupSession = await GroupSession.findById(req.params.id).select('_id');
+    if (!groupSession) {
+      return res.status(404).json({ success: false, error: 'Group Session not found' });
+    }
+
+    const history = await getSessionHistory('group', groupSession._id);
+
+    res.status(200).json({ success: true, count: history.length, data: history });
+  } catch (error) {
+    console.error('Get group session history error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /group-sessions/generate:
+ *   post:
+ *     summary: Generate a group's sessions from its timetable
+ *     description: |
+ *       Lays the group's class_days, class_start_time and class_end_time onto the weeks of its batch's
+ *       courses. A group meets twice a week, so class_days must name two days: the first is the week's
+ *       GS-1 and the second its GS-2. A spaced dash lists days, so "Tue - Thu" is Tuesday and Thursday
+ *       and "Monday - Friday" means only Monday and Friday. Safe to re-run: each generated session is
+ *       matched by week and class day, so after a timetable change future scheduled sessions are moved
+ *       or updated, sessions no longer in the timetable are removed, and missing ones are created. Past,
+ *       started, completed or cancelled sessions and sessions with attendance are never changed. The
+ *       first run creates the whole series; later runs only create sessions from today (or from).
+ *     tags: [Group Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - group
+ *             properties:
+ *               group:
+ *                 type: string
+ *               instructor:
+ *                 type: string
+ *                 description: Defaults to the group instructor from BatchInstructor or GroupUser
+ *               meeting_link:
+ *                 type: string
+ *                 description: Defaults to the batch's meeting link
+ *               skip_dates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 description: First date that may be changed (defaults to today)
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Sessions generated, or the dry-run preview
+ *       400:
+ *         description: Validation error or incomplete group timetable
+ *       403:
+ *         description: Not assigned to this group
+ *       404:
+ *         description: Group not found
+ */
+exports.generateGroupSessions = async (req, res, next) => {
+  try {
+    console.log(`Generate group sessions request received for group: ${req.body.group}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { skip_dates = [], dry_run = false } = req.body;
+
+    const group = await Group.findById(req.body.group);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+
+    const batch = await Batch.findById(group.batch);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    const classDays = parseClassDays(group.class_days);
+    if (!classDays) {
+      return res.status(400).json({ success: false, error: `Group class days "${group.class_days}" could not be read` });
+    }
+    if (classDays.length !== GROUP_SESSION_SLOTS.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Group class days "${group.class_days}" must name ${GROUP_SESSION_SLOTS.length} days, one for each of ${GROUP_SESSION_SLOTS.join(' and ')}`
+      });
+    }
+
+    if (parseTimeOfDay(group.class_start_time) === null || parseTimeOfDay(group.class_end_time) === null) {
+      return res.status(400).json({ success: false, error: 'Group class_start_time and class_end_time must be set' });
+    }
+
+    const timeZone = group.timezone || batch.timezone || getDefaultTimeZone();
+
+    const meetingLink = req.body.meeting_link || batch.meeting_link;
+    if (!meetingLink) {
+      return res.status(400).json({ success: false, error: 'Batch has no meeting link; set one or pass meeting_link' });
+    }
+
+    const instructor = req.body.instructor || await findGroupInstructor(group);
+    if (!instructor) {
+      return res.status(400).json({ success: false, error: 'Group has no instructor; assign one or pass instructor' });
+    }
+
+    const { weeks, unscheduled } = await buildBatchWeekSchedule(batch);
+    if (weeks.length === 0) {
+      return res.status(400).json({ success: false, error: 'Batch has no course weeks to schedule' });
+    }
+
+    const existing = await GroupSession.find({ group: group._id });
+    const generated = existing.filter(session => session.is_generated);
+
+    // Before this date nothing is created, moved or removed
+    const from = (req.body.from || generated.length > 0) ? startOfDay(req.body.from || todayIn(timeZone)) : null;
+
+    const withAttendance = new Set((await Attendance.distinct('group_session', {
+      group_session: { $in: generated.map(session => session._id) }
+    })).map(id => id.toString()));
+
+    const isChangeable = (session) => session.status === 'scheduled' &&
+      (!from || session.session_date >= from) &&
+      !withAttendance.has(session._id.toString());
+
+    const slotKey = (weekId, slot) => `${weekId}:${slot}`;
+    const generatedBySlot = new Map(generated.map(session => [slotKey(session.week, session.schedule_slot), session]));
+    const manualDates = new Set(existing
+      .filter(session => !session.is_generated)
+      .map(session => toDateKey(startOfDay(session.session_date))));
+
+    const exclusions = await loadExclusions(skip_dates);
+    const { planned, skipped } = planSessions({ weeks, classDays, exclusions });
+
+    const toCreate = [];
+    const toUpdate = [];
+    const plannedSlots = new Set();
+    let unchanged = 0;
+
+    planned.forEach(({ week, date, index }) => {
+      const key = slotKey(week._id, index);
+      plannedSlots.add(key);
+
+      const baseTitle = (week.group_session && week.group_session.title) || `${week.week_name} Group Session`;
+      const fields = {
+        instructor,
+        title: `${baseTitle} ${index}`,
+        ...buildSessionSchedule({ session_date: date, start_time: group.class_start_time, end_time: group.class_end_time }, timeZone),
+        meeting_link: meetingLink,
+        session_type: GROUP_SESSION_SLOTS[index - 1]
+      };
+
+      const current = generatedBySlot.get(key);
+
+      if (current) {
+        if (!isChangeable(current) || (from && date < from)) {
+          unchanged++;
+          return;
+        }
+
+        const changed = Object.keys(fields).filter(field => !sameValue(current[field], fields[field]));
+
+        if (changed.length > 0) {
+          toUpdate.push({ session: current, fields, changed });
+        } else {
+          unchanged++;
+        }
+        return;
+      }
+
+      if (from && date < from) return;
+
+      if (manualDates.has(toDateKey(date))) {
+        skipped.push({ week: week._id, week_name: week.week_name, date: toDateKey(date), reason: 'Session already exists' });
+        return;
+      }
+
+      toCreate.push({
+        ...fields,
+        week: week._id,
+        group: group._id,
+        description: (week.group_session && week.group_session.description) || week.week_description,
+        is_generated: true,
+        schedule_slot: index,
+        status: 'scheduled'
+      });
+    });
+
+    // Future generated sessions the timetable no longer produces
+    const toRemove = generated.filter(session =>
+      !plannedSlots.has(slotKey(session.week, session.schedule_slot)) && isChangeable(session));
+
+    skipped.sort((a, b) => a.date.localeCompare(b.date));
+
+    const summary = {
+      created: toCreate.length,
+      updated: toUpdate.length,
+      removed: toRemove.length,
+      unchanged,
+      skipped,
+      unscheduled_weeks: unscheduled
+    };
+
+    if (dry_run) {
+      return res.status(200).json({
+        success: true,
+        dry_run: true,
+        data: {
+          ...summary,
+          create: toCreate.map(session => ({ ...session, session_date: toDateKey(session.session_date) })),
+          update: toUpdate.map(({ session, fields, changed }) => ({
+            _id: session._id,
+            title: session.title,
+            session_date: toDateKey(startOfDay(session.session_date)),
+            changes: changed.reduce((changes, field) => {
+              changes[field] = field === 'session_date' ? toDateKey(fields.session_date) : fields[field];
+              return changes;
+            }, {})
+          })),
+          remove: toRemove.map(session => ({
+            _id: session._id,
+            title: session.title,
+            session_date: toDateKey(startOfDay(session.session_date))
+          }))
+        }
+      });
+    }
+
+    if (toRemove.length > 0) {
+      await GroupSession.deleteMany({ _id: { $in: toRemove.map(session => session._id) } });
+    }
+
+    if (toUpdate.length > 0) {
+      await GroupSession.bulkWrite(toUpdate.map(({ session, fields }) => ({
+        updateOne: {
+          filter: { _id: session._id, status: 'scheduled' },
+          update: { $set: fields }
+        }
+      })));
+    }
+
+    const created = toCreate.length > 0 ? await GroupSession.insertMany(toCreate) : [];
+
+    await logActivity(
+      req.user.id,
+      'group_session_generate',
+      'Batch',
+      batch._id,
+      `Generated sessions for group ${group.name}: ${created.length} created, ${toUpdate.length} updated, ${toRemove.length} removed`,
+      req
+    );
+
+    const sessions = await GroupSession.find({ group: group._id, is_generated: true }).sort({ session_date: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: {
+        ...summary,
+        sessions
+      }
+    });
+  } catch (error) {
+    console.error('Generate group sessions error:', error);
+    next(error);
+  }
+};
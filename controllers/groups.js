@@ -1,6 +1,7 @@
 const Group = require('../models/Group');
 const GroupUser = require('../models/GroupUser');
 const { validationResult } = require('express-validator');
+const { EVENTS, publish } = require('../utils/eventBus');
 
 /**
  * @swagger
@@ -36,7 +37,7 @@ exports.getGroups = async (req, res, next) => {
     
     // Execute query with pagination
     const groups = await Group.find(query)
-      .populate('batch', 'name')
+      .populate('batch', 'name timezone')
       .sort(sort)
       .skip(startIndex)
       .limit(limit);
@@ -75,7 +76,7 @@ exports.getGroup = async (req, res, next) => {
     console.log(`Get group request received for ID: ${req.params.id}`);
     
     const group = await Group.findById(req.params.id)
-      .populate('batch', 'name');
+      .populate('batch', 'name timezone');
     
     if (!group) {
       console.log(`Group not found with ID: ${req.params.id}`);
@@ -310,6 +311,8 @@ exports.addUser = async (req, res, next) => {
         existingUser.assigned_at = Date.now();
         await existingUser.save();
         
+        publish(EVENTS.MEMBERSHIP_CHANGED, { user: String(user), group: group._id.toString(), action: 'added' });
+        
         return res.status(200).json({
           success: true,
           data: existingUser
@@ -330,6 +333,8 @@ exports.addUser = async (req, res, next) => {
       assigned_by: req.user.id
     });
     
+    publish(EVENTS.MEMBERSHIP_CHANGED, { user: String(user), group: group._id.toString(), action: 'added' });
+    
     res.status(201).json({
       success: true,
       data: groupUser
@@ -378,6 +383,8 @@ exports.removeUser = async (req, res, next) => {
     groupUser.removed_at = Date.now();
     await groupUser.save();
     
+    publish(EVENTS.MEMBERSHIP_CHANGED, { user: req.params.userId, group: group._id.toString(), action: 'removed' });
+    
     res.status(200).json({
       success: true,
       data: {}
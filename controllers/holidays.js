@@ -0,0 +1,164 @@
+const Holiday = require('../models/Holiday');
+const { validationResult } = require('express-validator');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Holiday:
+ *       type: object
+ *       required:
+ *         - name
+ *         - date
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         is_recurring:
+ *           type: boolean
+ *           description: Falls on the same month and day every year
+ *         is_active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /holidays:
+ *   get:
+ *     summary: Get holidays
+ *     description: Days on which generated schedules leave out sessions
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only one-off holidays in this year (recurring holidays are always included)
+ *     responses:
+ *       200:
+ *         description: List of holidays
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Holiday'
+ */
+// @desc    Get holidays
+// @route   GET /api/holidays
+// @access  Private
+exports.getHolidays = async (req, res, next) => {
+  try {
+    const filter = { is_active: true };
+
+    const year = parseInt(req.query.year, 10);
+    if (year) {
+      filter.$or = [
+        { is_recurring: true },
+        { date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) } }
+      ];
+    }
+
+    const holidays = await Holiday.find(filter).sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      data: holidays
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /holidays:
+ *   post:
+ *     summary: Add a holiday
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Holiday'
+ *     responses:
+ *       201:
+ *         description: Holiday created
+ *       400:
+ *         description: Validation error
+ */
+// @desc    Create holiday
+// @route   POST /api/holidays
+// @access  Private/Admin
+exports.createHoliday = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const holiday = await Holiday.create({
+      name: req.body.name,
+      date: req.body.date,
+      is_recurring: Boolean(req.body.is_recurring),
+      created_by: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: holiday });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /holidays/{id}:
+ *   delete:
+ *     summary: Remove a holiday
+ *     description: Sessions already generated are not changed; regenerate the schedule to fill the day.
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Holiday removed
+ *       404:
+ *         description: Holiday not found
+ */
+// @desc    Delete holiday
+// @route   DELETE /api/holidays/:id
+// @access  Private/Admin
+exports.deleteHoliday = async (req, res, next) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({ success: false, error: 'Holiday not found' });
+    }
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,669 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Batch = require('../models/Batch');
+const Group = require('../models/Group');
+const BatchCourse = require('../models/BatchCourse');
+const { validationResult } = require('express-validator');
+const logActivity = require('../utils/activityLogger');
+const { sendEmail } = require('../utils/mailer');
+const { getRequestAccess } = require('../utils/permissionCache');
+const { hasGlobalScope } = require('../utils/resourceScope');
+const { createSession, setRefreshCookie } = require('../utils/authSessions');
+const {
+  issueInvitationToken,
+  verifyInvitationToken,
+  applyInvitation
+} = require('../utils/invitations');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Emails were not always stored lowercase, so match existing accounts case-insensitively
+const findUserByEmail = (email) => User.findOne({ email: new RegExp(`^${escapeRegex(email)}$`, 'i') });
+
+const buildAcceptUrl = (req, token) => {
+  const base = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/invitations/accept?token=${encodeURIComponent(token)}`;
+};
+
+// Send (or re-send) the invitation email for a freshly issued token
+const sendInvitationEmail = async (invitation, token, req) => {
+  const acceptUrl = buildAcceptUrl(req, token);
+
+  const delivery = await sendEmail('invitation', invitation.email, {
+    name: invitation.name,
+    inviterName: req.user.name,
+    roleName: invitation.role.name.replace(/_/g, ' '),
+    batchName: invitation.batch.full_name || invitation.batch.name,
+    groupName: invitation.group ? invitation.group.name : undefined,
+    message: invitation.message,
+    acceptUrl,
+    expiresAt: invitation.expires_at
+  });
+
+  return { ...delivery, acceptUrl };
+};
+
+// Resolve an invitation from its token, or describe why it cannot be used
+const findInvitationByToken = async (token) => {
+  const decoded = verifyInvitationToken(token);
+  if (!decoded) {
+    return { error: 'Invalid or expired invitation' };
+  }
+
+  // Tokens replaced by a resend no longer match the stored hash
+  const invitation = await Invitation.findOne({ _id: decoded.iid, token_hash: decoded.tokenHash })
+    .populate('role', 'name description')
+    .populate('batch', 'name full_name batch_code start_date end_date')
+    .populate('group', 'name')
+    .populate('invited_by', 'name');
+
+  if (!invitation) {
+    return { error: 'Invalid or expired invitation' };
+  }
+  if (invitation.status === 'accepted') {
+    return { error: 'Invitation has already been accepted' };
+  }
+  if (invitation.status === 'revoked') {
+    return { error: 'Invitation has been revoked' };
+  }
+  if (invitation.is_expired) {
+    return { error: 'Invitation has expired' };
+  }
+
+  return { invitation };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           description: Role granted on acceptance
+ *         batch:
+ *           type: string
+ *         group:
+ *           type: string
+ *         batch_course:
+ *           type: string
+ *           description: Batch course to enroll the user in
+ *         message:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked]
+ *         is_expired:
+ *           type: boolean
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         invited_by:
+ *           type: string
+ *         send_count:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /invitations:
+ *   post:
+ *     summary: Invite someone to a batch with a role
+ *     description: Sends an email with a signed, expiring link. Only super admins can invite with roles other than student. Instructors can only invite to batches they are assigned to.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *               - batch
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: Role ID
+ *               batch:
+ *                 type: string
+ *               group:
+ *                 type: string
+ *               batch_course:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Invitation created. email_delivered tells whether the email went out.
+ *       400:
+ *         description: Validation error, group or course not in batch, or a pending invitation already exists
+ *       403:
+ *         description: Not allowed to invite with this role or to this batch
+ *       404:
+ *         description: Role, batch, group or batch course not found
+ */
+// @desc    Create invitation
+// @route   POST /api/invitations
+// @access  Private/Admin/Instructor
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, role, batch, group, batch_course, message } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+
+    const roleDoc = await Role.findById(role);
+    if (!roleDoc) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    // Same rule as assigning roles directly
+    const access = await getRequestAccess(req);
+    if (!access.roles.includes('super_admin') && roleDoc.name !== 'student') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only super admins can invite users with non-student roles'
+      });
+    }
+
+    const batchDoc = await Batch.findById(batch);
+    if (!batchDoc) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    let groupDoc = null;
+    if (group) {
+      groupDoc = await Group.findById(group);
+      if (!groupDoc) {
+        return res.status(404).json({ success: false, error: 'Group not found' });
+      }
+      if (groupDoc.batch.toString() !== batchDoc._id.toString()) {
+        return res.status(400).json({ success: false, error: 'Group does not belong to this batch' });
+      }
+    }
+
+    if (batch_course) {
+      const batchCourse = await BatchCourse.findById(batch_course);
+      if (!batchCourse) {
+        return res.status(404).json({ success: false, error: 'Batch course not found' });
+      }
+      if (batchCourse.batch.toString() !== batchDoc._id.toString()) {
+        return res.status(400).json({ success: false, error: 'Batch course does not belong to this batch' });
+      }
+    }
+
+    const existing = await Invitation.findOne({
+      email,
+      batch: batchDoc._id,
+      status: 'pending',
+      expires_at: { $gt: Date.now() }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'A pending invitation for this email and batch already exists. Resend it instead.',
+        invitationId: existing._id
+      });
+    }
+
+    const invitation = new Invitation({
+      email,
+      name,
+      role: roleDoc._id,
+      batch: batchDoc._id,
+      group: groupDoc ? groupDoc._id : undefined,
+      batch_course,
+      message,
+      invited_by: req.user.id
+    });
+
+    const token = issueInvitationToken(invitation);
+    invitation.last_sent_at = Date.now();
+    invitation.send_count = 1;
+    await invitation.save();
+
+    invitation.role = roleDoc;
+    invitation.batch = batchDoc;
+    invitation.group = groupDoc;
+    const delivery = await sendInvitationEmail(invitation, token, req);
+
+    await logActivity(req.user.id, 'invitation_create', 'Invitation', invitation._id, `Invited ${email} to batch ${batchDoc.name} as ${roleDoc.name}`, req);
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      email_delivered: delivery.delivered,
+      acceptUrl: process.env.NODE_ENV === 'development' ? delivery.acceptUrl : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: Admins see every invitation; other users see the ones they sent.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked]
+ *           default: pending
+ *       - in: query
+ *         name: batch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ */
+// @desc    Get invitations
+// @route   GET /api/invitations
+// @access  Private/Admin/Instructor
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const { status = 'pending', batch, email } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = {};
+
+    if (status === 'pending') {
+      query.status = 'pending';
+      query.expires_at = { $gt: Date.now() };
+    } else if (status === 'expired') {
+      query.status = 'pending';
+      query.expires_at = { $lte: Date.now() };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+
+    if (batch) query.batch = batch;
+    if (email) query.email = email.trim().toLowerCase();
+
+    if (!(await hasGlobalScope(req.user.id))) {
+      query.invited_by = req.user.id;
+    }
+
+    const total = await Invitation.countDocuments(query);
+    const invitations = await Invitation.find(query)
+      .populate('role', 'name')
+      .populate('batch', 'name batch_code')
+      .populate('group', 'name')
+      .populate('invited_by', 'name email')
+      .sort({ created_at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /invitations/token/{token}:
+ *   get:
+ *     summary: Preview an invitation before accepting it
+ *     description: Also reports whether an account already exists for the invited email, so the client knows whether to ask for a name and password.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *       400:
+ *         description: Invalid, expired, revoked or already accepted invitation
+ */
+// @desc    Preview invitation by token
+// @route   GET /api/invitations/token/:token
+// @access  Public
+exports.getInvitationByToken = async (req, res, next) => {
+  try {
+    const { invitation, error } = await findInvitationByToken(req.params.token);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const existingUser = await findUserByEmail(invitation.email);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        batch: invitation.batch,
+        group: invitation.group,
+        message: invitation.message,
+        invited_by: invitation.invited_by ? invitation.invited_by.name : undefined,
+        expires_at: invitation.expires_at,
+        account_exists: Boolean(existingUser)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /invitations/accept:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: |
+ *       If no account exists for the invited email, one is created from name and password and
+ *       the user is signed in. If an account exists it is linked, and the user signs in as usual.
+ *       Either way the invited role, batch and group membership and course enrollment are created.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Required when creating a new account
+ *               password:
+ *                 type: string
+ *                 description: Required when creating a new account
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted and linked to an existing account
+ *       201:
+ *         description: Account created, invitation accepted, and tokens issued
+ *       400:
+ *         description: Invalid invitation, or missing name/password for a new account
+ *       403:
+ *         description: Existing account is deactivated
+ */
+// @desc    Accept invitation
+// @route   POST /api/invitations/accept
+// @access  Public
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { token, name, password, phone } = req.body;
+    const { invitation, error } = await findInvitationByToken(token);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    let user = await findUserByEmail(invitation.email);
+    const accountCreated = !user;
+
+    if (user && !user.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: 'User account is deactivated'
+      });
+    }
+
+    if (!user) {
+      if (!name || !password || password.length < 6) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name and a password of at least 6 characters are required to create your account'
+        });
+      }
+
+      // The invitation link proves the address belongs to this person
+      user = await User.create({
+        name,
+        email: invitation.email,
+        password,
+        phone,
+        is_email_verified: true
+      });
+      console.log(`User created from invitation with ID: ${user._id}`);
+    }
+
+    const records = await applyInvitation(invitation, user);
+
+    // Only one concurrent acceptance records the outcome
+    await Invitation.updateOne(
+      { _id: invitation._id, status: 'pending' },
+      {
+        $set: { status: 'accepted', accepted_at: Date.now(), accepted_by: user._id },
+        $unset: { token_hash: '' }
+      }
+    );
+
+    await logActivity(user._id, 'invitation_accept', 'Invitation', invitation._id, `${accountCreated ? 'Registered and joined' : 'Joined'} batch ${invitation.batch.name} as ${invitation.role.name}`, req);
+
+    const data = {
+      invitation: invitation._id,
+      account_created: accountCreated,
+      user_role: records.userRole,
+      batch_user: records.batchUser,
+      group_user: records.groupUser,
+      enrollment: records.enrollment
+    };
+
+    if (!accountCreated) {
+      return res.status(200).json({
+        success: true,
+        message: 'Invitation accepted. Log in to continue.',
+        data
+      });
+    }
+
+    const { accessToken, refreshToken } = await createSession(user._id, req);
+    setRefreshCookie(res, refreshToken);
+
+    res.status(201).json({
+      success: true,
+      accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        initials: user.initials,
+        roles: [invitation.role.name]
+      },
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /invitations/{id}/resend:
+ *   post:
+ *     summary: Resend a pending invitation
+ *     description: Issues a new link with a fresh expiry. Links sent earlier stop working.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation is no longer pending
+ *       404:
+ *         description: Invitation not found
+ *       502:
+ *         description: Email could not be delivered
+ */
+// @desc    Resend invitation
+// @route   POST /api/invitations/:id/resend
+// @access  Private/Admin/Instructor
+exports.resendInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id)
+      .populate('role', 'name')
+      .populate('batch', 'name full_name')
+      .populate('group', 'name');
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    const token = issueInvitationToken(invitation);
+    invitation.last_sent_at = Date.now();
+    invitation.send_count += 1;
+    await invitation.save();
+
+    const delivery = await sendInvitationEmail(invitation, token, req);
+
+    if (!delivery.delivered) {
+      return res.status(502).json({
+        success: false,
+        error: 'Invitation email could not be sent. Please try again later.'
+      });
+    }
+
+    await logActivity(req.user.id, 'invitation_resend', 'Invitation', invitation._id, `Resent invitation to ${invitation.email}`, req);
+
+    res.status(200).json({
+      success: true,
+      data: invitation,
+      acceptUrl: process.env.NODE_ENV === 'development' ? delivery.acceptUrl : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation is no longer pending
+ *       404:
+ *         description: Invitation not found
+ */
+// @desc    Revoke invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private/Admin/Instructor
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revoked_at = Date.now();
+    invitation.revoked_by = req.user.id;
+    invitation.token_hash = undefined;
+    await invitation.save();
+
+    await logActivity(req.user.id, 'invitation_revoke', 'Invitation', invitation._id, `Revoked invitation to ${invitation.email}`, req);
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
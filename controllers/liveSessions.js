@@ -4,8 +4,35 @@ const Course = require('../models/Course'); // Import Course model
 const Phase = require('../models/Phase');   // Import Phase model
 const Batch = require('../models/Batch');   // Import Batch model
 const BatchCourse = require('../models/BatchCourse'); // Import BatchCourse model
+const BatchInstructor = require('../models/BatchInstructor');
+const Attendance = require('../models/Attendance');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose'); // Import mongoose for model access
+const logActivity = require('../utils/activityLogger');
+const { SCHEDULE_FIELDS, findConflicts } = require('../utils/scheduleConflicts');
+const { parseTimeOfDay, buildSessionSchedule, resolveSessionSchedule } = require('../utils/sessionTime');
+const { getDefaultTimeZone, startOfDay, toDateKey, todayIn } = require('../utils/timezone');
+const {
+  snapshotSession,
+  recordSessionChange,
+  rescheduleSession,
+  cancelSession,
+  getSessionHistory
+} = require('../utils/sessionChanges');
+const {
+  parseClassDays,
+  loadExclusions,
+  buildBatchWeekSchedule,
+  planSessions
+} = require('../utils/scheduleGenerator');
+
+// Sessions default to their batch's time zone
+const getBatchTimeZone = async (batchId) => {
+  const batch = batchId ? await Batch.findById(batchId).select('timezone') : null;
+  return (batch && batch.timezone) || getDefaultTimeZone();
+};
+
+const INVALID_SCHEDULE_ERROR = 'Provide starts_at and ends_at, or session_date, start_time and end_time';
 
 /**
  * @swagger
@@ -18,9 +45,8 @@ const mongoose = require('mongoose'); // Import mongoose for model access
  *         - batch
  *         - instructor
  *         - title
- *         - session_date
- *         - start_time
- *         - end_time
+ *         - starts_at
+ *         - ends_at
  *         - meeting_link
  *       properties:
  *         _id:
@@ -41,16 +67,32 @@ const mongoose = require('mongoose'); // Import mongoose for model access
  *         description:
  *           type: string
  *           description: Description of the live session
- *         session_date:
+ *         starts_at:
  *           type: string
  *           format: date-time
- *           description: Date of the live session (ISO 8601 format)
+ *           description: Start of the session (UTC)
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           description: End of the session (UTC)
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone the session is held in (defaults to the batch's)
+ *           example: Africa/Addis_Ababa
+ *         session_date:
+ *           type: string
+ *           format: date
+ *           description: Calendar date of the session in its time zone
  *         start_time:
  *           type: string
- *           description: Start time of the live session (e.g., "10:00 AM")
+ *           description: Start time in the session's time zone ("HH:mm")
  *         end_time:
  *           type: string
- *           description: End time of the live session (e.g., "12:00 PM")
+ *           description: End time in the session's time zone ("HH:mm")
+ *         local:
+ *           type: object
+ *           readOnly: true
+ *           description: Date, times and offsets in the requesting user's time zone (the timezone query parameter, the user's profile, or the X-Timezone header). display has them formatted in the calendar from the calendar query parameter or the user's profile (gregorian or ethiopian).
  *         meeting_link:
  *           type: string
  *           description: Zoom Meeting Link
@@ -67,12 +109,55 @@ const mongoose = require('mongoose'); // Import mongoose for model access
  *         is_active:
  *           type: boolean
  *           description: Whether the session is active
+ *         is_generated:
+ *           type: boolean
+ *           description: Whether the session was generated from the batch schedule
  *         status:
  *           type: string
  *           enum: [scheduled, in_progress, completed, cancelled]
  *           description: Current status of the session
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SessionSnapshot:
+ *       type: object
+ *       properties:
+ *         starts_at: { type: string, format: date-time }
+ *         ends_at: { type: string, format: date-time }
+ *         timezone: { type: string }
+ *         session_date: { type: string, format: date-time }
+ *         start_time: { type: string }
+ *         end_time: { type: string }
+ *         status: { type: string }
+ *     SessionChange:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         session_type: { type: string, enum: [live, group] }
+ *         live_session: { type: string }
+ *         group_session: { type: string }
+ *         action:
+ *           type: string
+ *           enum: [reschedule, cancel, update]
+ *           description: update is a time or status edit made through PUT, which does not notify students
+ *         reason: { type: string }
+ *         previous:
+ *           $ref: '#/components/schemas/SessionSnapshot'
+ *         current:
+ *           $ref: '#/components/schemas/SessionSnapshot'
+ *         changed_by:
+ *           type: object
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *             email: { type: string }
+ *         notified_count: { type: integer, description: Students notified of the change, in-app or by email }
+ *         created_at: { type: string, format: date-time }
+ */
+
 /**
  * @swagger
  * /live-sessions:
@@ -291,9 +376,6 @@ exports.getLiveSessions = async (req, res, next) => {
  *               - batch
  *               - instructor
  *               - title
- *               - session_date
- *               - start_time
- *               - end_time
  *               - meeting_link
  *             properties:
  *               week:
@@ -311,16 +393,26 @@ exports.getLiveSessions = async (req, res, next) => {
  *               description:
  *                 type: string
  *                 description: Description of the live session
- *               session_date:
+ *               starts_at:
  *                 type: string
  *                 format: date-time
- *                 description: Date of the live session
+ *                 description: Start of the session; give starts_at and ends_at, or session_date, start_time and end_time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               session_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the live session in its time zone
  *               start_time:
  *                 type: string
- *                 description: Start time
+ *                 description: Start time, e.g. "10:00" or "10:00 AM"
  *               end_time:
  *                 type: string
  *                 description: End time
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone for session_date, start_time and end_time (defaults to the batch's)
  *               meeting_link:
  *                 type: string
  *                 description: Zoom Meeting Link
@@ -337,6 +429,9 @@ exports.getLiveSessions = async (req, res, next) => {
  *               status:
  *                 type: string
  *                 enum: [scheduled, in_progress, completed, cancelled]
+ *               allow_conflicts:
+ *                 type: boolean
+ *                 description: Save even if the session overlaps with the instructor's, batch's or group's other sessions
  *     responses:
  *       201:
  *         description: Live session created successfully
@@ -350,6 +445,8 @@ exports.getLiveSessions = async (req, res, next) => {
  *                   $ref: '#/components/schemas/LiveSession'
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: Overlaps with other sessions (listed in conflicts) and allow_conflicts was not set
  *       401:
  *         description: Unauthorized
  *       500:
@@ -363,7 +460,23 @@ exports.createLiveSession = async (req, res, next) => {
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const liveSession = await LiveSession.create(req.body);
+    const schedule = resolveSessionSchedule(req.body, null, await getBatchTimeZone(req.body.batch));
+    if (!schedule) {
+      return res.status(400).json({ success: false, error: INVALID_SCHEDULE_ERROR });
+    }
+    const fields = { ...req.body, ...schedule };
+
+    // Reject double-bookings unless the caller explicitly accepts them
+    const conflicts = await findConflicts({ ...fields, kind: 'live' });
+    if (conflicts.length > 0 && req.body.allow_conflicts !== true) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session overlaps with existing sessions. Resolve the conflicts or set allow_conflicts to true.',
+        conflicts
+      });
+    }
+
+    const liveSession = await LiveSession.create(fields);
 
     const populatedLiveSession = await LiveSession.findById(liveSession._id)
       .populate({
@@ -383,7 +496,8 @@ exports.createLiveSession = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      data: populatedLiveSession
+      data: populatedLiveSession,
+      conflicts: conflicts.length > 0 ? conflicts : undefined
     });
   } catch (error) {
     console.error('Create live session error:', error);
@@ -480,12 +594,16 @@ exports.getLiveSession = async (req, res, next) => {
  *               session_date: { type: string, format: date-time, description: Date of the live session }
  *               start_time: { type: string, description: Start time }
  *               end_time: { type: string, description: End time }
+ *               starts_at: { type: string, format: date-time, description: New start; takes precedence over session_date, start_time and end_time }
+ *               ends_at: { type: string, format: date-time }
+ *               timezone: { type: string, description: IANA time zone; on its own it keeps the wall-clock times and moves the instants }
  *               meeting_link: { type: string, description: Zoom Meeting Link }
  *               recording_url: { type: string, description: URL of the recording }
  *               session_type: { type: string, enum: [LS-1, LS-2] }
  *               is_full_class: { type: boolean }
  *               is_active: { type: boolean }
  *               status: { type: string, enum: [scheduled, in_progress, completed, cancelled] }
+ *               allow_conflicts: { type: boolean, description: Save even if the session overlaps with other sessions }
  *     responses:
  *       200:
  *         description: Live Session updated successfully
@@ -499,6 +617,8 @@ exports.getLiveSession = async (req, res, next) => {
  *                   $ref: '#/components/schemas/LiveSession'
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: Overlaps with other sessions (listed in conflicts) and allow_conflicts was not set
  *       401:
  *         description: Unauthorized
  *       404:
@@ -519,7 +639,27 @@ exports.updateLiveSession = async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Live Session not found' });
     }
 
-    liveSession = await LiveSession.findByIdAndUpdate(req.params.id, req.body, {
+    const schedule = resolveSessionSchedule(req.body, liveSession, await getBatchTimeZone(liveSession.batch));
+    if (schedule === null) {
+      return res.status(400).json({ success: false, error: INVALID_SCHEDULE_ERROR });
+    }
+    const fields = { ...req.body, ...schedule };
+
+    let conflicts = [];
+    if (SCHEDULE_FIELDS.some(field => fields[field] !== undefined)) {
+      conflicts = await findConflicts({ ...liveSession.toObject(), ...fields, kind: 'live' }, { excludeId: liveSession._id });
+      if (conflicts.length > 0 && req.body.allow_conflicts !== true) {
+        return res.status(409).json({
+          success: false,
+          error: 'Session overlaps with existing sessions. Resolve the conflicts or set allow_conflicts to true.',
+          conflicts
+        });
+      }
+    }
+
+    const previous = snapshotSession(liveSession);
+
+    liveSession = await LiveSession.findByIdAndUpdate(req.params.id, fields, {
       new: true,
       runValidators: true
     })
@@ -538,7 +678,12 @@ exports.updateLiveSession = async (req, res, next) => {
       .populate('batch', 'name')
       .populate('instructor', 'name email avatar user_id_number'); // Add avatar and user_id_number
 
-    res.status(200).json({ success: true, data: liveSession });
+    // Reschedule and cancel notify students; edits made here are only recorded
+    if (schedule !== undefined || (fields.status !== undefined && fields.status !== previous.status)) {
+      await recordSessionChange('live', liveSession, { action: 'update', previous, userId: req.user.id });
+    }
+
+    res.status(200).json({ success: true, data: liveSession, conflicts: conflicts.length > 0 ? conflicts : undefined });
   } catch (error) {
     console.error('Update live session error:', error);
     next(error);
@@ -592,4 +737,459 @@ exports.deleteLiveSession = async (req, res, next) => {
     console.error('Delete live session error:', error);
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * @swagger
+ * /live-sessions/{id}/reschedule:
+ *   post:
+ *     summary: Move a live session to a new time
+ *     description: |
+ *       Only scheduled sessions can be rescheduled. Pass starts_at and ends_at, or any of session_date,
+ *       start_time, end_time and timezone (the rest are kept). Attendance records move with the session,
+ *       open self check-in is closed, the change is added to the session's history and the batch's students
+ *       are emailed.
+ *     tags: [Live Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason: { type: string, description: Shown to students in the notification }
+ *               starts_at: { type: string, format: date-time }
+ *               ends_at: { type: string, format: date-time }
+ *               session_date: { type: string, format: date }
+ *               start_time: { type: string, example: '14:00' }
+ *               end_time: { type: string, example: '16:00' }
+ *               timezone: { type: string }
+ *               allow_conflicts: { type: boolean, description: Move it even if it overlaps with other sessions }
+ *     responses:
+ *       200:
+ *         description: Session rescheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/LiveSession'
+ *                 change:
+ *                   $ref: '#/components/schemas/SessionChange'
+ *       400:
+ *         description: Validation error, no new time given, or the session is not scheduled
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Live Session not found
+ *       409:
+ *         description: Overlaps with other sessions (listed in conflicts) and allow_conflicts was not set
+ */
+exports.rescheduleLiveSession = async (req, res, next) => {
+  try {
+    console.log(`Reschedule live session request received for ID: ${req.params.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const liveSession = await LiveSession.findById(req.params.id);
+    if (!liveSession) {
+      return res.status(404).json({ success: false, error: 'Live Session not found' });
+    }
+
+    if (liveSession.status !== 'scheduled') {
+      return res.status(400).json({ success: false, error: `Only scheduled sessions can be rescheduled; this one is ${liveSession.status}` });
+    }
+
+    const schedule = resolveSessionSchedule(req.body, liveSession, await getBatchTimeZone(liveSession.batch));
+    if (schedule === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide the new time: starts_at and ends_at, or session_date, start_time or end_time' });
+    }
+    if (schedule === null) {
+      return res.status(400).json({ success: false, error: INVALID_SCHEDULE_ERROR });
+    }
+    if (schedule.starts_at.getTime() === liveSession.starts_at.getTime() && schedule.ends_at.getTime() === liveSession.ends_at.getTime()) {
+      return res.status(400).json({ success: false, error: 'The new time is the same as the current one' });
+    }
+
+    const conflicts = await findConflicts({ ...liveSession.toObject(), ...schedule, kind: 'live' }, { excludeId: liveSession._id });
+    if (conflicts.length > 0 && req.body.allow_conflicts !== true) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session overlaps with existing sessions. Resolve the conflicts or set allow_conflicts to true.',
+        conflicts
+      });
+    }
+
+    const previousStart = liveSession.starts_at;
+    const change = await rescheduleSession('live', liveSession, schedule, { reason: req.body.reason, userId: req.user.id });
+
+    await logActivity(
+      req.user.id,
+      'live_session_reschedule',
+      'LiveSession',
+      liveSession._id,
+      `Rescheduled live session ${liveSession.title} from ${previousStart.toISOString()} to ${liveSession.starts_at.toISOString()}: ${req.body.reason}`,
+      req
+    );
+
+    res.status(200).json({ success: true, data: liveSession, change, conflicts: conflicts.length > 0 ? conflicts : undefined });
+  } catch (error) {
+    console.error('Reschedule live session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /live-sessions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a live session
+ *     description: |
+ *       Scheduled and in-progress sessions can be cancelled. Students already marked absent are
+ *       excused, open self check-in is closed, the change is added to the session's history and
+ *       the batch's students are emailed.
+ *     tags: [Live Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason: { type: string, description: Shown to students in the notification }
+ *     responses:
+ *       200:
+ *         description: Session cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/LiveSession'
+ *                 change:
+ *                   $ref: '#/components/schemas/SessionChange'
+ *       400:
+ *         description: Validation error, or the session is already completed or cancelled
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Live Session not found
+ */
+exports.cancelLiveSession = async (req, res, next) => {
+  try {
+    console.log(`Cancel live session request received for ID: ${req.params.id}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const liveSession = await LiveSession.findById(req.params.id);
+    if (!liveSession) {
+      return res.status(404).json({ success: false, error: 'Live Session not found' });
+    }
+
+    if (!['scheduled', 'in_progress'].includes(liveSession.status)) {
+      return res.status(400).json({ success: false, error: `Cannot cancel a session that is ${liveSession.status}` });
+    }
+
+    const change = await cancelSession('live', liveSession, { reason: req.body.reason, userId: req.user.id });
+
+    await logActivity(req.user.id, 'live_session_cancel', 'LiveSession', liveSession._id, `Cancelled live session ${liveSession.title}: ${req.body.reason}`, req);
+
+    res.status(200).json({ success: true, data: liveSession, change });
+  } catch (error) {
+    console.error('Cancel live session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /live-sessions/{id}/history:
+ *   get:
+ *     summary: Get a live session's change history
+ *     description: Reschedules, cancellations and time or status edits, newest first
+ *     tags: [Live Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Change history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SessionChange'
+ *       403:
+ *         description: Not assigned to this session
+ *       404:
+ *         description: Live Session not found
+ */
+exports.getLiveSessionHistory = async (req, res, next) => {
+  try {
+    const liveSession = await LiveSession.findById(req.params.id).select('_id');
+    if (!liveSession) {
+      return res.status(404).json({ success: false, error: 'Live Session not found' });
+    }
+
+    const history = await getSessionHistory('live', liveSession._id);
+
+    res.status(200).json({ success: true, count: history.length, data: history });
+  } catch (error) {
+    console.error('Get live session history error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /live-sessions/generate:
+ *   post:
+ *     summary: Generate a batch's live sessions from its schedule
+ *     description: |
+ *       Creates one live session per class day (batch class_days, class_start_time and class_end_time)
+ *       for every week of the batch's courses. Each course's weeks, in phase_order and week_order,
+ *       take one calendar week each from the batch course's start date. Holidays and skip_dates are
+ *       left out. With regenerate, future scheduled sessions generated earlier are replaced; past,
+ *       completed, cancelled and manually created sessions, and sessions with attendance, are kept.
+ *       Use dry_run to preview the result without saving. In class_days a spaced dash lists days, so
+ *       "Monday - Friday" means only Monday and Friday; write "Mon-Fri" or "Mon to Fri" for a range.
+ *     tags: [Live Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - batch
+ *             properties:
+ *               batch:
+ *                 type: string
+ *               course:
+ *                 type: string
+ *                 description: Only generate sessions for this course of the batch
+ *               instructor:
+ *                 type: string
+ *                 description: Defaults to the batch's main class instructor
+ *               meeting_link:
+ *                 type: string
+ *                 description: Defaults to the batch's meeting link
+ *               skip_dates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *               regenerate:
+ *                 type: boolean
+ *                 default: false
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 description: With regenerate, first date to replace (defaults to today)
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry-run preview
+ *       201:
+ *         description: Sessions generated
+ *       400:
+ *         description: Validation error, incomplete batch schedule, or sessions already generated
+ *       403:
+ *         description: Not assigned to this batch
+ *       404:
+ *         description: Batch not found
+ */
+exports.generateLiveSessions = async (req, res, next) => {
+  try {
+    console.log(`Generate live sessions request received for batch: ${req.body.batch}`);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { course, skip_dates = [], regenerate = false, dry_run = false } = req.body;
+
+    const batch = await Batch.findById(req.body.batch);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    const classDays = parseClassDays(batch.class_days);
+    if (!classDays) {
+      return res.status(400).json({ success: false, error: `Batch class days "${batch.class_days}" could not be read` });
+    }
+
+    if (parseTimeOfDay(batch.class_start_time) === null || parseTimeOfDay(batch.class_end_time) === null) {
+      return res.status(400).json({ success: false, error: 'Batch class_start_time and class_end_time must be set' });
+    }
+
+    const timeZone = batch.timezone || getDefaultTimeZone();
+
+    const meetingLink = req.body.meeting_link || batch.meeting_link;
+    if (!meetingLink) {
+      return res.status(400).json({ success: false, error: 'Batch has no meeting link; set one or pass meeting_link' });
+    }
+
+    let instructor = req.body.instructor;
+    if (!instructor) {
+      const mainInstructor = await BatchInstructor.findOne({ batch: batch._id, class_type: 'main_class', is_active: true })
+        .sort({ assigned_at: 1 });
+      if (!mainInstructor) {
+        return res.status(400).json({ success: false, error: 'Batch has no main class instructor; assign one or pass instructor' });
+      }
+      instructor = mainInstructor.user;
+    }
+
+    const { weeks, unscheduled } = await buildBatchWeekSchedule(batch, { course });
+    if (weeks.length === 0) {
+      return res.status(400).json({ success: false, error: 'Batch has no course weeks to schedule' });
+    }
+
+    const existing = await LiveSession.find({ batch: batch._id });
+    const previouslyGenerated = existing.filter(session => session.is_generated);
+
+    if (!regenerate && previouslyGenerated.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Sessions were already generated for this batch (${previouslyGenerated.length}). Use regenerate to replace future sessions.`
+      });
+    }
+
+    const from = regenerate ? startOfDay(req.body.from || todayIn(timeZone)) : null;
+
+    // Only untouched future sessions from an earlier run are replaced
+    let replaceable = regenerate
+      ? previouslyGenerated.filter(session => session.status === 'scheduled' && session.session_date >= from)
+      : [];
+    if (replaceable.length > 0) {
+      const withAttendance = new Set((await Attendance.distinct('live_session', {
+        live_session: { $in: replaceable.map(session => session._id) }
+      })).map(id => id.toString()));
+      replaceable = replaceable.filter(session => !withAttendance.has(session._id.toString()));
+    }
+
+    const replaceableIds = new Set(replaceable.map(session => session._id.toString()));
+    const keptDates = new Set(existing
+      .filter(session => !replaceableIds.has(session._id.toString()))
+      .map(session => toDateKey(startOfDay(session.session_date))));
+
+    const exclusions = await loadExclusions(skip_dates);
+    const { planned, skipped } = planSessions({ weeks, classDays, exclusions, from });
+
+    const sessions = [];
+    planned.forEach(({ week, date, index }) => {
+      if (keptDates.has(toDateKey(date))) {
+        skipped.push({ week: week._id, week_name: week.week_name, date: toDateKey(date), reason: 'Session already exists' });
+        return;
+      }
+
+      const baseTitle = (week.live_session && week.live_session.title) || `${week.week_name} Live Session`;
+
+      sessions.push({
+        week: week._id,
+        batch: batch._id,
+        instructor,
+        title: `${baseTitle} ${index}`,
+        description: (week.live_session && week.live_session.description) || week.week_description,
+        ...buildSessionSchedule({ session_date: date, start_time: batch.class_start_time, end_time: batch.class_end_time }, timeZone),
+        meeting_link: meetingLink,
+        session_type: index % 2 === 1 ? 'LS-1' : 'LS-2',
+        is_full_class: true,
+        is_generated: true,
+        status: 'scheduled'
+      });
+    });
+
+    skipped.sort((a, b) => a.date.localeCompare(b.date));
+
+    if (dry_run) {
+      return res.status(200).json({
+        success: true,
+        dry_run: true,
+        data: {
+          create: sessions.map(session => ({ ...session, session_date: toDateKey(session.session_date) })),
+          replace: replaceable.map(session => ({
+            _id: session._id,
+            title: session.title,
+            session_date: toDateKey(startOfDay(session.session_date))
+          })),
+          skipped,
+          unscheduled_weeks: unscheduled
+        }
+      });
+    }
+
+    if (replaceable.length > 0) {
+      await LiveSession.deleteMany({ _id: { $in: replaceable.map(session => session._id) } });
+    }
+    const created = await LiveSession.insertMany(sessions);
+
+    await logActivity(
+      req.user.id,
+      'live_session_generate',
+      'Batch',
+      batch._id,
+      `Generated ${created.length} live session(s) for batch ${batch.name}` +
+        (replaceable.length > 0 ? `, replacing ${replaceable.length}` : '') +
+        (skipped.length > 0 ? `, skipping ${skipped.length} date(s)` : ''),
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      count: created.length,
+      data: {
+        created,
+        replaced: replaceable.length,
+        skipped,
+        unscheduled_weeks: unscheduled
+      }
+    });
+  } catch (error) {
+    console.error('Generate live sessions error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,462 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const {
+  NOTIFICATION_CATEGORIES,
+  getNotificationPreferences
+} = require('../utils/notifications');
+const logActivity = require('../utils/activityLogger');
+
+// Unread notifications of the signed-in user, in total and per category
+const countUnread = async (userId) => {
+  const counts = await Notification.aggregate([
+    { $match: { user: userId, read_at: null } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  const by_category = NOTIFICATION_CATEGORIES.reduce((result, category) => {
+    result[category] = 0;
+    return result;
+  }, {});
+  counts.forEach(({ _id, count }) => { by_category[_id] = count; });
+
+  return {
+    unread_count: counts.reduce((total, { count }) => total + count, 0),
+    unread_by_category: by_category
+  };
+};
+
+const notFound = (res) => res.status(404).json({ success: false, error: 'Notification not found' });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [session_reminders, session_changes, enrollment, grading, announcements, batch_updates]
+ *         type:
+ *           type: string
+ *           description: What happened, such as session.rescheduled
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         link:
+ *           type: string
+ *           description: Client path to open
+ *         data:
+ *           type: object
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     NotificationChannels:
+ *       type: object
+ *       properties:
+ *         in_app: { type: boolean }
+ *         email: { type: boolean }
+ *     NotificationPreferences:
+ *       type: object
+ *       description: Channels per category
+ *       properties:
+ *         session_reminders: { $ref: '#/components/schemas/NotificationChannels' }
+ *         session_changes: { $ref: '#/components/schemas/NotificationChannels' }
+ *         enrollment: { $ref: '#/components/schemas/NotificationChannels' }
+ *         grading: { $ref: '#/components/schemas/NotificationChannels' }
+ *         announcements: { $ref: '#/components/schemas/NotificationChannels' }
+ *         batch_updates: { $ref: '#/components/schemas/NotificationChannels' }
+ */
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: Get my notifications
+ *     description: Newest first, with unread counts. Real-time clients also receive each new notification as "notification.created".
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread (true) or only read (false) notifications
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only notifications in this category
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 unread_count: { type: integer }
+ *                 unread_by_category:
+ *                   type: object
+ *                   additionalProperties: { type: integer }
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page: { type: integer }
+ *                     limit: { type: integer }
+ *                     total: { type: integer }
+ *                     pages: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Invalid filter
+ */
+// @desc    Get my notifications
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const query = { user: req.user._id };
+    if (req.query.unread !== undefined) {
+      query.read_at = req.query.unread === 'true' ? null : { $ne: null };
+    }
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(query)
+        .sort({ created_at: -1 })
+        .skip(startIndex)
+        .limit(limit),
+      Notification.countDocuments(query),
+      countUnread(req.user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      ...unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   put:
+ *     summary: Mark all my notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only notifications in this category
+ *     responses:
+ *       200:
+ *         description: Notifications marked read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated: { type: integer }
+ */
+// @desc    Mark all my notifications read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const query = { user: req.user._id, read_at: null };
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const result = await Notification.updateMany(query, { $set: { read_at: new Date() } });
+
+    res.status(200).json({ success: true, data: { updated: result.modifiedCount } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked read
+ *       404:
+ *         description: Notification not found
+ */
+// @desc    Mark a notification read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return notFound(res);
+    }
+
+    if (!notification.read_at) {
+      notification.read_at = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({ success: true, data: notification });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /notifications/{id}/unread:
+ *   put:
+ *     summary: Mark a notification unread
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked unread
+ *       404:
+ *         description: Notification not found
+ */
+// @desc    Mark a notification unread
+// @route   PUT /api/notifications/:id/unread
+// @access  Private
+exports.markNotificationUnread = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { read_at: null } },
+      { new: true }
+    );
+    if (!notification) {
+      return notFound(res);
+    }
+
+    res.status(200).json({ success: true, data: notification });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *       404:
+ *         description: Notification not found
+ */
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+exports.deleteNotification = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return notFound(res);
+    }
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   get:
+ *     summary: Get my notification preferences
+ *     description: Channels each category is delivered on; categories never changed show their defaults.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ */
+// @desc    Get my notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('notification_preferences');
+
+    res.status(200).json({ success: true, data: getNotificationPreferences(user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   put:
+ *     summary: Update my notification preferences
+ *     description: Only the categories and channels given change.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 $ref: '#/components/schemas/NotificationPreferences'
+ *           example:
+ *             preferences:
+ *               session_reminders: { email: false }
+ *               grading: { in_app: true, email: true }
+ *     responses:
+ *       200:
+ *         description: Preferences after the update
+ *       400:
+ *         description: Unknown category or channel, or a value that is not true or false
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+// @desc    Update my notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const update = {};
+    Object.entries(req.body.preferences).forEach(([category, channels]) => {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        update[`notification_preferences.${category}.${channel}`] = enabled;
+      });
+    });
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true })
+      .select('notification_preferences');
+
+    await logActivity(req.user.id, 'update', 'User', req.user.id, 'Updated notification preferences', req);
+
+    res.status(200).json({ success: true, data: getNotificationPreferences(user) });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,389 @@
+const Permission = require('../models/Permission');
+const RolePermission = require('../models/RolePermission');
+const { validationResult } = require('express-validator');
+const logActivity = require('../utils/activityLogger');
+const { clearAccessCache } = require('../utils/permissionCache');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Permission:
+ *       type: object
+ *       required:
+ *         - resource_type
+ *         - action
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated ID of the permission
+ *         code:
+ *           type: string
+ *           description: Unique code in the form resource:action
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         resource_type:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [create, read, update, delete, manage]
+ *         is_system_permission:
+ *           type: boolean
+ *           description: Built-in permissions cannot be deleted or re-targeted
+ */
+
+/**
+ * @swagger
+ * /permissions:
+ *   get:
+ *     summary: Get all permissions
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: resource_type
+ *         schema:
+ *           type: string
+ *         description: Filter by resource type
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Filter by action
+ *     responses:
+ *       200:
+ *         description: List of permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Permission'
+ */
+// @desc    Get all permissions
+// @route   GET /api/permissions
+// @access  Private
+exports.getPermissions = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.resource_type) filter.resource_type = req.query.resource_type;
+    if (req.query.action) filter.action = req.query.action;
+
+    const permissions = await Permission.find(filter).sort({ resource_type: 1, action: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: permissions.length,
+      data: permissions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /permissions/{id}:
+ *   get:
+ *     summary: Get a single permission and the roles it is granted to
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Permission ID
+ *     responses:
+ *       200:
+ *         description: Permission details
+ *       404:
+ *         description: Permission not found
+ */
+// @desc    Get single permission
+// @route   GET /api/permissions/:id
+// @access  Private
+exports.getPermission = async (req, res, next) => {
+  try {
+    const permission = await Permission.findById(req.params.id);
+
+    if (!permission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Permission not found'
+      });
+    }
+
+    const rolePermissions = await RolePermission.find({
+      permission: permission._id,
+      is_granted: true
+    }).populate('role', 'name description is_system_role');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...permission.toObject(),
+        roles: rolePermissions.filter(rp => rp.role).map(rp => rp.role)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /permissions:
+ *   post:
+ *     summary: Create a custom permission
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resource_type
+ *               - action
+ *             properties:
+ *               resource_type:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [create, read, update, delete, manage]
+ *               name:
+ *                 type: string
+ *                 description: Defaults to "<action> <resource_type>"
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Permission created
+ *       400:
+ *         description: Validation error or duplicate permission
+ */
+// @desc    Create permission
+// @route   POST /api/permissions
+// @access  Private/Admin
+exports.createPermission = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const resourceType = req.body.resource_type.trim().toLowerCase();
+    const { action, name, description } = req.body;
+    const code = `${resourceType}:${action}`;
+
+    if (await Permission.findOne({ code })) {
+      return res.status(400).json({
+        success: false,
+        error: `Permission ${code} already exists`
+      });
+    }
+
+    const permission = await Permission.create({
+      code,
+      name: name || `${action} ${resourceType}`,
+      description,
+      resource_type: resourceType,
+      action,
+      is_system_permission: false
+    });
+
+    await logActivity(req.user.id, 'permission_create', 'Permission', permission._id, `Created permission ${code}`, req);
+
+    res.status(201).json({
+      success: true,
+      data: permission
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /permissions/{id}:
+ *   put:
+ *     summary: Update a permission
+ *     description: Only custom permissions can change their resource type or action.
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Permission ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               resource_type:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [create, read, update, delete, manage]
+ *     responses:
+ *       200:
+ *         description: Permission updated
+ *       400:
+ *         description: Validation error, duplicate code, or attempt to re-target a system permission
+ *       404:
+ *         description: Permission not found
+ */
+// @desc    Update permission
+// @route   PUT /api/permissions/:id
+// @access  Private/Admin
+exports.updatePermission = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const permission = await Permission.findById(req.params.id);
+
+    if (!permission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Permission not found'
+      });
+    }
+
+    const { name, description, resource_type, action } = req.body;
+
+    if (resource_type !== undefined || action !== undefined) {
+      const resourceType = resource_type !== undefined ? resource_type.trim().toLowerCase() : permission.resource_type;
+      const newAction = action !== undefined ? action : permission.action;
+      const code = `${resourceType}:${newAction}`;
+
+      if (code !== permission.code) {
+        // Code changes would silently break checkPermission calls that rely on system permissions
+        if (permission.is_system_permission) {
+          return res.status(400).json({
+            success: false,
+            error: 'System permissions cannot change resource type or action'
+          });
+        }
+
+        if (await Permission.findOne({ code })) {
+          return res.status(400).json({
+            success: false,
+            error: `Permission ${code} already exists`
+          });
+        }
+
+        permission.resource_type = resourceType;
+        permission.action = newAction;
+        permission.code = code;
+      }
+    }
+
+    if (name !== undefined) permission.name = name;
+    if (description !== undefined) permission.description = description;
+
+    await permission.save();
+    clearAccessCache();
+
+    await logActivity(req.user.id, 'permission_update', 'Permission', permission._id, `Updated permission ${permission.code}`, req);
+
+    res.status(200).json({
+      success: true,
+      data: permission
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /permissions/{id}:
+ *   delete:
+ *     summary: Delete a custom permission
+ *     description: Also removes the permission from every role it was granted to.
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Permission ID
+ *     responses:
+ *       200:
+ *         description: Permission deleted
+ *       400:
+ *         description: System permissions cannot be deleted
+ *       404:
+ *         description: Permission not found
+ */
+// @desc    Delete permission
+// @route   DELETE /api/permissions/:id
+// @access  Private/Admin
+exports.deletePermission = async (req, res, next) => {
+  try {
+    const permission = await Permission.findById(req.params.id);
+
+    if (!permission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Permission not found'
+      });
+    }
+
+    if (permission.is_system_permission) {
+      return res.status(400).json({
+        success: false,
+        error: 'System permissions cannot be deleted'
+      });
+    }
+
+    const { deletedCount } = await RolePermission.deleteMany({ permission: permission._id });
+    await Permission.findByIdAndDelete(permission._id);
+    clearAccessCache();
+
+    await logActivity(
+      req.user.id,
+      'permission_delete',
+      'Permission',
+      permission._id,
+      `Deleted permission ${permission.code} (removed from ${deletedCount} role(s))`,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
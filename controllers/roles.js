@@ -0,0 +1,772 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const RolePermission = require('../models/RolePermission');
+const UserRole = require('../models/UserRole');
+const { validationResult } = require('express-validator');
+const logActivity = require('../utils/activityLogger');
+const { getRequestAccess, clearAccessCache } = require('../utils/permissionCache');
+
+// Check whether the requesting user holds the super_admin role
+const requesterIsSuperAdmin = async (req) => {
+  const access = await getRequestAccess(req);
+  return access.roles.includes('super_admin');
+};
+
+// Only super admins may change what the super_admin role can do
+const guardSuperAdminRole = async (req, res, role) => {
+  if (role.name === 'super_admin' && !(await requesterIsSuperAdmin(req))) {
+    res.status(403).json({
+      success: false,
+      error: 'Only super admins can modify the super_admin role'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Find a permission by ObjectId or by code (e.g. "courses:read")
+const findPermission = (idOrCode) => {
+  if (mongoose.Types.ObjectId.isValid(idOrCode)) {
+    return Permission.findById(idOrCode);
+  }
+  return Permission.findOne({ code: idOrCode });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       required:
+ *         - name
+ *         - description
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated ID of the role
+ *         name:
+ *           type: string
+ *           description: Unique role name (lowercase letters, numbers and underscores)
+ *         description:
+ *           type: string
+ *           description: What the role is for
+ *         is_system_role:
+ *           type: boolean
+ *           description: Built-in roles cannot be renamed or deleted
+ *         permission_level:
+ *           type: integer
+ *           description: Relative rank of the role (higher is more privileged)
+ */
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: Get all roles with holder and permission counts
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Role'
+ *                       - type: object
+ *                         properties:
+ *                           user_count: { type: integer }
+ *                           permission_count: { type: integer }
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private
+exports.getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ permission_level: -1, name: 1 }).lean();
+
+    const [userCounts, permissionCounts] = await Promise.all([
+      UserRole.aggregate([
+        { $match: UserRole.activeFilter() },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ]),
+      RolePermission.aggregate([
+        { $match: { is_granted: true } },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countFor = (counts, roleId) => {
+      const entry = counts.find(c => c._id.toString() === roleId.toString());
+      return entry ? entry.count : 0;
+    };
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({
+        ...role,
+        user_count: countFor(userCounts, role._id),
+        permission_count: countFor(permissionCounts, role._id)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles/{id}:
+ *   get:
+ *     summary: Get a single role with its granted permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private
+exports.getRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const rolePermissions = await RolePermission.find({
+      role: role._id,
+      is_granted: true
+    }).populate('permission');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...role.toObject(),
+        permissions: rolePermissions
+          .filter(rp => rp.permission)
+          .map(rp => rp.permission)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles:
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - description
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Unique role name, e.g. "teaching_assistant"
+ *               description:
+ *                 type: string
+ *               permission_level:
+ *                 type: integer
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Permission IDs or codes (e.g. "courses:read") to grant immediately
+ *     responses:
+ *       201:
+ *         description: Role created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error, reserved or duplicate name, or unknown permission
+ */
+// @desc    Create custom role
+// @route   POST /api/roles
+// @access  Private/Admin
+exports.createRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, description, permission_level, permissions = [] } = req.body;
+    const normalizedName = name.trim().toLowerCase();
+
+    if (Role.SYSTEM_ROLE_NAMES.includes(normalizedName)) {
+      return res.status(400).json({
+        success: false,
+        error: `"${normalizedName}" is a reserved system role name`
+      });
+    }
+
+    if (await Role.findOne({ name: normalizedName })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A role with this name already exists'
+      });
+    }
+
+    // Resolve permissions up front so a typo does not leave a half-configured role
+    const permissionDocs = [];
+    for (const idOrCode of permissions) {
+      const permission = await findPermission(idOrCode);
+      if (!permission) {
+        return res.status(400).json({
+          success: false,
+          error: `Permission not found: ${idOrCode}`
+        });
+      }
+      permissionDocs.push(permission);
+    }
+
+    const role = await Role.create({
+      name: normalizedName,
+      description,
+      permission_level: permission_level || 0,
+      is_system_role: false
+    });
+
+    if (permissionDocs.length > 0) {
+      await RolePermission.insertMany(permissionDocs.map(permission => ({
+        role: role._id,
+        permission: permission._id,
+        is_granted: true,
+        granted_by: req.user.id
+      })));
+    }
+
+    await logActivity(
+      req.user.id,
+      'role_create',
+      'Role',
+      role._id,
+      `Created role ${role.name}${permissionDocs.length ? ` with permissions ${permissionDocs.map(p => p.code).join(', ')}` : ''}`,
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles/{id}:
+ *   put:
+ *     summary: Update a role
+ *     description: System roles can only have their description and permission level changed.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: New name (custom roles only)
+ *               description:
+ *                 type: string
+ *               permission_level:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error or attempt to rename a system role
+ *       403:
+ *         description: Only super admins can modify the super_admin role
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private/Admin
+exports.updateRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (!(await guardSuperAdminRole(req, res, role))) return;
+
+    const { name, description, permission_level } = req.body;
+    const changes = [];
+
+    if (name !== undefined && name.trim().toLowerCase() !== role.name) {
+      const normalizedName = name.trim().toLowerCase();
+
+      if (role.is_system_role) {
+        return res.status(400).json({
+          success: false,
+          error: 'System roles cannot be renamed'
+        });
+      }
+
+      if (Role.SYSTEM_ROLE_NAMES.includes(normalizedName)) {
+        return res.status(400).json({
+          success: false,
+          error: `"${normalizedName}" is a reserved system role name`
+        });
+      }
+
+      changes.push(`name ${role.name} -> ${normalizedName}`);
+      role.name = normalizedName;
+    }
+
+    if (description !== undefined) {
+      role.description = description;
+      changes.push('description');
+    }
+
+    if (permission_level !== undefined) {
+      changes.push(`permission_level ${role.permission_level} -> ${permission_level}`);
+      role.permission_level = permission_level;
+    }
+
+    await role.save();
+
+    // Role names are part of every holder's cached access
+    clearAccessCache();
+
+    await logActivity(req.user.id, 'role_update', 'Role', role._id, `Updated role ${role.name}: ${changes.join(', ') || 'no changes'}`, req);
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     description: System roles cannot be deleted, and a role still held by users must be removed from them first.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: System role, or role still assigned to users
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Delete custom role
+// @route   DELETE /api/roles/:id
+// @access  Private/Admin
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role.is_system_role) {
+      return res.status(400).json({
+        success: false,
+        error: 'System roles cannot be deleted'
+      });
+    }
+
+    const holders = await UserRole.countDocuments(UserRole.activeFilter({ role: role._id }));
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Role is still assigned to ${holders} user(s). Remove it from them first.`
+      });
+    }
+
+    await RolePermission.deleteMany({ role: role._id });
+    await UserRole.deleteMany({ role: role._id });
+    await Role.findByIdAndDelete(role._id);
+    clearAccessCache();
+
+    await logActivity(req.user.id, 'role_delete', 'Role', role._id, `Deleted role ${role.name}`, req);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles/{id}/permissions:
+ *   get:
+ *     summary: Get the permissions granted to a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Granted permissions
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Get role permissions
+// @route   GET /api/roles/:id/permissions
+// @access  Private
+exports.getRolePermissions = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const rolePermissions = await RolePermission.find({
+      role: role._id,
+      is_granted: true
+    })
+      .populate('permission')
+      .populate('granted_by', 'name email');
+
+    const data = rolePermissions.filter(rp => rp.permission);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles/{id}/permissions:
+ *   post:
+ *     summary: Grant a permission to a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permission
+ *             properties:
+ *               permission:
+ *                 type: string
+ *                 description: Permission ID or code (e.g. "groups:update")
+ *     responses:
+ *       200:
+ *         description: Permission was already granted
+ *       201:
+ *         description: Permission granted
+ *       403:
+ *         description: Only super admins can modify the super_admin role
+ *       404:
+ *         description: Role or permission not found
+ */
+// @desc    Grant permission to role
+// @route   POST /api/roles/:id/permissions
+// @access  Private/Admin
+exports.grantPermission = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (!(await guardSuperAdminRole(req, res, role))) return;
+
+    const permission = await findPermission(req.body.permission);
+
+    if (!permission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Permission not found'
+      });
+    }
+
+    const existing = await RolePermission.findOne({ role: role._id, permission: permission._id });
+
+    if (existing && existing.is_granted) {
+      return res.status(200).json({
+        success: true,
+        data: existing
+      });
+    }
+
+    let rolePermission;
+    if (existing) {
+      existing.is_granted = true;
+      existing.granted_by = req.user.id;
+      existing.granted_at = Date.now();
+      rolePermission = await existing.save();
+    } else {
+      rolePermission = await RolePermission.create({
+        role: role._id,
+        permission: permission._id,
+        is_granted: true,
+        granted_by: req.user.id
+      });
+    }
+
+    clearAccessCache();
+
+    await logActivity(req.user.id, 'permission_grant', 'RolePermission', rolePermission._id, `Granted ${permission.code} to role ${role.name}`, req);
+
+    res.status(201).json({
+      success: true,
+      data: rolePermission
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles/{id}/permissions/{permissionId}:
+ *   delete:
+ *     summary: Revoke a permission from a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *       - in: path
+ *         name: permissionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Permission ID or code
+ *     responses:
+ *       200:
+ *         description: Permission revoked
+ *       403:
+ *         description: Only super admins can modify the super_admin role
+ *       404:
+ *         description: Role, permission or grant not found
+ */
+// @desc    Revoke permission from role
+// @route   DELETE /api/roles/:id/permissions/:permissionId
+// @access  Private/Admin
+exports.revokePermission = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (!(await guardSuperAdminRole(req, res, role))) return;
+
+    const permission = await findPermission(req.params.permissionId);
+
+    if (!permission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Permission not found'
+      });
+    }
+
+    const rolePermission = await RolePermission.findOne({
+      role: role._id,
+      permission: permission._id,
+      is_granted: true
+    });
+
+    if (!rolePermission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role does not have this permission'
+      });
+    }
+
+    rolePermission.is_granted = false;
+    await rolePermission.save();
+    clearAccessCache();
+
+    await logActivity(req.user.id, 'permission_revoke', 'RolePermission', rolePermission._id, `Revoked ${permission.code} from role ${role.name}`, req);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /roles/{id}/users:
+ *   get:
+ *     summary: List the users holding a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Active role assignments with user details
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Get users holding a role
+// @route   GET /api/roles/:id/users
+// @access  Private
+exports.getRoleUsers = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const userRoles = await UserRole.find(UserRole.activeFilter({ role: role._id }))
+      .populate('user', 'name email phone is_active')
+      .populate('assigned_by', 'name email')
+      .sort({ assigned_at: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: userRoles.length,
+      data: userRoles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
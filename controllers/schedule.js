@@ -0,0 +1,104 @@
+const { validationResult } = require('express-validator');
+const { findConflictsInRange } = require('../utils/scheduleConflicts');
+const { startOfDay, todayIn, getRequestTimeZone } = require('../utils/timezone');
+const { hasGlobalScope, canAccessResource } = require('../utils/resourceScope');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * @swagger
+ * /schedule/conflicts:
+ *   get:
+ *     summary: List overlapping live and group sessions
+ *     description: |
+ *       Pairs of sessions that overlap in time and share an instructor, a group, or a batch (a live
+ *       session and another session of the same batch). Cancelled and inactive sessions are ignored.
+ *       Instructors see conflicts involving their own sessions, or a batch or group they are assigned to.
+ *     tags: [Schedule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Range start (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Range end, inclusive (defaults to 30 days after from, at most 366)
+ *       - in: query
+ *         name: instructor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: batch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conflicting session pairs ordered by start time
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Not assigned to the batch or group
+ */
+// @desc    Get schedule conflicts
+// @route   GET /api/schedule/conflicts
+// @access  Private/Instructor
+exports.getConflicts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const from = startOfDay(req.query.from || todayIn(getRequestTimeZone(req)));
+    const to = req.query.to
+      ? new Date(startOfDay(req.query.to).getTime() + DAY_MS)
+      : new Date(from.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (to <= from) {
+      return res.status(400).json({ success: false, error: 'to must not be before from' });
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ success: false, error: `The range cannot be longer than ${MAX_RANGE_DAYS} days` });
+    }
+
+    const { batch, group } = req.query;
+    let { instructor } = req.query;
+
+    if (!(await hasGlobalScope(req.user.id))) {
+      if (group || batch) {
+        const allowed = group
+          ? await canAccessResource(req.user.id, 'groups', group)
+          : await canAccessResource(req.user.id, 'batches', batch);
+        if (!allowed) {
+          return res.status(403).json({ success: false, error: `Not authorized: you are not assigned to this ${group ? 'group' : 'batch'}` });
+        }
+      } else {
+        instructor = req.user.id;
+      }
+    }
+
+    const conflicts = await findConflictsInRange(from, to, { instructor, batch, group });
+
+    res.status(200).json({
+      success: true,
+      count: conflicts.length,
+      range: { from, to },
+      data: conflicts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,7 @@ const Role = require('../models/Role');
 const UserRole = require('../models/UserRole');
 const { validationResult } = require('express-validator');
 const logActivity = require('../utils/activityLogger');
+const { getRequestAccess, invalidateUserAccess } = require('../utils/permissionCache');
 
 /**
  * @swagger
@@ -34,6 +35,13 @@ const logActivity = require('../utils/activityLogger');
  *         address:
  *           type: string
  *           description: The physical address of the user
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone session times are shown in
+ *         calendar:
+ *           type: string
+ *           enum: [gregorian, ethiopian]
+ *           description: Calendar dates and times are shown in
  *         is_active:
  *           type: boolean
  *           description: Whether the user account is active
@@ -109,7 +117,7 @@ exports.getUsers = async (req, res, next) => {
     if (role) {
       const roleDoc = await Role.findOne({ name: role });
       if (roleDoc) {
-        const userRoles = await UserRole.find({ role: roleDoc._id, is_active: true }).select('user');
+        const userRoles = await UserRole.find(UserRole.activeFilter({ role: roleDoc._id })).select('user');
         const userIds = userRoles.map(ur => ur.user);
         query._id = { $in: userIds };
       } else {
@@ -118,7 +126,7 @@ exports.getUsers = async (req, res, next) => {
     }
 
     // Explicitly select fields for clarity and frontend needs
-    users = await User.find(query).select('name email phone address is_active is_email_verified created_at');
+    users = await User.find(query).select('name email phone address timezone calendar is_active is_email_verified created_at');
     
     res.status(200).json({
       success: true,
@@ -171,7 +179,7 @@ exports.getUsers = async (req, res, next) => {
 exports.getUser = async (req, res, next) => {
   try {
     // Explicitly select fields for clarity and frontend needs
-    const user = await User.findById(req.params.id).select('name email phone address is_active is_email_verified created_at');
+    const user = await User.findById(req.params.id).select('name email phone address timezone calendar is_active is_email_verified created_at');
     
     if (!user) {
       return res.status(404).json({
@@ -348,6 +356,13 @@ exports.createUser = async (req, res, next) => {
  *               address:
  *                 type: string
  *                 description: Updated address of the user
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone session times are shown in
+ *               calendar:
+ *                 type: string
+ *                 enum: [gregorian, ethiopian]
+ *                 description: Calendar dates and times are shown in
  *               is_active:
  *                 type: boolean
  *                 description: Whether the user account is active
@@ -384,7 +399,7 @@ exports.updateUser = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { name, email, phone, address, is_active } = req.body;
+    const { name, email, phone, address, timezone, calendar, is_active } = req.body;
     
     // Find user
     let user = await User.findById(req.params.id);
@@ -399,9 +414,9 @@ exports.updateUser = async (req, res, next) => {
     // Update user
     user = await User.findByIdAndUpdate(
       req.params.id,
-      { name, email, phone, address, is_active },
+      { name, email, phone, address, timezone, calendar, is_active },
       { new: true, runValidators: true }
-    ).select('name email phone address is_active is_email_verified created_at');
+    ).select('name email phone address timezone calendar is_active is_email_verified created_at');
     
     // Log the user update activity
     await logActivity(req.user.id, 'update', 'User', user._id, `Updated user: ${user.email}`, req);
@@ -544,10 +559,7 @@ exports.getUserRoles = async (req, res, next) => {
     }
     
     // Get user roles
-    const userRoles = await UserRole.find({
-      user: user._id,
-      is_active: true
-    }).populate('role');
+    const userRoles = await UserRole.find(UserRole.activeFilter({ user: user._id })).populate('role');
     
     res.status(200).json({
       success: true,
@@ -586,7 +598,16 @@ exports.getUserRoles = async (req, res, next) => {
  *               role:
  *                 type: string
  *                 description: ID of the role to assign
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of a temporary assignment (cannot be combined with duration_days)
+ *               duration_days:
+ *                 type: number
+ *                 description: Length of a temporary assignment in days
  *     responses:
+ *       200:
+ *         description: Inactive or expired role reactivated, or expiry of a temporary role updated
  *       201:
  *         description: Role assigned successfully
  *         content:
@@ -602,9 +623,10 @@ exports.getUserRoles = async (req, res, next) => {
  *                     user: { type: string }
  *                     role: { type: string }
  *                     assigned_at: { type: string, format: date-time }
+ *                     expires_at: { type: string, format: date-time }
  *                     is_active: { type: boolean }
  *       400:
- *         description: Bad request (validation error or user already has role)
+ *         description: Bad request (validation error, expiry in the past, or user already has role)
  *       401:
  *         description: Unauthorized
  *       403:
@@ -623,7 +645,31 @@ exports.assignRole = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { role } = req.body;
+    const { role, expires_at, duration_days } = req.body;
+    
+    if (expires_at && duration_days) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either expires_at or duration_days, not both'
+      });
+    }
+    
+    // Temporary assignments end at expires_at; permanent ones have none
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+    } else if (duration_days) {
+      expiresAt = new Date(Date.now() + Number(duration_days) * 24 * 60 * 60 * 1000);
+    }
+    
+    if (expiresAt && expiresAt <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role expiry must be in the future'
+      });
+    }
+    
+    const expiryNote = expiresAt ? ` until ${expiresAt.toISOString()}` : '';
     
     // Find user
     const user = await User.findById(req.params.id);
@@ -646,14 +692,8 @@ exports.assignRole = async (req, res, next) => {
     }
     
     // Check if the current user is a super_admin
-    const userRoles = await UserRole.find({ 
-      user: req.user.id,
-      is_active: true
-    }).populate('role');
-    
-    const isSuperAdmin = userRoles.some(userRole => 
-      userRole.role.name === 'super_admin'
-    );
+    const access = await getRequestAccess(req);
+    const isSuperAdmin = access.roles.includes('super_admin');
     
     if (!isSuperAdmin && roleDoc.name !== 'student') {
       return res.status(403).json({
@@ -669,12 +709,34 @@ exports.assignRole = async (req, res, next) => {
     });
     
     if (existingUserRole) {
-      // If role exists but is inactive, reactivate it
-      if (!existingUserRole.is_active) {
+      const hasExpired = existingUserRole.expires_at && existingUserRole.expires_at <= Date.now();
+      
+      // If role exists but is inactive or has expired, reactivate it
+      if (!existingUserRole.is_active || hasExpired) {
         existingUserRole.is_active = true;
         existingUserRole.assigned_by = req.user.id;
         existingUserRole.assigned_at = Date.now();
+        existingUserRole.expires_at = expiresAt;
+        existingUserRole.removed_at = undefined;
+        existingUserRole.removed_by = undefined;
         await existingUserRole.save();
+        invalidateUserAccess(user._id);
+        
+        await logActivity(req.user.id, 'role_assign', 'UserRole', existingUserRole._id, `Reassigned role ${roleDoc.name} to user ${user.email}${expiryNote}`, req);
+        
+        return res.status(200).json({
+          success: true,
+          data: existingUserRole
+        });
+      }
+      
+      // Extend, shorten or make permanent an active temporary grant
+      if (expiresAt || existingUserRole.expires_at) {
+        existingUserRole.expires_at = expiresAt;
+        await existingUserRole.save();
+        invalidateUserAccess(user._id);
+        
+        await logActivity(req.user.id, 'role_assign', 'UserRole', existingUserRole._id, `Changed expiry of role ${roleDoc.name} for user ${user.email} to ${expiresAt ? expiresAt.toISOString() : 'never'}`, req);
         
         return res.status(200).json({
           success: true,
@@ -693,11 +755,13 @@ exports.assignRole = async (req, res, next) => {
       user: user._id,
       role: roleDoc._id,
       assigned_by: req.user.id,
-      assigned_at: Date.now()
+      assigned_at: Date.now(),
+      expires_at: expiresAt
     });
+    invalidateUserAccess(user._id);
     
     // Log the role assignment activity
-    await logActivity(req.user.id, 'role_assign', 'UserRole', userRole._id, `Assigned role ${roleDoc.name} to user ${user.email}`, req);
+    await logActivity(req.user.id, 'role_assign', 'UserRole', userRole._id, `Assigned role ${roleDoc.name} to user ${user.email}${expiryNote}`, req);
     
     res.status(201).json({
       success: true,
@@ -741,6 +805,7 @@ exports.removeRole = async (req, res, next) => {
     userRole.removed_by = req.user.id;
     userRole.removed_at = Date.now();
     await userRole.save();
+    invalidateUserAccess(user._id);
     
     // Log the role removal activity
     await logActivity(req.user.id, 'role_remove', 'UserRole', userRole._id, `Removed role from user ${user.email}`, req);
@@ -0,0 +1,638 @@
+const { validationResult } = require('express-validator');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logActivity = require('../utils/activityLogger');
+const {
+  WEBHOOK_EVENT_NAMES,
+  SIGNATURE_HEADER,
+  generateSecret,
+  sendTestEvent,
+  replayDelivery
+} = require('../utils/webhooks');
+
+const endpointNotFound = (res) => res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+const deliveryNotFound = (res) => res.status(404).json({ success: false, error: 'Webhook delivery not found' });
+
+// The secret is shown once, when it is created or rotated
+const withSecret = (endpoint, secret) => ({ ...endpoint.toObject(), secret });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEndpoint:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: Receives a signed POST for each event
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [enrollment.created, enrollment.updated, enrollment.dropped, enrollment.deleted, payment.paid, batch.status_changed, session.rescheduled, session.cancelled]
+ *         is_active:
+ *           type: boolean
+ *         secret:
+ *           type: string
+ *           description: HMAC-SHA256 signing key. Only returned when the endpoint is created or its secret rotated.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         endpoint:
+ *           type: string
+ *         event:
+ *           type: string
+ *         event_id:
+ *           type: string
+ *           description: Same for every delivery and replay of one event
+ *         payload:
+ *           type: object
+ *           description: Body as sent ({ id, event, created_at, data })
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempt_count:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempted_at: { type: string, format: date-time }
+ *               status_code: { type: integer }
+ *               duration_ms: { type: integer }
+ *               response_body: { type: string }
+ *               error: { type: string }
+ *         replay_of:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /webhooks/events:
+ *   get:
+ *     summary: List webhook events
+ *     description: Event names endpoints can subscribe to, and the header carrying the signature
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event names
+ */
+// @desc    List webhook events
+// @route   GET /api/webhooks/events
+// @access  Private/Admin
+exports.getWebhookEvents = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { events: WEBHOOK_EVENT_NAMES, signature_header: SIGNATURE_HEADER }
+  });
+};
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: Get webhook endpoints
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook endpoints
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEndpoint'
+ */
+// @desc    Get webhook endpoints
+// @route   GET /api/webhooks
+// @access  Private/Admin
+exports.getWebhookEndpoints = async (req, res, next) => {
+  try {
+    const endpoints = await WebhookEndpoint.find()
+      .populate('created_by', 'name email')
+      .sort({ created_at: -1 });
+
+    res.status(200).json({ success: true, count: endpoints.length, data: endpoints });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook endpoint
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+// @desc    Get a webhook endpoint
+// @route   GET /api/webhooks/:id
+// @access  Private/Admin
+exports.getWebhookEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id).populate('created_by', 'name email');
+    if (!endpoint) {
+      return endpointNotFound(res);
+    }
+
+    res.status(200).json({ success: true, data: endpoint });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: The response includes the signing secret; store it, as it is not shown again.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url: { type: string }
+ *               description: { type: string }
+ *               events:
+ *                 type: array
+ *                 items: { type: string }
+ *           example:
+ *             url: https://crm.example.com/hooks/elearning
+ *             description: CRM sync
+ *             events: [enrollment.created, enrollment.dropped, payment.paid]
+ *     responses:
+ *       201:
+ *         description: Webhook endpoint created, with its secret
+ *       400:
+ *         description: Validation error
+ */
+// @desc    Register a webhook endpoint
+// @route   POST /api/webhooks
+// @access  Private/Admin
+exports.createWebhookEndpoint = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const secret = generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      url: req.body.url,
+      description: req.body.description,
+      events: [...new Set(req.body.events)],
+      secret,
+      created_by: req.user.id
+    });
+
+    await logActivity(req.user.id, 'webhook_create', 'WebhookEndpoint', endpoint._id,
+      `Registered webhook ${endpoint.url} for ${endpoint.events.join(', ')}`, req);
+
+    res.status(201).json({ success: true, data: withSecret(endpoint, secret) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook endpoint
+ *     description: Change its URL, events or description, or disable it with is_active false. Disabled endpoints get no new deliveries and pending ones fail.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url: { type: string }
+ *               description: { type: string }
+ *               events:
+ *                 type: array
+ *                 items: { type: string }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+// @desc    Update a webhook endpoint
+// @route   PUT /api/webhooks/:id
+// @access  Private/Admin
+exports.updateWebhookEndpoint = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+    if (!endpoint) {
+      return endpointNotFound(res);
+    }
+
+    ['url', 'description', 'is_active'].forEach(field => {
+      if (req.body[field] !== undefined) endpoint[field] = req.body[field];
+    });
+    if (req.body.events !== undefined) {
+      endpoint.events = [...new Set(req.body.events)];
+    }
+    endpoint.updated_by = req.user.id;
+    await endpoint.save();
+
+    await logActivity(req.user.id, 'webhook_update', 'WebhookEndpoint', endpoint._id,
+      `Updated webhook ${endpoint.url}`, req);
+
+    res.status(200).json({ success: true, data: endpoint });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook endpoint
+ *     description: Its delivery log is deleted with it.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint deleted
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+// @desc    Delete a webhook endpoint
+// @route   DELETE /api/webhooks/:id
+// @access  Private/Admin
+exports.deleteWebhookEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByIdAndDelete(req.params.id);
+    if (!endpoint) {
+      return endpointNotFound(res);
+    }
+
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+
+    await logActivity(req.user.id, 'webhook_delete', 'WebhookEndpoint', endpoint._id,
+      `Deleted webhook ${endpoint.url}`, req);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotate a webhook endpoint's secret
+ *     description: Deliveries are signed with the new secret from now on, retries included. The response is the only time it is shown.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint with its new secret
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+// @desc    Rotate a webhook endpoint's secret
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private/Admin
+exports.rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const secret = generateSecret();
+    const endpoint = await WebhookEndpoint.findByIdAndUpdate(
+      req.params.id,
+      { $set: { secret, updated_by: req.user.id } },
+      { new: true }
+    );
+    if (!endpoint) {
+      return endpointNotFound(res);
+    }
+
+    await logActivity(req.user.id, 'webhook_secret_rotate', 'WebhookEndpoint', endpoint._id,
+      `Rotated secret of webhook ${endpoint.url}`, req);
+
+    res.status(200).json({ success: true, data: withSecret(endpoint, secret) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/{id}/test:
+ *   post:
+ *     summary: Send a test event
+ *     description: Queues a webhook.test delivery to this endpoint, whatever it subscribes to. Check its result in the delivery log.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Test delivery queued
+ *       400:
+ *         description: Endpoint is disabled
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+// @desc    Send a test event
+// @route   POST /api/webhooks/:id/test
+// @access  Private/Admin
+exports.testWebhookEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+    if (!endpoint) {
+      return endpointNotFound(res);
+    }
+    if (!endpoint.is_active) {
+      return res.status(400).json({ success: false, error: 'Enable the endpoint before testing it' });
+    }
+
+    const delivery = await sendTestEvent(endpoint, req.user.id);
+
+    res.status(202).json({ success: true, data: delivery });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get an endpoint's delivery log
+ *     description: Newest first, each with its attempts
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page: { type: integer }
+ *                     limit: { type: integer }
+ *                     total: { type: integer }
+ *                     pages: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+// @desc    Get an endpoint's delivery log
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private/Admin
+exports.getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    if (!(await WebhookEndpoint.exists({ _id: req.params.id }))) {
+      return endpointNotFound(res);
+    }
+
+    const query = { endpoint: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.event) query.event = req.query.event;
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ created_at: -1 })
+        .skip(startIndex)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a webhook delivery
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery with its attempts
+ *       404:
+ *         description: Webhook delivery not found
+ */
+// @desc    Get a webhook delivery
+// @route   GET /api/webhooks/deliveries/:deliveryId
+// @access  Private/Admin
+exports.getWebhookDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+      .populate('endpoint', 'url description')
+      .populate('replayed_by', 'name email');
+    if (!delivery) {
+      return deliveryNotFound(res);
+    }
+
+    res.status(200).json({ success: true, data: delivery });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay a webhook delivery
+ *     description: Sends the same event and payload again as a new delivery, with fresh retries. The original keeps its log.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Replay queued
+ *       400:
+ *         description: Endpoint is disabled
+ *       404:
+ *         description: Webhook delivery not found
+ */
+// @desc    Replay a webhook delivery
+// @route   POST /api/webhooks/deliveries/:deliveryId/replay
+// @access  Private/Admin
+exports.replayWebhookDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).populate('endpoint', 'url is_active');
+    if (!delivery || !delivery.endpoint) {
+      return deliveryNotFound(res);
+    }
+    if (!delivery.endpoint.is_active) {
+      return res.status(400).json({ success: false, error: 'Enable the endpoint before replaying to it' });
+    }
+
+    const replay = await replayDelivery(delivery, req.user.id);
+
+    await logActivity(req.user.id, 'webhook_replay', 'WebhookEndpoint', delivery.endpoint._id,
+      `Replayed ${delivery.event} delivery ${delivery._id} to ${delivery.endpoint.url}`, req);
+
+    res.status(202).json({ success: true, data: replay });
+  } catch (error) {
+    next(error);
+  }
+};
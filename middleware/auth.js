@@ -1,9 +1,8 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const UserRole = require('../models/UserRole');
-const Role = require('../models/Role');
-const RolePermission = require('../models/RolePermission');
-const Permission = require('../models/Permission');
+const { verifyChallengeToken } = require('../utils/twoFactor');
+const { verifyAccessToken } = require('../utils/accessToken');
+const { canAccessResource } = require('../utils/resourceScope');
+const { getRequestAccess, hasPermission } = require('../utils/permissionCache');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -23,65 +22,85 @@ exports.protect = async (req, res, next) => {
       });
     }
     
-    try {
-      // Verify token
-      const secret = process.env.JWT_SECRET || 'your_secure_jwt_secret_key';
-      const decoded = jwt.verify(token, secret);
-      
-      // Get user from the token
-      req.user = await User.findById(decoded.id);
-      
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          error: 'User not found'
-        });
-      }
-      
-      // Check if user is active
-      if (!req.user.is_active) {
-        return res.status(401).json({
-          success: false,
-          error: 'User account is deactivated'
-        });
-      }
-      
-      next();
-    } catch (error) {
-      console.error('JWT verification error:', error);
-      
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          error: 'Token expired',
-          isExpired: true
-        });
-      }
-      
+    const result = await verifyAccessToken(token);
+    if (result.error) {
+      const { error, ...flags } = result;
+      return res.status(401).json({ success: false, error, ...flags });
+    }
+    
+    req.user = result.user;
+    if (result.sessionId) {
+      req.sessionId = result.sessionId;
+    }
+    if (result.impersonator) {
+      req.impersonator = result.impersonator;
+    }
+    
+    // The person really making the request
+    req.actor = req.impersonator || req.user;
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Protect two-factor enrollment routes. Accepts a normal access token, or the
+// setup challenge token login issues when policy makes 2FA mandatory for the user
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  try {
+    const challengeToken = req.body && req.body.challengeToken;
+    
+    if (!challengeToken) {
+      return exports.protect(req, res, next);
+    }
+    
+    const decoded = verifyChallengeToken(challengeToken, 'setup');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token'
+      });
+    }
+    
+    req.user = await User.findById(decoded.id);
+    
+    if (!req.user || !req.user.is_active) {
       return res.status(401).json({
         success: false,
         error: 'Not authorized to access this route'
       });
     }
+    
+    req.twoFactorSetupChallenge = true;
+    next();
   } catch (error) {
     next(error);
   }
 };
 
+// Block sensitive actions (passwords, 2FA, sessions, roles) while impersonating
+exports.blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action is not allowed while impersonating another user',
+      isImpersonating: true
+    });
+  }
+  
+  next();
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return async (req, res, next) => {
     try {
-      // Get user roles
-      const userRoles = await UserRole.find({ 
-        user: req.user.id,
-        is_active: true
-      }).populate('role');
+      // Roles are resolved once per request and cached across requests
+      const access = await getRequestAccess(req);
       
       // Check if user has any of the required roles
-      const hasRole = userRoles.some(userRole => 
-        roles.includes(userRole.role.name)
-      );
+      const hasRole = access.roles.some(roleName => roles.includes(roleName));
       
       if (!hasRole) {
         return res.status(403).json({
@@ -101,37 +120,17 @@ exports.authorize = (...roles) => {
 exports.checkPermission = (resourceType, action) => {
   return async (req, res, next) => {
     try {
-      // Get user roles
-      const userRoles = await UserRole.find({ 
-        user: req.user.id,
-        is_active: true
-      });
+      const access = await getRequestAccess(req);
       
-      if (userRoles.length === 0) {
+      if (access.roles.length === 0) {
         return res.status(403).json({
           success: false,
           error: 'User has no active roles'
         });
       }
       
-      const roleIds = userRoles.map(userRole => userRole.role);
-      
-      // Get permissions for these roles
-      const rolePermissions = await RolePermission.find({
-        role: { $in: roleIds },
-        is_granted: true
-      }).populate({
-        path: 'permission',
-        match: { 
-          resource_type: resourceType,
-          action: action
-        }
-      });
-      
       // Check if user has the required permission
-      const hasPermission = rolePermissions.some(rp => rp.permission !== null);
-      
-      if (!hasPermission) {
+      if (!hasPermission(access, resourceType, action)) {
         return res.status(403).json({
           success: false,
           error: `Not authorized to ${action} ${resourceType}`
@@ -146,6 +145,48 @@ exports.checkPermission = (resourceType, action) => {
   };
 };
 
+const SCOPE_LABELS = {
+  batches: 'batch',
+  courses: 'course',
+  groups: 'group',
+  live_sessions: 'live session',
+  group_sessions: 'group session',
+  attendance: 'attendance record',
+  invitations: 'invitation',
+  announcements: 'announcement'
+};
+
+// Restrict an action to resources the user is assigned to. Use after checkPermission:
+// the permission says what a role may do, the scope says where. Admins and super
+// admins pass for any resource. getResourceId defaults to the :id route param; when
+// it yields nothing (e.g. an optional body field) the check is skipped.
+exports.checkScope = (resourceType, getResourceId = req => req.params.id) => {
+  return async (req, res, next) => {
+    try {
+      const resourceId = getResourceId(req);
+      
+      if (!resourceId) {
+        return next();
+      }
+      
+      const allowed = await canAccessResource(req.user.id, resourceType, resourceId);
+      
+      // Unknown resources fall through so the controller returns its own 404
+      if (allowed === false) {
+        return res.status(403).json({
+          success: false,
+          error: `Not authorized: you are not assigned to this ${SCOPE_LABELS[resourceType] || resourceType}`
+        });
+      }
+      
+      next();
+    } catch (error) {
+      console.error('Scope check error:', error);
+      next(error);
+    }
+  };
+};
+
 // Require email verification
 exports.requireVerifiedEmail = async (req, res, next) => {
   try {
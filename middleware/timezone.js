@@ -0,0 +1,133 @@
+const {
+  getDefaultTimeZone,
+  getRequestTimeZone,
+  isValidTimeZone,
+  todayIn,
+  toDateKey,
+  toZonedDate,
+  zonedTimeToUtc,
+  formatZonedTime,
+  formatZonedIso
+} = require('../utils/timezone');
+const { parseTimeOfDay } = require('../utils/sessionTime');
+const {
+  getRequestCalendar,
+  formatDate,
+  formatTime,
+  formatEthiopianClockTime
+} = require('../utils/dateFormat');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+// Sessions: the start and end in the viewer's zone
+const localizeSession = (session, { timeZone, calendar }) => {
+  const startsAt = new Date(session.starts_at);
+  const endsAt = new Date(session.ends_at);
+  if (isNaN(startsAt) || isNaN(endsAt)) return;
+
+  session.local = {
+    timezone: timeZone,
+    calendar,
+    date: toDateKey(toZonedDate(startsAt, timeZone)),
+    start_time: formatZonedTime(startsAt, timeZone),
+    end_time: formatZonedTime(endsAt, timeZone),
+    starts_at: formatZonedIso(startsAt, timeZone),
+    ends_at: formatZonedIso(endsAt, timeZone),
+    display: {
+      date: formatDate(startsAt, { calendar, timeZone }),
+      start_time: formatTime(startsAt, { calendar, timeZone }),
+      end_time: formatTime(endsAt, { calendar, timeZone })
+    }
+  };
+};
+
+// Batches and groups: today's class times in the viewer's zone. day_offset is -1 or 1 when
+// the class falls on the previous or next day for the viewer, so class_days shift too.
+// Groups without a zone of their own use their batch's when it is populated.
+// ethio_start_time and ethio_end_time are the class times on the Ethiopian clock in Ethiopia.
+const localizeClassTimes = (entity, { timeZone, calendar }) => {
+  const startMinutes = parseTimeOfDay(entity.class_start_time);
+  const endMinutes = parseTimeOfDay(entity.class_end_time);
+  if (startMinutes === null || endMinutes === null) return;
+
+  const entityZone = [entity.timezone, entity.batch && entity.batch.timezone].find(isValidTimeZone) ||
+    getDefaultTimeZone();
+  const today = todayIn(entityZone);
+  const start = zonedTimeToUtc(today, startMinutes, entityZone);
+  const end = zonedTimeToUtc(today, endMinutes <= startMinutes ? endMinutes + 24 * 60 : endMinutes, entityZone);
+
+  entity.ethio_start_time = formatEthiopianClockTime(start);
+  entity.ethio_end_time = formatEthiopianClockTime(end);
+  entity.local = {
+    ...entity.local,
+    timezone: timeZone,
+    calendar,
+    class_start_time: formatZonedTime(start, timeZone),
+    class_end_time: formatZonedTime(end, timeZone),
+    day_offset: Math.round((toZonedDate(start, timeZone) - today) / DAY_MS),
+    display: {
+      ...(entity.local && entity.local.display),
+      class_start_time: formatTime(start, { calendar, timeZone }),
+      class_end_time: formatTime(end, { calendar, timeZone })
+    }
+  };
+};
+
+// Batches, batch courses and the like: start and end calendar dates in the viewer's calendar
+const localizeDates = (entity, { timeZone, calendar }) => {
+  const display = {};
+  ['start_date', 'end_date'].forEach(field => {
+    if (typeof entity[field] === 'string' && ISO_DATE_PATTERN.test(entity[field])) {
+      display[field] = formatDate(entity[field], { calendar });
+    }
+  });
+  if (Object.keys(display).length === 0) return;
+
+  entity.local = { timezone: timeZone, calendar, display };
+};
+
+const localize = (value, options) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => localize(item, options));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  Object.values(value).forEach(child => localize(child, options));
+
+  if (value.starts_at && value.ends_at) {
+    localizeSession(value, options);
+    return;
+  }
+  localizeDates(value, options);
+  if (value.class_start_time && value.class_end_time) {
+    localizeClassTimes(value, options);
+  }
+};
+
+// Add a `local` block to every session, batch and group in JSON responses with its
+// times in the requesting user's zone and its dates in their calendar (see
+// utils/dateFormat). Stored values stay in UTC and the entity's own zone.
+exports.localizeTimes = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (!body || typeof body !== 'object') return json(body);
+
+    // Serialise first so Mongoose documents become plain data
+    const text = JSON.stringify(body);
+    if (!['"starts_at"', '"class_start_time"', '"start_date"'].some(key => text.includes(key))) return json(body);
+
+    const timeZone = getRequestTimeZone(req);
+    const calendar = getRequestCalendar(req);
+    const data = JSON.parse(text);
+    localize(data, { timeZone, calendar });
+
+    res.set('X-Timezone', timeZone);
+    res.set('X-Calendar', calendar);
+    return json(data);
+  };
+
+  next();
+};
@@ -4,7 +4,8 @@ const ActivityLogSchema = new mongoose.Schema({
   user: { // Renamed from user_id to user to make it a direct reference
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // System events such as per-IP rate limit lockouts and scheduled status changes have no user
+    required: function() { return this.entity_type !== 'System' && this.action !== 'status_change'; }
   },
   action: {
     type: String,
@@ -14,17 +15,31 @@ const ActivityLogSchema = new mongoose.Schema({
       'login', 'logout', 'create', 'update', 'delete', 'view', 'enroll', 'unenroll',
       // Add more specific actions as needed
       'password_change', 'email_verification', 'account_lock', 'role_assign', 'role_remove',
+      'two_factor_enable', 'two_factor_disable', 'two_factor_recovery_regenerate', 'two_factor_policy_update',
+      'session_revoke',
+      'role_create', 'role_update', 'role_delete', 'permission_grant', 'permission_revoke',
+      'permission_create', 'permission_update', 'permission_delete',
+      'invitation_create', 'invitation_resend', 'invitation_revoke', 'invitation_accept',
+      'impersonate_start', 'impersonate_end',
+      'rate_limit_lockout',
+      'attendance_mark', 'attendance_update', 'attendance_check_in', 'check_in_open', 'check_in_close',
+      'calendar_feed_create', 'calendar_feed_revoke',
+      'status_change',
       'course_create', 'course_update', 'course_delete',
       'batch_create', 'batch_update', 'batch_delete',
       'phase_create', 'phase_update', 'phase_delete',
       'week_create', 'week_update', 'week_delete',
-      'live_session_create', 'live_session_update', 'live_session_delete',
-      'group_session_create', 'group_session_update', 'group_session_delete'
+      'live_session_create', 'live_session_update', 'live_session_delete', 'live_session_generate',
+      'live_session_reschedule', 'live_session_cancel',
+      'group_session_create', 'group_session_update', 'group_session_delete', 'group_session_generate',
+      'group_session_reschedule', 'group_session_cancel',
+      'announcement_create', 'announcement_update', 'announcement_delete', 'announcement_publish',
+      'webhook_create', 'webhook_update', 'webhook_delete', 'webhook_secret_rotate', 'webhook_replay'
     ]
   },
   entity_type: {
     type: String,
-    enum: ['User', 'Course', 'Batch', 'Phase', 'Week', 'LiveSession', 'GroupSession', 'Role', 'UserRole', 'System'],
+    enum: ['User', 'Course', 'Batch', 'Phase', 'Week', 'LiveSession', 'GroupSession', 'Role', 'UserRole', 'Permission', 'RolePermission', 'AuthSession', 'Invitation', 'Attendance', 'Announcement', 'WebhookEndpoint', 'System'],
     required: [true, 'Entity type is required']
   },
   entity_id: { // The ID of the entity acted upon (e.g., user ID, course ID)
@@ -41,6 +56,10 @@ const ActivityLogSchema = new mongoose.Schema({
   details: { // Additional descriptive details about the action
     type: String
   },
+  impersonator: { // Super admin actually performing the action while impersonating `user`
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   user_agent: { // User-Agent header from the request
     type: String
   }
@@ -54,6 +73,7 @@ const ActivityLogSchema = new mongoose.Schema({
 // Index for faster querying
 ActivityLogSchema.index({ user: 1, timestamp: -1 });
 ActivityLogSchema.index({ entity_type: 1, entity_id: 1 });
+ActivityLogSchema.index({ impersonator: 1, timestamp: -1 }, { sparse: true });
 ActivityLogSchema.index({ action: 1 });
 
 module.exports = mongoose.model('ActivityLog', ActivityLogSchema); 
\ No newline at end of file
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const AUDIENCE_TYPES = ['everyone', 'batch', 'group', 'course'];
+
+// A message from staff to a batch, a group, a course's enrolled students or everyone.
+// It shows from publish_at (when its audience is also notified) until expires_at.
+const AnnouncementSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Announcement title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  body: { // Markdown; clients render it
+    type: String,
+    required: [true, 'Announcement body is required']
+  },
+  audience_type: {
+    type: String,
+    enum: AUDIENCE_TYPES,
+    required: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: function() { return this.audience_type === 'batch'; }
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: function() { return this.audience_type === 'group'; }
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: function() { return this.audience_type === 'course'; }
+  },
+  is_pinned: { // Listed above the others
+    type: Boolean,
+    default: false
+  },
+  publish_at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date
+  },
+  published_at: { // When the audience was notified; unset while scheduled
+    type: Date
+  },
+  notified_count: {
+    type: Number,
+    default: 0
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+AnnouncementSchema.index({ audience_type: 1, publish_at: -1 });
+AnnouncementSchema.index({ batch: 1, publish_at: -1 });
+AnnouncementSchema.index({ group: 1, publish_at: -1 });
+AnnouncementSchema.index({ course: 1, publish_at: -1 });
+AnnouncementSchema.index({ published_at: 1, publish_at: 1 });
+
+AnnouncementSchema.statics.AUDIENCE_TYPES = AUDIENCE_TYPES;
+
+module.exports = mongoose.model('Announcement', AnnouncementSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Read receipt: a user has read an announcement
+const AnnouncementReadSchema = new mongoose.Schema({
+  announcement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  read_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AnnouncementReadSchema.index({ announcement: 1, user: 1 }, { unique: true });
+AnnouncementReadSchema.index({ user: 1 });
+
+module.exports = mongoose.model('AnnouncementRead', AnnouncementReadSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+// Statuses that count as having attended
+const ATTENDED_STATUSES = ['present', 'late'];
+
 const AttendanceSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -42,9 +46,17 @@ const AttendanceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['present', 'absent', 'late', 'excused'],
+    enum: ATTENDANCE_STATUSES,
     default: 'absent'
   },
+  check_in_method: { // How the record was created: marked by an instructor or self check-in with a code
+    type: String,
+    enum: ['manual', 'code'],
+    default: 'manual'
+  },
+  checked_in_at: {
+    type: Date
+  },
   recorded_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -73,4 +85,10 @@ AttendanceSchema.index({
   }
 });
 
+AttendanceSchema.index({ live_session: 1 });
+AttendanceSchema.index({ group_session: 1 });
+
+AttendanceSchema.statics.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+AttendanceSchema.statics.ATTENDED_STATUSES = ATTENDED_STATUSES;
+
 module.exports = mongoose.model('Attendance', AttendanceSchema);
\ No newline at end of file
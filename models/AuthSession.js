@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device. Each document is a refresh-token family:
+// rotation replaces refresh_token_hash in place, so presenting any earlier token
+// of the family no longer matches and is treated as token reuse. Impersonation
+// sessions belong to the impersonated user and record the super admin in impersonator.
+const AuthSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refresh_token_hash: {
+    type: String,
+    // Impersonation sessions cannot be refreshed, so they carry no refresh token
+    required: function() { return !this.impersonator; },
+    select: false
+  },
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  impersonation_reason: {
+    type: String
+  },
+  user_agent: {
+    type: String
+  },
+  ip_address: {
+    type: String
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  rotation_count: {
+    type: Number,
+    default: 0
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_change', 'password_reset', 'impersonation_end']
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+AuthSessionSchema.index({ user: 1, revoked_at: 1 });
+
+// Let MongoDB clean up sessions once they can no longer be refreshed
+AuthSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getDefaultTimeZone, isValidTimeZone } = require('../utils/timezone');
 
 const BatchSchema = new mongoose.Schema({
   name: {
@@ -53,12 +54,17 @@ const BatchSchema = new mongoose.Schema({
     type: String,
     default: 'Sat & Sun'
   },
-  class_start_time: {
+  class_start_time: { // "HH:mm" in the batch time zone
     type: String
   },
   class_end_time: {
     type: String
   },
+  timezone: { // IANA zone the class days and times are in
+    type: String,
+    default: getDefaultTimeZone,
+    validate: [isValidTimeZone, 'Invalid time zone']
+  },
   status: {
     type: String,
     enum: ['upcoming', 'active', 'completed'],
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Self check-in for one live or group session. Codes are not stored: they are
+// derived from the secret and the current time step, so they rotate every
+// rotation_seconds. Reopening check-in issues a new secret.
+const CheckInCodeSchema = new mongoose.Schema({
+  session_type: {
+    type: String,
+    enum: ['live', 'group'],
+    required: true
+  },
+  live_session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LiveSession'
+  },
+  group_session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupSession'
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotation_seconds: {
+    type: Number,
+    required: true,
+    min: [10, 'Codes must rotate every 10 seconds or more']
+  },
+  opens_at: {
+    type: Date,
+    required: true
+  },
+  late_after: {
+    type: Date,
+    required: true
+  },
+  closes_at: {
+    type: Date,
+    required: true
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  opened_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closed_at: {
+    type: Date
+  },
+  closed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+CheckInCodeSchema.index({ live_session: 1 }, { unique: true, partialFilterExpression: { live_session: { $exists: true } } });
+CheckInCodeSchema.index({ group_session: 1 }, { unique: true, partialFilterExpression: { group_session: { $exists: true } } });
+
+module.exports = mongoose.model('CheckInCode', CheckInCodeSchema);
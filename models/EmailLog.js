@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const EmailLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient is required']
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  subject: {
+    type: String
+  },
+  transport: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  message_id: {
+    type: String
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  }
+});
+
+EmailLogSchema.index({ status: 1, created_at: -1 });
+EmailLogSchema.index({ user: 1, created_at: -1 });
+
+module.exports = mongoose.model('EmailLog', EmailLogSchema);
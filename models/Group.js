@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const GroupSchema = new mongoose.Schema({
   batch: {
@@ -22,17 +23,15 @@ const GroupSchema = new mongoose.Schema({
     type: String,
     default: 'Tue - Thu'
   },
-  class_start_time: {
+  class_start_time: { // "HH:mm" in the group time zone
     type: String
   },
   class_end_time: {
     type: String
   },
-  ethio_start_time: {
-    type: String
-  },
-  ethio_end_time: {
-    type: String
+  timezone: { // IANA zone the class days and times are in; the batch's zone when not set
+    type: String,
+    validate: [isValidTimeZone, 'Invalid time zone']
   },
   is_active: {
     type: Boolean,
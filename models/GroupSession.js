@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { syncSessionSchedule } = require('../utils/sessionTime');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const GroupSessionSchema = new mongoose.Schema({
   week: {
@@ -24,11 +26,23 @@ const GroupSessionSchema = new mongoose.Schema({
   description: {
     type: String
   },
+  starts_at: {
+    type: Date,
+    required: [true, 'Session start is required']
+  },
+  ends_at: {
+    type: Date,
+    required: [true, 'Session end is required']
+  },
+  timezone: { // IANA zone the session is held in; session_date, start_time and end_time are in this zone
+    type: String,
+    validate: [isValidTimeZone, 'Invalid time zone']
+  },
   session_date: {
     type: Date,
     required: [true, 'Session date is required']
   },
-  start_time: {
+  start_time: { // "HH:mm"
     type: String,
     required: [true, 'Start time is required']
   },
@@ -52,6 +66,13 @@ const GroupSessionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  is_generated: { // Created from the group timetable
+    type: Boolean,
+    default: false
+  },
+  schedule_slot: { // Class day number within the week, identifies a generated session across re-runs
+    type: Number
+  },
   status: {
     type: String,
     enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
@@ -64,4 +85,18 @@ const GroupSessionSchema = new mongoose.Schema({
   }
 });
 
+// One generated session per group, week and class day
+GroupSessionSchema.index(
+  { group: 1, week: 1, schedule_slot: 1 },
+  { unique: true, partialFilterExpression: { is_generated: true } }
+);
+
+GroupSessionSchema.index({ starts_at: 1 });
+
+// Fill in whichever of the instants or the wall-clock times were not given
+GroupSessionSchema.pre('validate', function(next) {
+  syncSessionSchedule(this);
+  next();
+});
+
 module.exports = mongoose.model('GroupSession', GroupSessionSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A day on which no sessions are scheduled. Recurring holidays fall on the same
+// month and day every year.
+const HolidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Holiday date is required']
+  },
+  is_recurring: {
+    type: Boolean,
+    default: false
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+HolidaySchema.index({ date: 1 });
+
+module.exports = mongoose.model('Holiday', HolidaySchema);
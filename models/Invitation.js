@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// An invitation to join a batch (and optionally a group and batch course) with a role.
+// Only the hash of the current token is stored; resending issues a new token,
+// which invalidates the previous one.
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    required: [true, 'Role is required']
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: [true, 'Batch is required']
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  batch_course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BatchCourse'
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  token_hash: {
+    type: String,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  last_sent_at: {
+    type: Date
+  },
+  send_count: {
+    type: Number,
+    default: 0
+  },
+  accepted_at: {
+    type: Date
+  },
+  accepted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+InvitationSchema.index({ email: 1, batch: 1, status: 1 });
+InvitationSchema.index({ token_hash: 1 }, { sparse: true });
+
+// Pending invitations past their expiry can no longer be accepted
+InvitationSchema.virtual('is_expired').get(function() {
+  return this.status === 'pending' && this.expires_at <= Date.now();
+});
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
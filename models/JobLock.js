@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A lease on a scheduled job, so only one server instance runs it per interval.
+// The holder renews locked_until every third of the lease while a run lasts, then keeps it
+// until the next run is due; once it passes, any instance may take over.
+const JobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: { // Instance holding the lease
+    type: String
+  },
+  locked_until: {
+    type: Date,
+    required: true
+  },
+  last_started_at: {
+    type: Date
+  },
+  last_finished_at: {
+    type: Date
+  },
+  last_error: {
+    type: String
+  }
+});
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { syncSessionSchedule } = require('../utils/sessionTime');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const LiveSessionSchema = new mongoose.Schema({
   week: {
@@ -24,11 +26,23 @@ const LiveSessionSchema = new mongoose.Schema({
   description: {
     type: String
   },
+  starts_at: {
+    type: Date,
+    required: [true, 'Session start is required']
+  },
+  ends_at: {
+    type: Date,
+    required: [true, 'Session end is required']
+  },
+  timezone: { // IANA zone the session is held in; session_date, start_time and end_time are in this zone
+    type: String,
+    validate: [isValidTimeZone, 'Invalid time zone']
+  },
   session_date: {
     type: Date,
     required: [true, 'Session date is required']
   },
-  start_time: {
+  start_time: { // "HH:mm"
     type: String,
     required: [true, 'Start time is required']
   },
@@ -56,6 +70,10 @@ const LiveSessionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  is_generated: { // Created from the batch schedule; regeneration only replaces these
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
@@ -68,4 +86,12 @@ const LiveSessionSchema = new mongoose.Schema({
   }
 });
 
+LiveSessionSchema.index({ starts_at: 1 });
+
+// Fill in whichever of the instants or the wall-clock times were not given
+LiveSessionSchema.pre('validate', function(next) {
+  syncSessionSchedule(this);
+  next();
+});
+
 module.exports = mongoose.model('LiveSession', LiveSessionSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Kinds of notification users choose channels for (see utils/notifications)
+const NOTIFICATION_CATEGORIES = [
+  'session_reminders',
+  'session_changes',
+  'enrollment',
+  'grading',
+  'announcements',
+  'batch_updates'
+];
+
+// An in-app notification, kept until the user deletes it so nothing sent while
+// they were offline is lost
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: NOTIFICATION_CATEGORIES,
+    required: true
+  },
+  type: { // What happened, such as session.rescheduled
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  link: { // Client path to open, such as /live-sessions/<id>
+    type: String
+  },
+  data: { // IDs and details clients may need to render the notification
+    type: mongoose.Schema.Types.Mixed
+  },
+  read_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  }
+});
+
+NotificationSchema.index({ user: 1, created_at: -1 });
+NotificationSchema.index({ user: 1, read_at: 1 });
+
+NotificationSchema.statics.NOTIFICATION_CATEGORIES = NOTIFICATION_CATEGORIES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
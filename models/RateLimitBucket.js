@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A fixed-window request counter shared by every server instance.
+// Documents are removed by MongoDB shortly after their window ends.
+const RateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  reset_at: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitBucketSchema.index({ reset_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBucket', RateLimitBucketSchema);
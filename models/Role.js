@@ -1,11 +1,19 @@
 const mongoose = require('mongoose');
 
+// Built-in roles the application logic refers to by name
+const SYSTEM_ROLE_NAMES = ['super_admin', 'admin', 'instructor', 'group_instructor', 'team_member', 'student'];
+
 const RoleSchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Role name is required'],
     unique: true,
-    enum: ['super_admin', 'admin', 'instructor', 'group_instructor', 'team_member', 'student']
+    trim: true,
+    lowercase: true,
+    match: [
+      /^[a-z][a-z0-9_]{1,49}$/,
+      'Role name must start with a letter and contain only lowercase letters, numbers and underscores'
+    ]
   },
   description: {
     type: String,
@@ -26,4 +34,6 @@ const RoleSchema = new mongoose.Schema({
   }
 });
 
+RoleSchema.statics.SYSTEM_ROLE_NAMES = SYSTEM_ROLE_NAMES;
+
 module.exports = mongoose.model('Role', RoleSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Roles for which a super_admin may make two-factor authentication mandatory
+const TWO_FACTOR_ENFORCEABLE_ROLES = ['super_admin', 'admin', 'instructor'];
+
+const SecurityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    unique: true,
+    default: 'global'
+  },
+  two_factor_required_roles: [{
+    type: String,
+    enum: TWO_FACTOR_ENFORCEABLE_ROLES
+  }],
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Get the global policy document, creating it with defaults on first use
+SecurityPolicySchema.statics.getPolicy = async function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global', two_factor_required_roles: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+SecurityPolicySchema.statics.TWO_FACTOR_ENFORCEABLE_ROLES = TWO_FACTOR_ENFORCEABLE_ROLES;
+
+module.exports = mongoose.model('SecurityPolicy', SecurityPolicySchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// When a session was held, as it stood before or after a change
+const ScheduleSnapshotSchema = new mongoose.Schema({
+  starts_at: Date,
+  ends_at: Date,
+  timezone: String,
+  session_date: Date,
+  start_time: String,
+  end_time: String,
+  status: String
+}, { _id: false });
+
+// One entry in a live or group session's change history: a reschedule, a cancellation,
+// or a time or status edit made through the plain update endpoint
+const SessionChangeSchema = new mongoose.Schema({
+  session_type: {
+    type: String,
+    enum: ['live', 'group'],
+    required: true
+  },
+  live_session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LiveSession'
+  },
+  group_session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupSession'
+  },
+  action: {
+    type: String,
+    enum: ['reschedule', 'cancel', 'update'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  previous: {
+    type: ScheduleSnapshotSchema,
+    required: true
+  },
+  current: {
+    type: ScheduleSnapshotSchema,
+    required: true
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notified_count: { // Students notified of the change, in-app or by email
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  }
+});
+
+SessionChangeSchema.index({ live_session: 1, created_at: -1 });
+SessionChangeSchema.index({ group_session: 1, created_at: -1 });
+
+module.exports = mongoose.model('SessionChange', SessionChangeSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A reminder due before a live or group session, one per configured offset.
+// Stored so reminders still go out after a restart; utils/sessionReminders keeps
+// them in line with the session's time and status.
+const SessionReminderSchema = new mongoose.Schema({
+  session_type: {
+    type: String,
+    enum: ['live', 'group'],
+    required: true
+  },
+  live_session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LiveSession'
+  },
+  group_session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupSession'
+  },
+  offset_minutes: { // How long before the session starts
+    type: Number,
+    required: true
+  },
+  session_starts_at: { // Session start the reminder was computed for
+    type: Date,
+    required: true
+  },
+  remind_at: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'pending',
+      'sent',
+      'cancelled', // Session cancelled, deactivated or deleted
+      'skipped', // Due time had already passed when the reminder was computed or picked up
+      'failed'
+    ],
+    default: 'pending'
+  },
+  sent_at: {
+    type: Date
+  },
+  notified_count: { // Members notified, in-app or by email
+    type: Number,
+    default: 0
+  },
+  last_error: {
+    type: String
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+SessionReminderSchema.index({ status: 1, remind_at: 1 });
+SessionReminderSchema.index(
+  { live_session: 1, offset_minutes: 1 },
+  { unique: true, partialFilterExpression: { live_session: { $exists: true } } }
+);
+SessionReminderSchema.index(
+  { group_session: 1, offset_minutes: 1 },
+  { unique: true, partialFilterExpression: { group_session: { $exists: true } } }
+);
+
+module.exports = mongoose.model('SessionReminder', SessionReminderSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../utils/timezone');
+const { CALENDARS } = require('../utils/dateFormat');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -30,6 +32,21 @@ const UserSchema = new mongoose.Schema({
   address: {
     type: String
   },
+  timezone: { // IANA zone session times are shown in
+    type: String,
+    validate: [isValidTimeZone, 'Invalid time zone']
+  },
+  calendar: { // Calendar dates are shown in; unset means gregorian
+    type: String,
+    enum: CALENDARS
+  },
+  notification_preferences: { // Channels per notification category; categories not set use the defaults
+    type: Map,
+    of: new mongoose.Schema({
+      in_app: Boolean,
+      email: Boolean
+    }, { _id: false })
+  },
   is_active: {
     type: Boolean,
     default: true
@@ -42,13 +59,39 @@ const UserSchema = new mongoose.Schema({
   email_verification_expires: Date,
   reset_password_token: String,
   reset_password_expires: Date,
-  refresh_token: String,
-  refresh_token_expires: Date,
   failed_login_attempts: {
     type: Number,
     default: 0
   },
   account_locked_until: Date,
+  two_factor_enabled: {
+    type: Boolean,
+    default: false
+  },
+  two_factor_secret: {
+    type: String,
+    select: false
+  },
+  two_factor_pending_secret: {
+    type: String,
+    select: false
+  },
+  two_factor_recovery_codes: {
+    type: [String],
+    select: false
+  },
+  two_factor_last_used_step: {
+    type: Number,
+    select: false
+  },
+  two_factor_enabled_at: Date,
+  calendar_feed_token_hash: { // sha256 of the calendar subscription token; unset when revoked
+    type: String,
+    select: false,
+    unique: true,
+    sparse: true
+  },
+  calendar_feed_created_at: Date,
   last_login: {
     type: Date
   },
@@ -26,6 +26,13 @@ const UserRoleSchema = new mongoose.Schema({
   expires_at: {
     type: Date
   },
+  removed_at: {
+    type: Date
+  },
+  removed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   notes: {
     type: String
   }
@@ -39,4 +46,23 @@ const UserRoleSchema = new mongoose.Schema({
 // Compound index to ensure a user doesn't have the same role twice
 UserRoleSchema.index({ user: 1, role: 1 }, { unique: true });
 
+// Used by the expiry sweeper to find lapsed grants
+UserRoleSchema.index({ is_active: 1, expires_at: 1 });
+
+/**
+ * Build a query filter for grants that are in effect: active and not past expires_at.
+ * Use this wherever roles are resolved, since the sweeper only deactivates expired
+ * grants periodically.
+ * @param {Object} [filter={}] - Additional conditions (values must already be ObjectIds in aggregations)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} Query filter
+ */
+UserRoleSchema.statics.activeFilter = function (filter = {}, now = new Date()) {
+  return {
+    ...filter,
+    is_active: true,
+    $or: [{ expires_at: null }, { expires_at: { $gt: now } }]
+  };
+};
+
 module.exports = mongoose.model('UserRole', UserRoleSchema);
\ No newline at end of file
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One try at POSTing a delivery
+const WebhookAttemptSchema = new mongoose.Schema({
+  attempted_at: {
+    type: Date,
+    required: true
+  },
+  status_code: { // Unset when no response came back
+    type: Number
+  },
+  duration_ms: {
+    type: Number
+  },
+  response_body: { // Start of the response, for troubleshooting
+    type: String
+  },
+  error: {
+    type: String
+  }
+}, { _id: false });
+
+// An event queued for one endpoint, retried with backoff until it succeeds or runs
+// out of attempts. A manual replay is a new delivery pointing back at the original.
+const WebhookDeliverySchema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  event_id: { // Same for every delivery and replay of one event, so receivers can deduplicate
+    type: String,
+    required: true
+  },
+  payload: { // Request body as sent
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempt_count: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date
+  },
+  delivered_at: {
+    type: Date
+  },
+  attempts: [WebhookAttemptSchema],
+  replay_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  replayed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+WebhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+WebhookDeliverySchema.index({ endpoint: 1, created_at: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
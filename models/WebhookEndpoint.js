@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// An external URL that receives signed POSTs for the events it subscribes to
+// (see utils/webhooks for the event names and the signature)
+const WebhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  events: {
+    type: [String],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  secret: { // HMAC key shared with the receiver; only returned when created or rotated
+    type: String,
+    required: true,
+    select: false
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+WebhookEndpointSchema.index({ events: 1, is_active: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', WebhookEndpointSchema);
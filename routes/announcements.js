@@ -0,0 +1,88 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, authorize, checkScope } = require('../middleware/auth');
+const { AUDIENCE_TYPES } = require('../models/Announcement');
+
+const router = express.Router();
+
+// Import controllers
+const {
+  getAnnouncements,
+  getManagedAnnouncements,
+  getAnnouncement,
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+  markAnnouncementRead,
+  getAnnouncementReceipts
+} = require('../controllers/announcements');
+
+const STAFF_ROLES = ['super_admin', 'admin', 'instructor', 'group_instructor'];
+
+// Instructors may only target batches, groups and courses they are assigned to
+const audienceScope = [
+  checkScope('batches', req => req.body.audience_type === 'batch' && req.body.batch),
+  checkScope('groups', req => req.body.audience_type === 'group' && req.body.group),
+  checkScope('courses', req => req.body.audience_type === 'course' && req.body.course)
+];
+
+const targetRequired = (target) => check(target, `${target} ID is required for ${target} announcements`)
+  .if((value, { req }) => req.body.audience_type === target)
+  .isMongoId();
+
+const announcementFields = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('title', 'Title is required and cannot be more than 200 characters').trim().isLength({ min: 1, max: 200 }),
+    field('body', 'Body is required').trim().not().isEmpty(),
+    field('audience_type', `Audience type must be one of ${AUDIENCE_TYPES.join(', ')}`).isIn(AUDIENCE_TYPES),
+    targetRequired('batch'),
+    targetRequired('group'),
+    targetRequired('course'),
+    check('is_pinned', 'is_pinned must be a boolean').optional().isBoolean().toBoolean(),
+    check('publish_at', 'publish_at must be an ISO 8601 date').optional().isISO8601().toDate(),
+    check('expires_at', 'expires_at must be an ISO 8601 date or null').optional({ values: 'null' }).isISO8601().toDate()
+  ];
+};
+
+// My announcements
+router.get('/', protect, getAnnouncements);
+
+// Announcements I wrote (admins: all)
+router.get('/manage', [
+  protect,
+  authorize(...STAFF_ROLES),
+  check('status', 'Status must be scheduled, live or expired').optional().isIn(['scheduled', 'live', 'expired']),
+  check('audience_type', `Audience type must be one of ${AUDIENCE_TYPES.join(', ')}`).optional().isIn(AUDIENCE_TYPES)
+], getManagedAnnouncements);
+
+router.get('/:id', protect, getAnnouncement);
+
+router.post('/', [
+  protect,
+  authorize(...STAFF_ROLES),
+  ...announcementFields(false),
+  ...audienceScope
+], createAnnouncement);
+
+router.put('/:id', [
+  protect,
+  authorize(...STAFF_ROLES),
+  checkScope('announcements'),
+  ...announcementFields(true),
+  ...audienceScope
+], updateAnnouncement);
+
+router.delete('/:id', protect, authorize(...STAFF_ROLES), checkScope('announcements'), deleteAnnouncement);
+
+// Read receipts
+router.post('/:id/read', protect, markAnnouncementRead);
+router.get('/:id/receipts', [
+  protect,
+  authorize(...STAFF_ROLES),
+  checkScope('announcements'),
+  check('read', 'read must be true or false').optional().isIn(['true', 'false'])
+], getAnnouncementReceipts);
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, checkPermission, checkScope } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../utils/rateLimit');
+const Attendance = require('../models/Attendance');
+
+const router = express.Router();
+
+// Import controllers
+const {
+  getLiveSessionAttendance,
+  markLiveSessionAttendance,
+  getGroupSessionAttendance,
+  markGroupSessionAttendance,
+  openLiveSessionCheckIn,
+  getLiveSessionCheckIn,
+  closeLiveSessionCheckIn,
+  openGroupSessionCheckIn,
+  getGroupSessionCheckIn,
+  closeGroupSessionCheckIn,
+  checkIn,
+  getAttendance,
+  updateAttendance,
+  getStudentSummary,
+  getGroupSummary,
+  getBatchSummary
+} = require('../controllers/attendance');
+
+const statusMessage = `Status must be one of: ${Attendance.ATTENDANCE_STATUSES.join(', ')}`;
+
+const bulkMarkValidation = [
+  check('records', 'records must be an array').optional().isArray(),
+  check('records.*.user', 'Each record needs a valid user ID').isMongoId(),
+  check('records.*.status', statusMessage).isIn(Attendance.ATTENDANCE_STATUSES),
+  check('default_status', statusMessage).optional().isIn(Attendance.ATTENDANCE_STATUSES)
+];
+
+const checkInSettingsValidation = [
+  check('opens_before_minutes', 'opens_before_minutes must be a whole number of minutes').optional().isInt({ min: 0, max: 240 }),
+  check('late_after_minutes', 'late_after_minutes must be a whole number of minutes').optional().isInt({ min: 0, max: 240 }),
+  check('closes_after_minutes', 'closes_after_minutes must be a whole number of minutes').optional().isInt({ min: 0, max: 240 }),
+  check('rotation_seconds', 'rotation_seconds must be between 10 and 600').optional().isInt({ min: 10, max: 600 })
+];
+
+// Code submissions are limited per student so codes cannot be guessed
+const checkInLimit = rateLimit({
+  name: 'check_in_user',
+  max: 10,
+  windowMs: 10 * 60 * 1000,
+  keyGenerator: byUser,
+  message: 'Too many check-in attempts, please try again later'
+});
+
+// Session rosters and bulk marking (scoped to the instructor's own sessions)
+router.get(
+  '/live-sessions/:sessionId',
+  protect,
+  checkPermission('attendance', 'read'),
+  checkScope('live_sessions', req => req.params.sessionId),
+  getLiveSessionAttendance
+);
+
+router.put(
+  '/live-sessions/:sessionId',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('live_sessions', req => req.params.sessionId),
+  bulkMarkValidation,
+  markLiveSessionAttendance
+);
+
+router.get(
+  '/group-sessions/:sessionId',
+  protect,
+  checkPermission('attendance', 'read'),
+  checkScope('group_sessions', req => req.params.sessionId),
+  getGroupSessionAttendance
+);
+
+router.put(
+  '/group-sessions/:sessionId',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('group_sessions', req => req.params.sessionId),
+  bulkMarkValidation,
+  markGroupSessionAttendance
+);
+
+// Self check-in codes (opened by the session's instructor)
+router.post(
+  '/live-sessions/:sessionId/check-in-code',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('live_sessions', req => req.params.sessionId),
+  checkInSettingsValidation,
+  openLiveSessionCheckIn
+);
+
+router.get(
+  '/live-sessions/:sessionId/check-in-code',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('live_sessions', req => req.params.sessionId),
+  getLiveSessionCheckIn
+);
+
+router.delete(
+  '/live-sessions/:sessionId/check-in-code',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('live_sessions', req => req.params.sessionId),
+  closeLiveSessionCheckIn
+);
+
+router.post(
+  '/group-sessions/:sessionId/check-in-code',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('group_sessions', req => req.params.sessionId),
+  checkInSettingsValidation,
+  openGroupSessionCheckIn
+);
+
+router.get(
+  '/group-sessions/:sessionId/check-in-code',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('group_sessions', req => req.params.sessionId),
+  getGroupSessionCheckIn
+);
+
+router.delete(
+  '/group-sessions/:sessionId/check-in-code',
+  protect,
+  checkPermission('attendance', 'create'),
+  checkScope('group_sessions', req => req.params.sessionId),
+  closeGroupSessionCheckIn
+);
+
+// Student self check-in (roster membership is checked in the controller)
+router.post(
+  '/check-in',
+  protect,
+  checkInLimit,
+  [
+    check('session_type', 'session_type must be live or group').isIn(['live', 'group']),
+    check('session', 'A valid session ID is required').isMongoId(),
+    check('code', 'Check-in code is required').not().isEmpty()
+  ],
+  checkIn
+);
+
+// Summaries (students may read their own)
+router.get(
+  '/summary/students/:userId',
+  protect,
+  [
+    check('userId', 'Invalid user ID').custom(value => value === 'me' || /^[0-9a-fA-F]{24}$/.test(value)),
+    check('batch', 'Invalid batch ID').optional().isMongoId(),
+    check('group', 'Invalid group ID').optional().isMongoId()
+  ],
+  getStudentSummary
+);
+
+router.get(
+  '/summary/groups/:groupId',
+  protect,
+  checkPermission('attendance', 'read'),
+  checkScope('groups', req => req.params.groupId),
+  getGroupSummary
+);
+
+router.get(
+  '/summary/batches/:batchId',
+  protect,
+  checkPermission('attendance', 'read'),
+  checkScope('batches', req => req.params.batchId),
+  getBatchSummary
+);
+
+// Individual records
+router.get('/:id', protect, checkPermission('attendance', 'read'), checkScope('attendance'), getAttendance);
+
+router.put(
+  '/:id',
+  protect,
+  checkPermission('attendance', 'update'),
+  checkScope('attendance'),
+  check('status', statusMessage).optional().isIn(Attendance.ATTENDANCE_STATUSES),
+  check('attendance_notes', 'Notes cannot be more than 1000 characters').optional().isLength({ max: 1000 }),
+  updateAttendance
+);
+
+module.exports = router;
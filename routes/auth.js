@@ -1,24 +1,62 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const { protect, protectTwoFactorSetup, authorize, blockImpersonation } = require('../middleware/auth');
+const { rateLimit, byAccount } = require('../utils/rateLimit');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { isValidTimeZone } = require('../utils/timezone');
+const { CALENDARS, isValidCalendar } = require('../utils/dateFormat');
 const router = express.Router();
 
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Brute-force protection, limited per IP and (where an email is sent) per account.
+// Limits can be overridden with RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS.
+const limits = {
+  register: rateLimit({ name: 'register_ip', max: 5, windowMs: HOUR, message: 'Too many accounts created from this IP, please try again later' }),
+  loginIp: rateLimit({ name: 'login_ip', max: 20, windowMs: 15 * MINUTE, message: 'Too many login attempts, please try again later' }),
+  loginAccount: rateLimit({ name: 'login_account', max: 10, windowMs: 15 * MINUTE, keyGenerator: byAccount, message: 'Too many login attempts for this account, please try again later' }),
+  refreshToken: rateLimit({ name: 'refresh_token_ip', max: 60, windowMs: 15 * MINUTE }),
+  forgotPasswordIp: rateLimit({ name: 'forgot_password_ip', max: 5, windowMs: HOUR, message: 'Too many password reset requests, please try again later' }),
+  forgotPasswordAccount: rateLimit({ name: 'forgot_password_account', max: 3, windowMs: HOUR, keyGenerator: byAccount, message: 'Too many password reset requests for this account, please try again later' }),
+  resetPassword: rateLimit({ name: 'reset_password_ip', max: 10, windowMs: 15 * MINUTE }),
+  verifyEmail: rateLimit({ name: 'verify_email_ip', max: 20, windowMs: 15 * MINUTE }),
+  twoFactorVerify: rateLimit({ name: 'two_factor_verify_ip', max: 10, windowMs: 15 * MINUTE, message: 'Too many verification attempts, please try again later' })
+};
+
 // Import controllers
 const {
   register,
   login,
   getMe,
+  getMyPermissions,
+  updateMyTimezone,
+  updateMyCalendar,
   refreshToken,
   logout,
   changePassword,
   forgotPassword,
   resetPassword,
   verifyEmail,
-  sendVerificationEmail
+  sendVerificationEmail,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  startImpersonation,
+  endImpersonation
 } = require('../controllers/auth');
 
 // Register user (public route)
 router.post('/register', [
+  limits.register,
   check('name', 'Name is required').not().isEmpty(),
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
@@ -26,40 +64,125 @@ router.post('/register', [
 
 // Login user (public route)
 router.post('/login', [
+  limits.loginIp,
   check('email', 'Please include a valid email').isEmail(),
-  check('password', 'Password is required').exists()
+  check('password', 'Password is required').exists(),
+  limits.loginAccount
 ], login);
 
 // Refresh token (public route)
-router.post('/refresh-token', refreshToken);
+router.post('/refresh-token', limits.refreshToken, refreshToken);
 
 // Get current user (protected route)
 router.get('/me', protect, getMe);
 
+// Get current user's resolved roles and permissions (protected route)
+router.get('/me/permissions', protect, getMyPermissions);
+
+// Time zone session times are shown in (protected route)
+router.put('/me/timezone', [
+  protect,
+  blockImpersonation,
+  check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa or null')
+    .custom(value => value === null || isValidTimeZone(value))
+], updateMyTimezone);
+
+// Calendar dates are shown in (protected route)
+router.put('/me/calendar', [
+  protect,
+  blockImpersonation,
+  check('calendar', `Calendar must be one of ${CALENDARS.join(', ')} or null`)
+    .custom(value => value === null || isValidCalendar(value))
+], updateMyCalendar);
+
 // Logout user (protected route)
 router.post('/logout', protect, logout);
 
 // Change password (protected route)
 router.put('/change-password', [
   protect,
+  blockImpersonation,
   check('currentPassword', 'Current password is required').exists(),
   check('newPassword', 'New password must be at least 6 characters').isLength({ min: 6 })
 ], changePassword);
 
 // Forgot password (public route)
 router.post('/forgot-password', [
-  check('email', 'Please include a valid email').isEmail()
+  limits.forgotPasswordIp,
+  check('email', 'Please include a valid email').isEmail(),
+  limits.forgotPasswordAccount
 ], forgotPassword);
 
 // Reset password (public route)
 router.put('/reset-password/:resetToken', [
+  limits.resetPassword,
   check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
 ], resetPassword);
 
 // Verify email (public route)
-router.get('/verify-email/:verificationToken', verifyEmail);
+router.get('/verify-email/:verificationToken', limits.verifyEmail, verifyEmail);
 
 // Send verification email (protected route)
-router.post('/send-verification-email', protect, sendVerificationEmail);
+router.post('/send-verification-email', protect, blockImpersonation, sendVerificationEmail);
+
+// Active sessions (protected routes)
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, blockImpersonation, revokeAllUserSessions);
+router.delete('/sessions/:id', protect, blockImpersonation, revokeUserSession);
+
+// Two-factor status (protected route)
+router.get('/2fa/status', protect, getTwoFactorStatus);
+
+// Start two-factor enrollment (access token or setup challenge token)
+router.post('/2fa/setup', protectTwoFactorSetup, blockImpersonation, setupTwoFactor);
+
+// Confirm two-factor enrollment (access token or setup challenge token)
+router.post('/2fa/confirm', [
+  protectTwoFactorSetup,
+  blockImpersonation,
+  check('code', 'Two-factor code is required').not().isEmpty()
+], confirmTwoFactor);
+
+// Second login step (public route, requires login challenge token)
+router.post('/2fa/verify', [
+  limits.twoFactorVerify,
+  check('challengeToken', 'Challenge token is required').not().isEmpty()
+], verifyTwoFactorLogin);
+
+// Disable two-factor authentication (protected route)
+router.post('/2fa/disable', [
+  protect,
+  blockImpersonation,
+  check('password', 'Password is required').not().isEmpty()
+], disableTwoFactor);
+
+// Regenerate recovery codes (protected route)
+router.post('/2fa/recovery-codes', [
+  protect,
+  blockImpersonation,
+  check('code', 'Two-factor code is required').not().isEmpty()
+], regenerateRecoveryCodes);
+
+// Two-factor policy (super_admin only)
+router.get('/2fa/policy', protect, authorize('super_admin'), getTwoFactorPolicy);
+
+router.put('/2fa/policy', [
+  protect,
+  blockImpersonation,
+  authorize('super_admin'),
+  check('required_roles', 'required_roles must be an array').isArray(),
+  check('required_roles.*', `Roles must be one of: ${SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES.join(', ')}`)
+    .isIn(SecurityPolicy.TWO_FACTOR_ENFORCEABLE_ROLES)
+], updateTwoFactorPolicy);
+
+// Impersonation (end uses the impersonation token; start is super_admin only)
+router.post('/impersonate/end', protect, endImpersonation);
+
+router.post('/impersonate/:userId', [
+  protect,
+  blockImpersonation,
+  authorize('super_admin'),
+  check('reason', 'A reason of at least 3 characters is required').trim().isLength({ min: 3 })
+], startImpersonation);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, checkPermission } = require('../middleware/auth');
+const { protect, checkPermission, checkScope } = require('../middleware/auth');
+const { parseTimeOfDay, normalizeTimeOfDay } = require('../utils/sessionTime');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -166,7 +168,16 @@ router.post(
     check('batch_code', 'Batch code is required').not().isEmpty(),
     check('full_name', 'Full name is required').not().isEmpty(),
     check('start_date', 'Start date is required').isISO8601(),
-    check('end_date', 'End date is required').isISO8601()
+    check('end_date', 'End date is required').isISO8601(),
+    check('class_start_time', 'Class start time must be a time such as 10:00 or 2:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('class_end_time', 'Class end time must be a time such as 12:00 or 4:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone)
   ],
   createBatch
 );
@@ -217,8 +228,18 @@ router.put(
   [
     protect,
     checkPermission('batches', 'update'),
+    checkScope('batches'),
     check('name', 'Name is required').optional().not().isEmpty(),
-    check('batch_code', 'Batch code is required').optional().not().isEmpty()
+    check('batch_code', 'Batch code is required').optional().not().isEmpty(),
+    check('class_start_time', 'Class start time must be a time such as 10:00 or 2:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('class_end_time', 'Class end time must be a time such as 12:00 or 4:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone)
   ],
   updateBatch
 );
@@ -241,7 +262,7 @@ router.put(
  *       200:
  *         description: Batch deleted successfully
  */
-router.delete('/:id', protect, checkPermission('batches', 'delete'), deleteBatch);
+router.delete('/:id', protect, checkPermission('batches', 'delete'), checkScope('batches'), deleteBatch);
 
 /**
  * @swagger
@@ -304,9 +325,19 @@ router.post(
   [
     protect,
     checkPermission('batches', 'update'),
+    checkScope('batches'),
     check('course', 'Course ID is required').not().isEmpty(),
     check('start_date', 'Start date is required').isISO8601(),
-    check('end_date', 'End date is required').isISO8601()
+    check('end_date', 'End date is required').isISO8601(),
+    check('class_start_time', 'Class start time must be a time such as 10:00 or 2:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('class_end_time', 'Class end time must be a time such as 12:00 or 4:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone)
   ],
   addCourse
 );
@@ -338,6 +369,7 @@ router.delete(
   '/:id/courses/:courseId',
   protect,
   checkPermission('batches', 'update'),
+  checkScope('batches'),
   removeCourse
 );
 
@@ -400,6 +432,7 @@ router.post(
   [
     protect,
     checkPermission('batches', 'update'),
+    checkScope('batches'),
     check('user', 'User ID is required').not().isEmpty(),
     check('role', 'Role is required').isIn(['student', 'instructor', 'group_instructor'])
   ],
@@ -433,6 +466,7 @@ router.delete(
   '/:id/users/:userId',
   protect,
   checkPermission('batches', 'update'),
+  checkScope('batches'),
   removeUser
 );
 
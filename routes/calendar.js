@@ -0,0 +1,32 @@
+const express = require('express');
+const { protect, blockImpersonation } = require('../middleware/auth');
+const { rateLimit } = require('../utils/rateLimit');
+
+const router = express.Router();
+
+// Feed URLs are public; calendar clients poll them, so the limit is per IP and generous
+const feedLimit = rateLimit({ name: 'calendar_feed_ip', max: 120, windowMs: 15 * 60 * 1000 });
+
+// Import controllers
+const {
+  getFeedStatus,
+  createFeedToken,
+  revokeFeedToken,
+  getUserFeed,
+  getBatchFeed,
+  convertDate
+} = require('../controllers/calendar');
+
+// Manage my feed token
+router.get('/feed', protect, getFeedStatus);
+router.post('/feed', protect, blockImpersonation, createFeedToken);
+router.delete('/feed', protect, blockImpersonation, revokeFeedToken);
+
+// Gregorian and Ethiopian calendar conversion
+router.get('/convert', protect, convertDate);
+
+// Subscription feeds (authenticated by the token in the URL)
+router.get('/feeds/:token/sessions.ics', feedLimit, getUserFeed);
+router.get('/feeds/:token/batches/:batchId/sessions.ics', feedLimit, getBatchFeed);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, checkPermission } = require('../middleware/auth');
+const { protect, checkPermission, checkScope } = require('../middleware/auth');
 const { uploadFields } = require('../middleware/upload');
 
 const router = express.Router();
@@ -204,6 +204,7 @@ router.put(
   [
     protect,
     checkPermission('courses', 'update'),
+    checkScope('courses'),
     uploadFields([
       { name: 'course_icon_path', maxCount: 1 }
     ]),
@@ -240,7 +241,7 @@ router.put(
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', protect, checkPermission('courses', 'delete'), deleteCourse);
+router.delete('/:id', protect, checkPermission('courses', 'delete'), checkScope('courses'), deleteCourse);
 
 /**
  * @swagger
@@ -292,6 +293,7 @@ router.post(
   [
     protect,
     checkPermission('courses', 'update'),
+    checkScope('courses'),
     check('userId', 'User ID is required').not().isEmpty()
   ],
   assignInstructor
@@ -332,6 +334,7 @@ router.delete(
   '/:id/instructors/:userId',
   protect,
   checkPermission('courses', 'update'),
+  checkScope('courses'),
   removeInstructor
 );
 
@@ -1,26 +1,103 @@
 const express = require('express');
+const { check } = require('express-validator');
+const { protect, checkPermission, checkScope } = require('../middleware/auth');
+const { parseTimeOfDay } = require('../utils/sessionTime');
+const { isValidTimeZone } = require('../utils/timezone');
 const { 
   getGroupSessions,
   getGroupSession,
   createGroupSession,
   updateGroupSession,
-  deleteGroupSession
+  deleteGroupSession,
+  generateGroupSessions,
+  rescheduleGroupSession,
+  cancelGroupSession,
+  getGroupSessionHistory
 } = require('../controllers/groupSessions');
 const router = express.Router();
 
+// Sessions take either starts_at and ends_at, or session_date, start_time and end_time in the
+// session's time zone (the batch or group zone unless timezone is given)
+const scheduleChecks = [
+  check('starts_at', 'starts_at must be a date-time').optional().isISO8601(),
+  check('ends_at', 'ends_at must be a date-time').optional().isISO8601(),
+  check('session_date', 'session_date must be a date').optional().isISO8601(),
+  check('start_time', 'start_time must be a time such as 10:00 or 2:00 PM').optional().custom(value => parseTimeOfDay(value) !== null),
+  check('end_time', 'end_time must be a time such as 12:00 or 4:00 PM').optional().custom(value => parseTimeOfDay(value) !== null),
+  check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone)
+];
+
 // Get all group sessions
 router.get('/', getGroupSessions);
 
+// Generate a group's sessions from its timetable (safe to re-run)
+router.post(
+  '/generate',
+  protect,
+  checkPermission('sessions', 'create'),
+  checkScope('groups', req => req.body.group),
+  [
+    check('group', 'A valid group ID is required').isMongoId(),
+    check('instructor', 'Invalid instructor ID').optional().isMongoId(),
+    check('skip_dates', 'skip_dates must be an array of dates').optional().isArray(),
+    check('skip_dates.*', 'skip_dates must be an array of dates').isISO8601(),
+    check('from', 'from must be a date').optional().isISO8601(),
+    check('dry_run', 'dry_run must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  generateGroupSessions
+);
+
 // Get single group session
 router.get('/:id', getGroupSession);
 
 // Create new group session
-router.post('/', createGroupSession);
+router.post(
+  '/',
+  protect,
+  checkPermission('sessions', 'create'),
+  checkScope('groups', req => req.body.group),
+  check('allow_conflicts', 'allow_conflicts must be a boolean').optional().isBoolean().toBoolean(),
+  scheduleChecks,
+  createGroupSession
+);
 
 // Update group session
-router.put('/:id', updateGroupSession);
+router.put(
+  '/:id',
+  protect,
+  checkPermission('sessions', 'update'),
+  checkScope('group_sessions'),
+  checkScope('groups', req => req.body.group),
+  check('allow_conflicts', 'allow_conflicts must be a boolean').optional().isBoolean().toBoolean(),
+  scheduleChecks,
+  updateGroupSession
+);
 
 // Delete group session
-router.delete('/:id', deleteGroupSession);
+router.delete('/:id', protect, checkPermission('sessions', 'delete'), checkScope('group_sessions'), deleteGroupSession);
+
+// Reschedule or cancel a session, notifying its students
+router.post(
+  '/:id/reschedule',
+  protect,
+  checkPermission('sessions', 'update'),
+  checkScope('group_sessions'),
+  check('reason', 'A reason is required').trim().notEmpty(),
+  check('allow_conflicts', 'allow_conflicts must be a boolean').optional().isBoolean().toBoolean(),
+  scheduleChecks,
+  rescheduleGroupSession
+);
+
+router.post(
+  '/:id/cancel',
+  protect,
+  checkPermission('sessions', 'update'),
+  checkScope('group_sessions'),
+  check('reason', 'A reason is required').trim().notEmpty(),
+  cancelGroupSession
+);
+
+// Session change history
+router.get('/:id/history', protect, checkPermission('sessions', 'read'), checkScope('group_sessions'), getGroupSessionHistory);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,8 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, checkPermission } = require('../middleware/auth');
+const { protect, checkPermission, checkScope } = require('../middleware/auth');
+const { parseTimeOfDay, normalizeTimeOfDay } = require('../utils/sessionTime');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -46,12 +48,20 @@ router.post(
   [
     protect,
     checkPermission('groups', 'create'),
+    checkScope('batches', req => req.body.batch),
     check('batch', 'Batch ID is required').not().isEmpty(),
     check('name', 'Group name is required').not().isEmpty(),
     check('max_members', 'Max members must be a number').optional().isNumeric(),
     check('class_days', 'Class days is required').optional().not().isEmpty(),
-    check('class_start_time', 'Class start time is required').optional().not().isEmpty(),
-    check('class_end_time', 'Class end time is required').optional().not().isEmpty(),
+    check('class_start_time', 'Class start time must be a time such as 10:00 or 2:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('class_end_time', 'Class end time must be a time such as 12:00 or 4:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone),
     check('status', 'Invalid status')
       .optional()
       .isIn(['active', 'inactive'])
@@ -71,11 +81,20 @@ router.put(
   [
     protect,
     checkPermission('groups', 'update'),
+    checkScope('groups'),
+    checkScope('batches', req => req.body.batch),
     check('name', 'Group name is required').optional().not().isEmpty(),
     check('max_members', 'Max members must be a number').optional().isNumeric(),
     check('class_days', 'Class days is required').optional().not().isEmpty(),
-    check('class_start_time', 'Class start time is required').optional().not().isEmpty(),
-    check('class_end_time', 'Class end time is required').optional().not().isEmpty(),
+    check('class_start_time', 'Class start time must be a time such as 10:00 or 2:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('class_end_time', 'Class end time must be a time such as 12:00 or 4:00 PM')
+      .optional()
+      .custom(value => parseTimeOfDay(value) !== null)
+      .customSanitizer(normalizeTimeOfDay),
+    check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone),
     check('status', 'Invalid status')
       .optional()
       .isIn(['active', 'inactive'])
@@ -90,7 +109,7 @@ router.put(
  *     summary: Delete a group
  *     tags: [Groups]
  */
-router.delete('/:id', protect, checkPermission('groups', 'delete'), deleteGroup);
+router.delete('/:id', protect, checkPermission('groups', 'delete'), checkScope('groups'), deleteGroup);
 
 /**
  * @swagger
@@ -113,6 +132,7 @@ router.post(
   [
     protect,
     checkPermission('groups', 'update'),
+    checkScope('groups'),
     check('user', 'User ID is required').not().isEmpty(),
     check('role', 'Role is required').isIn(['student', 'group_instructor'])
   ],
@@ -130,6 +150,7 @@ router.delete(
   '/:id/users/:userId',
   protect,
   checkPermission('groups', 'update'),
+  checkScope('groups'),
   removeUser
 );
 
@@ -0,0 +1,33 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Import controllers
+const {
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+} = require('../controllers/holidays');
+
+// Get holidays
+router.get('/', protect, getHolidays);
+
+// Create holiday
+router.post(
+  '/',
+  [
+    protect,
+    authorize('super_admin', 'admin'),
+    check('name', 'Holiday name is required').not().isEmpty(),
+    check('date', 'A valid date is required').isISO8601(),
+    check('is_recurring', 'is_recurring must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  createHoliday
+);
+
+// Delete holiday
+router.delete('/:id', protect, authorize('super_admin', 'admin'), deleteHoliday);
+
+module.exports = router;
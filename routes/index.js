@@ -1,6 +1,9 @@
 // Export all routes
 const authRoutes = require('./auth');
 const userRoutes = require('./users');
+const roleRoutes = require('./roles');
+const permissionRoutes = require('./permissions');
+const invitationRoutes = require('./invitations');
 const courseRoutes = require('./courses');
 const batchRoutes = require('./batches');
 const phaseRoutes = require('./phases');
@@ -14,12 +17,22 @@ const checklistRoutes = require('./checklists');
 const checklistItemRoutes = require('./checklistItems');
 const liveSessionRoutes = require('./liveSessions');
 const groupSessionRoutes = require('./groupSessions');
+const attendanceRoutes = require('./attendance');
+const holidayRoutes = require('./holidays');
+const scheduleRoutes = require('./schedule');
+const calendarRoutes = require('./calendar');
+const notificationRoutes = require('./notifications');
+const announcementRoutes = require('./announcements');
+const webhookRoutes = require('./webhooks');
 const activityLogRoutes = require('./activityLogs');
 const courseHierarchyRoutes = require('./courseHierarchy');
 
 module.exports = {
   authRoutes,
   userRoutes,
+  roleRoutes,
+  permissionRoutes,
+  invitationRoutes,
   courseRoutes,
   batchRoutes,
   phaseRoutes,
@@ -33,6 +46,13 @@ module.exports = {
   checklistItemRoutes,
   liveSessionRoutes,
   groupSessionRoutes,
+  attendanceRoutes,
+  holidayRoutes,
+  scheduleRoutes,
+  calendarRoutes,
+  notificationRoutes,
+  announcementRoutes,
+  webhookRoutes,
   activityLogRoutes,
   courseHierarchyRoutes
 };
\ No newline at end of file
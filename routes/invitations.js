@@ -0,0 +1,77 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, authorize, checkScope, blockImpersonation } = require('../middleware/auth');
+const { rateLimit } = require('../utils/rateLimit');
+
+const router = express.Router();
+
+// Public token endpoints are limited per IP to slow down token guessing
+const tokenLimit = rateLimit({ name: 'invitation_token_ip', max: 30, windowMs: 15 * 60 * 1000 });
+const acceptLimit = rateLimit({ name: 'invitation_accept_ip', max: 10, windowMs: 15 * 60 * 1000 });
+
+// Import controllers
+const {
+  createInvitation,
+  getInvitations,
+  getInvitationByToken,
+  acceptInvitation,
+  resendInvitation,
+  revokeInvitation
+} = require('../controllers/invitations');
+
+// Preview invitation (public route)
+router.get('/token/:token', tokenLimit, getInvitationByToken);
+
+// Accept invitation (public route)
+router.post(
+  '/accept',
+  [
+    acceptLimit,
+    check('token', 'Invitation token is required').not().isEmpty(),
+    check('password', 'Password must be at least 6 characters').optional().isLength({ min: 6 })
+  ],
+  acceptInvitation
+);
+
+// List invitations
+router.get('/', protect, authorize('super_admin', 'admin', 'instructor'), getInvitations);
+
+// Create invitation (instructors only for batches they are assigned to)
+router.post(
+  '/',
+  [
+    protect,
+    blockImpersonation,
+    authorize('super_admin', 'admin', 'instructor'),
+    check('email', 'Please include a valid email').isEmail(),
+    check('role', 'Role ID is required').isMongoId(),
+    check('batch', 'Batch ID is required').isMongoId(),
+    check('group', 'Group must be a valid ID').optional().isMongoId(),
+    check('batch_course', 'Batch course must be a valid ID').optional().isMongoId(),
+    check('message', 'Message cannot be more than 500 characters').optional().isLength({ max: 500 }),
+    checkScope('batches', req => req.body.batch)
+  ],
+  createInvitation
+);
+
+// Resend invitation
+router.post(
+  '/:id/resend',
+  protect,
+  blockImpersonation,
+  authorize('super_admin', 'admin', 'instructor'),
+  checkScope('invitations'),
+  resendInvitation
+);
+
+// Revoke invitation
+router.delete(
+  '/:id',
+  protect,
+  blockImpersonation,
+  authorize('super_admin', 'admin', 'instructor'),
+  checkScope('invitations'),
+  revokeInvitation
+);
+
+module.exports = router;
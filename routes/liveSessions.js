@@ -1,26 +1,105 @@
 const express = require('express');
+const { check } = require('express-validator');
+const { protect, checkPermission, checkScope } = require('../middleware/auth');
+const { parseTimeOfDay } = require('../utils/sessionTime');
+const { isValidTimeZone } = require('../utils/timezone');
 const { 
   getLiveSessions,
   getLiveSession,
   createLiveSession,
   updateLiveSession,
-  deleteLiveSession
+  deleteLiveSession,
+  generateLiveSessions,
+  rescheduleLiveSession,
+  cancelLiveSession,
+  getLiveSessionHistory
 } = require('../controllers/liveSessions');
 const router = express.Router();
 
+// Sessions take either starts_at and ends_at, or session_date, start_time and end_time in the
+// session's time zone (the batch or group zone unless timezone is given)
+const scheduleChecks = [
+  check('starts_at', 'starts_at must be a date-time').optional().isISO8601(),
+  check('ends_at', 'ends_at must be a date-time').optional().isISO8601(),
+  check('session_date', 'session_date must be a date').optional().isISO8601(),
+  check('start_time', 'start_time must be a time such as 10:00 or 2:00 PM').optional().custom(value => parseTimeOfDay(value) !== null),
+  check('end_time', 'end_time must be a time such as 12:00 or 4:00 PM').optional().custom(value => parseTimeOfDay(value) !== null),
+  check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone)
+];
+
 // Get all live sessions
 router.get('/', getLiveSessions);
 
+// Generate a batch's live sessions from its schedule
+router.post(
+  '/generate',
+  protect,
+  checkPermission('sessions', 'create'),
+  checkScope('batches', req => req.body.batch),
+  [
+    check('batch', 'A valid batch ID is required').isMongoId(),
+    check('course', 'Invalid course ID').optional().isMongoId(),
+    check('instructor', 'Invalid instructor ID').optional().isMongoId(),
+    check('skip_dates', 'skip_dates must be an array of dates').optional().isArray(),
+    check('skip_dates.*', 'skip_dates must be an array of dates').isISO8601(),
+    check('from', 'from must be a date').optional().isISO8601(),
+    check('regenerate', 'regenerate must be a boolean').optional().isBoolean().toBoolean(),
+    check('dry_run', 'dry_run must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  generateLiveSessions
+);
+
 // Get single live session
 router.get('/:id', getLiveSession);
 
 // Create new live session
-router.post('/', createLiveSession);
+router.post(
+  '/',
+  protect,
+  checkPermission('sessions', 'create'),
+  checkScope('batches', req => req.body.batch),
+  check('allow_conflicts', 'allow_conflicts must be a boolean').optional().isBoolean().toBoolean(),
+  scheduleChecks,
+  createLiveSession
+);
 
 // Update live session
-router.put('/:id', updateLiveSession);
+router.put(
+  '/:id',
+  protect,
+  checkPermission('sessions', 'update'),
+  checkScope('live_sessions'),
+  checkScope('batches', req => req.body.batch),
+  check('allow_conflicts', 'allow_conflicts must be a boolean').optional().isBoolean().toBoolean(),
+  scheduleChecks,
+  updateLiveSession
+);
 
 // Delete live session
-router.delete('/:id', deleteLiveSession);
+router.delete('/:id', protect, checkPermission('sessions', 'delete'), checkScope('live_sessions'), deleteLiveSession);
+
+// Reschedule or cancel a session, notifying its students
+router.post(
+  '/:id/reschedule',
+  protect,
+  checkPermission('sessions', 'update'),
+  checkScope('live_sessions'),
+  check('reason', 'A reason is required').trim().notEmpty(),
+  check('allow_conflicts', 'allow_conflicts must be a boolean').optional().isBoolean().toBoolean(),
+  scheduleChecks,
+  rescheduleLiveSession
+);
+
+router.post(
+  '/:id/cancel',
+  protect,
+  checkPermission('sessions', 'update'),
+  checkScope('live_sessions'),
+  check('reason', 'A reason is required').trim().notEmpty(),
+  cancelLiveSession
+);
+
+// Session change history
+router.get('/:id/history', protect, checkPermission('sessions', 'read'), checkScope('live_sessions'), getLiveSessionHistory);
 
 module.exports = router; 
\ No newline at end of file
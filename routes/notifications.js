@@ -0,0 +1,46 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, blockImpersonation } = require('../middleware/auth');
+const { NOTIFICATION_CATEGORIES, isValidPreferences } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Import controllers
+const {
+  getNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  markNotificationUnread,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notifications');
+
+const categoryFilter = check('category', `Category must be one of ${NOTIFICATION_CATEGORIES.join(', ')}`)
+  .optional()
+  .isIn(NOTIFICATION_CATEGORIES);
+
+const notificationId = check('id', 'Invalid notification ID').isMongoId();
+
+// The signed-in user's own notifications
+router.get('/', [
+  protect,
+  categoryFilter,
+  check('unread', 'Unread must be true or false').optional().isIn(['true', 'false'])
+], getNotifications);
+router.put('/read-all', [protect, categoryFilter], markAllNotificationsRead);
+
+// Channels per category
+router.get('/preferences', protect, getPreferences);
+router.put('/preferences', [
+  protect,
+  blockImpersonation,
+  check('preferences', `Preferences must map categories (${NOTIFICATION_CATEGORIES.join(', ')}) to in_app and email true or false`)
+    .custom(isValidPreferences)
+], updatePreferences);
+
+router.put('/:id/read', [protect, notificationId], markNotificationRead);
+router.put('/:id/unread', [protect, notificationId], markNotificationUnread);
+router.delete('/:id', [protect, notificationId], deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, checkPermission, blockImpersonation } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Import controllers
+const {
+  getPermissions,
+  getPermission,
+  createPermission,
+  updatePermission,
+  deletePermission
+} = require('../controllers/permissions');
+
+const ACTIONS = ['create', 'read', 'update', 'delete', 'manage'];
+
+// Get all permissions
+router.get('/', protect, checkPermission('permissions', 'read'), getPermissions);
+
+// Get single permission
+router.get('/:id', protect, checkPermission('permissions', 'read'), getPermission);
+
+// Create custom permission
+router.post(
+  '/',
+  [
+    protect,
+    blockImpersonation,
+    checkPermission('permissions', 'create'),
+    check('resource_type', 'Resource type must contain only lowercase letters, numbers, underscores or hyphens')
+      .matches(/^[a-z][a-z0-9_-]*$/i),
+    check('action', `Action must be one of: ${ACTIONS.join(', ')}`).isIn(ACTIONS)
+  ],
+  createPermission
+);
+
+// Update permission
+router.put(
+  '/:id',
+  [
+    protect,
+    blockImpersonation,
+    checkPermission('permissions', 'update'),
+    check('name', 'Name cannot be empty').optional().not().isEmpty(),
+    check('resource_type', 'Resource type must contain only lowercase letters, numbers, underscores or hyphens')
+      .optional()
+      .matches(/^[a-z][a-z0-9_-]*$/i),
+    check('action', `Action must be one of: ${ACTIONS.join(', ')}`).optional().isIn(ACTIONS)
+  ],
+  updatePermission
+);
+
+// Delete custom permission
+router.delete('/:id', protect, blockImpersonation, checkPermission('permissions', 'delete'), deletePermission);
+
+module.exports = router;
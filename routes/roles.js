@@ -0,0 +1,77 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, checkPermission, blockImpersonation } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Import controllers
+const {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  getRolePermissions,
+  grantPermission,
+  revokePermission,
+  getRoleUsers
+} = require('../controllers/roles');
+
+// Get all roles
+router.get('/', protect, checkPermission('roles', 'read'), getRoles);
+
+// Get single role
+router.get('/:id', protect, checkPermission('roles', 'read'), getRole);
+
+// Create custom role
+router.post(
+  '/',
+  [
+    protect,
+    blockImpersonation,
+    checkPermission('roles', 'create'),
+    check('name', 'Role name is required').not().isEmpty(),
+    check('description', 'Description is required').not().isEmpty(),
+    check('permission_level', 'Permission level must be an integer between 0 and 100').optional().isInt({ min: 0, max: 100 }),
+    check('permissions', 'Permissions must be an array').optional().isArray()
+  ],
+  createRole
+);
+
+// Update role
+router.put(
+  '/:id',
+  [
+    protect,
+    blockImpersonation,
+    checkPermission('roles', 'update'),
+    check('name', 'Role name cannot be empty').optional().not().isEmpty(),
+    check('description', 'Description cannot be empty').optional().not().isEmpty(),
+    check('permission_level', 'Permission level must be an integer between 0 and 100').optional().isInt({ min: 0, max: 100 })
+  ],
+  updateRole
+);
+
+// Delete custom role
+router.delete('/:id', protect, blockImpersonation, checkPermission('roles', 'delete'), deleteRole);
+
+// Role permissions
+router.get('/:id/permissions', protect, checkPermission('roles', 'read'), getRolePermissions);
+
+router.post(
+  '/:id/permissions',
+  [
+    protect,
+    blockImpersonation,
+    checkPermission('roles', 'update'),
+    check('permission', 'Permission ID or code is required').not().isEmpty()
+  ],
+  grantPermission
+);
+
+router.delete('/:id/permissions/:permissionId', protect, blockImpersonation, checkPermission('roles', 'update'), revokePermission);
+
+// Users holding the role
+router.get('/:id/users', protect, checkPermission('roles', 'read'), getRoleUsers);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Import controllers
+const { getConflicts } = require('../controllers/schedule');
+
+// Overlapping sessions report
+router.get(
+  '/conflicts',
+  [
+    protect,
+    checkPermission('sessions', 'read'),
+    check('from', 'from must be a date').optional().isISO8601(),
+    check('to', 'to must be a date').optional().isISO8601(),
+    check('instructor', 'Invalid instructor ID').optional().isMongoId(),
+    check('batch', 'Invalid batch ID').optional().isMongoId(),
+    check('group', 'Invalid group ID').optional().isMongoId()
+  ],
+  getConflicts
+);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 // routes/users.js - Updated routes
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, authorize, checkPermission } = require('../middleware/auth');
+const { protect, authorize, checkPermission, blockImpersonation } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
+const { CALENDARS } = require('../utils/dateFormat');
 
 const router = express.Router();
 
@@ -28,6 +30,7 @@ router.post(
   '/',
   [
     protect,
+    blockImpersonation,
     authorize('super_admin', 'admin'),
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
@@ -42,16 +45,19 @@ router.put(
   '/:id',
   [
     protect,
+    blockImpersonation,
     checkPermission('users', 'update'),
     check('name', 'Name is required').optional().not().isEmpty(),
     check('email', 'Please include a valid email').optional().isEmail(),
-    check('address', 'Address must be a string').optional().isString()
+    check('address', 'Address must be a string').optional().isString(),
+    check('timezone', 'Time zone must be an IANA zone such as Africa/Addis_Ababa').optional().custom(isValidTimeZone),
+    check('calendar', `Calendar must be one of ${CALENDARS.join(', ')}`).optional().isIn(CALENDARS)
   ],
   updateUser
 );
 
 // Delete user (super_admin only)
-router.delete('/:id', protect, authorize('super_admin'), deleteUser);
+router.delete('/:id', protect, blockImpersonation, authorize('super_admin'), deleteUser);
 
 // Get user roles
 router.get('/:id/roles', protect, checkPermission('users', 'read'), getUserRoles);
@@ -61,7 +67,10 @@ router.post(
   '/:id/roles',
   [
     protect,
-    check('role', 'Role ID is required').not().isEmpty()
+    blockImpersonation,
+    check('role', 'Role ID is required').not().isEmpty(),
+    check('expires_at', 'Expiry must be a valid date').optional().isISO8601(),
+    check('duration_days', 'Duration must be a positive number of days').optional().isFloat({ gt: 0 })
   ],
   assignRole
 );
@@ -70,6 +79,7 @@ router.post(
 router.delete(
   '/:id/roles/:roleId',
   protect,
+  blockImpersonation,
   authorize('super_admin'),
   removeRole
 );
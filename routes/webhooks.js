@@ -0,0 +1,67 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, authorize, blockImpersonation } = require('../middleware/auth');
+const { WEBHOOK_EVENT_NAMES } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Import controllers
+const {
+  getWebhookEvents,
+  getWebhookEndpoints,
+  getWebhookEndpoint,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  testWebhookEndpoint,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery
+} = require('../controllers/webhooks');
+
+const admin = [protect, authorize('super_admin', 'admin')];
+
+// Localhost URLs are allowed so the test receiver can be used
+const urlField = () => check('url', 'URL must be an http or https URL')
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false });
+
+const eventsField = () => check('events', `Events must be a non-empty list of: ${WEBHOOK_EVENT_NAMES.join(', ')}`)
+  .isArray({ min: 1 })
+  .custom(events => events.every(event => WEBHOOK_EVENT_NAMES.includes(event)));
+
+router.get('/events', admin, getWebhookEvents);
+
+// Delivery log
+router.get('/deliveries/:deliveryId', admin, getWebhookDelivery);
+router.post('/deliveries/:deliveryId/replay', admin, replayWebhookDelivery);
+
+// Endpoints
+router.get('/', admin, getWebhookEndpoints);
+router.post('/', [
+  ...admin,
+  blockImpersonation,
+  urlField(),
+  eventsField(),
+  check('description', 'Description cannot be more than 200 characters').optional().isLength({ max: 200 })
+], createWebhookEndpoint);
+
+router.get('/:id', admin, getWebhookEndpoint);
+router.put('/:id', [
+  ...admin,
+  blockImpersonation,
+  urlField().optional(),
+  eventsField().optional(),
+  check('description', 'Description cannot be more than 200 characters').optional().isLength({ max: 200 }),
+  check('is_active', 'is_active must be a boolean').optional().isBoolean().toBoolean()
+], updateWebhookEndpoint);
+router.delete('/:id', admin, blockImpersonation, deleteWebhookEndpoint);
+
+router.post('/:id/rotate-secret', admin, blockImpersonation, rotateWebhookSecret);
+router.post('/:id/test', admin, testWebhookEndpoint);
+router.get('/:id/deliveries', [
+  ...admin,
+  check('status', 'Status must be pending, succeeded or failed').optional().isIn(['pending', 'succeeded', 'failed'])
+], getWebhookDeliveries);
+
+module.exports = router;
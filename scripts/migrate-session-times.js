@@ -0,0 +1,166 @@
+// Converts free-form session times to UTC instants with an IANA time zone.
+//
+//   node scripts/migrate-session-times.js --timezone=America/New_York [--dry-run]
+//
+// --timezone is the zone existing times were entered in (defaults to DEFAULT_TIMEZONE).
+// Batches without a zone get it; groups inherit their batch's zone. Class times are
+// normalised to "HH:mm", Group.ethio_start_time/ethio_end_time are removed, and every
+// live and group session without starts_at gets starts_at, ends_at and timezone.
+// Safe to re-run: converted sessions are left alone.
+require('dotenv').config({ path: './.env' });
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Group = require('../models/Group');
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const { getDefaultTimeZone, isValidTimeZone, startOfDay } = require('../utils/timezone');
+const { normalizeTimeOfDay, buildSessionSchedule } = require('../utils/sessionTime');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const timezoneArg = args.find(arg => arg.startsWith('--timezone='));
+const legacyTimeZone = timezoneArg ? timezoneArg.split('=')[1] : getDefaultTimeZone();
+
+// Old session dates were saved as midnight in whatever zone the client or server used,
+// so they can be up to half a day either side of midnight UTC; round to the nearest
+const toCalendarDate = (value) => startOfDay(new Date(new Date(value).getTime() + 12 * HOUR_MS));
+
+// Writes go to the collection directly so fields no longer in the schema can be removed
+const writeInBatches = async (Model, operations) => {
+  if (dryRun) return;
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await Model.collection.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+};
+
+// Class times: normalise readable values, report the rest
+const classTimeUpdates = (entity, label, problems) => {
+  const updates = {};
+  ['class_start_time', 'class_end_time'].forEach(field => {
+    if (!entity[field]) return;
+    const normalized = normalizeTimeOfDay(entity[field]);
+    if (normalized === null) {
+      problems.push(`${label} ${entity._id}: ${field} "${entity[field]}" could not be read`);
+    } else if (normalized !== entity[field]) {
+      updates[field] = normalized;
+    }
+  });
+  return updates;
+};
+
+const migrateBatches = async (problems) => {
+  const batches = await Batch.find({}).lean();
+  const zones = new Map();
+  const operations = [];
+
+  batches.forEach(batch => {
+    const $set = classTimeUpdates(batch, 'Batch', problems);
+    if (!isValidTimeZone(batch.timezone)) $set.timezone = legacyTimeZone;
+
+    zones.set(batch._id.toString(), $set.timezone || batch.timezone);
+    if (Object.keys($set).length > 0) {
+      operations.push({ updateOne: { filter: { _id: batch._id }, update: { $set } } });
+    }
+  });
+
+  await writeInBatches(Batch, operations);
+  console.log(`Batches: ${operations.length} of ${batches.length} updated`);
+  return zones;
+};
+
+const migrateGroups = async (batchZones, problems) => {
+  const groups = await Group.find({}).lean();
+  const zones = new Map();
+  const operations = [];
+
+  groups.forEach(group => {
+    const $set = classTimeUpdates(group, 'Group', problems);
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (group.ethio_start_time !== undefined || group.ethio_end_time !== undefined) {
+      update.$unset = { ethio_start_time: '', ethio_end_time: '' };
+    }
+
+    const zone = isValidTimeZone(group.timezone)
+      ? group.timezone
+      : batchZones.get(String(group.batch)) || legacyTimeZone;
+    zones.set(group._id.toString(), zone);
+
+    if (Object.keys(update).length > 0) {
+      operations.push({ updateOne: { filter: { _id: group._id }, update } });
+    }
+  });
+
+  await writeInBatches(Group, operations);
+  console.log(`Groups: ${operations.length} of ${groups.length} updated`);
+  return zones;
+};
+
+const migrateSessions = async (Model, label, zoneOf, problems) => {
+  const sessions = await Model.find({ starts_at: { $exists: false } })
+    .select('session_date start_time end_time batch group timezone')
+    .lean();
+  const operations = [];
+
+  sessions.forEach(session => {
+    const zone = isValidTimeZone(session.timezone) ? session.timezone : zoneOf(session);
+    const schedule = session.session_date
+      ? buildSessionSchedule({
+        session_date: toCalendarDate(session.session_date),
+        start_time: session.start_time,
+        end_time: session.end_time
+      }, zone)
+      : null;
+
+    if (!schedule) {
+      problems.push(`${label} ${session._id}: "${session.start_time}" - "${session.end_time}" on ${session.session_date} could not be read`);
+      return;
+    }
+
+    operations.push({ updateOne: { filter: { _id: session._id }, update: { $set: schedule } } });
+  });
+
+  await writeInBatches(Model, operations);
+  console.log(`${label}s: ${operations.length} of ${sessions.length} converted`);
+};
+
+async function migrateSessionTimes() {
+  if (!isValidTimeZone(legacyTimeZone)) {
+    console.error(`"${legacyTimeZone}" is not an IANA time zone`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB connected for session time migration${dryRun ? ' (dry run)' : ''}.`);
+    console.log(`Existing times are read as ${legacyTimeZone}.`);
+
+    const problems = [];
+    const batchZones = await migrateBatches(problems);
+    const groupZones = await migrateGroups(batchZones, problems);
+
+    await migrateSessions(LiveSession, 'Live session',
+      session => batchZones.get(String(session.batch)) || legacyTimeZone, problems);
+    await migrateSessions(GroupSession, 'Group session',
+      session => groupZones.get(String(session.group)) || legacyTimeZone, problems);
+
+    if (problems.length > 0) {
+      console.warn(`${problems.length} record(s) need fixing by hand:`);
+      problems.forEach(problem => console.warn(`  ${problem}`));
+    }
+
+    console.log('Session time migration completed.');
+  } catch (error) {
+    console.error('Error during session time migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('MongoDB disconnected.');
+  }
+}
+
+migrateSessionTimes();
@@ -197,7 +197,7 @@ const seedRoles = async () => {
 // Seed permissions
 const seedPermissions = async () => {
   const resources = [
-    'users', 'roles', 'courses', 'batches', 'groups', 
+    'users', 'roles', 'permissions', 'courses', 'batches', 'groups', 
     'phases', 'weeks', 'sessions', 'attendance', 'enrollments'
   ];
   
@@ -570,8 +570,8 @@ const seedBatches = async (users) => {
       flyer_url: '/uploads/batches/mar2025-flyer.jpg',
       schedule_url: '/uploads/batches/mar2025-schedule.pdf',
       class_days: 'Sat & Sun',
-      class_start_time: '10:00 AM',
-      class_end_time: '12:00 PM',
+      class_start_time: '10:00',
+      class_end_time: '12:00',
       status: 'upcoming'
     },
     {
@@ -588,8 +588,8 @@ const seedBatches = async (users) => {
       flyer_url: '/uploads/batches/jun2025-flyer.jpg',
       schedule_url: '/uploads/batches/jun2025-schedule.pdf',
       class_days: 'Mon & Wed',
-      class_start_time: '2:00 PM',
-      class_end_time: '4:00 PM',
+      class_start_time: '14:00',
+      class_end_time: '16:00',
       status: 'upcoming'
     },
     {
@@ -606,8 +606,8 @@ const seedBatches = async (users) => {
       flyer_url: '/uploads/batches/sep2025-flyer.jpg',
       schedule_url: '/uploads/batches/sep2025-schedule.pdf',
       class_days: 'Tue & Thu',
-      class_start_time: '6:00 PM',
-      class_end_time: '8:00 PM',
+      class_start_time: '18:00',
+      class_end_time: '20:00',
       status: 'upcoming'
     },
     {
@@ -624,8 +624,8 @@ const seedBatches = async (users) => {
       flyer_url: '/uploads/batches/dec2025-flyer.jpg',
       schedule_url: '/uploads/batches/dec2025-schedule.pdf',
       class_days: 'Fri & Sat',
-      class_start_time: '11:00 AM',
-      class_end_time: '1:00 PM',
+      class_start_time: '11:00',
+      class_end_time: '13:00',
       status: 'upcoming'
     }
   ];
@@ -678,10 +678,9 @@ const seedGroups = async (batches) => {
       description: 'Group 1 for March 2025 Cohort',
       max_members: 15,
       class_days: 'Tue - Thu',
-      class_start_time: '10:00 AM',
-      class_end_time: '12:00 PM',
-      ethio_start_time: '5:00 PM',
-      ethio_end_time: '7:00 PM',
+      class_start_time: '10:00',
+      class_end_time: '12:00',
+      timezone: 'America/New_York',
       is_active: true,
       status: 'active'
     },
@@ -691,10 +690,9 @@ const seedGroups = async (batches) => {
       description: 'Group 2 for March 2025 Cohort',
       max_members: 15,
       class_days: 'Tue - Thu',
-      class_start_time: '1:00 PM',
-      class_end_time: '3:00 PM',
-      ethio_start_time: '8:00 PM',
-      ethio_end_time: '10:00 PM',
+      class_start_time: '13:00',
+      class_end_time: '15:00',
+      timezone: 'America/New_York',
       is_active: true,
       status: 'active'
     },
@@ -704,10 +702,9 @@ const seedGroups = async (batches) => {
       description: 'Group 1 for June 2025 Cohort',
       max_members: 15,
       class_days: 'Tue - Thu',
-      class_start_time: '10:00 AM',
-      class_end_time: '12:00 PM',
-      ethio_start_time: '5:00 PM',
-      ethio_end_time: '7:00 PM',
+      class_start_time: '10:00',
+      class_end_time: '12:00',
+      timezone: 'America/New_York',
       is_active: true,
       status: 'active'
     }
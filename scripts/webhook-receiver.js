@@ -0,0 +1,68 @@
+// Local webhook receiver for trying out deliveries without a third-party service.
+// Register http://localhost:4000/ as an endpoint, then run it with the secret shown:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//   node scripts/webhook-receiver.js whsec_... --fail 3
+//
+// Each request is checked against X-Webhook-Signature and answered 200 when it verifies,
+// 401 when it does not. --fail N answers 500 to the first N requests, to watch retries.
+// The port comes from WEBHOOK_RECEIVER_PORT (default 4000).
+require('dotenv').config();
+const http = require('http');
+const { SIGNATURE_HEADER, verifySignature } = require('../utils/webhooks');
+
+const args = process.argv.slice(2);
+const failIndex = args.indexOf('--fail');
+let failuresLeft = failIndex === -1 ? 0 : parseInt(args[failIndex + 1], 10) || 0;
+const secret = args.find((arg, index) => !arg.startsWith('--') && index !== failIndex + 1) ||
+  process.env.WEBHOOK_SECRET;
+const port = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4000;
+
+if (!secret) {
+  console.error('Usage: node scripts/webhook-receiver.js <secret> [--fail N] (or set WEBHOOK_SECRET)');
+  process.exit(1);
+}
+
+const reply = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    // Signatures cover the raw body, so verify before parsing it
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-webhook-event'];
+    const deliveryId = req.headers['x-webhook-delivery'];
+    const stamp = `[${new Date().toISOString()}] ${event || req.method} ${deliveryId || ''}`.trim();
+
+    if (!verifySignature(secret, req.headers[SIGNATURE_HEADER.toLowerCase()], body)) {
+      console.log(`${stamp} -> 401 invalid signature`);
+      return reply(res, 401, { error: 'Invalid signature' });
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`${stamp} -> 500 (simulated failure, ${failuresLeft} left)`);
+      return reply(res, 500, { error: 'Simulated failure' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      console.log(`${stamp} -> 400 body is not JSON`);
+      return reply(res, 400, { error: 'Body is not JSON' });
+    }
+
+    console.log(`${stamp} -> 200 event ${payload.id}`);
+    console.log(JSON.stringify(payload.data, null, 2));
+    reply(res, 200, { received: true });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
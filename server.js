@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -5,6 +6,14 @@ const morgan = require('morgan');
 const dotenv = require('dotenv');
 const path = require('path');
 const { swaggerDocs } = require('./swagger'); 
+const { registerRoleExpiryJob } = require('./utils/roleExpirySweeper');
+const { startScheduler } = require('./utils/scheduler');
+const { registerStatusLifecycleJob } = require('./utils/statusLifecycle');
+const { registerSessionReminderJob } = require('./utils/sessionReminders');
+const { registerAnnouncementJob } = require('./utils/announcements');
+const { registerWebhookJob } = require('./utils/webhooks');
+const { initRealtime } = require('./utils/realtime');
+const { localizeTimes } = require('./middleware/timezone');
 
 // Load environment variables
 dotenv.config();
@@ -15,11 +24,19 @@ const routes = require('./routes');
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy (e.g. Render), set TRUST_PROXY so req.ip is the client
+// address rather than the proxy's; rate limiting and activity logs depend on it
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // Configure CORS properly for production
 const corsOptions = {
   origin: ['https://e-learning-mern-stack.onrender.com/', 'http://localhost:3000'], // Add your frontend domains
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Timezone'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Timezone', 'X-Calendar'],
   credentials: true
 };
 app.use(cors(corsOptions));
@@ -28,6 +45,9 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(morgan('dev'));
 
+// Render session and class times in the requesting user's time zone
+app.use(localizeTimes);
+
 // Static files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
@@ -39,6 +59,9 @@ app.get('/api/test', (req, res) => {
 // Routes - Make sure all routes are properly registered
 app.use('/api/auth', routes.authRoutes);
 app.use('/api/users', routes.userRoutes);
+app.use('/api/roles', routes.roleRoutes);
+app.use('/api/permissions', routes.permissionRoutes);
+app.use('/api/invitations', routes.invitationRoutes);
 app.use('/api/courses', routes.courseRoutes);
 app.use('/api/batches', routes.batchRoutes);
 app.use('/api/phases', routes.phaseRoutes);
@@ -52,6 +75,13 @@ app.use('/api/checklists', routes.checklistRoutes);
 app.use('/api/checklist-items', routes.checklistItemRoutes);
 app.use('/api/live-sessions', routes.liveSessionRoutes);
 app.use('/api/group-sessions', routes.groupSessionRoutes);
+app.use('/api/attendance', routes.attendanceRoutes);
+app.use('/api/holidays', routes.holidayRoutes);
+app.use('/api/schedule', routes.scheduleRoutes);
+app.use('/api/calendar', routes.calendarRoutes);
+app.use('/api/notifications', routes.notificationRoutes);
+app.use('/api/announcements', routes.announcementRoutes);
+app.use('/api/webhooks', routes.webhookRoutes);
 app.use('/api/activity-logs', routes.activityLogRoutes);
 app.use('/api/course-hierarchy', routes.courseHierarchyRoutes);
 
@@ -85,9 +115,23 @@ mongoose.connect(process.env.MONGODB_URI)
     // Setup Swagger docs
     swaggerDocs(app);
     
+    // Scheduled jobs: expired role grants, session and batch statuses, session reminders,
+    // scheduled announcements, webhook deliveries and retries
+    registerRoleExpiryJob();
+    registerStatusLifecycleJob();
+    registerSessionReminderJob();
+    registerAnnouncementJob();
+    registerWebhookJob();
+    startScheduler().catch(err => console.error('Failed to start scheduled jobs', err));
+    
     // Start server
     const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
+    const server = http.createServer(app);
+
+    // Socket.IO shares the HTTP server and the API's allowed origins
+    initRealtime(server, { cors: { origin: corsOptions.origin, credentials: true } });
+
+    server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
   })
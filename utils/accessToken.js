@@ -0,0 +1,71 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { findActiveSession } = require('./authSessions');
+const { getUserAccess } = require('./permissionCache');
+
+const NOT_AUTHORIZED = 'Not authorized to access this route';
+
+/**
+ * Check an access token: signature and expiry, an active user, a device session that has
+ * not been revoked, and for impersonation tokens (which name the super admin in `imp`) a
+ * matching session and a super admin who is still active and holds the role
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} { user, impersonator, sessionId, expiresAt } when valid, otherwise
+ *   { error } with isExpired or isRevoked set when that is the reason
+ */
+const verifyAccessToken = async (token) => {
+  try {
+    const secret = process.env.JWT_SECRET || 'your_secure_jwt_secret_key';
+    const decoded = jwt.verify(token, secret);
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return { error: 'User not found' };
+    }
+    if (!user.is_active) {
+      return { error: 'User account is deactivated' };
+    }
+
+    let session = null;
+    if (decoded.sid) {
+      session = await findActiveSession(decoded.sid);
+      if (!session) {
+        return { error: 'Session has been revoked', isRevoked: true };
+      }
+    }
+
+    let impersonator = null;
+    if (decoded.imp) {
+      if (!session || !session.impersonator || session.impersonator.toString() !== decoded.imp.toString()) {
+        return { error: NOT_AUTHORIZED };
+      }
+
+      impersonator = await User.findById(decoded.imp);
+      const impersonatorAccess = impersonator && impersonator.is_active
+        ? await getUserAccess(impersonator._id)
+        : null;
+
+      if (!impersonatorAccess || !impersonatorAccess.roles.includes('super_admin')) {
+        return { error: 'Impersonation is no longer authorized', isRevoked: true };
+      }
+    }
+
+    return {
+      user,
+      impersonator,
+      sessionId: decoded.sid || null,
+      expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null
+    };
+  } catch (error) {
+    console.error('JWT verification error:', error);
+
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'Token expired', isExpired: true };
+    }
+    return { error: NOT_AUTHORIZED };
+  }
+};
+
+module.exports = {
+  verifyAccessToken
+};
@@ -13,6 +13,11 @@ const logActivity = async (userId, action, entityType, entityId = null, details
     if (req) {
       logData.ip_address = req.ip || req.connection.remoteAddress;
       logData.user_agent = req.headers['user-agent'];
+
+      // Record who is really behind an impersonated request
+      if (req.impersonator) {
+        logData.impersonator = req.impersonator._id;
+      }
     }
 
     await ActivityLog.create(logData);
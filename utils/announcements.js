@@ -0,0 +1,212 @@
+const Announcement = require('../models/Announcement');
+const User = require('../models/User');
+const BatchUser = require('../models/BatchUser');
+const GroupUser = require('../models/GroupUser');
+const BatchCourse = require('../models/BatchCourse');
+const Enrollment = require('../models/Enrollment');
+const logActivity = require('./activityLogger');
+const { EVENTS, publish } = require('./eventBus');
+const { registerJob } = require('./scheduler');
+const { notify } = require('./notifications');
+
+const getIntervalMs = () =>
+  (parseInt(process.env.ANNOUNCEMENT_PUBLISH_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Upper bound on announcements published per run
+const RUN_LIMIT = 100;
+
+// Longest message shown in a notification before it is cut off
+const EXCERPT_LENGTH = 200;
+
+// Batch courses a user is actively enrolled in belong to these courses
+const enrolledCourseIds = async (userId) => {
+  const batchCourseIds = await Enrollment.distinct('batch_course', { user: userId, status: 'active' });
+  return batchCourseIds.length > 0 ? BatchCourse.distinct('course', { _id: { $in: batchCourseIds } }) : [];
+};
+
+/**
+ * IDs of the users an announcement is for: active batch or group members, users with an
+ * active enrollment in one of the course's batch courses, or every active user
+ * @param {Object} announcement - Announcement with audience_type and its target
+ * @returns {Promise<string[]>} User IDs
+ */
+const resolveAudience = async (announcement) => {
+  let ids;
+
+  switch (announcement.audience_type) {
+    case 'batch':
+      ids = await BatchUser.distinct('user', { batch: announcement.batch, is_active: true });
+      break;
+    case 'group':
+      ids = await GroupUser.distinct('user', { group: announcement.group, is_active: true });
+      break;
+    case 'course': {
+      const batchCourseIds = await BatchCourse.distinct('_id', { course: announcement.course });
+      ids = await Enrollment.distinct('user', { batch_course: { $in: batchCourseIds }, status: 'active' });
+      break;
+    }
+    default:
+      ids = await User.distinct('_id', { is_active: true });
+  }
+
+  return ids.map(String);
+};
+
+/**
+ * Query conditions matching the announcements whose audience includes a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Conditions for $or
+ */
+const audienceConditions = async (userId) => {
+  const [batchIds, groupIds, courseIds] = await Promise.all([
+    BatchUser.distinct('batch', { user: userId, is_active: true }),
+    GroupUser.distinct('group', { user: userId, is_active: true }),
+    enrolledCourseIds(userId)
+  ]);
+
+  return [
+    { audience_type: 'everyone' },
+    { audience_type: 'batch', batch: { $in: batchIds } },
+    { audience_type: 'group', group: { $in: groupIds } },
+    { audience_type: 'course', course: { $in: courseIds } }
+  ];
+};
+
+/**
+ * Conditions for announcements that are showing: past their publish time and not expired
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} Query conditions
+ */
+const liveConditions = (now = new Date()) => ({
+  publish_at: { $lte: now },
+  $or: [{ expires_at: null }, { expires_at: { $gt: now } }]
+});
+
+/**
+ * Whether a user is in an announcement's audience
+ * @param {Object} announcement - Announcement document
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the announcement is for them
+ */
+const isInAudience = async (announcement, userId) => {
+  switch (announcement.audience_type) {
+    case 'batch':
+      return Boolean(await BatchUser.exists({ batch: announcement.batch, user: userId, is_active: true }));
+    case 'group':
+      return Boolean(await GroupUser.exists({ group: announcement.group, user: userId, is_active: true }));
+    case 'course': {
+      const courseId = String(announcement.course._id || announcement.course);
+      return (await enrolledCourseIds(userId)).some(id => id.toString() === courseId);
+    }
+    default:
+      return true;
+  }
+};
+
+// Markdown reduced to plain text for notification messages
+const excerpt = (markdown) => {
+  const text = markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[#>*_`~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+};
+
+// Rooms the real-time channel pushes the announcement to
+const eventAudience = (announcement, userIds) => {
+  switch (announcement.audience_type) {
+    case 'batch': return { batches: [announcement.batch.toString()] };
+    case 'group': return { groups: [announcement.group.toString()] };
+    case 'course': return { users: userIds };
+    default: return { everyone: true };
+  }
+};
+
+/**
+ * Publish an announcement whose time has come: notify its audience and publish
+ * ANNOUNCEMENT_PUBLISHED. Does nothing if it was already published or has expired.
+ * @param {Object} announcement - Announcement document
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<boolean>} True if this call published it
+ */
+const publishAnnouncement = async (announcement, now = new Date()) => {
+  if (announcement.expires_at && announcement.expires_at <= now) return false;
+
+  // Claimed first so the audience is never notified twice
+  const claimed = await Announcement.updateOne(
+    { _id: announcement._id, published_at: null, publish_at: { $lte: now } },
+    { $set: { published_at: now } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  const userIds = await resolveAudience(announcement);
+
+  publish(EVENTS.ANNOUNCEMENT_PUBLISHED, {
+    id: announcement._id.toString(),
+    title: announcement.title,
+    audience_type: announcement.audience_type,
+    is_pinned: announcement.is_pinned,
+    ...eventAudience(announcement, userIds)
+  });
+
+  await logActivity(announcement.created_by, 'announcement_publish', 'Announcement', announcement._id,
+    `Published announcement "${announcement.title}" to ${userIds.length} user(s)`);
+
+  const { reached } = await notify({
+    users: userIds,
+    category: 'announcements',
+    type: EVENTS.ANNOUNCEMENT_PUBLISHED,
+    title: announcement.title,
+    message: excerpt(announcement.body),
+    link: `/announcements/${announcement._id}`,
+    data: {
+      announcement: announcement._id,
+      audience_type: announcement.audience_type,
+      [announcement.audience_type]: announcement[announcement.audience_type]
+    }
+  });
+
+  await Announcement.updateOne({ _id: announcement._id }, { $set: { notified_count: reached } });
+  return true;
+};
+
+/**
+ * Publish scheduled announcements whose publish time has passed
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number published
+ */
+const publishDueAnnouncements = async (now = new Date()) => {
+  const due = await Announcement.find({ published_at: null, ...liveConditions(now) })
+    .sort({ publish_at: 1 })
+    .limit(RUN_LIMIT);
+
+  let count = 0;
+  for (const announcement of due) {
+    if (await publishAnnouncement(announcement, now)) count++;
+  }
+
+  if (count > 0) {
+    console.log(`Published ${count} scheduled announcement(s)`);
+  }
+  return count;
+};
+
+/**
+ * Register scheduled announcement publishing with the scheduler, to run every
+ * ANNOUNCEMENT_PUBLISH_INTERVAL_SECONDS (default 60)
+ */
+const registerAnnouncementJob = () => {
+  registerJob({ name: 'announcements', intervalMs: getIntervalMs(), run: publishDueAnnouncements });
+};
+
+module.exports = {
+  resolveAudience,
+  audienceConditions,
+  liveConditions,
+  isInAudience,
+  publishAnnouncement,
+  publishDueAnnouncements,
+  registerAnnouncementJob
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const getImpersonationTtlMs = () => (parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES, 10) || 30) * 60 * 1000;
+
+const getAccessSecret = () => process.env.JWT_SECRET || 'your_secure_jwt_secret_key';
+const getRefreshSecret = () => process.env.REFRESH_TOKEN_SECRET || 'your_secure_refresh_token_secret';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRequestMeta = (req) => ({
+  user_agent: req ? req.headers['user-agent'] : undefined,
+  ip_address: req ? (req.ip || (req.connection && req.connection.remoteAddress)) : undefined
+});
+
+/**
+ * Generate access token with 1-hour expiration
+ * @param {string} userId - User ID to include in the token
+ * @param {string} [sessionId] - Session the token belongs to
+ * @returns {string} JWT access token
+ */
+const generateAccessToken = (userId, sessionId) => {
+  try {
+    console.log(`Generating access token for user ID: ${userId}`);
+
+    const payload = { id: userId };
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
+    const token = jwt.sign(payload, getAccessSecret(), {
+      expiresIn: process.env.JWT_EXPIRE || '1h' // 1 hour expiration
+    });
+
+    console.log('Access token generated successfully');
+    return token;
+  } catch (error) {
+    console.error('Error generating access token:', error);
+    throw new Error('Failed to generate access token');
+  }
+};
+
+/**
+ * Generate refresh token with 7-day expiration
+ * @param {string} userId - User ID to include in the token
+ * @param {string} sessionId - Session (token family) the token belongs to
+ * @returns {string} JWT refresh token
+ */
+const generateRefreshToken = (userId, sessionId) => {
+  try {
+    console.log(`Generating refresh token for user ID: ${userId}`);
+
+    // jti keeps every rotated token unique, even within the same second
+    const token = jwt.sign(
+      { id: userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
+      getRefreshSecret(),
+      { expiresIn: process.env.REFRESH_TOKEN_EXPIRE || '7d' } // 7 days expiration
+    );
+
+    console.log('Refresh token generated successfully');
+    return token;
+  } catch (error) {
+    console.error('Error generating refresh token:', error);
+    throw new Error('Failed to generate refresh token');
+  }
+};
+
+/**
+ * Start a new session for a device and issue its first token pair
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>}
+ */
+const createSession = async (userId, req) => {
+  const session = new AuthSession({
+    user: userId,
+    expires_at: Date.now() + REFRESH_TOKEN_TTL_MS,
+    ...getRequestMeta(req)
+  });
+
+  const refreshToken = generateRefreshToken(userId, session._id);
+  session.refresh_token_hash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    accessToken: generateAccessToken(userId, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Start an impersonation session: a super admin acts as another user with a
+ * short-lived, non-refreshable access token. The token carries `imp` (the super
+ * admin's ID) so protect can tell impersonated requests apart.
+ * @param {string} userId - User being impersonated
+ * @param {string} impersonatorId - Super admin starting the impersonation
+ * @param {string} reason - Why the impersonation is needed (kept for audit)
+ * @param {Object} req - Express request
+ * @returns {Promise<{accessToken: string, session: Object}>}
+ */
+const createImpersonationSession = async (userId, impersonatorId, reason, req) => {
+  const ttlMs = getImpersonationTtlMs();
+
+  const session = await AuthSession.create({
+    user: userId,
+    impersonator: impersonatorId,
+    impersonation_reason: reason,
+    expires_at: Date.now() + ttlMs,
+    ...getRequestMeta(req)
+  });
+
+  const accessToken = jwt.sign(
+    { id: userId, sid: session._id, imp: impersonatorId },
+    getAccessSecret(),
+    { expiresIn: Math.floor(ttlMs / 1000) }
+  );
+
+  return { accessToken, session };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token must be the
+ * latest one of its session; an older token means it leaked, so the session is revoked.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { accessToken, refreshToken, session } on success,
+ *   or { error, reuseDetected?, session? } on failure
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  if (!decoded.sid) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const newRefreshToken = generateRefreshToken(decoded.id, decoded.sid);
+
+  // Atomic compare-and-swap so two concurrent refreshes cannot both succeed
+  const session = await AuthSession.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      user: decoded.id,
+      refresh_token_hash: hashToken(refreshToken),
+      revoked_at: null,
+      expires_at: { $gt: Date.now() }
+    },
+    {
+      $set: {
+        refresh_token_hash: hashToken(newRefreshToken),
+        last_used_at: Date.now(),
+        expires_at: Date.now() + REFRESH_TOKEN_TTL_MS,
+        ...getRequestMeta(req)
+      },
+      $inc: { rotation_count: 1 }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      accessToken: generateAccessToken(decoded.id, session._id),
+      refreshToken: newRefreshToken,
+      session
+    };
+  }
+
+  const existing = await AuthSession.findOne({ _id: decoded.sid, user: decoded.id });
+
+  if (!existing || existing.revoked_at || existing.expires_at <= Date.now()) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  // Signature is valid and the session is live, but this is not its current token
+  existing.revoked_at = Date.now();
+  existing.revoked_reason = 'token_reuse';
+  await existing.save();
+
+  return { error: 'Refresh token reuse detected. Session revoked.', reuseDetected: true, session: existing };
+};
+
+/**
+ * Revoke a single session belonging to a user
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object|null>} The revoked session, or null if no active session matched
+ */
+const revokeSession = async (userId, sessionId, reason) => AuthSession.findOneAndUpdate(
+  { _id: sessionId, user: userId, revoked_at: null },
+  { $set: { revoked_at: Date.now(), revoked_reason: reason } },
+  { new: true }
+);
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the caller's current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revoked_at: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await AuthSession.updateMany(filter, {
+    $set: { revoked_at: Date.now(), revoked_reason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Find a session that can still be used
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} The session if it exists and is not revoked or expired
+ */
+const findActiveSession = (sessionId) => AuthSession.findOne({
+  _id: sessionId,
+  revoked_at: null,
+  expires_at: { $gt: Date.now() }
+});
+
+/**
+ * Check whether a session can still be used
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session exists and is not revoked or expired
+ */
+const isSessionActive = async (sessionId) => Boolean(await findActiveSession(sessionId));
+
+/**
+ * Set the refresh token cookie in production
+ * @param {Object} res - Express response
+ * @param {string} refreshToken - Refresh token
+ */
+const setRefreshCookie = (res, refreshToken) => {
+  if (process.env.NODE_ENV === 'production') {
+    res.cookie('refreshToken', refreshToken, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'strict',
+      maxAge: REFRESH_TOKEN_TTL_MS
+    });
+  }
+};
+
+module.exports = {
+  generateAccessToken,
+  generateRefreshToken,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession,
+  isSessionActive,
+  setRefreshCookie
+};
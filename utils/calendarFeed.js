@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const BatchUser = require('../models/BatchUser');
+const GroupUser = require('../models/GroupUser');
+const Group = require('../models/Group');
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const { getSessionTimes } = require('./sessionTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions older than this are left out of feeds
+const getPastDays = () => parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+
+// UIDs must never change, so they use a fixed domain rather than the request host
+const getUidDomain = () => process.env.CALENDAR_UID_DOMAIN || 'e-learning-platform';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new calendar feed token and store its hash on the user (not saved).
+ * Any previously issued token stops working once saved.
+ * @param {Object} user - User document
+ * @returns {string} Feed token
+ */
+const issueFeedToken = (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  user.calendar_feed_token_hash = hashToken(token);
+  user.calendar_feed_created_at = new Date();
+
+  return token;
+};
+
+/**
+ * Find the active user a feed token belongs to
+ * @param {string} token - Feed token from the URL
+ * @returns {Promise<Object|null>} User, or null if the token is unknown or revoked
+ */
+const findUserByFeedToken = async (token) => {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) return null;
+  return User.findOne({ calendar_feed_token_hash: hashToken(token), is_active: true });
+};
+
+const feedSince = () => new Date(Date.now() - getPastDays() * DAY_MS);
+
+/**
+ * Load the sessions for a user's personal feed: live sessions of their batches, group
+ * sessions of their groups, and any session they teach
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { liveSessions, groupSessions }
+ */
+const loadUserFeedSessions = async (userId) => {
+  const [batchIds, groupIds] = await Promise.all([
+    BatchUser.distinct('batch', { user: userId, is_active: true }),
+    GroupUser.distinct('group', { user: userId, is_active: true })
+  ]);
+
+  const since = { session_date: { $gte: feedSince() } };
+
+  const [liveSessions, groupSessions] = await Promise.all([
+    LiveSession.find({ ...since, $or: [{ batch: { $in: batchIds } }, { instructor: userId }] })
+      .populate('batch', 'name')
+      .sort('session_date'),
+    GroupSession.find({ ...since, $or: [{ group: { $in: groupIds } }, { instructor: userId }] })
+      .populate('group', 'name')
+      .sort('session_date')
+  ]);
+
+  return { liveSessions, groupSessions };
+};
+
+/**
+ * Load every live and group session of a batch
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} { liveSessions, groupSessions }
+ */
+const loadBatchFeedSessions = async (batchId) => {
+  const groupIds = await Group.distinct('_id', { batch: batchId });
+  const since = { session_date: { $gte: feedSince() } };
+
+  const [liveSessions, groupSessions] = await Promise.all([
+    LiveSession.find({ ...since, batch: batchId })
+      .populate('batch', 'name')
+      .sort('session_date'),
+    GroupSession.find({ ...since, group: { $in: groupIds } })
+      .populate('group', 'name')
+      .sort('session_date')
+  ]);
+
+  return { liveSessions, groupSessions };
+};
+
+// Seconds between creation and the last change: grows with every edit, which is what
+// calendar clients need to pick up reschedules and cancellations
+const sequenceOf = (session) => {
+  if (!session.updated_at || !session.created_at) return 0;
+  return Math.max(0, Math.floor((session.updated_at - session.created_at) / 1000));
+};
+
+/**
+ * Convert a session into an ICS event
+ * @param {Object} session - Live or group session (batch or group populated with name)
+ * @param {string} kind - "live" or "group"
+ * @returns {Object|null} Event for utils/ics, or null if the session times cannot be read
+ */
+const sessionToEvent = (session, kind) => {
+  const times = getSessionTimes(session);
+  if (!times) return null;
+
+  const cancelled = session.status === 'cancelled' || session.is_active === false;
+  const parent = kind === 'live' ? session.batch : session.group;
+  const parentLabel = kind === 'live' ? 'Batch' : 'Group';
+
+  const description = [
+    cancelled ? 'This session has been cancelled.' : null,
+    session.description,
+    parent && parent.name ? `${parentLabel}: ${parent.name}` : null,
+    session.meeting_link ? `Join: ${session.meeting_link}` : null,
+    session.recording_url ? `Recording: ${session.recording_url}` : null
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `${kind}-session-${session._id}@${getUidDomain()}`,
+    start: times.start,
+    end: times.end,
+    summary: cancelled ? `Cancelled: ${session.title}` : session.title,
+    description,
+    location: session.meeting_link,
+    url: session.meeting_link,
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    sequence: sequenceOf(session),
+    lastModified: session.updated_at,
+    categories: [kind === 'live' ? 'Live Session' : 'Group Session']
+  };
+};
+
+/**
+ * Convert loaded sessions into ICS events ordered by start time
+ * @param {Object} sessions - { liveSessions, groupSessions }
+ * @returns {Object[]} Events
+ */
+const buildSessionEvents = ({ liveSessions, groupSessions }) => [
+  ...liveSessions.map(session => sessionToEvent(session, 'live')),
+  ...groupSessions.map(session => sessionToEvent(session, 'group'))
+]
+  .filter(Boolean)
+  .sort((a, b) => a.start - b.start);
+
+module.exports = {
+  issueFeedToken,
+  findUserByFeedToken,
+  loadUserFeedSessions,
+  loadBatchFeedSessions,
+  buildSessionEvents
+};
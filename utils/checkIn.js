@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { generateSecret, getTimeStep, generateHotp } = require('./totp');
+const { getSessionTimes } = require('./sessionTime');
+
+const CODE_DIGITS = 6;
+
+const readMinutes = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+/**
+ * Default check-in settings, overridable per deployment:
+ * CHECK_IN_OPENS_BEFORE_MINUTES (15), CHECK_IN_LATE_AFTER_MINUTES (10),
+ * CHECK_IN_CLOSES_AFTER_MINUTES (15) and CHECK_IN_CODE_ROTATION_SECONDS (30)
+ * @returns {Object} Settings
+ */
+const getCheckInDefaults = () => ({
+  opens_before_minutes: readMinutes('CHECK_IN_OPENS_BEFORE_MINUTES', 15),
+  late_after_minutes: readMinutes('CHECK_IN_LATE_AFTER_MINUTES', 10),
+  closes_after_minutes: readMinutes('CHECK_IN_CLOSES_AFTER_MINUTES', 15),
+  rotation_seconds: Math.max(10, readMinutes('CHECK_IN_CODE_ROTATION_SECONDS', 30))
+});
+
+/**
+ * Work out when check-in opens, when arrivals count as late and when it closes.
+ * Check-in opens before start_time and closes after end_time.
+ * @param {Object} session - LiveSession or GroupSession document
+ * @param {Object} [overrides] - Any of the getCheckInDefaults settings
+ * @returns {Object|null} { opens_at, late_after, closes_at, rotation_seconds }, or null if the
+ *   session times cannot be parsed
+ */
+const buildCheckInWindow = (session, overrides = {}) => {
+  const times = getSessionTimes(session);
+  if (!times) return null;
+
+  const settings = { ...getCheckInDefaults() };
+  Object.keys(settings).forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null) settings[key] = Number(overrides[key]);
+  });
+
+  const minutes = 60 * 1000;
+
+  return {
+    opens_at: new Date(times.start.getTime() - settings.opens_before_minutes * minutes),
+    late_after: new Date(times.start.getTime() + settings.late_after_minutes * minutes),
+    closes_at: new Date(times.end.getTime() + settings.closes_after_minutes * minutes),
+    rotation_seconds: settings.rotation_seconds
+  };
+};
+
+/**
+ * Create a new secret for a check-in; codes from any previous secret stop working
+ * @returns {string} Base32 secret
+ */
+const generateCheckInSecret = () => generateSecret();
+
+/**
+ * Get the code currently shown for a check-in
+ * @param {Object} checkIn - CheckInCode document with secret selected
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {{code: string, expires_at: Date}} Code and when it rotates
+ */
+const getCurrentCode = (checkIn, timestamp = Date.now()) => {
+  const step = getTimeStep(timestamp, checkIn.rotation_seconds);
+
+  return {
+    code: generateHotp(checkIn.secret, step, CODE_DIGITS),
+    expires_at: new Date((step + 1) * checkIn.rotation_seconds * 1000)
+  };
+};
+
+/**
+ * Verify a submitted code. The previous code is still accepted so students who read
+ * it just before it rotated are not turned away.
+ * @param {Object} checkIn - CheckInCode document with secret selected
+ * @param {string} code - Submitted code
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {boolean} True if the code is valid
+ */
+const verifyCheckInCode = (checkIn, code, timestamp = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== CODE_DIGITS) return false;
+
+  const step = getTimeStep(timestamp, checkIn.rotation_seconds);
+
+  return [step, step - 1].some(candidate => crypto.timingSafeEqual(
+    Buffer.from(generateHotp(checkIn.secret, candidate, CODE_DIGITS)),
+    Buffer.from(normalized)
+  ));
+};
+
+/**
+ * Build the value to encode in the QR code shown to students
+ * @param {string} baseUrl - Client base URL
+ * @param {string} sessionType - "live" or "group"
+ * @param {string} sessionId - Session ID
+ * @param {string} code - Current code
+ * @returns {string} Check-in URL
+ */
+const buildQrPayload = (baseUrl, sessionType, sessionId, code) => {
+  const params = new URLSearchParams({ type: sessionType, session: sessionId.toString(), code });
+  return `${baseUrl.replace(/\/$/, '')}/check-in?${params.toString()}`;
+};
+
+module.exports = {
+  getCheckInDefaults,
+  buildCheckInWindow,
+  generateCheckInSecret,
+  getCurrentCode,
+  verifyCheckInCode,
+  buildQrPayload
+};
@@ -0,0 +1,90 @@
+// Renders dates and times for people in the Gregorian or the Ethiopian calendar.
+// Stored values never change; this is only for what responses show.
+
+const { getZonedParts } = require('./timezone');
+const {
+  toEthiopianDate,
+  formatEthiopianDate,
+  formatEthiopianTime
+} = require('./ethiopianCalendar');
+
+const CALENDARS = ['gregorian', 'ethiopian'];
+const DEFAULT_CALENDAR = 'gregorian';
+
+// Ethiopian clock times shown on batches and groups are always Ethiopia's local time
+const ETHIOPIA_TIME_ZONE = 'Africa/Addis_Ababa';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const isValidCalendar = (value) => CALENDARS.includes(value);
+
+/**
+ * Calendar to show dates in: ?calendar=, then the user's profile, then gregorian
+ * @param {Object} req - Express request
+ * @returns {string} gregorian or ethiopian
+ */
+const getRequestCalendar = (req) => {
+  const candidates = [req.query.calendar, req.user && req.user.calendar];
+  return candidates.find(isValidCalendar) || DEFAULT_CALENDAR;
+};
+
+// Year, month and day of a calendar date, or of a point in time in a zone
+const getDateParts = (date, timeZone) => {
+  if (timeZone) return getZonedParts(date, timeZone);
+
+  const value = new Date(date);
+  return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+};
+
+/**
+ * Format a date in a calendar
+ * @param {Date|string} date - Calendar date, or a point in time when timeZone is given
+ * @param {Object} [options]
+ * @param {string} [options.calendar=gregorian] - gregorian or ethiopian
+ * @param {string} [options.timeZone] - IANA zone to read a point in time in
+ * @returns {string|null} Such as "Mar 1, 2025" or "Yekatit 22, 2017", or null for an empty or invalid date
+ */
+const formatDate = (date, options = {}) => {
+  if (!date || isNaN(new Date(date))) return null;
+
+  const parts = getDateParts(date, options.timeZone);
+  if (options.calendar === 'ethiopian') {
+    return formatEthiopianDate(toEthiopianDate(Date.UTC(parts.year, parts.month - 1, parts.day)));
+  }
+  return `${MONTHS[parts.month - 1]} ${parts.day}, ${parts.year}`;
+};
+
+/**
+ * Format a point in time as a time of day in a calendar's clock
+ * @param {Date|string} date - Point in time
+ * @param {Object} options
+ * @param {string} [options.calendar=gregorian] - gregorian (12-hour clock) or ethiopian (Ethiopian clock)
+ * @param {string} options.timeZone - IANA zone
+ * @returns {string|null} Such as "10:30 AM" or "4:30 ጠዋት", or null for an empty or invalid date
+ */
+const formatTime = (date, options) => {
+  if (!date || isNaN(new Date(date))) return null;
+
+  const { hour, minute } = getZonedParts(date, options.timeZone);
+  if (options.calendar === 'ethiopian') return formatEthiopianTime(hour, minute);
+
+  return `${(hour % 12) || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+};
+
+/**
+ * Ethiopian clock time of a point in time in Ethiopia
+ * @param {Date|string} date - Point in time
+ * @returns {string|null} Such as "4:30 ጠዋት"
+ */
+const formatEthiopianClockTime = (date) =>
+  formatTime(date, { calendar: 'ethiopian', timeZone: ETHIOPIA_TIME_ZONE });
+
+module.exports = {
+  CALENDARS,
+  ETHIOPIA_TIME_ZONE,
+  isValidCalendar,
+  getRequestCalendar,
+  formatDate,
+  formatTime,
+  formatEthiopianClockTime
+};
@@ -0,0 +1,134 @@
+// Ethiopian (Amete Mihret) calendar and Ethiopian clock conversions.
+// The Ethiopian year has twelve 30-day months plus Pagume (5 days, 6 in the year before
+// a Gregorian leap year). The Ethiopian clock counts 12 hours from 6:00, so 7:00 AM is
+// 1:00 in the morning and 7:00 PM is 1:00 in the evening.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIX_EPOCH_JDN = 2440588; // Julian day number of 1970-01-01
+const AMETE_MIHRET_EPOCH = 1723856; // Julian day number before 1 Meskerem 1
+
+const ETHIOPIAN_MONTHS = [
+  { name: 'Meskerem', amharic: 'መስከረም' },
+  { name: 'Tikimt', amharic: 'ጥቅምት' },
+  { name: 'Hidar', amharic: 'ኅዳር' },
+  { name: 'Tahsas', amharic: 'ታኅሣሥ' },
+  { name: 'Tir', amharic: 'ጥር' },
+  { name: 'Yekatit', amharic: 'የካቲት' },
+  { name: 'Megabit', amharic: 'መጋቢት' },
+  { name: 'Miyazya', amharic: 'ሚያዝያ' },
+  { name: 'Ginbot', amharic: 'ግንቦት' },
+  { name: 'Sene', amharic: 'ሰኔ' },
+  { name: 'Hamle', amharic: 'ሐምሌ' },
+  { name: 'Nehase', amharic: 'ነሐሴ' },
+  { name: 'Pagume', amharic: 'ጳጉሜ' }
+];
+
+// Parts of the day on the Ethiopian clock, by Gregorian hour
+const CLOCK_PERIODS = [
+  { name: 'night', amharic: 'ሌሊት', from: 0 },
+  { name: 'morning', amharic: 'ጠዋት', from: 6 },
+  { name: 'afternoon', amharic: 'ከሰዓት', from: 12 },
+  { name: 'evening', amharic: 'ምሽት', from: 18 }
+];
+
+const isEthiopianLeapYear = (year) => year % 4 === 3;
+
+/**
+ * Convert a Gregorian calendar date to an Ethiopian one
+ * @param {Date} date - Calendar date (its UTC date is used)
+ * @returns {{year: number, month: number, day: number}} Ethiopian date
+ */
+const toEthiopianDate = (date) => {
+  const jdn = Math.floor(new Date(date).getTime() / DAY_MS) + UNIX_EPOCH_JDN;
+  const days = jdn - AMETE_MIHRET_EPOCH;
+  const remainder = days % 1461;
+  const dayOfYear = (remainder % 365) + 365 * Math.floor(remainder / 1460);
+
+  return {
+    year: 4 * Math.floor(days / 1461) + Math.floor(remainder / 365) - Math.floor(remainder / 1460),
+    month: Math.floor(dayOfYear / 30) + 1,
+    day: (dayOfYear % 30) + 1
+  };
+};
+
+/**
+ * Check whether an Ethiopian date exists
+ * @param {number} year - Ethiopian year
+ * @param {number} month - 1 (Meskerem) to 13 (Pagume)
+ * @param {number} day - Day of the month
+ * @returns {boolean} True if valid
+ */
+const isValidEthiopianDate = (year, month, day) => {
+  if (![year, month, day].every(Number.isInteger) || year < 1 || month < 1 || month > 13 || day < 1) return false;
+  if (month < 13) return day <= 30;
+  return day <= (isEthiopianLeapYear(year) ? 6 : 5);
+};
+
+/**
+ * Convert an Ethiopian date to a Gregorian calendar date
+ * @param {number} year - Ethiopian year
+ * @param {number} month - 1 (Meskerem) to 13 (Pagume)
+ * @param {number} day - Day of the month
+ * @returns {Date|null} Midnight UTC of the Gregorian date, or null if the date does not exist
+ */
+const fromEthiopianDate = (year, month, day) => {
+  if (!isValidEthiopianDate(year, month, day)) return null;
+
+  const jdn = AMETE_MIHRET_EPOCH + 365 + 365 * (year - 1) + Math.floor(year / 4) + 30 * month + day - 31;
+  return new Date((jdn - UNIX_EPOCH_JDN) * DAY_MS);
+};
+
+/**
+ * Format an Ethiopian date
+ * @param {{year: number, month: number, day: number}} date - Ethiopian date
+ * @param {Object} [options]
+ * @param {boolean} [options.amharic=false] - Use the Amharic month name
+ * @returns {string} Such as "Yekatit 22, 2017" or "የካቲት 22, 2017"
+ */
+const formatEthiopianDate = ({ year, month, day }, options = {}) => {
+  const monthName = ETHIOPIAN_MONTHS[month - 1][options.amharic ? 'amharic' : 'name'];
+  return `${monthName} ${day}, ${year}`;
+};
+
+/**
+ * Convert a 24-hour time of day to the Ethiopian clock
+ * @param {number} hour - Hour, 0-23
+ * @param {number} minute - Minute, 0-59
+ * @returns {{hour: number, minute: number, period: string, period_amharic: string}} Ethiopian time,
+ *   where hour runs 1-12 and period is night, morning, afternoon or evening
+ */
+const toEthiopianTime = (hour, minute) => {
+  const period = [...CLOCK_PERIODS].reverse().find(entry => hour >= entry.from);
+
+  return {
+    hour: ((hour + 6) % 12) || 12,
+    minute,
+    period: period.name,
+    period_amharic: period.amharic
+  };
+};
+
+/**
+ * Format a 24-hour time of day on the Ethiopian clock
+ * @param {number} hour - Hour, 0-23
+ * @param {number} minute - Minute, 0-59
+ * @param {Object} [options]
+ * @param {boolean} [options.amharic=true] - Use the Amharic name of the part of the day
+ * @returns {string} Such as "4:30 ጠዋት" (10:30 AM) or "4:30 morning"
+ */
+const formatEthiopianTime = (hour, minute, options = {}) => {
+  const time = toEthiopianTime(hour, minute);
+  const period = options.amharic === false ? time.period : time.period_amharic;
+  return `${time.hour}:${String(time.minute).padStart(2, '0')} ${period}`;
+};
+
+module.exports = {
+  ETHIOPIAN_MONTHS,
+  isEthiopianLeapYear,
+  isValidEthiopianDate,
+  toEthiopianDate,
+  fromEthiopianDate,
+  formatEthiopianDate,
+  toEthiopianTime,
+  formatEthiopianTime
+};
@@ -0,0 +1,54 @@
+const { EventEmitter } = require('events');
+
+// In-process events other features can react to without the code that raises them
+// knowing about it. Events are not persisted or shared between server instances.
+const EVENTS = {
+  LIVE_SESSION_STATUS_CHANGED: 'live_session.status_changed',
+  GROUP_SESSION_STATUS_CHANGED: 'group_session.status_changed',
+  BATCH_STATUS_CHANGED: 'batch.status_changed',
+  SESSION_RESCHEDULED: 'session.rescheduled',
+  SESSION_CANCELLED: 'session.cancelled',
+  ENROLLMENT_CHANGED: 'enrollment.changed',
+  // A user joined or left a batch or group
+  MEMBERSHIP_CHANGED: 'membership.changed',
+  ANNOUNCEMENT_PUBLISHED: 'announcement.published',
+  // For a gradebook to publish; payload { user, batch, ... }
+  GRADE_POSTED: 'grade.posted'
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+/**
+ * Subscribe to an event. Errors thrown or rejected by the handler are logged and
+ * never reach the code that published the event.
+ * @param {string} event - One of EVENTS
+ * @param {Function} handler - Called with the event payload; may be async
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribe = (event, handler) => {
+  const listener = (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => console.error(`Handler for ${event} failed:`, error));
+  };
+
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+};
+
+/**
+ * Publish an event to its subscribers. Handlers run after the current operation,
+ * so publishing never waits for or fails because of them.
+ * @param {string} event - One of EVENTS
+ * @param {Object} payload - Event data
+ */
+const publish = (event, payload) => {
+  emitter.emit(event, { ...payload, event, occurred_at: new Date() });
+};
+
+module.exports = {
+  EVENTS,
+  subscribe,
+  publish
+};
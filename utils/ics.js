@@ -0,0 +1,115 @@
+// Minimal iCalendar (RFC 5545) writer for session feeds
+
+const APP_NAME = process.env.APP_NAME || 'E-Learning Platform';
+
+/**
+ * Escape a value for use in an iCalendar TEXT property
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC date-time, e.g. 20250301T070000Z
+ * @param {Date} date - Date
+ * @returns {string} iCalendar date-time
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a VEVENT block
+ * @param {Object} event
+ * @param {string} event.uid - Stable unique ID
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Description
+ * @param {string} [event.location] - Location
+ * @param {string} [event.url] - Link, e.g. the meeting link
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {number} [event.sequence=0] - Revision number; must grow whenever the event changes
+ * @param {Date} [event.lastModified] - Last change time
+ * @param {string[]} [event.categories] - Categories
+ * @returns {string[]} Lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.lastModified || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete calendar document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar name shown by clients
+ * @param {Object[]} calendar.events - Events (see buildEvent)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(APP_NAME)}//Sessions//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribing clients to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  buildEvent,
+  buildCalendar
+};
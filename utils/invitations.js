@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserRole = require('../models/UserRole');
+const BatchUser = require('../models/BatchUser');
+const BatchInstructor = require('../models/BatchInstructor');
+const GroupUser = require('../models/GroupUser');
+const Enrollment = require('../models/Enrollment');
+const { invalidateUserAccess } = require('./permissionCache');
+const { EVENTS, publish } = require('./eventBus');
+
+const getInvitationSecret = () => process.env.INVITATION_SECRET || 'your_secure_invitation_secret';
+const getExpiryDays = () => parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7;
+
+// Invitation references may or may not be populated
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new signed token for an invitation and store its hash and expiry on the
+ * document (not saved). Any previously issued token stops working once saved.
+ * @param {Object} invitation - Invitation document
+ * @returns {string} Signed invitation token
+ */
+const issueInvitationToken = (invitation) => {
+  const expiresInSeconds = getExpiryDays() * 24 * 60 * 60;
+
+  const token = jwt.sign(
+    { iid: invitation._id.toString(), email: invitation.email, jti: crypto.randomBytes(16).toString('hex') },
+    getInvitationSecret(),
+    { expiresIn: expiresInSeconds }
+  );
+
+  invitation.token_hash = hashToken(token);
+  invitation.expires_at = new Date(Date.now() + expiresInSeconds * 1000);
+
+  return token;
+};
+
+/**
+ * Verify an invitation token's signature and expiry
+ * @param {string} token - Invitation token
+ * @returns {Object|null} { iid, email, tokenHash }, or null if invalid or expired
+ */
+const verifyInvitationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getInvitationSecret());
+    return { iid: decoded.iid, email: decoded.email, tokenHash: hashToken(token) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Upsert a membership record, reactivating it if it was removed
+const activate = (Model, filter, fields) => Model.findOneAndUpdate(
+  filter,
+  {
+    $set: { ...fields, is_active: true },
+    $unset: { removed_at: '', removed_by: '' }
+  },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+/**
+ * Create the records an accepted invitation grants: the role, batch membership,
+ * group membership and batch course enrollment. Every step is an upsert, so
+ * re-running after a partial failure completes the rest without duplicates.
+ * @param {Object} invitation - Invitation document with role populated
+ * @param {Object} user - User accepting the invitation
+ * @returns {Promise<Object>} The created or updated records
+ */
+const applyInvitation = async (invitation, user) => {
+  const roleName = invitation.role.name;
+  const assignedBy = idOf(invitation.invited_by);
+  const batchId = idOf(invitation.batch);
+  const records = {};
+
+  // Keep a longer-lived grant if the user already has this role
+  const existingRole = await UserRole.findOne({ user: user._id, role: invitation.role._id });
+  const roleInEffect = existingRole && existingRole.is_active &&
+    (!existingRole.expires_at || existingRole.expires_at > Date.now());
+
+  records.userRole = roleInEffect
+    ? existingRole
+    : await activate(UserRole, { user: user._id, role: invitation.role._id }, {
+      assigned_by: assignedBy,
+      assigned_at: Date.now(),
+      expires_at: null
+    });
+  invalidateUserAccess(user._id);
+
+  const batchRole = ['instructor', 'group_instructor'].includes(roleName) ? roleName : 'student';
+
+  records.batchUser = await activate(BatchUser, { batch: batchId, user: user._id }, {
+    role: batchRole,
+    assigned_by: assignedBy,
+    assigned_at: Date.now()
+  });
+
+  // Instructors get the assignment resource-scoped authorization looks for
+  if (roleName === 'instructor') {
+    records.batchInstructor = await activate(BatchInstructor, { batch: batchId, user: user._id, group: null }, {
+      class_type: 'main_class',
+      assigned_by: assignedBy,
+      assigned_at: Date.now()
+    });
+  }
+
+  if (invitation.group) {
+    records.groupUser = await activate(GroupUser, { group: idOf(invitation.group), user: user._id }, {
+      role: roleName === 'group_instructor' ? 'group_instructor' : 'student',
+      assigned_by: assignedBy,
+      assigned_at: Date.now()
+    });
+  }
+
+  if (invitation.batch_course) {
+    records.enrollment = await Enrollment.findOneAndUpdate(
+      { user: user._id, batch_course: idOf(invitation.batch_course) },
+      { $setOnInsert: { enrolled_by: assignedBy, enrollment_date: Date.now(), status: 'active' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  const userId = user._id.toString();
+  publish(EVENTS.MEMBERSHIP_CHANGED, { user: userId, batch: String(batchId), action: 'added' });
+  if (records.groupUser) {
+    publish(EVENTS.MEMBERSHIP_CHANGED, { user: userId, group: String(records.groupUser.group), action: 'added' });
+  }
+  if (records.enrollment) {
+    publish(EVENTS.ENROLLMENT_CHANGED, {
+      user: userId,
+      id: records.enrollment._id.toString(),
+      batch_course: String(records.enrollment.batch_course),
+      status: records.enrollment.status,
+      action: 'created'
+    });
+  }
+
+  return records;
+};
+
+module.exports = {
+  issueInvitationToken,
+  verifyInvitationToken,
+  applyInvitation
+};
@@ -0,0 +1,98 @@
+const EmailLog = require('../../models/EmailLog');
+const { render } = require('./templates');
+const createSmtpTransport = require('./transports/smtp');
+const createFileTransport = require('./transports/file');
+const createJsonTransport = require('./transports/json');
+
+const transportFactories = {
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }),
+  file: () => createFileTransport({ dir: process.env.MAIL_OUTBOX_DIR || 'outbox' }),
+  json: () => createJsonTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured transport. MAIL_TRANSPORT selects smtp, file or json;
+ * without it, SMTP is used when SMTP_HOST is set and the file outbox otherwise.
+ * @returns {Object} Transport with a send(message) method
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+    console.log(`Mail transport initialised: ${activeTransport.name}`);
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (e.g. with a JSON capture transport in tests)
+ * @param {Object|null} transport - Transport instance, or null to re-read configuration
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Render a template and deliver it. Never throws: the outcome is returned
+ * and every attempt is recorded in the EmailLog collection.
+ * @param {string} template - Template name (see ./templates)
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Template variables
+ * @param {Object} [options] - Extra options
+ * @param {string} [options.userId] - User the email concerns, for the delivery log
+ * @returns {Promise<{delivered: boolean, messageId?: string, error?: string}>}
+ */
+const sendEmail = async (template, to, data = {}, options = {}) => {
+  let transportName;
+  let subject;
+
+  try {
+    const transport = getTransport();
+    transportName = transport.name;
+
+    const content = render(template, data);
+    subject = content.subject;
+
+    const { messageId } = await transport.send({
+      from: process.env.MAIL_FROM || 'E-Learning Platform <no-reply@example.com>',
+      to,
+      ...content
+    });
+
+    await recordDelivery({ user: options.userId, to, template, subject, transport: transportName, status: 'sent', message_id: messageId });
+    console.log(`Email "${template}" sent to ${to}`);
+
+    return { delivered: true, messageId };
+  } catch (error) {
+    console.error(`Error sending email "${template}" to ${to}:`, error);
+    await recordDelivery({ user: options.userId, to, template, subject, transport: transportName, status: 'failed', error: error.message });
+
+    return { delivered: false, error: error.message };
+  }
+};
+
+const recordDelivery = async (entry) => {
+  try {
+    await EmailLog.create(entry);
+  } catch (error) {
+    console.error('Error recording email delivery:', error);
+  }
+};
+
+module.exports = {
+  sendEmail,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,198 @@
+const APP_NAME = process.env.APP_NAME || 'E-Learning Platform';
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap message body paragraphs in the shared HTML layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string[]} paragraphs - Already-escaped HTML paragraphs
+ * @param {Object} [action] - Optional call-to-action button ({ label, url })
+ * @returns {string} Full HTML document
+ */
+const layout = (title, paragraphs, action) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${paragraphs.map(p => `<p style="line-height:1.5;">${p}</p>`).join('\n      ')}
+      ${action ? `<p style="margin:32px 0;"><a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;">${escapeHtml(action.label)}</a></p>
+      <p style="font-size:12px;color:#6b7280;">If the button does not work, copy this link into your browser:<br>${escapeHtml(action.url)}</p>` : ''}
+      <hr style="border:none;border-top:1px solid #e5e7eb;margin:32px 0 16px;">
+      <p style="font-size:12px;color:#6b7280;">${escapeHtml(APP_NAME)}</p>
+    </div>
+  </body>
+</html>`;
+
+/**
+ * Build the plain-text alternative for an email
+ * @param {string[]} lines - Text lines
+ * @returns {string} Text body
+ */
+const textBody = (lines) => `${lines.join('\n\n')}\n\n-- \n${APP_NAME}\n`;
+
+const templates = {
+  verification: ({ name, verificationUrl, expiresInHours = 24 }) => ({
+    subject: `Verify your email for ${APP_NAME}`,
+    html: layout('Verify your email address', [
+      `Hi ${escapeHtml(name)},`,
+      'Please confirm your email address by clicking the button below.',
+      `This link expires in ${escapeHtml(expiresInHours)} hours.`
+    ], { label: 'Verify email', url: verificationUrl }),
+    text: textBody([
+      `Hi ${name},`,
+      'Please confirm your email address by opening the link below.',
+      verificationUrl,
+      `This link expires in ${expiresInHours} hours.`
+    ])
+  }),
+
+  passwordReset: ({ name, resetUrl, expiresInMinutes = 10 }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    html: layout('Reset your password', [
+      `Hi ${escapeHtml(name)},`,
+      'We received a request to reset your password. Click the button below to choose a new one.',
+      `This link expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not request a reset, you can ignore this email.`
+    ], { label: 'Reset password', url: resetUrl }),
+    text: textBody([
+      `Hi ${name},`,
+      'We received a request to reset your password. Open the link below to choose a new one.',
+      resetUrl,
+      `This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`
+    ])
+  }),
+
+  passwordChanged: ({ name, changedAt = new Date() }) => ({
+    subject: `Your ${APP_NAME} password was changed`,
+    html: layout('Your password was changed', [
+      `Hi ${escapeHtml(name)},`,
+      `The password for your account was changed on ${escapeHtml(new Date(changedAt).toUTCString())}.`,
+      'If you made this change, no action is needed. If you did not, reset your password immediately and contact support.'
+    ]),
+    text: textBody([
+      `Hi ${name},`,
+      `The password for your account was changed on ${new Date(changedAt).toUTCString()}.`,
+      'If you made this change, no action is needed. If you did not, reset your password immediately and contact support.'
+    ])
+  }),
+
+  accountLocked: ({ name, lockedUntil }) => ({
+    subject: `Your ${APP_NAME} account has been locked`,
+    html: layout('Your account has been temporarily locked', [
+      `Hi ${escapeHtml(name)},`,
+      'We locked your account after several failed sign-in attempts.',
+      `You can try again after ${escapeHtml(new Date(lockedUntil).toUTCString())}. If this was not you, we recommend resetting your password.`
+    ]),
+    text: textBody([
+      `Hi ${name},`,
+      'We locked your account after several failed sign-in attempts.',
+      `You can try again after ${new Date(lockedUntil).toUTCString()}. If this was not you, we recommend resetting your password.`
+    ])
+  }),
+
+  invitation: ({ name, inviterName, roleName, batchName, groupName, acceptUrl, message, expiresAt }) => ({
+    subject: `You're invited to join ${batchName} on ${APP_NAME}`,
+    html: layout(`Join ${batchName}`, [
+      `Hi${name ? ` ${escapeHtml(name)}` : ''},`,
+      `${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(batchName)}</strong>${groupName ? `, group <strong>${escapeHtml(groupName)}</strong>,` : ''} as ${escapeHtml(roleName)}.`,
+      ...(message ? [`&ldquo;${escapeHtml(message)}&rdquo;`] : []),
+      `This invitation expires on ${escapeHtml(new Date(expiresAt).toUTCString())}.`
+    ], { label: 'Accept invitation', url: acceptUrl }),
+    text: textBody([
+      `Hi${name ? ` ${name}` : ''},`,
+      `${inviterName} invited you to join ${batchName}${groupName ? `, group ${groupName},` : ''} as ${roleName}.`,
+      ...(message ? [`"${message}"`] : []),
+      'Open the link below to accept.',
+      acceptUrl,
+      `This invitation expires on ${new Date(expiresAt).toUTCString()}.`
+    ])
+  }),
+
+  sessionRescheduled: ({ name, sessionTitle, contextName, previousTime, newTime, reason }) => ({
+    subject: `Rescheduled: ${sessionTitle}`,
+    html: layout('A session was rescheduled', [
+      `Hi ${escapeHtml(name)},`,
+      `<strong>${escapeHtml(sessionTitle)}</strong> (${escapeHtml(contextName)}) has moved.`,
+      `Was: ${escapeHtml(previousTime)}<br>Now: <strong>${escapeHtml(newTime)}</strong>`,
+      ...(reason ? [`Reason: ${escapeHtml(reason)}`] : [])
+    ]),
+    text: textBody([
+      `Hi ${name},`,
+      `${sessionTitle} (${contextName}) has moved.`,
+      `Was: ${previousTime}\nNow: ${newTime}`,
+      ...(reason ? [`Reason: ${reason}`] : [])
+    ])
+  }),
+
+  sessionCancelled: ({ name, sessionTitle, contextName, previousTime, reason }) => ({
+    subject: `Cancelled: ${sessionTitle}`,
+    html: layout('A session was cancelled', [
+      `Hi ${escapeHtml(name)},`,
+      `<strong>${escapeHtml(sessionTitle)}</strong> (${escapeHtml(contextName)}) on ${escapeHtml(previousTime)} has been cancelled.`,
+      ...(reason ? [`Reason: ${escapeHtml(reason)}`] : [])
+    ]),
+    text: textBody([
+      `Hi ${name},`,
+      `${sessionTitle} (${contextName}) on ${previousTime} has been cancelled.`,
+      ...(reason ? [`Reason: ${reason}`] : [])
+    ])
+  }),
+
+  sessionReminder: ({ name, sessionTitle, contextName, time, startsIn, meetingLink }) => ({
+    subject: `Reminder: ${sessionTitle} starts in ${startsIn}`,
+    html: layout(`${sessionTitle} starts in ${startsIn}`, [
+      `Hi ${escapeHtml(name)},`,
+      `<strong>${escapeHtml(sessionTitle)}</strong> (${escapeHtml(contextName)}) is on ${escapeHtml(time)}.`
+    ], meetingLink ? { label: 'Join the session', url: meetingLink } : undefined),
+    text: textBody([
+      `Hi ${name},`,
+      `${sessionTitle} (${contextName}) is on ${time}.`,
+      ...(meetingLink ? ['Join the session:', meetingLink] : [])
+    ])
+  }),
+
+  // Email copy of an in-app notification that has no template of its own
+  notification: ({ name, title, message, url }) => ({
+    subject: title,
+    html: layout(title, [
+      `Hi ${escapeHtml(name)},`,
+      ...(message ? [escapeHtml(message)] : [])
+    ], url ? { label: 'View details', url } : undefined),
+    text: textBody([
+      `Hi ${name},`,
+      ...(message ? [message] : []),
+      ...(url ? [url] : [])
+    ])
+  })
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Template variables
+ * @returns {{subject: string, html: string, text: string}} Rendered message parts
+ */
+const render = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  render,
+  escapeHtml,
+  layout,
+  textBody,
+  templateNames: Object.keys(templates)
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a transport that writes every message to a local outbox directory.
+ * Each message is stored as <id>.json with an <id>.html copy for previewing.
+ * @param {Object} options - Transport options
+ * @param {string} options.dir - Outbox directory
+ * @returns {Object} Transport with a send(message) method
+ */
+const createFileTransport = (options = {}) => {
+  const dir = path.resolve(options.dir || 'outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const record = { messageId, created_at: new Date().toISOString(), ...message };
+
+      await fs.promises.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(record, null, 2));
+      if (message.html) {
+        await fs.promises.writeFile(path.join(dir, `${messageId}.html`), message.html);
+      }
+
+      console.log(`Email written to outbox: ${path.join(dir, `${messageId}.json`)}`);
+      return { messageId };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Messages captured by every JSON transport instance, oldest first
+const captured = [];
+
+/**
+ * Create a transport that captures messages in memory as plain JSON objects.
+ * Useful for tests and for inspecting outgoing mail without any I/O.
+ * @returns {Object} Transport with a send(message) method
+ */
+const createJsonTransport = () => ({
+  name: 'json',
+  send: async (message) => {
+    const messageId = crypto.randomBytes(8).toString('hex');
+    captured.push(JSON.parse(JSON.stringify({ messageId, ...message })));
+    return { messageId };
+  }
+});
+
+createJsonTransport.getMessages = () => captured.slice();
+
+createJsonTransport.clearMessages = () => {
+  captured.length = 0;
+};
+
+module.exports = createJsonTransport;
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP transport backed by nodemailer
+ * @param {Object} options - SMTP connection options (host, port, secure, user, pass)
+ * @returns {Object} Transport with a send(message) method
+ */
+const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
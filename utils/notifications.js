@@ -0,0 +1,134 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendEmail } = require('./mailer');
+const { emitToUser } = require('./realtime');
+
+const { NOTIFICATION_CATEGORIES } = Notification;
+const NOTIFICATION_CHANNELS = ['in_app', 'email'];
+
+// Channels used for a category until the user chooses otherwise
+const DEFAULT_CHANNELS = {
+  session_reminders: { in_app: true, email: true },
+  session_changes: { in_app: true, email: true },
+  enrollment: { in_app: true, email: true },
+  grading: { in_app: true, email: false },
+  announcements: { in_app: true, email: false },
+  batch_updates: { in_app: true, email: false }
+};
+
+/**
+ * Channels a user receives a category on: their own choices over the defaults
+ * @param {Object} user - User document with notification_preferences
+ * @param {string} category - One of NOTIFICATION_CATEGORIES
+ * @returns {{in_app: boolean, email: boolean}} Channels
+ */
+const getChannels = (user, category) => {
+  const stored = user.notification_preferences ? user.notification_preferences.get(category) : null;
+
+  return NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+    channels[channel] = stored && typeof stored[channel] === 'boolean'
+      ? stored[channel]
+      : DEFAULT_CHANNELS[category][channel];
+    return channels;
+  }, {});
+};
+
+/**
+ * Channels a user receives every category on
+ * @param {Object} user - User document with notification_preferences
+ * @returns {Object} Channels keyed by category
+ */
+const getNotificationPreferences = (user) => NOTIFICATION_CATEGORIES.reduce((preferences, category) => {
+  preferences[category] = getChannels(user, category);
+  return preferences;
+}, {});
+
+/**
+ * Whether a preferences update is an object of known categories, each with boolean channels
+ * @param {*} value - Request body preferences, such as { grading: { email: true } }
+ * @returns {boolean} True when valid
+ */
+const isValidPreferences = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+  Object.entries(value).every(([category, channels]) => NOTIFICATION_CATEGORIES.includes(category) &&
+    Boolean(channels) && typeof channels === 'object' &&
+    Object.entries(channels).every(([channel, enabled]) => NOTIFICATION_CHANNELS.includes(channel) && typeof enabled === 'boolean'));
+
+// Links are client paths; emails need them absolute
+const clientUrl = (link) => (link && process.env.CLIENT_URL ? `${process.env.CLIENT_URL}${link}` : undefined);
+
+const valueFor = (value, user) => (typeof value === 'function' ? value(user) : value);
+
+/**
+ * Notify users on the channels they chose for the category. In-app notifications are
+ * stored and pushed to connected clients as "notification.created"; emails use the
+ * given template or the generic notification one. Inactive users are skipped.
+ * @param {Object} options
+ * @param {Array} options.users - IDs of the users to notify
+ * @param {string} options.category - One of NOTIFICATION_CATEGORIES
+ * @param {string} options.type - What happened, such as session.rescheduled
+ * @param {string|Function} options.title - Title, or a function of the recipient returning it
+ * @param {string|Function} [options.message] - Message, or a function of the recipient returning it
+ * @param {string} [options.link] - Client path to open
+ * @param {Object} [options.data] - Details for clients
+ * @param {Function} [options.email] - Returns { template, data } for the recipient's email
+ * @returns {Promise<Object>} Counts: users reached on any channel, in-app notifications
+ *   created and emails delivered ({ reached, notified, emailed })
+ */
+const notify = async ({ users, category, type, title, message, link, data, email }) => {
+  const ids = [...new Set((users || []).filter(Boolean).map(String))];
+  if (ids.length === 0) return { reached: 0, notified: 0, emailed: 0 };
+
+  const recipients = await User.find({ _id: { $in: ids }, is_active: true })
+    .select('name email timezone calendar notification_preferences');
+
+  const inApp = [];
+  const emails = [];
+  let reached = 0;
+  for (const user of recipients) {
+    const channels = getChannels(user, category);
+    if (channels.in_app || (channels.email && user.email)) reached++;
+    const content = { title: valueFor(title, user), message: valueFor(message, user) };
+
+    if (channels.in_app) {
+      inApp.push({ user: user._id, category, type, ...content, link, data });
+    }
+    if (channels.email && user.email) {
+      emails.push({
+        user,
+        ...(email ? email(user) : { template: 'notification', data: { name: user.name, ...content, url: clientUrl(link) } })
+      });
+    }
+  }
+
+  if (inApp.length > 0) {
+    const created = await Notification.insertMany(inApp);
+    created.forEach(notification => emitToUser(notification.user.toString(), 'notification.created', notification.toObject()));
+  }
+
+  let emailed = 0;
+  for (const { user, template, data: emailData } of emails) {
+    const result = await sendEmail(template, user.email, emailData, { userId: user._id });
+    if (result.delivered) emailed++;
+  }
+
+  return { reached, notified: inApp.length, emailed };
+};
+
+/**
+ * notify() without waiting for it, for request handlers that should not hold the
+ * response while a whole batch is emailed. Failures are logged.
+ * @param {Object} options - As for notify()
+ */
+const notifyInBackground = (options) => {
+  notify(options).catch(error => console.error(`Sending ${options.type} notifications failed:`, error));
+};
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_CHANNELS,
+  getNotificationPreferences,
+  isValidPreferences,
+  notify,
+  notifyInBackground
+};
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const UserRole = require('../models/UserRole');
+const Role = require('../models/Role');
+const RolePermission = require('../models/RolePermission');
+const Permission = require('../models/Permission');
+
+const getTtlMs = () => (parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS, 10) || 60) * 1000;
+const MAX_ENTRIES = 10000;
+
+// userId -> { promise, expiresAt }. Promises are cached so concurrent requests
+// for the same user share one query. Entries live in this process only, so with
+// several instances a change is picked up elsewhere once the TTL runs out.
+const cache = new Map();
+
+/**
+ * Resolve a user's active roles and granted permissions with a single aggregation
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { roles, role_ids, permission_level, permissions, expires_at }, where
+ *   permissions is a Set of "resource_type:action" strings and expires_at is the earliest grant expiry
+ */
+const resolveUserAccess = async (userId) => {
+  const rows = await UserRole.aggregate([
+    { $match: UserRole.activeFilter({ user: new mongoose.Types.ObjectId(userId) }) },
+    { $lookup: { from: Role.collection.name, localField: 'role', foreignField: '_id', as: 'role' } },
+    { $unwind: '$role' },
+    {
+      $lookup: {
+        from: RolePermission.collection.name,
+        let: { roleId: '$role._id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$role', '$$roleId'] }, { $eq: ['$is_granted', true] }] } } },
+          { $lookup: { from: Permission.collection.name, localField: 'permission', foreignField: '_id', as: 'permission' } },
+          { $unwind: '$permission' },
+          { $project: { _id: 0, resource_type: '$permission.resource_type', action: '$permission.action' } }
+        ],
+        as: 'permissions'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        role_id: '$role._id',
+        name: '$role.name',
+        permission_level: '$role.permission_level',
+        expires_at: 1,
+        permissions: 1
+      }
+    }
+  ]);
+
+  const permissions = new Set();
+  rows.forEach(row => {
+    row.permissions.forEach(p => permissions.add(`${p.resource_type}:${p.action}`));
+  });
+
+  const expiries = rows.filter(row => row.expires_at).map(row => new Date(row.expires_at).getTime());
+
+  return {
+    roles: rows.map(row => row.name),
+    role_ids: rows.map(row => row.role_id.toString()),
+    permission_level: rows.reduce((max, row) => Math.max(max, row.permission_level || 0), 0),
+    permissions,
+    // Earliest time-boxed grant, so the cache never outlives a role
+    expires_at: expiries.length ? new Date(Math.min(...expiries)) : null
+  };
+};
+
+/**
+ * Get a user's roles and permissions, from the cache when fresh
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Resolved access (see resolveUserAccess)
+ */
+const getUserAccess = (userId) => {
+  const key = userId.toString();
+  const entry = cache.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.promise;
+  }
+
+  if (cache.size >= MAX_ENTRIES) {
+    // Maps iterate in insertion order, so this drops the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+
+  const promise = resolveUserAccess(userId);
+  const newEntry = { promise, expiresAt: Date.now() + getTtlMs() };
+  cache.set(key, newEntry);
+
+  promise.then(access => {
+    if (access.expires_at) {
+      newEntry.expiresAt = Math.min(newEntry.expiresAt, access.expires_at.getTime());
+    }
+  }, () => {
+    // Never keep a failed lookup around
+    if (cache.get(key) === newEntry) {
+      cache.delete(key);
+    }
+  });
+
+  return promise;
+};
+
+/**
+ * Get the requesting user's access, resolving it at most once per request
+ * @param {Object} req - Express request with req.user set by protect
+ * @returns {Promise<Object>} Resolved access (see resolveUserAccess)
+ */
+const getRequestAccess = (req) => {
+  if (!req.access) {
+    req.access = getUserAccess(req.user.id);
+  }
+  return req.access;
+};
+
+/**
+ * Check whether resolved access includes a permission
+ * @param {Object} access - Resolved access
+ * @param {string} resourceType - Resource type, e.g. "courses"
+ * @param {string} action - Action, e.g. "update"
+ * @returns {boolean} True if granted
+ */
+const hasPermission = (access, resourceType, action) =>
+  access.permissions.has(`${resourceType}:${action}`);
+
+/**
+ * Drop a user's cached access, e.g. after their roles change
+ * @param {string} userId - User ID
+ */
+const invalidateUserAccess = (userId) => {
+  cache.delete(userId.toString());
+};
+
+/**
+ * Drop every cached entry, e.g. after a role's permissions change
+ */
+const clearAccessCache = () => {
+  cache.clear();
+};
+
+module.exports = {
+  resolveUserAccess,
+  getUserAccess,
+  getRequestAccess,
+  hasPermission,
+  invalidateUserAccess,
+  clearAccessCache
+};
@@ -0,0 +1,137 @@
+const User = require('../../models/User');
+const logActivity = require('../activityLogger');
+const createMemoryStore = require('./stores/memory');
+const createMongoStore = require('./stores/mongo');
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+/**
+ * Get the active store, creating it from RATE_LIMIT_STORE (memory or mongo) on first use
+ * @returns {Object} Store instance
+ */
+const getStore = () => {
+  if (!store) {
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    const factory = stores[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+/**
+ * Replace the active store (e.g. with a custom implementation)
+ * @param {Object} customStore - Object with increment(key, windowMs) and reset(key) methods
+ */
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+// Key generators: per client IP, per account named in the request body, or per signed-in user
+const byIp = (req) => req.ip || (req.connection && req.connection.remoteAddress);
+const byUser = (req) => (req.user ? req.user.id.toString() : null);
+const byAccount = (req) => (typeof req.body.email === 'string' && req.body.email.trim()
+  ? req.body.email.trim().toLowerCase()
+  : null);
+
+// Per-route overrides, e.g. RATE_LIMIT_LOGIN_IP_MAX and RATE_LIMIT_LOGIN_IP_WINDOW_SECONDS
+const readLimits = (name, defaults) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const max = parseInt(process.env[`${prefix}_MAX`], 10);
+  const windowSeconds = parseInt(process.env[`${prefix}_WINDOW_SECONDS`], 10);
+
+  return {
+    max: max > 0 ? max : defaults.max,
+    windowMs: windowSeconds > 0 ? windowSeconds * 1000 : defaults.windowMs
+  };
+};
+
+// Record the first rejected request of a window so lockouts show up in the activity log
+const logLockout = async (req, name, key, keyGenerator, max, windowMs, resetAt) => {
+  let user = null;
+
+  if (keyGenerator === byAccount) {
+    user = await User.findOne({ email: key }).select('_id');
+  } else if (keyGenerator === byUser) {
+    user = req.user;
+  }
+
+  await logActivity(
+    user ? user._id : null,
+    'rate_limit_lockout',
+    user ? 'User' : 'System',
+    user ? user._id : null,
+    `Rate limit ${name} exceeded for ${keyGenerator === byIp ? 'IP' : 'account'} ${key} ` +
+      `(${max} requests per ${Math.round(windowMs / 1000)}s), blocked until ${resetAt.toISOString()}`,
+    req
+  );
+};
+
+/**
+ * Create middleware that limits requests per key in fixed windows. Responses carry
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers;
+ * rejected requests get 429 with Retry-After. If the store fails, requests are let through.
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used in keys, env overrides and logs
+ * @param {number} options.max - Default requests allowed per window
+ * @param {number} options.windowMs - Default window length in milliseconds
+ * @param {Function} [options.keyGenerator=byIp] - Returns the key for a request, or null to skip
+ * @param {string} [options.message] - Error returned when the limit is exceeded
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, max, windowMs, keyGenerator = byIp, message = 'Too many requests, please try again later' }) => {
+  const limits = readLimits(name, { max, windowMs });
+
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    let result;
+    try {
+      result = await getStore().increment(`${name}:${key}`, limits.windowMs);
+    } catch (error) {
+      console.error(`Rate limit store error (${name}):`, error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((new Date(result.resetAt).getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(limits.max),
+      'RateLimit-Remaining': String(Math.max(0, limits.max - result.count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limits.max};w=${Math.round(limits.windowMs / 1000)}`
+    });
+
+    if (result.count <= limits.max) {
+      return next();
+    }
+
+    if (result.count === limits.max + 1) {
+      logLockout(req, name, key, keyGenerator, limits.max, limits.windowMs, new Date(result.resetAt))
+        .catch(error => console.error('Error logging rate limit lockout:', error));
+    }
+
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      error: message
+    });
+  };
+};
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byAccount,
+  byUser,
+  getStore,
+  setStore
+};
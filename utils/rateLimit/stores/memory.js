@@ -0,0 +1,41 @@
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a rate limit store that keeps counters in process memory.
+ * Counters are not shared between instances, so use the mongo store when
+ * running more than one server.
+ * @returns {Object} Store with increment(key, windowMs) and reset(key) methods
+ */
+const createMemoryStore = () => {
+  const buckets = new Map();
+
+  // Drop finished windows so the map does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }, CLEANUP_INTERVAL_MS);
+  cleanup.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+
+      bucket.count++;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+    reset: async (key) => {
+      buckets.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,45 @@
+const RateLimitBucket = require('../../../models/RateLimitBucket');
+
+/**
+ * Create a rate limit store backed by the RateLimitBucket collection, so every
+ * server instance counts against the same windows.
+ * @returns {Object} Store with increment(key, windowMs) and reset(key) methods
+ */
+const createMongoStore = () => {
+  const increment = async (key, windowMs, retried = false) => {
+    const now = new Date();
+    const windowOpen = { $gt: ['$reset_at', now] };
+
+    try {
+      // Single atomic update: count up inside the current window, otherwise start a new one
+      const bucket = await RateLimitBucket.collection.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+            reset_at: { $cond: [windowOpen, '$reset_at', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, returnDocument: 'after' }
+      );
+
+      return { count: bucket.value.count, resetAt: bucket.value.reset_at };
+    } catch (error) {
+      // Two first requests raced on the upsert; the retry finds the inserted document
+      if (error.code === 11000 && !retried) {
+        return increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mongo',
+    increment: (key, windowMs) => increment(key, windowMs),
+    reset: async (key) => {
+      await RateLimitBucket.deleteOne({ key });
+    }
+  };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,173 @@
+// Socket.IO channel for pushing changes to signed-in clients.
+// Clients connect with io(API_URL, { auth: { token: accessToken } }), get "ready" with the
+// rooms they joined, then receive the events listed in PUSHED_EVENTS under their event bus
+// names (e.g. "session.rescheduled"), and "notification.created" for each in-app notification
+// (see utils/notifications). "auth.expired" is sent just before the server drops a connection
+// whose access token has expired.
+const { Server } = require('socket.io');
+const BatchUser = require('../models/BatchUser');
+const GroupUser = require('../models/GroupUser');
+const { verifyAccessToken } = require('./accessToken');
+const { EVENTS, subscribe } = require('./eventBus');
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2147483647;
+
+let io = null;
+
+// Every socket joins its user's room, one room per active batch and group membership,
+// and the room for platform-wide messages
+const EVERYONE_ROOM = 'everyone';
+const userRoom = (id) => (id ? `user:${id}` : null);
+const batchRoom = (id) => (id ? `batch:${id}` : null);
+const groupRoom = (id) => (id ? `group:${id}` : null);
+
+// Rooms to push each event to. Socket.IO event names are the event bus names.
+const sessionRooms = (payload) => [payload.group ? groupRoom(payload.group) : batchRoom(payload.batch)];
+const audienceRooms = (payload) => (payload.everyone
+  ? [EVERYONE_ROOM]
+  : [
+    ...(payload.batches || []).map(batchRoom),
+    ...(payload.groups || []).map(groupRoom),
+    ...(payload.users || []).map(userRoom)
+  ]);
+
+const PUSHED_EVENTS = {
+  [EVENTS.SESSION_RESCHEDULED]: sessionRooms,
+  [EVENTS.SESSION_CANCELLED]: sessionRooms,
+  [EVENTS.LIVE_SESSION_STATUS_CHANGED]: (payload) => [batchRoom(payload.batch)],
+  [EVENTS.GROUP_SESSION_STATUS_CHANGED]: (payload) => [groupRoom(payload.group)],
+  [EVENTS.BATCH_STATUS_CHANGED]: (payload) => [batchRoom(payload.id)],
+  [EVENTS.ENROLLMENT_CHANGED]: (payload) => [userRoom(payload.user)],
+  [EVENTS.MEMBERSHIP_CHANGED]: (payload) => [userRoom(payload.user)],
+  [EVENTS.ANNOUNCEMENT_PUBLISHED]: audienceRooms,
+  [EVENTS.GRADE_POSTED]: (payload) => [userRoom(payload.user)]
+};
+
+// Browsers send the token in the handshake auth; other clients may use the header
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+  return headers.authorization && headers.authorization.startsWith('Bearer')
+    ? headers.authorization.split(' ')[1]
+    : null;
+};
+
+// The client receives the same body protect would send in connect_error's data
+const authError = ({ error, ...flags }) => {
+  const err = new Error(error);
+  err.data = { success: false, error, ...flags };
+  return err;
+};
+
+// Connections are authenticated exactly like protected routes
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+  if (!token) {
+    return next(authError({ error: 'Not authorized to access this route' }));
+  }
+
+  const result = await verifyAccessToken(token);
+  if (result.error) {
+    return next(authError(result));
+  }
+
+  socket.data.userId = result.user._id.toString();
+  socket.data.sessionId = result.sessionId;
+  socket.data.expiresAt = result.expiresAt;
+  next();
+};
+
+const membershipRooms = async (userId) => {
+  const [batchIds, groupIds] = await Promise.all([
+    BatchUser.distinct('batch', { user: userId, is_active: true }),
+    GroupUser.distinct('group', { user: userId, is_active: true })
+  ]);
+
+  return [EVERYONE_ROOM, userRoom(userId), ...batchIds.map(batchRoom), ...groupIds.map(groupRoom)];
+};
+
+/**
+ * Move a user's connected sockets into the rooms of their current batches and groups
+ * @param {string} userId - User ID
+ */
+const syncUserRooms = async (userId) => {
+  if (!io) return;
+
+  const rooms = await membershipRooms(userId);
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+
+  sockets.forEach(socket => {
+    socket.rooms.forEach(room => {
+      if (room !== socket.id && !rooms.includes(room)) socket.leave(room);
+    });
+    socket.join(rooms);
+  });
+};
+
+const handleConnection = async (socket) => {
+  const { userId, expiresAt } = socket.data;
+
+  try {
+    socket.join(await membershipRooms(userId));
+  } catch (error) {
+    console.error(`Joining rooms for user ${userId} failed:`, error);
+    socket.disconnect(true);
+    return;
+  }
+
+  // Access tokens are short-lived; when this one expires the client reconnects with a fresh one
+  if (expiresAt) {
+    const timer = setTimeout(() => {
+      socket.emit('auth.expired');
+      socket.disconnect(true);
+    }, Math.min(Math.max(expiresAt.getTime() - Date.now(), 0), MAX_TIMER_MS));
+    socket.on('disconnect', () => clearTimeout(timer));
+  }
+
+  socket.emit('ready', { rooms: [...socket.rooms].filter(room => room !== socket.id) });
+};
+
+/**
+ * Push a message to one user's connected clients
+ * @param {string} userId - User ID
+ * @param {string} event - Socket.IO event name
+ * @param {Object} payload - Message
+ */
+const emitToUser = (userId, event, payload) => {
+  if (io && userId) io.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Attach Socket.IO to the HTTP server and start pushing events from the event bus
+ * to the rooms they concern
+ * @param {Object} server - Node HTTP server the Express app listens on
+ * @param {Object} [options] - Socket.IO server options such as cors
+ * @returns {Object} Socket.IO server
+ */
+const initRealtime = (server, options = {}) => {
+  if (io) return io;
+
+  io = new Server(server, options);
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+
+  Object.entries(PUSHED_EVENTS).forEach(([event, roomsOf]) => {
+    subscribe(event, (payload) => {
+      const rooms = roomsOf(payload).filter(Boolean);
+      if (rooms.length > 0) io.to(rooms).emit(event, payload);
+    });
+  });
+
+  // Keep rooms in line with batch and group membership
+  subscribe(EVENTS.MEMBERSHIP_CHANGED, (payload) => syncUserRooms(payload.user));
+
+  console.log('Real-time channel ready');
+  return io;
+};
+
+module.exports = {
+  initRealtime,
+  emitToUser,
+  syncUserRooms
+};
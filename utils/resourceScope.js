@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Course = require('../models/Course');
+const Group = require('../models/Group');
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const Attendance = require('../models/Attendance');
+const BatchInstructor = require('../models/BatchInstructor');
+const CourseInstructor = require('../models/CourseInstructor');
+const GroupUser = require('../models/GroupUser');
+const Invitation = require('../models/Invitation');
+const Announcement = require('../models/Announcement');
+const { getUserAccess } = require('./permissionCache');
+
+// Roles that are not limited to the resources they are assigned to
+const GLOBAL_SCOPE_ROLES = ['super_admin', 'admin'];
+
+/**
+ * Check whether a user holds a role with unrestricted scope
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True for admins and super admins
+ */
+const hasGlobalScope = async (userId) => {
+  const access = await getUserAccess(userId);
+  return access.roles.some(roleName => GLOBAL_SCOPE_ROLES.includes(roleName));
+};
+
+// Each resolver answers for one resource: true/false when the resource exists,
+// null when it does not (so the controller can return its usual 404)
+const resolvers = {
+  batches: async (userId, batchId) => {
+    if (!(await Batch.exists({ _id: batchId }))) return null;
+
+    return Boolean(await BatchInstructor.exists({
+      batch: batchId,
+      user: userId,
+      class_type: 'main_class',
+      is_active: true
+    }));
+  },
+
+  courses: async (userId, courseId) => {
+    if (!(await Course.exists({ _id: courseId }))) return null;
+
+    return Boolean(await CourseInstructor.exists({
+      course: courseId,
+      user: userId,
+      is_active: true
+    }));
+  },
+
+  groups: async (userId, groupId) => {
+    const group = await Group.findById(groupId).select('batch');
+    if (!group) return null;
+
+    const [groupInstructor, batchGroupInstructor] = await Promise.all([
+      GroupUser.exists({ group: groupId, user: userId, role: 'group_instructor', is_active: true }),
+      BatchInstructor.exists({ batch: group.batch, user: userId, class_type: 'group', group: groupId, is_active: true })
+    ]);
+
+    if (groupInstructor || batchGroupInstructor) return true;
+
+    // Main class instructors oversee every group of their batch
+    return Boolean(await resolvers.batches(userId, group.batch));
+  },
+
+  live_sessions: async (userId, sessionId) => {
+    const session = await LiveSession.findById(sessionId).select('batch instructor');
+    if (!session) return null;
+
+    if (session.instructor && session.instructor.toString() === userId.toString()) return true;
+
+    return Boolean(await resolvers.batches(userId, session.batch));
+  },
+
+  group_sessions: async (userId, sessionId) => {
+    const session = await GroupSession.findById(sessionId).select('group instructor');
+    if (!session) return null;
+
+    if (session.instructor && session.instructor.toString() === userId.toString()) return true;
+
+    return Boolean(await resolvers.groups(userId, session.group));
+  },
+
+  attendance: async (userId, attendanceId) => {
+    const record = await Attendance.findById(attendanceId).select('batch group live_session group_session');
+    if (!record) return null;
+
+    if (record.group_session) return Boolean(await resolvers.group_sessions(userId, record.group_session));
+    if (record.live_session) return Boolean(await resolvers.live_sessions(userId, record.live_session));
+    if (record.group) return Boolean(await resolvers.groups(userId, record.group));
+
+    return Boolean(await resolvers.batches(userId, record.batch));
+  },
+
+  invitations: async (userId, invitationId) => {
+    const invitation = await Invitation.findById(invitationId).select('batch invited_by');
+    if (!invitation) return null;
+
+    if (invitation.invited_by.toString() === userId.toString()) return true;
+
+    return Boolean(await resolvers.batches(userId, invitation.batch));
+  },
+
+  announcements: async (userId, announcementId) => {
+    const announcement = await Announcement.findById(announcementId).select('audience_type batch group course created_by');
+    if (!announcement) return null;
+
+    if (announcement.created_by.toString() === userId.toString()) return true;
+
+    // Platform-wide announcements are left to their author and admins
+    const targetResolver = { batch: 'batches', group: 'groups', course: 'courses' }[announcement.audience_type];
+    if (!targetResolver) return false;
+
+    return Boolean(await resolvers[targetResolver](userId, announcement[announcement.audience_type]));
+  }
+};
+
+const SCOPED_RESOURCES = Object.keys(resolvers);
+
+/**
+ * Check whether a user may act on a specific resource. Admins and super admins
+ * always can; everyone else only on what they are assigned to through
+ * BatchInstructor, CourseInstructor or GroupUser (or as a session's instructor,
+ * an invitation's sender or an announcement's author).
+ * @param {string} userId - User ID
+ * @param {string} resourceType - One of SCOPED_RESOURCES
+ * @param {string} resourceId - ID of the resource
+ * @returns {Promise<boolean|null>} True/false, or null if the resource does not exist
+ */
+const canAccessResource = async (userId, resourceType, resourceId) => {
+  const resolver = resolvers[resourceType];
+  if (!resolver) {
+    throw new Error(`Unknown scoped resource type: ${resourceType}`);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(resourceId)) return null;
+
+  // Resolve first so admins also get null for resources that do not exist
+  const allowed = await resolver(userId, resourceId);
+  if (allowed === null) return null;
+
+  return allowed || hasGlobalScope(userId);
+};
+
+module.exports = {
+  GLOBAL_SCOPE_ROLES,
+  SCOPED_RESOURCES,
+  hasGlobalScope,
+  canAccessResource
+};
@@ -0,0 +1,63 @@
+const UserRole = require('../models/UserRole');
+const logActivity = require('./activityLogger');
+const { invalidateUserAccess } = require('./permissionCache');
+const { registerJob } = require('./scheduler');
+
+const getIntervalMs = () =>
+  (parseInt(process.env.ROLE_EXPIRY_SWEEP_INTERVAL_SECONDS, 10) || 300) * 1000;
+
+/**
+ * Deactivate role grants whose expires_at has passed and log each as role_remove.
+ * Expired grants are already ignored when roles are resolved; this keeps the
+ * stored is_active flag and the activity log in line with that.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of grants deactivated
+ */
+const sweepExpiredRoles = async (now = new Date()) => {
+  const expired = await UserRole.find({
+    is_active: true,
+    expires_at: { $ne: null, $lte: now }
+  }).populate('role', 'name');
+
+  let count = 0;
+
+  for (const userRole of expired) {
+    // Conditional update so a concurrent sweep or reassignment is not overwritten
+    const result = await UserRole.updateOne(
+      { _id: userRole._id, is_active: true, expires_at: userRole.expires_at },
+      { $set: { is_active: false, removed_at: now } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+
+    count++;
+    invalidateUserAccess(userRole.user);
+
+    await logActivity(
+      userRole.user,
+      'role_remove',
+      'UserRole',
+      userRole._id,
+      `Role ${userRole.role ? userRole.role.name : 'unknown'} expired for user ${userRole.user} at ${userRole.expires_at.toISOString()}`
+    );
+  }
+
+  if (count > 0) {
+    console.log(`Role expiry sweep deactivated ${count} grant(s)`);
+  }
+
+  return count;
+};
+
+/**
+ * Register the sweep with the scheduler, to run every ROLE_EXPIRY_SWEEP_INTERVAL_SECONDS
+ * (default 300)
+ */
+const registerRoleExpiryJob = () => {
+  registerJob({ name: 'role_expiry_sweep', intervalMs: getIntervalMs(), run: sweepExpiredRoles });
+};
+
+module.exports = {
+  sweepExpiredRoles,
+  registerRoleExpiryJob
+};
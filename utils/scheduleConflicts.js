@@ -0,0 +1,178 @@
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const Group = require('../models/Group');
+const { getSessionTimes } = require('./sessionTime');
+const { startOfDay } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cancelled and deactivated sessions never conflict
+const ACTIVE_FILTER = { status: { $ne: 'cancelled' }, is_active: { $ne: false } };
+
+// Changing any of these on an existing session can create a conflict
+const SCHEDULE_FIELDS = ['starts_at', 'ends_at', 'timezone', 'session_date', 'start_time', 'end_time', 'instructor', 'batch', 'group', 'status', 'is_active'];
+
+const idString = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+/**
+ * Load live and group sessions in a date range with their times and batch resolved
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Object[]>} Entries { kind, session, batch, group, instructor, start, end }
+ */
+const loadScheduledSessions = async (from, to) => {
+  const dateFilter = { session_date: { $gte: from, $lt: to } };
+
+  const [liveSessions, groupSessions] = await Promise.all([
+    LiveSession.find({ ...ACTIVE_FILTER, ...dateFilter })
+      .select('title starts_at ends_at timezone session_date start_time end_time instructor batch week status'),
+    GroupSession.find({ ...ACTIVE_FILTER, ...dateFilter })
+      .select('title starts_at ends_at timezone session_date start_time end_time instructor group week status')
+  ]);
+
+  const groupIds = [...new Set(groupSessions.map(session => idString(session.group)))];
+  const groups = await Group.find({ _id: { $in: groupIds } }).select('batch');
+  const batchOfGroup = new Map(groups.map(group => [group._id.toString(), idString(group.batch)]));
+
+  const entries = [];
+
+  liveSessions.forEach(session => {
+    const times = getSessionTimes(session);
+    if (!times) return;
+    entries.push({
+      kind: 'live',
+      session,
+      batch: idString(session.batch),
+      group: null,
+      instructor: idString(session.instructor),
+      ...times
+    });
+  });
+
+  groupSessions.forEach(session => {
+    const times = getSessionTimes(session);
+    if (!times) return;
+    entries.push({
+      kind: 'group',
+      session,
+      batch: batchOfGroup.get(idString(session.group)) || null,
+      group: idString(session.group),
+      instructor: idString(session.instructor),
+      ...times
+    });
+  });
+
+  return entries;
+};
+
+// Ways two sessions can clash: same instructor, same group, or a group session during
+// its batch's live session (or two live sessions of one batch)
+const conflictReasons = (a, b) => {
+  const reasons = [];
+
+  if (a.instructor && a.instructor === b.instructor) reasons.push('instructor');
+  if (a.group && a.group === b.group) reasons.push('group');
+  if (a.batch && a.batch === b.batch && (a.kind === 'live' || b.kind === 'live')) reasons.push('batch');
+
+  return reasons;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Describe a session for conflict responses
+ * @param {Object} entry - Entry from loadScheduledSessions
+ * @returns {Object} Summary
+ */
+const describeSession = (entry) => ({
+  _id: entry.session._id,
+  session_type: entry.kind,
+  title: entry.session.title,
+  session_date: entry.session.session_date,
+  start_time: entry.session.start_time,
+  end_time: entry.session.end_time,
+  timezone: entry.session.timezone,
+  instructor: entry.instructor,
+  batch: entry.batch,
+  group: entry.group,
+  status: entry.session.status,
+  starts_at: entry.start,
+  ends_at: entry.end
+});
+
+/**
+ * Find existing sessions that would clash with a new or changed session
+ * @param {Object} candidate - Session fields: kind ("live" or "group"), starts_at, ends_at,
+ *   session_date, instructor, and batch (live) or group (group)
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Session being updated
+ * @returns {Promise<Object[]>} Conflicts { reasons, session }, empty if none or the times cannot be read
+ */
+const findConflicts = async (candidate, options = {}) => {
+  if (candidate.status === 'cancelled' || candidate.is_active === false) return [];
+
+  const times = getSessionTimes(candidate);
+  if (!times) return [];
+
+  let batch = idString(candidate.batch);
+  const group = candidate.kind === 'group' ? idString(candidate.group) : null;
+
+  if (group && !batch) {
+    const groupDoc = await Group.findById(group).select('batch');
+    batch = groupDoc ? idString(groupDoc.batch) : null;
+  }
+
+  const entry = { kind: candidate.kind, batch, group, instructor: idString(candidate.instructor), ...times };
+
+  // A day either side covers sessions that run past midnight
+  const day = startOfDay(candidate.session_date);
+  const sessions = await loadScheduledSessions(new Date(day.getTime() - DAY_MS), new Date(day.getTime() + 2 * DAY_MS));
+
+  return sessions
+    .filter(other => !options.excludeId || other.session._id.toString() !== options.excludeId.toString())
+    .map(other => ({ other, reasons: conflictReasons(entry, other) }))
+    .filter(({ other, reasons }) => reasons.length > 0 && overlaps(entry, other))
+    .map(({ other, reasons }) => ({ reasons, session: describeSession(other) }));
+};
+
+/**
+ * List every pair of overlapping sessions in a date range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @param {Object} [options]
+ * @param {string} [options.instructor] - Only pairs involving this instructor's sessions
+ * @param {string} [options.batch] - Only pairs involving this batch's sessions
+ * @param {string} [options.group] - Only pairs involving this group's sessions
+ * @returns {Promise<Object[]>} Conflicts { reasons, sessions: [a, b] } ordered by start time
+ */
+const findConflictsInRange = async (from, to, options = {}) => {
+  const entries = (await loadScheduledSessions(from, to)).sort((a, b) => a.start - b.start);
+
+  const involves = (entry) =>
+    (!options.instructor || entry.instructor === options.instructor.toString()) &&
+    (!options.batch || entry.batch === options.batch.toString()) &&
+    (!options.group || entry.group === options.group.toString());
+
+  const conflicts = [];
+
+  // Sorted by start, so each session only needs comparing with later ones that start before it ends
+  entries.forEach((entry, index) => {
+    for (let next = index + 1; next < entries.length && entries[next].start < entry.end; next++) {
+      const other = entries[next];
+      if (!involves(entry) && !involves(other)) continue;
+
+      const reasons = conflictReasons(entry, other);
+      if (reasons.length > 0) {
+        conflicts.push({ reasons, sessions: [describeSession(entry), describeSession(other)] });
+      }
+    }
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  findConflicts,
+  findConflictsInRange
+};
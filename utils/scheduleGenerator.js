@@ -0,0 +1,158 @@
+const BatchCourse = require('../models/BatchCourse');
+const Phase = require('../models/Phase');
+const Week = require('../models/Week');
+const Holiday = require('../models/Holiday');
+const { startOfDay, addDays, toDateKey } = require('./timezone');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const dayIndex = (name) => WEEKDAYS.indexOf(String(name).trim().slice(0, 3).toLowerCase());
+
+/**
+ * Parse a class_days string into weekday numbers. Days are listed with "&", ",", "/", "and"
+ * or a spaced dash, so "Sat & Sun", "Mon, Wed and Fri" and the group default "Tue - Thu" all
+ * name separate days ("Tue - Thu" is Tuesday and Thursday). A range needs an unspaced dash or
+ * "to", such as "Mon-Fri" or "Mon to Fri".
+ * @param {string} value - class_days value
+ * @returns {number[]|null} Sorted weekday numbers (0 = Sunday), or null if unreadable
+ */
+const parseClassDays = (value) => {
+  const days = new Set();
+  const parts = String(value || '').split(/\s*(?:&|,|\/|\band\b|\s[-–]\s)\s*/i).filter(Boolean);
+
+  for (const part of parts) {
+    const range = part.split(/\s*(?:-|–|\bto\b)\s*/i).filter(Boolean);
+    const from = dayIndex(range[0]);
+    const to = dayIndex(range[range.length - 1]);
+
+    if (range.length > 2 || from === -1 || to === -1) return null;
+
+    // Ranges may wrap around the weekend, e.g. "Fri-Mon"
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+};
+
+/**
+ * Load the days to leave out of a schedule: active holidays plus one-off skip dates
+ * @param {Array<string|Date>} [skipDates] - Extra dates to skip
+ * @returns {Promise<Object>} Exclusions for planSessions
+ */
+const loadExclusions = async (skipDates = []) => {
+  const holidays = await Holiday.find({ is_active: true }).select('name date is_recurring');
+
+  return {
+    skipDates: new Set(skipDates.map(date => toDateKey(startOfDay(date)))),
+    holidays: holidays.map(holiday => ({
+      name: holiday.name,
+      key: toDateKey(startOfDay(holiday.date)),
+      monthDay: toDateKey(startOfDay(holiday.date)).slice(5),
+      is_recurring: holiday.is_recurring
+    }))
+  };
+};
+
+// Why a date is left out, or null if sessions can be held on it
+const exclusionReason = (date, exclusions) => {
+  const key = toDateKey(date);
+
+  if (exclusions.skipDates.has(key)) return 'Skip date';
+
+  const holiday = exclusions.holidays.find(entry =>
+    (entry.is_recurring ? entry.monthDay === key.slice(5) : entry.key === key));
+
+  return holiday ? `Holiday: ${holiday.name}` : null;
+};
+
+/**
+ * Load a batch's course weeks in teaching order and give each a calendar week.
+ * Courses run from their BatchCourse start_date; within a course, phases follow
+ * phase_order and weeks follow week_order, one calendar week each.
+ * @param {Object} batch - Batch document
+ * @param {Object} [options]
+ * @param {string} [options.course] - Only schedule this course
+ * @returns {Promise<{weeks: Object[], unscheduled: Object[]}>} Weeks with start and end dates,
+ *   and weeks that fall after the course or batch ends
+ */
+const buildBatchWeekSchedule = async (batch, options = {}) => {
+  const courseFilter = { batch: batch._id, is_active: true };
+  if (options.course) courseFilter.course = options.course;
+
+  const batchCourses = await BatchCourse.find(courseFilter).sort({ start_date: 1 });
+  const weeks = [];
+  const unscheduled = [];
+
+  for (const batchCourse of batchCourses) {
+    const phases = await Phase.find({ course_id: batchCourse.course, is_active: true }).sort({ phase_order: 1 });
+    const phaseOrder = new Map(phases.map((phase, index) => [phase._id.toString(), index]));
+
+    const courseWeeks = (await Week.find({ phase_id: { $in: phases.map(phase => phase._id) }, is_active: true }))
+      .sort((a, b) => (phaseOrder.get(a.phase_id.toString()) - phaseOrder.get(b.phase_id.toString())) ||
+        (a.week_order - b.week_order));
+
+    const anchor = startOfDay(batchCourse.start_date);
+    const limit = startOfDay(Math.min(batchCourse.end_date.getTime(), batch.end_date.getTime()));
+
+    courseWeeks.forEach((week, index) => {
+      const start = addDays(anchor, index * 7);
+      const end = new Date(Math.min(addDays(start, 6).getTime(), limit.getTime()));
+
+      if (start > limit) {
+        unscheduled.push({ week: week._id, week_name: week.week_name, course: batchCourse.course });
+      } else {
+        weeks.push({ week, course: batchCourse.course, start, end });
+      }
+    });
+  }
+
+  return { weeks, unscheduled };
+};
+
+/**
+ * Lay class days onto calendar weeks. Excluded days are reported, not moved.
+ * @param {Object} options
+ * @param {Object[]} options.weeks - Entries with week, start and end (from buildBatchWeekSchedule)
+ * @param {number[]} options.classDays - Weekday numbers (from parseClassDays)
+ * @param {Object} options.exclusions - From loadExclusions
+ * @param {Date} [options.from] - Leave out days before this date
+ * @returns {{planned: Object[], skipped: Object[]}} Planned days ({ week, date, index }, where
+ *   index is the class day's position within its week, starting at 1) and skipped days with reasons
+ */
+const planSessions = ({ weeks, classDays, exclusions, from }) => {
+  const planned = [];
+  const skipped = [];
+  const earliest = from ? startOfDay(from) : null;
+
+  weeks.forEach(entry => {
+    let index = 0;
+
+    for (let date = entry.start; date <= entry.end; date = addDays(date, 1)) {
+      if (!classDays.includes(date.getUTCDay())) continue;
+
+      // Count every class day so a skipped day does not shift the numbering of the rest
+      index++;
+
+      if (earliest && date < earliest) continue;
+
+      const reason = exclusionReason(date, exclusions);
+      if (reason) {
+        skipped.push({ week: entry.week._id, week_name: entry.week.week_name, date: toDateKey(date), reason });
+      } else {
+        planned.push({ week: entry.week, date, index });
+      }
+    }
+  });
+
+  return { planned, skipped };
+};
+
+module.exports = {
+  parseClassDays,
+  loadExclusions,
+  buildBatchWeekSchedule,
+  planSessions
+};
@@ -0,0 +1,156 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+// Identifies this process in JobLock.owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+
+/**
+ * Take or renew the lease on a job. Fails while another instance holds an unexpired lease.
+ * @param {string} name - Job name
+ * @param {number} leaseMs - How long the lease lasts without renewal
+ * @returns {Promise<boolean>} True if this instance now holds the lease
+ */
+const acquireLock = async (name, leaseMs) => {
+  const now = new Date();
+
+  try {
+    await JobLock.findOneAndUpdate(
+      { name, $or: [{ locked_until: { $lte: now } }, { owner: INSTANCE_ID }] },
+      { $set: { owner: INSTANCE_ID, locked_until: new Date(now.getTime() + leaseMs), last_started_at: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The lease is held elsewhere, so the upsert tried to insert a second lock with the same name
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Extend a lease this instance already holds
+ * @param {string} name - Job name
+ * @param {number} leaseMs - How long the lease lasts from now
+ * @returns {Promise<boolean>} False if the lease was lost to another instance
+ */
+const renewLock = async (name, leaseMs) => {
+  const result = await JobLock.updateOne(
+    { name, owner: INSTANCE_ID },
+    { $set: { locked_until: new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount > 0;
+};
+
+/**
+ * End a run and record how it went. The lease is kept until the next run is due, so
+ * other instances skip the rest of this interval instead of running the job again.
+ * @param {string} name - Job name
+ * @param {Error|null} error - Error the run failed with, if any
+ * @param {Date} [holdUntil] - When the next run is due; defaults to now
+ */
+const releaseLock = async (name, error, holdUntil) => {
+  const now = new Date();
+  const lockedUntil = holdUntil && holdUntil > now ? holdUntil : now;
+  const update = { $set: { locked_until: lockedUntil, last_finished_at: now } };
+  if (error) {
+    update.$set.last_error = error.message;
+  } else {
+    update.$unset = { last_error: 1 };
+  }
+
+  await JobLock.updateOne({ name, owner: INSTANCE_ID }, update);
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+
+  const leaseMs = job.intervalMs * 2;
+  let heartbeat = null;
+
+  try {
+    if (!(await acquireLock(job.name, leaseMs))) return;
+
+    // Renew the lease while the run lasts so a slow run is not picked up by another instance
+    heartbeat = setInterval(() => {
+      renewLock(job.name, leaseMs)
+        .then(renewed => {
+          if (!renewed) console.error(`Scheduled job ${job.name} lost its lease while running`);
+        })
+        .catch(error => console.error(`Scheduled job ${job.name} could not renew its lease:`, error));
+    }, Math.ceil(leaseMs / 3));
+    heartbeat.unref();
+
+    const startedAt = new Date();
+    let failure = null;
+    try {
+      await job.run(startedAt);
+    } catch (error) {
+      failure = error;
+      console.error(`Scheduled job ${job.name} failed:`, error);
+    }
+    clearInterval(heartbeat);
+    heartbeat = null;
+    await releaseLock(job.name, failure, new Date(startedAt.getTime() + job.intervalMs));
+  } catch (error) {
+    console.error(`Scheduled job ${job.name} could not be locked:`, error);
+  } finally {
+    if (heartbeat) clearInterval(heartbeat);
+    job.running = false;
+  }
+};
+
+/**
+ * Register a job to run on an interval once the scheduler starts. On each tick at most
+ * one server instance runs it, coordinated through the JobLock collection.
+ * @param {Object} job
+ * @param {string} job.name - Unique job name
+ * @param {number} job.intervalMs - Time between runs
+ * @param {Function} job.run - Async function called with the current time
+ */
+const registerJob = ({ name, intervalMs, run }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Scheduled job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false });
+};
+
+/**
+ * Run every registered job now and then on its interval
+ * @returns {Promise<void>} Resolves once the jobs are started
+ */
+const startScheduler = async () => {
+  // Refusing a held lease relies on the unique index on JobLock.name, which Mongoose
+  // otherwise builds in the background after connecting
+  await JobLock.init();
+
+  jobs.forEach(job => {
+    if (job.timer) return;
+
+    runJob(job);
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Do not keep the process alive just for the scheduler
+    job.timer.unref();
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+};
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  acquireLock,
+  renewLock,
+  releaseLock
+};
@@ -0,0 +1,243 @@
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const Batch = require('../models/Batch');
+const Group = require('../models/Group');
+const BatchUser = require('../models/BatchUser');
+const GroupUser = require('../models/GroupUser');
+const Attendance = require('../models/Attendance');
+const CheckInCode = require('../models/CheckInCode');
+const SessionChange = require('../models/SessionChange');
+const { notify } = require('./notifications');
+const { EVENTS, publish } = require('./eventBus');
+const { formatDate, formatTime } = require('./dateFormat');
+const { isValidTimeZone } = require('./timezone');
+
+// Where each kind of session lives and who attends it: the batch's students for
+// live sessions and the group's students for group sessions
+const SESSION_TYPES = {
+  live: {
+    Model: LiveSession,
+    field: 'live_session',
+    parent: 'batch',
+    contextName: async (session) => {
+      const batch = await Batch.findById(session.batch).select('name');
+      return batch ? batch.name : 'your batch';
+    },
+    students: (session) => BatchUser.find({ batch: session.batch, role: 'student', is_active: true })
+      .select('user')
+  },
+  group: {
+    Model: GroupSession,
+    field: 'group_session',
+    parent: 'group',
+    contextName: async (session) => {
+      const group = await Group.findById(session.group).select('name');
+      return group ? group.name : 'your group';
+    },
+    students: (session) => GroupUser.find({ group: session.group, role: 'student', is_active: true })
+      .select('user')
+  }
+};
+
+const SNAPSHOT_FIELDS = ['starts_at', 'ends_at', 'timezone', 'session_date', 'start_time', 'end_time', 'status'];
+
+/**
+ * Schedule and status of a session, as stored in its change history
+ * @param {Object} session - LiveSession or GroupSession document
+ * @returns {Object} Snapshot
+ */
+const snapshotSession = (session) => SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+  snapshot[field] = session[field];
+  return snapshot;
+}, {});
+
+/**
+ * A session's time as a user reads it: their zone (or the session's) and their calendar
+ * @param {Object} snapshot - Session or snapshot with starts_at, ends_at and timezone
+ * @param {Object} user - User with timezone and calendar
+ * @returns {string} Such as "Mar 1, 2025, 10:30 AM - 12:00 PM (Africa/Addis_Ababa)"
+ */
+const describeSessionTime = (snapshot, user) => {
+  const timeZone = isValidTimeZone(user.timezone) ? user.timezone : snapshot.timezone;
+  const options = { calendar: user.calendar, timeZone };
+  return `${formatDate(snapshot.starts_at, options)}, ${formatTime(snapshot.starts_at, options)} - ` +
+    `${formatTime(snapshot.ends_at, options)} (${timeZone})`;
+};
+
+/**
+ * Name of the batch or group a session belongs to, for messages about it
+ * @param {string} type - "live" or "group"
+ * @param {Object} session - Session document
+ * @returns {Promise<string>} Batch or group name
+ */
+const getSessionContextName = (type, session) => SESSION_TYPES[type].contextName(session);
+
+/**
+ * Notify a session's students of a reschedule or cancellation, in-app and by email as each
+ * chose, and store how many were reached
+ * @param {string} type - "live" or "group"
+ * @param {Object} session - Session after the change
+ * @param {Object} change - SessionChange document
+ * @returns {Promise<number>} Number of students reached
+ */
+const notifyStudents = async (type, session, change) => {
+  const config = SESSION_TYPES[type];
+  const [contextName, members] = await Promise.all([config.contextName(session), config.students(session)]);
+  const cancelled = change.action === 'cancel';
+
+  const { reached } = await notify({
+    users: members.map(member => member.user),
+    category: 'session_changes',
+    type: cancelled ? EVENTS.SESSION_CANCELLED : EVENTS.SESSION_RESCHEDULED,
+    title: `${cancelled ? 'Cancelled' : 'Rescheduled'}: ${session.title}`,
+    message: (user) => (cancelled
+      ? `${session.title} (${contextName}) on ${describeSessionTime(change.previous, user)} has been cancelled.`
+      : `${session.title} (${contextName}) has moved to ${describeSessionTime(change.current, user)}.`),
+    link: `/${type === 'live' ? 'live-sessions' : 'group-sessions'}/${session._id}`,
+    data: {
+      session_type: type,
+      session: session._id,
+      [config.parent]: session[config.parent],
+      change_id: change._id,
+      reason: change.reason
+    },
+    email: (user) => ({
+      template: cancelled ? 'sessionCancelled' : 'sessionRescheduled',
+      data: {
+        name: user.name,
+        sessionTitle: session.title,
+        contextName,
+        previousTime: describeSessionTime(change.previous, user),
+        newTime: describeSessionTime(change.current, user),
+        reason: change.reason
+      }
+    })
+  });
+
+  await SessionChange.updateOne({ _id: change._id }, { $set: { notified_count: reached } });
+  return reached;
+};
+
+/**
+ * Add an entry to a session's change history and publish it
+ * @param {string} type - "live" or "group"
+ * @param {Object} session - Session after the change
+ * @param {Object} options
+ * @param {string} options.action - reschedule, cancel or update
+ * @param {Object} options.previous - snapshotSession() taken before the change
+ * @param {string} [options.reason] - Why the change was made
+ * @param {string} options.userId - Who made it
+ * @param {boolean} [options.notify=false] - Notify the session's students
+ * @returns {Promise<Object>} SessionChange document
+ */
+const recordSessionChange = async (type, session, { action, previous, reason, userId, notify = false }) => {
+  const config = SESSION_TYPES[type];
+  const change = await SessionChange.create({
+    session_type: type,
+    [config.field]: session._id,
+    action,
+    reason,
+    previous,
+    current: snapshotSession(session),
+    changed_by: userId
+  });
+
+  const event = { reschedule: EVENTS.SESSION_RESCHEDULED, cancel: EVENTS.SESSION_CANCELLED }[action];
+  if (event) {
+    publish(event, {
+      session_type: type,
+      id: session._id.toString(),
+      [config.parent]: session[config.parent] ? String(session[config.parent]._id || session[config.parent]) : null,
+      change_id: change._id.toString(),
+      previous: change.previous,
+      current: change.current,
+      reason,
+      changed_by: String(userId)
+    });
+  }
+
+  if (notify) {
+    // Notifying a whole batch can take a while, so it carries on after the response
+    notifyStudents(type, session, change)
+      .catch(error => console.error(`Notifying students of session change ${change._id} failed:`, error));
+  }
+
+  return change;
+};
+
+// Check-in codes are only valid inside the session's window
+const closeCheckIn = (type, session, userId) => CheckInCode.updateOne(
+  { [SESSION_TYPES[type].field]: session._id, is_active: true },
+  { $set: { is_active: false, closed_at: Date.now(), closed_by: userId } }
+);
+
+/**
+ * Move a session to a new time. Its attendance records move with it, open self check-in
+ * is closed, the change is recorded and the students are notified.
+ * @param {string} type - "live" or "group"
+ * @param {Object} session - Session document
+ * @param {Object} schedule - New schedule fields (see resolveSessionSchedule)
+ * @param {Object} options
+ * @param {string} options.reason - Why the session moved
+ * @param {string} options.userId - Who moved it
+ * @returns {Promise<Object>} SessionChange document
+ */
+const rescheduleSession = async (type, session, schedule, { reason, userId }) => {
+  const previous = snapshotSession(session);
+
+  session.set(schedule);
+  await session.save();
+
+  await Attendance.updateMany(
+    { [SESSION_TYPES[type].field]: session._id },
+    { $set: { class_date: session.session_date } }
+  );
+  await closeCheckIn(type, session, userId);
+
+  return recordSessionChange(type, session, { action: 'reschedule', previous, reason, userId, notify: true });
+};
+
+/**
+ * Cancel a session. Students already marked absent are excused, open self check-in is
+ * closed, the change is recorded and the students are notified.
+ * @param {string} type - "live" or "group"
+ * @param {Object} session - Session document
+ * @param {Object} options
+ * @param {string} options.reason - Why the session was cancelled
+ * @param {string} options.userId - Who cancelled it
+ * @returns {Promise<Object>} SessionChange document
+ */
+const cancelSession = async (type, session, { reason, userId }) => {
+  const previous = snapshotSession(session);
+
+  session.status = 'cancelled';
+  await session.save();
+
+  await Attendance.updateMany(
+    { [SESSION_TYPES[type].field]: session._id, status: 'absent' },
+    { $set: { status: 'excused', is_present: false } }
+  );
+  await closeCheckIn(type, session, userId);
+
+  return recordSessionChange(type, session, { action: 'cancel', previous, reason, userId, notify: true });
+};
+
+/**
+ * Change history of a session, newest first
+ * @param {string} type - "live" or "group"
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object[]>} SessionChange documents
+ */
+const getSessionHistory = (type, sessionId) => SessionChange.find({ [SESSION_TYPES[type].field]: sessionId })
+  .sort({ created_at: -1 })
+  .populate('changed_by', 'name email');
+
+module.exports = {
+  snapshotSession,
+  describeSessionTime,
+  getSessionContextName,
+  recordSessionChange,
+  rescheduleSession,
+  cancelSession,
+  getSessionHistory
+};
@@ -0,0 +1,310 @@
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const BatchUser = require('../models/BatchUser');
+const GroupUser = require('../models/GroupUser');
+const SessionReminder = require('../models/SessionReminder');
+const { EVENTS, subscribe } = require('./eventBus');
+const { registerJob } = require('./scheduler');
+const { notify } = require('./notifications');
+const { describeSessionTime, getSessionContextName } = require('./sessionChanges');
+
+const MINUTE_MS = 60 * 1000;
+
+const getIntervalMs = () =>
+  (parseInt(process.env.SESSION_REMINDER_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Upper bound on sessions synced and reminders sent per run
+const RUN_LIMIT = 500;
+
+// Every active member of the session's batch or group is reminded
+const REMINDER_TYPES = {
+  live: {
+    Model: LiveSession,
+    field: 'live_session',
+    parent: 'batch',
+    path: 'live-sessions',
+    members: (session) => BatchUser.find({ batch: session.batch, is_active: true }).select('user')
+  },
+  group: {
+    Model: GroupSession,
+    field: 'group_session',
+    parent: 'group',
+    path: 'group-sessions',
+    members: (session) => GroupUser.find({ group: session.group, is_active: true }).select('user')
+  }
+};
+
+const OFFSET_PATTERN = /^(\d+)\s*([mhd])$/i;
+const OFFSET_UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * How long before a session reminders go out, from SESSION_REMINDER_OFFSETS: a comma-separated
+ * list such as "24h,1h" or "2d,30m" (the default is "24h,1h"). Invalid entries are ignored.
+ * @returns {number[]} Offsets in minutes, largest first
+ */
+const getReminderOffsets = () => {
+  const offsets = (process.env.SESSION_REMINDER_OFFSETS || '24h,1h').split(',')
+    .map(value => OFFSET_PATTERN.exec(value.trim()))
+    .filter(Boolean)
+    .map(([, amount, unit]) => parseInt(amount, 10) * OFFSET_UNIT_MINUTES[unit.toLowerCase()])
+    .filter(minutes => minutes > 0);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+// "24 hours", "1 hour", "30 minutes"
+const describeOffset = (minutes) => {
+  const [amount, unit] = minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+const isRemindable = (session) => Boolean(session && session.is_active && session.status === 'scheduled' && session.starts_at);
+
+/**
+ * Stop a session's pending reminders from going out
+ * @param {string} type - "live" or "group"
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Number of reminders cancelled
+ */
+const cancelSessionReminders = async (type, sessionId) => {
+  const result = await SessionReminder.updateMany(
+    { [REMINDER_TYPES[type].field]: sessionId, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Bring a session's reminders in line with its start time and the configured offsets.
+ * Reminders computed for another start time, or cancelled, are due again; those whose
+ * time has already passed are skipped. A session that is no longer scheduled gets none.
+ * @param {string} type - "live" or "group"
+ * @param {Object} session - Session with starts_at, status and is_active
+ * @param {Date} [now=new Date()] - Reference time
+ */
+const scheduleSessionReminders = async (type, session, now = new Date()) => {
+  const { field } = REMINDER_TYPES[type];
+
+  if (!isRemindable(session)) {
+    await cancelSessionReminders(type, session._id);
+    return;
+  }
+
+  const offsets = getReminderOffsets();
+  const startsAt = new Date(session.starts_at);
+  const existing = await SessionReminder.find({ [field]: session._id }).select('offset_minutes session_starts_at status').lean();
+
+  for (const offset of offsets) {
+    const current = existing.find(reminder => reminder.offset_minutes === offset);
+    if (current && current.status !== 'cancelled' && current.session_starts_at.getTime() === startsAt.getTime()) continue;
+
+    const remindAt = new Date(startsAt.getTime() - offset * MINUTE_MS);
+    await SessionReminder.updateOne(
+      { [field]: session._id, offset_minutes: offset },
+      {
+        $set: {
+          session_type: type,
+          session_starts_at: startsAt,
+          remind_at: remindAt,
+          status: remindAt > now ? 'pending' : 'skipped',
+          notified_count: 0
+        },
+        $unset: { sent_at: 1, last_error: 1 }
+      },
+      { upsert: true }
+    );
+  }
+
+  // Offsets taken out of the configuration
+  await SessionReminder.updateMany(
+    { [field]: session._id, status: 'pending', offset_minutes: { $nin: offsets } },
+    { $set: { status: 'cancelled' } }
+  );
+};
+
+/**
+ * Compute reminders for scheduled sessions starting soon enough for one to be due before
+ * the next run. This picks up sessions however they were created or edited.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of sessions whose reminders were (re)computed
+ */
+const syncUpcomingReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  if (offsets.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + offsets[0] * MINUTE_MS + getIntervalMs());
+  let count = 0;
+
+  for (const [type, { Model, field }] of Object.entries(REMINDER_TYPES)) {
+    const sessions = await Model.find({ status: 'scheduled', is_active: true, starts_at: { $gt: now, $lte: horizon } })
+      .select('starts_at status is_active')
+      .sort({ starts_at: 1 })
+      .limit(RUN_LIMIT)
+      .lean();
+    if (sessions.length === 0) continue;
+
+    const reminders = await SessionReminder.find({
+      [field]: { $in: sessions.map(session => session._id) },
+      status: { $ne: 'cancelled' }
+    })
+      .select(`${field} offset_minutes session_starts_at`)
+      .lean();
+    const upToDate = new Set(reminders.map(reminder =>
+      `${reminder[field]}:${reminder.offset_minutes}:${reminder.session_starts_at.getTime()}`));
+
+    for (const session of sessions) {
+      const key = (offset) => `${session._id}:${offset}:${session.starts_at.getTime()}`;
+      if (offsets.every(offset => upToDate.has(key(offset)))) continue;
+
+      await scheduleSessionReminders(type, session, now);
+      count++;
+    }
+  }
+
+  return count;
+};
+
+// Notify the session's members, in-app and by email as each chose
+const notifyMembers = async (type, session, reminder, now) => {
+  const config = REMINDER_TYPES[type];
+  const [contextName, members] = await Promise.all([getSessionContextName(type, session), config.members(session)]);
+  // A reminder sent late says how long is really left
+  const minutesLeft = Math.ceil((session.starts_at.getTime() - now.getTime()) / MINUTE_MS);
+  const startsIn = describeOffset(Math.min(reminder.offset_minutes, minutesLeft));
+
+  return notify({
+    users: members.map(member => member.user),
+    category: 'session_reminders',
+    type: 'session.reminder',
+    title: `${session.title} starts in ${startsIn}`,
+    message: (user) => `${session.title} (${contextName}) is on ${describeSessionTime(session, user)}. ` +
+      `Join at ${session.meeting_link}`,
+    link: `/${config.path}/${session._id}`,
+    data: {
+      session_type: type,
+      session: session._id,
+      [config.parent]: session[config.parent],
+      starts_at: session.starts_at,
+      meeting_link: session.meeting_link,
+      offset_minutes: reminder.offset_minutes
+    },
+    email: (user) => ({
+      template: 'sessionReminder',
+      data: {
+        name: user.name,
+        sessionTitle: session.title,
+        contextName,
+        time: describeSessionTime(session, user),
+        startsIn,
+        meetingLink: session.meeting_link
+      }
+    })
+  });
+};
+
+/**
+ * Send one due reminder, unless its session was cancelled, moved or has started
+ * @param {Object} reminder - SessionReminder document
+ * @param {Date} now - Reference time
+ * @returns {Promise<boolean>} True if the reminder was sent
+ */
+const sendReminder = async (reminder, now) => {
+  const type = reminder.session_type;
+  const { Model, field } = REMINDER_TYPES[type];
+  const session = await Model.findById(reminder[field]);
+
+  if (!isRemindable(session)) {
+    await SessionReminder.updateOne({ _id: reminder._id, status: 'pending' }, { $set: { status: 'cancelled' } });
+    return false;
+  }
+  if (session.starts_at.getTime() !== reminder.session_starts_at.getTime()) {
+    await scheduleSessionReminders(type, session, now);
+    return false;
+  }
+  if (session.starts_at <= now) {
+    await SessionReminder.updateOne({ _id: reminder._id, status: 'pending' }, { $set: { status: 'skipped' } });
+    return false;
+  }
+
+  // Claimed before notifying, so a reminder never goes out twice
+  const claimed = await SessionReminder.updateOne(
+    { _id: reminder._id, status: 'pending' },
+    { $set: { status: 'sent', sent_at: now } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  try {
+    const { reached } = await notifyMembers(type, session, reminder, now);
+    await SessionReminder.updateOne({ _id: reminder._id }, { $set: { notified_count: reached } });
+    return true;
+  } catch (error) {
+    console.error(`Session reminder ${reminder._id} failed:`, error);
+    await SessionReminder.updateOne({ _id: reminder._id }, { $set: { status: 'failed', last_error: error.message } });
+    return false;
+  }
+};
+
+/**
+ * Send reminders that are due. When several are due for one session, as after downtime,
+ * only the one closest to the start goes out and the others are skipped.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const due = await SessionReminder.find({ status: 'pending', remind_at: { $lte: now } })
+    .sort({ offset_minutes: 1, remind_at: 1 })
+    .limit(RUN_LIMIT);
+
+  const seen = new Set();
+  let sent = 0;
+
+  for (const reminder of due) {
+    const sessionKey = String(reminder.live_session || reminder.group_session);
+    if (seen.has(sessionKey)) {
+      await SessionReminder.updateOne({ _id: reminder._id, status: 'pending' }, { $set: { status: 'skipped' } });
+      continue;
+    }
+    seen.add(sessionKey);
+
+    if (await sendReminder(reminder, now)) sent++;
+  }
+
+  return sent;
+};
+
+const runReminders = async (now) => {
+  const synced = await syncUpcomingReminders(now);
+  const sent = await sendDueReminders(now);
+
+  if (synced > 0 || sent > 0) {
+    console.log(`Session reminders: computed for ${synced} session(s), sent ${sent}`);
+  }
+};
+
+// Follow reschedules and cancellations right away rather than on the next run
+const followSessionChanges = () => {
+  subscribe(EVENTS.SESSION_RESCHEDULED, async ({ session_type: type, id }) => {
+    const session = await REMINDER_TYPES[type].Model.findById(id).select('starts_at status is_active');
+    if (session) await scheduleSessionReminders(type, session);
+  });
+
+  subscribe(EVENTS.SESSION_CANCELLED, ({ session_type: type, id }) => cancelSessionReminders(type, id));
+};
+
+/**
+ * Register session reminders with the scheduler, to run every
+ * SESSION_REMINDER_INTERVAL_SECONDS (default 60)
+ */
+const registerSessionReminderJob = () => {
+  followSessionChanges();
+  registerJob({ name: 'session_reminders', intervalMs: getIntervalMs(), run: runReminders });
+};
+
+module.exports = {
+  getReminderOffsets,
+  scheduleSessionReminders,
+  cancelSessionReminders,
+  syncUpcomingReminders,
+  sendDueReminders,
+  registerSessionReminderJob
+};
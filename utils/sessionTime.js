@@ -0,0 +1,176 @@
+// Sessions are stored as UTC instants (starts_at/ends_at) with the IANA zone they are
+// held in. session_date, start_time and end_time are kept alongside as the calendar date
+// and "HH:mm" wall-clock times in that zone; API clients may still send them instead of
+// the instants.
+
+const {
+  getDefaultTimeZone,
+  startOfDay,
+  toZonedDate,
+  zonedTimeToUtc,
+  formatZonedTime
+} = require('./timezone');
+
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*([AaPp][Mm])?$/;
+
+/**
+ * Parse a time-of-day string into minutes after midnight
+ * @param {string} value - Time such as "9:30 AM", "12 PM" or "21:15"
+ * @returns {number|null} Minutes after midnight, or null if the value is not a valid time
+ */
+const parseTimeOfDay = (value) => {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3].toUpperCase() : null;
+
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'PM') hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes after midnight as a 24-hour time
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time such as "09:05"
+ */
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Normalise a time-of-day string to 24-hour "HH:mm"
+ * @param {string} value - Time such as "2:00 PM"
+ * @returns {string|null} Normalised time, or null if the value is not a valid time
+ */
+const normalizeTimeOfDay = (value) => {
+  const minutes = parseTimeOfDay(value);
+  return minutes === null ? null : formatMinutes(minutes);
+};
+
+/**
+ * Format a point in time as a 24-hour time of day in a zone, matching how session times are stored
+ * @param {Date} date - Point in time
+ * @param {string} [timeZone] - IANA zone (defaults to DEFAULT_TIMEZONE)
+ * @returns {string} Time such as "09:05"
+ */
+const formatTimeOfDay = (date, timeZone = getDefaultTimeZone()) => formatZonedTime(date, timeZone);
+
+/**
+ * Work out all schedule fields of a session from either its instants or its
+ * calendar date and wall-clock times
+ * @param {Object} fields - starts_at and ends_at, or session_date, start_time and end_time
+ * @param {string} [timeZone] - IANA zone the session is held in (defaults to DEFAULT_TIMEZONE)
+ * @returns {Object|null} { starts_at, ends_at, timezone, session_date, start_time, end_time },
+ *   or null if the fields are incomplete or unreadable. An end time before the start time is
+ *   taken to be on the following day.
+ */
+const buildSessionSchedule = (fields, timeZone = getDefaultTimeZone()) => {
+  if (fields.starts_at && fields.ends_at) {
+    const startsAt = new Date(fields.starts_at);
+    const endsAt = new Date(fields.ends_at);
+    if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) return null;
+
+    return {
+      starts_at: startsAt,
+      ends_at: endsAt,
+      timezone: timeZone,
+      session_date: toZonedDate(startsAt, timeZone),
+      start_time: formatZonedTime(startsAt, timeZone),
+      end_time: formatZonedTime(endsAt, timeZone)
+    };
+  }
+
+  const startMinutes = parseTimeOfDay(fields.start_time);
+  const endMinutes = parseTimeOfDay(fields.end_time);
+  if (!fields.session_date || isNaN(new Date(fields.session_date)) || startMinutes === null || endMinutes === null) {
+    return null;
+  }
+
+  const sessionDate = startOfDay(fields.session_date);
+
+  return {
+    starts_at: zonedTimeToUtc(sessionDate, startMinutes, timeZone),
+    ends_at: zonedTimeToUtc(sessionDate, endMinutes <= startMinutes ? endMinutes + 24 * 60 : endMinutes, timeZone),
+    timezone: timeZone,
+    session_date: sessionDate,
+    start_time: formatMinutes(startMinutes),
+    end_time: formatMinutes(endMinutes)
+  };
+};
+
+// Request fields that change when a session happens
+const SCHEDULE_INPUT_FIELDS = ['starts_at', 'ends_at', 'session_date', 'start_time', 'end_time', 'timezone'];
+
+/**
+ * Work out the schedule fields for a create or update request. Instants win over
+ * wall-clock times; fields missing from an update are taken from the session.
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Session being updated, or null when creating
+ * @param {string} [defaultTimeZone] - Zone of the session's batch or group
+ * @returns {Object|null|undefined} Schedule fields (see buildSessionSchedule), null if they
+ *   cannot be read, or undefined for an update that does not change the schedule
+ */
+const resolveSessionSchedule = (body, existing, defaultTimeZone = getDefaultTimeZone()) => {
+  if (existing && !SCHEDULE_INPUT_FIELDS.some(field => body[field] !== undefined)) return undefined;
+
+  const current = existing || {};
+  const timeZone = body.timezone || current.timezone || defaultTimeZone;
+  const source = body.starts_at !== undefined || body.ends_at !== undefined
+    ? { starts_at: body.starts_at || current.starts_at, ends_at: body.ends_at || current.ends_at }
+    : {
+      session_date: body.session_date || current.session_date,
+      start_time: body.start_time || current.start_time,
+      end_time: body.end_time || current.end_time
+    };
+
+  return buildSessionSchedule(source, timeZone);
+};
+
+/**
+ * Start and end of a session
+ * @param {Object} session - LiveSession or GroupSession document, or candidate fields
+ * @returns {{start: Date, end: Date}|null} Start and end, or null if the times cannot be read
+ */
+const getSessionTimes = (session) => {
+  const schedule = buildSessionSchedule(session, session.timezone || getDefaultTimeZone());
+  return schedule ? { start: schedule.starts_at, end: schedule.ends_at } : null;
+};
+
+/**
+ * Keep a session document's schedule fields consistent before validation: fills the
+ * instants from the wall-clock fields when they are missing, and the wall-clock fields
+ * from the instants whenever those change
+ * @param {Object} doc - LiveSession or GroupSession document
+ */
+const syncSessionSchedule = (doc) => {
+  if (!doc.timezone) doc.timezone = getDefaultTimeZone();
+
+  const fromInstants = doc.starts_at && doc.ends_at;
+  if (fromInstants && !doc.isModified('starts_at') && !doc.isModified('ends_at') && !doc.isModified('timezone')) return;
+
+  const schedule = fromInstants
+    ? buildSessionSchedule({ starts_at: doc.starts_at, ends_at: doc.ends_at }, doc.timezone)
+    : buildSessionSchedule(doc, doc.timezone);
+
+  if (schedule) doc.set(schedule);
+};
+
+module.exports = {
+  parseTimeOfDay,
+  normalizeTimeOfDay,
+  formatTimeOfDay,
+  buildSessionSchedule,
+  resolveSessionSchedule,
+  getSessionTimes,
+  syncSessionSchedule
+};
@@ -0,0 +1,142 @@
+const LiveSession = require('../models/LiveSession');
+const GroupSession = require('../models/GroupSession');
+const Batch = require('../models/Batch');
+const logActivity = require('./activityLogger');
+const { EVENTS, publish } = require('./eventBus');
+const { registerJob } = require('./scheduler');
+const { getDefaultTimeZone, isValidTimeZone, todayIn, addDays } = require('./timezone');
+
+const getIntervalMs = () =>
+  (parseInt(process.env.STATUS_LIFECYCLE_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Upper bound per transition and run, so a backlog is worked through over a few runs
+const RUN_LIMIT = 500;
+
+const SESSION_TYPES = [
+  { Model: LiveSession, entityType: 'LiveSession', parent: 'batch', event: EVENTS.LIVE_SESSION_STATUS_CHANGED },
+  { Model: GroupSession, entityType: 'GroupSession', parent: 'group', event: EVENTS.GROUP_SESSION_STATUS_CHANGED }
+];
+
+/**
+ * Move a document from one status to another, unless it changed in the meantime,
+ * then log it and publish the event
+ * @returns {Promise<boolean>} True if the status was changed
+ */
+const transition = async (Model, entityType, event, doc, to, payload) => {
+  // Conditional update so a manual change made since the query is not overwritten
+  const result = await Model.updateOne({ _id: doc._id, status: doc.status }, { $set: { status: to } });
+  if (result.modifiedCount === 0) return false;
+
+  await logActivity(null, 'status_change', entityType, doc._id, `Status changed from ${doc.status} to ${to}`);
+  publish(event, { id: doc._id.toString(), from: doc.status, to, ...payload });
+  return true;
+};
+
+/**
+ * Start sessions whose start time has passed and complete those whose end time has.
+ * Cancelled and inactive sessions are left alone.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of sessions changed
+ */
+const advanceSessionStatuses = async (now = new Date()) => {
+  let count = 0;
+
+  for (const { Model, entityType, parent, event } of SESSION_TYPES) {
+    const steps = [
+      { to: 'completed', filter: { status: { $in: ['scheduled', 'in_progress'] }, ends_at: { $lte: now } } },
+      { to: 'in_progress', filter: { status: 'scheduled', starts_at: { $lte: now }, ends_at: { $gt: now } } }
+    ];
+
+    for (const { to, filter } of steps) {
+      const sessions = await Model.find({ ...filter, is_active: true })
+        .select(`status starts_at ends_at ${parent}`)
+        .sort({ starts_at: 1 })
+        .limit(RUN_LIMIT)
+        .lean();
+
+      for (const session of sessions) {
+        const changed = await transition(Model, entityType, event, session, to, {
+          [parent]: session[parent] ? session[parent].toString() : null,
+          starts_at: session.starts_at,
+          ends_at: session.ends_at
+        });
+        if (changed) count++;
+      }
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Status a batch should have on a date: completed after end_date, active from start_date
+ * @param {Object} batch - Batch with start_date and end_date
+ * @param {Date} today - Calendar date in the batch's zone
+ * @returns {string} upcoming, active or completed
+ */
+const batchStatusOn = (batch, today) => {
+  if (batch.end_date && today > new Date(batch.end_date)) return 'completed';
+  if (batch.start_date && today >= new Date(batch.start_date)) return 'active';
+  return 'upcoming';
+};
+
+/**
+ * Activate batches that have started and complete those past their end date,
+ * going by the date in each batch's own zone. Inactive batches are left alone.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of batches changed
+ */
+const advanceBatchStatuses = async (now = new Date()) => {
+  // Only batches due to start or end; a day's margin covers zones ahead of UTC and
+  // batchStatusOn makes the exact call
+  const batches = await Batch.find({
+    is_active: true,
+    $or: [
+      { status: 'upcoming', start_date: { $lte: addDays(now, 1) } },
+      { status: 'active', end_date: { $lt: now } }
+    ]
+  })
+    .select('status start_date end_date timezone')
+    .sort({ start_date: 1 })
+    .limit(RUN_LIMIT)
+    .lean();
+
+  let count = 0;
+
+  for (const batch of batches) {
+    const timeZone = isValidTimeZone(batch.timezone) ? batch.timezone : getDefaultTimeZone();
+    const to = batchStatusOn(batch, todayIn(timeZone, now));
+    if (to === batch.status) continue;
+
+    const changed = await transition(Batch, 'Batch', EVENTS.BATCH_STATUS_CHANGED, batch, to, {
+      start_date: batch.start_date,
+      end_date: batch.end_date
+    });
+    if (changed) count++;
+  }
+
+  return count;
+};
+
+const advanceStatuses = async (now) => {
+  const sessions = await advanceSessionStatuses(now);
+  const batches = await advanceBatchStatuses(now);
+
+  if (sessions > 0 || batches > 0) {
+    console.log(`Status lifecycle moved ${sessions} session(s) and ${batches} batch(es)`);
+  }
+};
+
+/**
+ * Register the status lifecycle with the scheduler, to run every
+ * STATUS_LIFECYCLE_INTERVAL_SECONDS (default 60)
+ */
+const registerStatusLifecycleJob = () => {
+  registerJob({ name: 'status_lifecycle', intervalMs: getIntervalMs(), run: advanceStatuses });
+};
+
+module.exports = {
+  advanceSessionStatuses,
+  advanceBatchStatuses,
+  registerStatusLifecycleJob
+};
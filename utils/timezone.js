@@ -0,0 +1,187 @@
+// IANA time zone helpers built on Intl, plus calendar-date helpers.
+// Calendar dates (session_date, holidays, batch start and end dates) are stored as
+// midnight UTC of that date, so they read the same whatever zone the server runs in.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+// Zone for batches, groups and users that have not chosen one
+const getDefaultTimeZone = () => process.env.DEFAULT_TIMEZONE || 'Africa/Addis_Ababa';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a value is an IANA time zone name known to the runtime
+ * @param {string} value - Zone such as "Africa/Addis_Ababa"
+ * @returns {boolean} True if valid
+ */
+const isValidTimeZone = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') return false;
+  try {
+    getFormatter(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Zone to show times in: ?timezone=, then the user's profile, then the X-Timezone
+ * header (usually the browser's zone), then DEFAULT_TIMEZONE
+ * @param {Object} req - Express request
+ * @returns {string} IANA zone
+ */
+const getRequestTimeZone = (req) => {
+  const candidates = [req.query.timezone, req.user && req.user.timezone, req.get('X-Timezone')];
+  return candidates.find(isValidTimeZone) || getDefaultTimeZone();
+};
+
+/**
+ * Wall-clock parts of a point in time in a zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Offset of a zone from UTC at a point in time
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Minutes east of UTC
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const time = new Date(date).getTime();
+  const parts = getZonedParts(time, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+/**
+ * Midnight UTC of a calendar date. Strings starting with YYYY-MM-DD keep that date
+ * whatever time or offset follows; anything else uses its UTC date.
+ * @param {Date|string|number} value - Date
+ * @returns {Date} Calendar date
+ */
+const startOfDay = (value) => {
+  const match = typeof value === 'string' ? DATE_KEY_PATTERN.exec(value) : null;
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {Date} date - Calendar date
+ * @returns {string} Date key
+ */
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Today's calendar date in a zone
+ * @param {string} timeZone - IANA zone
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Date} Calendar date
+ */
+const todayIn = (timeZone, now = new Date()) => {
+  const parts = getZonedParts(now, timeZone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+};
+
+/**
+ * Convert a wall-clock time on a calendar date in a zone to a point in time.
+ * Times skipped by a daylight saving change move forward by the size of the gap.
+ * @param {Date|string} date - Calendar date
+ * @param {number} minutes - Minutes after midnight (may exceed a day)
+ * @param {string} timeZone - IANA zone
+ * @returns {Date} Point in time
+ */
+const zonedTimeToUtc = (date, minutes, timeZone) => {
+  const wallClock = startOfDay(date).getTime() + minutes * 60000;
+
+  // The offset at the wall-clock time read as UTC is right except near a DST change;
+  // checking again at the first guess settles it
+  const firstOffset = getTimeZoneOffset(wallClock, timeZone);
+  const guess = wallClock - firstOffset * 60000;
+  const secondOffset = getTimeZoneOffset(guess, timeZone);
+  if (secondOffset === firstOffset) return new Date(guess);
+
+  const retry = wallClock - secondOffset * 60000;
+  return new Date(getTimeZoneOffset(retry, timeZone) === secondOffset ? retry : guess);
+};
+
+/**
+ * Calendar date of a point in time in a zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA zone
+ * @returns {Date} Calendar date
+ */
+const toZonedDate = (date, timeZone) => todayIn(timeZone, new Date(date));
+
+/**
+ * 24-hour time of day of a point in time in a zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA zone
+ * @returns {string} Time such as "09:05"
+ */
+const formatZonedTime = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+};
+
+/**
+ * ISO 8601 representation of a point in time with the zone's offset
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA zone
+ * @returns {string} Such as "2025-03-01T10:00:00-05:00"
+ */
+const formatZonedIso = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+module.exports = {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  getRequestTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  startOfDay,
+  addDays,
+  toDateKey,
+  todayIn,
+  zonedTimeToUtc,
+  toZonedDate,
+  formatZonedTime,
+  formatZonedIso
+};
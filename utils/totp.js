@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random shared secret
+ * @param {number} [size=20] - Secret length in bytes (20 bytes matches HMAC-SHA1)
+ * @returns {string} Base32-encoded secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Compute the time step counter for a point in time
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @param {number} [stepSeconds=30] - Step length in seconds
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (timestamp = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) =>
+  Math.floor(timestamp / 1000 / stepSeconds);
+
+/**
+ * Generate an HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Counter value
+ * @param {number} [digits=6] - Number of digits
+ * @returns {string} Zero-padded one-time code
+ */
+const generateHotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * Generate the TOTP value (RFC 6238) for a point in time
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {string} One-time code
+ */
+const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either side
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} token - Code submitted by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window=1] - Number of steps of drift to accept
+ * @param {number} [options.timestamp=Date.now()] - Time in milliseconds
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, token, options = {}) => {
+  const { window = 1, timestamp = Date.now() } = options;
+  const normalized = String(token || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== DEFAULT_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} accountName - Account label (usually the user's email)
+ * @param {string} issuer - Issuer name shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl
+};
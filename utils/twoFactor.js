@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { getUserAccess } = require('./permissionCache');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const getChallengeSecret = () =>
+  process.env.TWO_FACTOR_CHALLENGE_SECRET || 'your_secure_2fa_challenge_secret';
+
+/**
+ * Generate a short-lived challenge token issued between the password step and the second factor
+ * @param {string} userId - User ID to include in the token
+ * @param {string} purpose - 'login' when a code is expected, 'setup' when enrollment is mandatory
+ * @returns {string} Signed challenge token
+ */
+const generateChallengeToken = (userId, purpose) => jwt.sign(
+  { id: userId, purpose },
+  getChallengeSecret(),
+  { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+);
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload, or null if invalid, expired or issued for another purpose
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Plain codes to show once, and hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check whether the global policy makes 2FA mandatory for any of the user's active roles
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user must use 2FA
+ */
+const isTwoFactorRequired = async (userId) => {
+  const policy = await SecurityPolicy.getPolicy();
+  if (!policy.two_factor_required_roles || policy.two_factor_required_roles.length === 0) {
+    return false;
+  }
+
+  const access = await getUserAccess(userId);
+  return access.roles.some(roleName => policy.two_factor_required_roles.includes(roleName));
+};
+
+module.exports = {
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTwoFactorRequired
+};
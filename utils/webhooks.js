@@ -0,0 +1,305 @@
+// Outbound webhooks. Admins register endpoints for the events in WEBHOOK_EVENTS; each event is
+// POSTed as JSON { id, event, created_at, data } with the headers:
+//   X-Webhook-Event      event name
+//   X-Webhook-Delivery   delivery ID (new for every replay)
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed by the endpoint secret>
+// Any 2xx response counts as delivered; anything else is retried with exponential backoff.
+// scripts/webhook-receiver.js is a local receiver that checks signatures.
+const crypto = require('crypto');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENTS, subscribe } = require('./eventBus');
+const { registerJob } = require('./scheduler');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const getIntervalMs = () =>
+  (parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_SECONDS, 10) || 30) * 1000;
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const getRetryBaseMs = () => (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// How long a receiver gets to answer
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Upper bound on deliveries attempted per run
+const RUN_LIMIT = 100;
+// Characters of the receiver's response kept with each attempt
+const RESPONSE_EXCERPT_LENGTH = 1000;
+
+// Webhook events and the event bus events they come from. `when` narrows a bus event
+// down to the webhook event; without it every bus event of that name is sent.
+const WEBHOOK_EVENTS = {
+  'enrollment.created': {
+    source: EVENTS.ENROLLMENT_CHANGED,
+    when: (payload) => payload.action === 'created'
+  },
+  'enrollment.updated': {
+    source: EVENTS.ENROLLMENT_CHANGED,
+    when: (payload) => payload.action === 'updated'
+  },
+  'enrollment.dropped': {
+    source: EVENTS.ENROLLMENT_CHANGED,
+    when: (payload) => payload.action === 'updated' && payload.status === 'dropped' &&
+      payload.previous && payload.previous.status !== 'dropped'
+  },
+  'enrollment.deleted': {
+    source: EVENTS.ENROLLMENT_CHANGED,
+    when: (payload) => payload.action === 'deleted'
+  },
+  'payment.paid': {
+    source: EVENTS.ENROLLMENT_CHANGED,
+    when: (payload) => payload.payment_status === 'paid' && (payload.action === 'created' ||
+      (payload.action === 'updated' && payload.previous && payload.previous.payment_status !== 'paid'))
+  },
+  'batch.status_changed': { source: EVENTS.BATCH_STATUS_CHANGED },
+  'session.rescheduled': { source: EVENTS.SESSION_RESCHEDULED },
+  'session.cancelled': { source: EVENTS.SESSION_CANCELLED }
+};
+
+const WEBHOOK_EVENT_NAMES = Object.keys(WEBHOOK_EVENTS);
+
+// Sent only by the test endpoint, whatever an endpoint subscribes to
+const TEST_EVENT = 'webhook.test';
+
+/**
+ * New random signing secret for an endpoint
+ * @returns {string} Secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw request body
+ * @param {number} [timestamp] - Unix seconds; defaults to now
+ * @returns {string} Such as "t=1718000000,v1=5f2b..."
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a signature header the way receivers should
+ * @param {string} secret - Endpoint secret
+ * @param {string} header - X-Webhook-Signature value
+ * @param {string} body - Raw request body
+ * @param {number} [toleranceSeconds=300] - Oldest timestamp accepted, against replayed requests
+ * @returns {boolean} True if the body was signed with the secret recently enough
+ */
+const verifySignature = (secret, header, body, toleranceSeconds = 300) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Wait before retrying after the given number of failed attempts: base, 2x, 4x, ... capped
+const retryDelayMs = (attemptCount) =>
+  Math.min(getRetryBaseMs() * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_MS);
+
+// POST one delivery and report how it went; never throws
+const postDelivery = async (delivery, secret) => {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const attempt = { attempted_at: new Date(startedAt) };
+
+  try {
+    const response = await fetch(delivery.endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `${process.env.APP_NAME || 'E-Learning Platform'} Webhooks`,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        [SIGNATURE_HEADER]: signPayload(secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    attempt.status_code = response.status;
+    attempt.response_body = (await response.text()).slice(0, RESPONSE_EXCERPT_LENGTH);
+    if (!response.ok) attempt.error = `Receiver responded ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+  }
+
+  attempt.duration_ms = Date.now() - startedAt;
+  return attempt;
+};
+
+/**
+ * Make the next attempt at a delivery if it is due, then record the attempt and either
+ * mark it succeeded, schedule a retry, or mark it failed once attempts run out
+ * @param {string} deliveryId - WebhookDelivery ID
+ * @returns {Promise<Object|null>} Updated delivery, or null if it was not due or is taken
+ */
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+
+  // Leased past the request timeout so no other run or instance picks it up meanwhile
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', next_attempt_at: { $lte: now } },
+    { $set: { next_attempt_at: new Date(now.getTime() + REQUEST_TIMEOUT_MS * 2) } },
+    { new: true }
+  ).populate({ path: 'endpoint', select: '+secret' });
+  if (!delivery) return null;
+
+  if (!delivery.endpoint || !delivery.endpoint.is_active) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { status: 'failed', next_attempt_at: null },
+      $push: { attempts: { attempted_at: now, error: 'Endpoint was deleted or disabled' } }
+    }, { new: true });
+  }
+
+  const attempt = await postDelivery(delivery, delivery.endpoint.secret);
+  const attemptCount = delivery.attempt_count + 1;
+  const update = { attempt_count: attemptCount };
+
+  if (!attempt.error) {
+    Object.assign(update, { status: 'succeeded', delivered_at: attempt.attempted_at, next_attempt_at: null });
+  } else if (attemptCount >= getMaxAttempts()) {
+    Object.assign(update, { status: 'failed', next_attempt_at: null });
+  } else {
+    update.next_attempt_at = new Date(Date.now() + retryDelayMs(attemptCount));
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update, $push: { attempts: attempt } }, { new: true });
+};
+
+// Attempt right away instead of waiting for the next run
+const attemptInBackground = (delivery) => {
+  attemptDelivery(delivery._id)
+    .catch(error => console.error(`Webhook delivery ${delivery._id} failed:`, error));
+};
+
+const queueDeliveries = async (endpoints, event, data, occurredAt = new Date()) => {
+  if (endpoints.length === 0) return [];
+
+  const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+  const payload = { id: eventId, event, created_at: occurredAt, data };
+
+  const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+    endpoint: endpoint._id,
+    event,
+    event_id: eventId,
+    payload,
+    next_attempt_at: new Date()
+  })));
+
+  deliveries.forEach(attemptInBackground);
+  return deliveries;
+};
+
+/**
+ * Queue an event for every active endpoint subscribed to it and start delivering
+ * @param {string} event - One of WEBHOOK_EVENT_NAMES
+ * @param {Object} data - Event data
+ * @param {Date} [occurredAt] - When it happened
+ * @returns {Promise<Object[]>} WebhookDelivery documents
+ */
+const dispatchWebhookEvent = async (event, data, occurredAt) => {
+  const endpoints = await WebhookEndpoint.find({ is_active: true, events: event }).select('_id');
+  return queueDeliveries(endpoints, event, data, occurredAt);
+};
+
+/**
+ * Send a webhook.test event to one endpoint, to check it is reachable and verifies signatures
+ * @param {Object} endpoint - WebhookEndpoint document
+ * @param {string} userId - Who asked for the test
+ * @returns {Promise<Object>} WebhookDelivery document
+ */
+const sendTestEvent = async (endpoint, userId) => {
+  const [delivery] = await queueDeliveries([endpoint], TEST_EVENT, {
+    endpoint: endpoint._id.toString(),
+    requested_by: String(userId)
+  });
+  return delivery;
+};
+
+/**
+ * Send a delivery again as a new delivery with the same event and payload. Its attempts
+ * start from scratch; the original is left as it was.
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {string} userId - Who replayed it
+ * @returns {Promise<Object>} The new WebhookDelivery document
+ */
+const replayDelivery = async (delivery, userId) => {
+  const replay = await WebhookDelivery.create({
+    endpoint: delivery.endpoint._id || delivery.endpoint,
+    event: delivery.event,
+    event_id: delivery.event_id,
+    payload: delivery.payload,
+    next_attempt_at: new Date(),
+    replay_of: delivery._id,
+    replayed_by: userId
+  });
+
+  attemptInBackground(replay);
+  return replay;
+};
+
+/**
+ * Attempt deliveries whose next attempt is due, such as retries and deliveries queued
+ * before a restart
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const attemptDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', next_attempt_at: { $lte: new Date() } })
+    .select('_id')
+    .sort({ next_attempt_at: 1 })
+    .limit(RUN_LIMIT);
+
+  let count = 0;
+  for (const { _id } of due) {
+    if (await attemptDelivery(_id)) count++;
+  }
+  return count;
+};
+
+// Turn event bus events into webhook events
+const followPlatformEvents = () => {
+  const sources = [...new Set(Object.values(WEBHOOK_EVENTS).map(({ source }) => source))];
+
+  sources.forEach(source => {
+    subscribe(source, async ({ event, occurred_at: occurredAt, ...data }) => {
+      for (const [name, { source: from, when }] of Object.entries(WEBHOOK_EVENTS)) {
+        if (from === source && (!when || when(data))) {
+          await dispatchWebhookEvent(name, data, occurredAt);
+        }
+      }
+    });
+  });
+};
+
+/**
+ * Start turning platform events into webhook deliveries and register retries with the
+ * scheduler, to run every WEBHOOK_DELIVERY_INTERVAL_SECONDS (default 30). Deliveries are
+ * tried up to WEBHOOK_MAX_ATTEMPTS times (default 8), waiting WEBHOOK_RETRY_BASE_SECONDS
+ * (default 30) after the first failure and twice as long after each further one.
+ */
+const registerWebhookJob = () => {
+  followPlatformEvents();
+  registerJob({ name: 'webhook_deliveries', intervalMs: getIntervalMs(), run: attemptDueDeliveries });
+};
+
+module.exports = {
+  WEBHOOK_EVENT_NAMES,
+  TEST_EVENT,
+  SIGNATURE_HEADER,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  dispatchWebhookEvent,
+  sendTestEvent,
+  replayDelivery,
+  attemptDelivery,
+  registerWebhookJob
+};